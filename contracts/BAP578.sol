@@ -7,6 +7,8 @@ import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721URISto
 import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "./extensions/IERC4907.sol";
 
 /**
  * @title BAP578
@@ -18,12 +20,22 @@ contract BAP578 is
     ERC721URIStorageUpgradeable,
     ReentrancyGuardUpgradeable,
     OwnableUpgradeable,
-    UUPSUpgradeable
+    UUPSUpgradeable,
+    IERC4907
 {
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
     // ============================================
     // STRUCTS
     // ============================================
 
+    // Agent lifecycle, same states and order as CLAWNFA's IBAP578.Status
+    enum Status {
+        Active,
+        Paused,
+        Terminated
+    }
+
     struct AgentMetadata {
         string persona; // JSON-encoded string for character traits, style, tone
         string experience; // Short summary string for agent's role/purpose
@@ -40,6 +52,11 @@ contract BAP578 is
         uint256 createdAt;
     }
 
+    struct UserInfo {
+        address user; // Renter of the agent
+        uint64 expires; // UNIX timestamp at which the rental ends
+    }
+
     // ============================================
     // CONSTANTS
     // ============================================
@@ -69,6 +86,19 @@ contract BAP578 is
     // Pause state for emergency
     bool public paused;
 
+    // Agent rentals (ERC-4907)
+    mapping(uint256 => UserInfo) private _users;
+
+    // Terminated agents; with AgentState.active this gives the lifecycle Status.
+    // Appended so agents minted before the lifecycle upgrade keep their state.
+    mapping(uint256 => bool) public isTerminated;
+
+    // ERC-20 balances per agent: tokenId => token => amount
+    mapping(uint256 => mapping(address => uint256)) private _tokenBalances;
+
+    // Contract allowed to grant free mints besides the owner, e.g. FreeMintCampaigns
+    address public freeMintDistributor;
+
     // ============================================
     // EVENTS
     // ============================================
@@ -81,12 +111,26 @@ contract BAP578 is
     );
     event AgentFunded(uint256 indexed tokenId, uint256 amount);
     event AgentWithdraw(uint256 indexed tokenId, uint256 amount);
+    event AgentTokenFunded(
+        uint256 indexed tokenId,
+        address indexed token,
+        address indexed funder,
+        uint256 amount
+    );
+    event AgentTokenWithdrawn(
+        uint256 indexed tokenId,
+        address indexed token,
+        address indexed recipient,
+        uint256 amount
+    );
     event AgentStatusChanged(uint256 indexed tokenId, bool active);
+    event AgentTerminated(uint256 indexed tokenId);
     event LogicAddressUpdated(uint256 indexed tokenId, address newLogicAddress);
     event MetadataUpdated(uint256 indexed tokenId);
     event TreasuryUpdated(address newTreasury);
     event ContractPaused(bool paused);
     event FreeMintGranted(address indexed user, uint256 amount);
+    event FreeMintDistributorUpdated(address distributor);
 
     // ============================================
     // MODIFIERS
@@ -150,9 +194,10 @@ contract BAP578 is
 
         // Check if user has free mints remaining (base + bonus)
         uint256 totalFreeMints = freeMintsPerUser + bonusFreeMints[msg.sender];
-        uint256 freeMintsRemaining = totalFreeMints > freeMintsClaimed[msg.sender]
-            ? totalFreeMints - freeMintsClaimed[msg.sender]
-            : 0;
+        uint256 freeMintsRemaining =
+            totalFreeMints > freeMintsClaimed[msg.sender]
+                ? totalFreeMints - freeMintsClaimed[msg.sender]
+                : 0;
 
         if (freeMintsRemaining > 0) {
             require(to == msg.sender, "Free mints can only be minted to self");
@@ -192,6 +237,7 @@ contract BAP578 is
      */
     function fundAgent(uint256 tokenId) external payable whenNotPaused {
         require(_exists(tokenId), "Token does not exist");
+        require(!isTerminated[tokenId], "Agent is terminated");
         agentStates[tokenId].balance += msg.value;
         emit AgentFunded(tokenId, msg.value);
     }
@@ -216,14 +262,88 @@ contract BAP578 is
         require(success, "Withdrawal failed");
     }
 
+    /**
+     * @dev Fund an agent with an ERC-20 token; the caller must approve this contract first
+     * @dev Credits the amount actually received, so fee-on-transfer tokens stay in balance
+     */
+    function fundAgentToken(
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external whenNotPaused nonReentrant {
+        require(_exists(tokenId), "Token does not exist");
+        require(!isTerminated[tokenId], "Agent is terminated");
+        require(token != address(0), "Invalid token");
+        require(amount > 0, "Amount must be > 0");
+
+        IERC20Upgradeable erc20 = IERC20Upgradeable(token);
+        uint256 balanceBefore = erc20.balanceOf(address(this));
+        erc20.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = erc20.balanceOf(address(this)) - balanceBefore;
+
+        _tokenBalances[tokenId][token] += received;
+        emit AgentTokenFunded(tokenId, token, msg.sender, received);
+    }
+
+    /**
+     * @dev Withdraw an ERC-20 token from an agent (owner only)
+     */
+    function withdrawAgentToken(
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external onlyTokenOwner(tokenId) nonReentrant {
+        require(amount > 0, "Amount must be > 0");
+        require(_tokenBalances[tokenId][token] >= amount, "Insufficient balance");
+
+        _tokenBalances[tokenId][token] -= amount;
+        emit AgentTokenWithdrawn(tokenId, token, msg.sender, amount);
+
+        IERC20Upgradeable(token).safeTransfer(msg.sender, amount);
+    }
+
     /**
      * @dev Toggle agent active status
+     * @dev Kept for existing integrations; same as pause/unpause without the state checks
      */
     function setAgentStatus(uint256 tokenId, bool active) external onlyTokenOwner(tokenId) {
+        require(!isTerminated[tokenId], "Agent is terminated");
         agentStates[tokenId].active = active;
         emit AgentStatusChanged(tokenId, active);
     }
 
+    /**
+     * @dev Pause an active agent
+     */
+    function pause(uint256 tokenId) external onlyTokenOwner(tokenId) {
+        require(getAgentStatus(tokenId) == Status.Active, "Agent is not active");
+        agentStates[tokenId].active = false;
+        emit AgentStatusChanged(tokenId, false);
+    }
+
+    /**
+     * @dev Resume a paused agent
+     */
+    function unpause(uint256 tokenId) external onlyTokenOwner(tokenId) {
+        require(getAgentStatus(tokenId) == Status.Paused, "Agent is not paused");
+        agentStates[tokenId].active = true;
+        emit AgentStatusChanged(tokenId, true);
+    }
+
+    /**
+     * @dev Terminate an agent. Irreversible: it can no longer be funded or reactivated,
+     *      but its owner can still withdraw the remaining balance
+     */
+    function terminate(uint256 tokenId) external onlyTokenOwner(tokenId) {
+        require(!isTerminated[tokenId], "Agent is terminated");
+        isTerminated[tokenId] = true;
+        if (agentStates[tokenId].active) {
+            agentStates[tokenId].active = false;
+            emit AgentStatusChanged(tokenId, false);
+        }
+        emit AgentTerminated(tokenId);
+    }
+
     /**
      * @dev Update logic address for an agent
      * @dev Logic address must be either zero address or a contract address
@@ -253,18 +373,62 @@ contract BAP578 is
         emit MetadataUpdated(tokenId);
     }
 
+    // ============================================
+    // RENTAL FUNCTIONS (ERC-4907)
+    // ============================================
+
+    /**
+     * @dev Rent an agent out until `expires`, or end the rental with the zero address
+     * @dev The renter can tune renter-configurable policies but never owns the agent
+     */
+    function setUser(uint256 tokenId, address user, uint64 expires) external {
+        require(_isApprovedOrOwner(msg.sender, tokenId), "Not token owner or approved");
+        require(user == address(0) || expires > block.timestamp, "Rental already expired");
+
+        if (user == address(0)) {
+            expires = 0;
+        }
+        _users[tokenId] = UserInfo({ user: user, expires: expires });
+        emit UpdateUser(tokenId, user, expires);
+    }
+
+    /**
+     * @dev Get the current renter of an agent; rights end exactly at userExpires
+     */
+    function userOf(uint256 tokenId) external view returns (address) {
+        UserInfo memory info = _users[tokenId];
+        return block.timestamp < info.expires ? info.user : address(0);
+    }
+
+    /**
+     * @dev Get the timestamp at which the agent's rental ends
+     */
+    function userExpires(uint256 tokenId) external view returns (uint256) {
+        return _users[tokenId].expires;
+    }
+
     // ============================================
     // ADMIN FUNCTIONS
     // ============================================
 
     /**
-     * @dev Grant additional free mints to an address (admin override)
+     * @dev Grant additional free mints to an address (admin override, or a claim through the
+     * free mint distributor)
      */
-    function grantAdditionalFreeMints(address user, uint256 additionalAmount) external onlyOwner {
+    function grantAdditionalFreeMints(address user, uint256 additionalAmount) external {
+        if (msg.sender != freeMintDistributor) _checkOwner();
         bonusFreeMints[user] += additionalAmount;
         emit FreeMintGranted(user, additionalAmount);
     }
 
+    /**
+     * @dev Set the contract allowed to grant free mints; the zero address disables it
+     */
+    function setFreeMintDistributor(address distributor) external onlyOwner {
+        freeMintDistributor = distributor;
+        emit FreeMintDistributorUpdated(distributor);
+    }
+
     /**
      * @dev Update treasury address
      */
@@ -324,6 +488,23 @@ contract BAP578 is
         return (state.balance, state.active, state.logicAddress, state.createdAt, ownerOf(tokenId));
     }
 
+    /**
+     * @dev Get an agent's balance of an ERC-20 token
+     */
+    function getAgentTokenBalance(uint256 tokenId, address token) external view returns (uint256) {
+        require(_exists(tokenId), "Token does not exist");
+        return _tokenBalances[tokenId][token];
+    }
+
+    /**
+     * @dev Get the lifecycle status of an agent
+     */
+    function getAgentStatus(uint256 tokenId) public view returns (Status) {
+        require(_exists(tokenId), "Token does not exist");
+        if (isTerminated[tokenId]) return Status.Terminated;
+        return agentStates[tokenId].active ? Status.Active : Status.Paused;
+    }
+
     /**
      * @dev Get agent metadata
      */
@@ -382,6 +563,12 @@ contract BAP578 is
             );
         }
         super._beforeTokenTransfer(from, to, tokenId, batchSize);
+
+        // A rental does not survive a change of owner
+        if (from != to && _users[tokenId].user != address(0)) {
+            delete _users[tokenId];
+            emit UpdateUser(tokenId, address(0), 0);
+        }
     }
 
     function _burn(
@@ -405,7 +592,7 @@ contract BAP578 is
         override(ERC721Upgradeable, ERC721EnumerableUpgradeable, ERC721URIStorageUpgradeable)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == type(IERC4907).interfaceId || super.supportsInterface(interfaceId);
     }
 
     function _authorizeUpgrade(address) internal override onlyOwner {}
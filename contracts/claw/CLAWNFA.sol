@@ -3,6 +3,8 @@ pragma solidity ^0.8.20;
 
 interface IERC20 {
     function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
 }
 
 /// @title Minimal Ownable (no OpenZeppelin)
@@ -103,6 +105,18 @@ contract NFA is Ownable, IBAP578 {
     event AgentActionExecuted(uint256 indexed tokenId, bytes result);
     event AgentLogicUpgraded(uint256 indexed tokenId, address oldLogic, address newLogic);
     event AgentFundedByToken(uint256 indexed tokenId, address indexed funder, uint256 amount);
+    event AgentTokenFunded(
+        uint256 indexed tokenId,
+        address indexed token,
+        address indexed funder,
+        uint256 amount
+    );
+    event AgentTokenWithdrawn(
+        uint256 indexed tokenId,
+        address indexed token,
+        address indexed recipient,
+        uint256 amount
+    );
     event AgentStatusChanged(uint256 indexed tokenId, Status newStatus);
 
     string public constant NAME = "Non-Fungible Agent";
@@ -141,6 +155,11 @@ contract NFA is Ownable, IBAP578 {
     uint256 private _totalAgentFunds;
     bool private _locked;
 
+    // ERC20 agent balances: tokenId => token => amount
+    mapping(uint256 => mapping(address => uint256)) private _tokenBalances;
+    // Number of tokens with a non-zero balance per agent, so burn cannot strand them
+    mapping(uint256 => uint256) private _heldTokenCount;
+
     // EIP-712
     bytes32 public constant MINT_REQUEST_TYPEHASH =
         keccak256("MintRequest(address wallet,uint256 nonce,uint256 expiry)");
@@ -451,10 +470,56 @@ contract NFA is Ownable, IBAP578 {
         emit AgentWithdrawn(tokenId, msg.sender, amount);
     }
 
+    function fundAgentToken(
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external whenNotPaused nonReentrant {
+        require(_owners[tokenId] != address(0), "NFA: nonexistent");
+        require(_states[tokenId].status != Status.Terminated, "NFA: terminated");
+        require(token.code.length > 0, "NFA: token not a contract");
+        require(amount > 0, "NFA: zero amount");
+
+        // Credit what actually arrived, so fee-on-transfer tokens stay in balance
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        _callToken(token, abi.encodeCall(IERC20.transferFrom, (msg.sender, address(this), amount)));
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+
+        if (_tokenBalances[tokenId][token] == 0 && received > 0) {
+            _heldTokenCount[tokenId] += 1;
+        }
+        _tokenBalances[tokenId][token] += received;
+        emit AgentTokenFunded(tokenId, token, msg.sender, received);
+    }
+
+    function withdrawAgentToken(
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external nonReentrant {
+        require(ownerOf(tokenId) == msg.sender, "NFA: not owner");
+        require(amount > 0, "NFA: zero amount");
+        require(_tokenBalances[tokenId][token] >= amount, "NFA: insufficient");
+
+        _tokenBalances[tokenId][token] -= amount;
+        if (_tokenBalances[tokenId][token] == 0) {
+            _heldTokenCount[tokenId] -= 1;
+        }
+
+        _callToken(token, abi.encodeCall(IERC20.transfer, (msg.sender, amount)));
+        emit AgentTokenWithdrawn(tokenId, token, msg.sender, amount);
+    }
+
+    function getAgentTokenBalance(uint256 tokenId, address token) external view returns (uint256) {
+        require(_owners[tokenId] != address(0), "NFA: nonexistent");
+        return _tokenBalances[tokenId][token];
+    }
+
     function burn(uint256 tokenId) external {
         address tokenOwner = ownerOf(tokenId);
         require(tokenOwner == msg.sender, "NFA: not owner");
         require(_states[tokenId].balance == 0, "NFA: non-zero balance");
+        require(_heldTokenCount[tokenId] == 0, "NFA: non-zero token balance");
 
         delete _tokenApprovals[tokenId];
         _balances[tokenOwner] -= 1;
@@ -552,6 +617,15 @@ contract NFA is Ownable, IBAP578 {
         return string(buffer);
     }
 
+    // ERC20 call that also accepts tokens returning nothing (SafeERC20 without OpenZeppelin)
+    function _callToken(address token, bytes memory data) private {
+        (bool success, bytes memory result) = token.call(data);
+        require(
+            success && (result.length == 0 || abi.decode(result, (bool))),
+            "NFA: token transfer failed"
+        );
+    }
+
     function _recover(bytes32 digest, bytes memory signature) internal pure returns (address) {
         if (signature.length != 65) {
             return address(0);
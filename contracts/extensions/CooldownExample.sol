@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import "./IPolicy.sol";
+import "./IPolicyCommit.sol";
+import "./PolicyTypes.sol";
+
+/// @title CooldownExample — Example Policy Implementation
+/// @notice Enforces a minimum interval between an agent's actions.
+///
+///         check() is `view` and cannot record anything, so the guard reports each
+///         executed action through the IPolicyCommit hook.
+///
+///         This is a SIMPLIFIED example for learning purposes.
+contract CooldownExample is IPolicy, IPolicyCommit, ERC165 {
+    /// @notice Minimum seconds between two actions of an agent
+    mapping(uint256 => uint256) public cooldowns;
+
+    /// @notice Timestamp of each agent's last recorded action
+    mapping(uint256 => uint256) public lastActionAt;
+
+    /// @notice Contract owner
+    address public owner;
+
+    /// @notice Guard allowed to commit executed actions
+    address public guard;
+
+    // --- Events ---
+    event CooldownSet(uint256 indexed tokenId, uint256 cooldown);
+    event GuardSet(address indexed guard);
+    event ActionRecorded(uint256 indexed tokenId, uint256 timestamp);
+
+    // --- Constructor ---
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // --- Admin ---
+
+    /// @notice Set the minimum interval between actions for an agent
+    /// @param tokenId  The NFA token ID
+    /// @param cooldown Minimum seconds between actions
+    function setCooldown(uint256 tokenId, uint256 cooldown) external {
+        require(msg.sender == owner, "Cooldown: not owner");
+        cooldowns[tokenId] = cooldown;
+        emit CooldownSet(tokenId, cooldown);
+    }
+
+    /// @notice Set the guard that commits executed actions
+    function setGuard(address newGuard) external {
+        require(msg.sender == owner, "Cooldown: not owner");
+        guard = newGuard;
+        emit GuardSet(newGuard);
+    }
+
+    // --- IPolicy Implementation ---
+
+    /// @inheritdoc IPolicy
+    function check(
+        uint256 tokenId,
+        address /* caller */,
+        address /* target */,
+        bytes4 /* selector */,
+        bytes calldata /* callData */,
+        uint256 /* value */
+    ) external view override returns (bool ok, string memory reason) {
+        uint256 cooldown = cooldowns[tokenId];
+
+        // Fail-close: an agent bound to this policy must have a cooldown configured
+        if (cooldown == 0) {
+            return (false, "Cooldown: no cooldown configured");
+        }
+
+        uint256 last = lastActionAt[tokenId];
+        if (last != 0 && block.timestamp < last + cooldown) {
+            return (false, "Cooldown: too soon");
+        }
+
+        return (true, "");
+    }
+
+    /// @inheritdoc IPolicyCommit
+    /// @dev Starts the agent's cooldown
+    function commit(
+        uint256 tokenId,
+        address /* target */,
+        uint256 /* value */,
+        bytes calldata /* data */
+    ) external override {
+        require(msg.sender == guard, "Cooldown: not guard");
+        lastActionAt[tokenId] = block.timestamp;
+        emit ActionRecorded(tokenId, block.timestamp);
+    }
+
+    /// @inheritdoc IPolicy
+    function policyType() external pure override returns (bytes32) {
+        return PolicyTypes.COOLDOWN;
+    }
+
+    /// @inheritdoc IPolicy
+    function renterConfigurable() external pure override returns (bool) {
+        return false;
+    }
+
+    /// @inheritdoc ERC165
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return
+            interfaceId == type(IPolicyCommit).interfaceId || super.supportsInterface(interfaceId);
+    }
+}
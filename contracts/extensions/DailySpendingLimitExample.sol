@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import "./IPolicy.sol";
+import "./IPolicyCommit.sol";
+import "./PolicyTypes.sol";
+
+/// @title DailySpendingLimitExample — Example Stateful Policy Implementation
+/// @notice Caps the native value (BNB) an agent can spend per UTC day. Unlike
+///         SpendingLimitExample, it accumulates: the guard commits every executed
+///         action, so many small actions cannot add up past the limit.
+///
+///         Windows are calendar days (block.timestamp / 1 days); the consumed amount
+///         resets at the first action of a new day.
+///
+///         This is a SIMPLIFIED example for learning purposes.
+contract DailySpendingLimitExample is IPolicy, IPolicyCommit, ERC165 {
+    /// @notice Per-agent daily limit in wei
+    mapping(uint256 => uint256) public limits;
+
+    /// @notice Day index of each agent's current window
+    mapping(uint256 => uint256) public windowDay;
+
+    /// @notice Value committed in each agent's current window, in wei
+    mapping(uint256 => uint256) public spentInWindow;
+
+    /// @notice Contract owner
+    address public owner;
+
+    /// @notice Guard allowed to commit executed actions
+    address public guard;
+
+    // --- Events ---
+    event LimitSet(uint256 indexed tokenId, uint256 limit);
+    event GuardSet(address indexed guard);
+    event SpendRecorded(uint256 indexed tokenId, uint256 day, uint256 value, uint256 spent);
+
+    // --- Constructor ---
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // --- Admin ---
+
+    /// @notice Set the daily spending limit for an agent
+    /// @param tokenId The NFA token ID
+    /// @param limit   Maximum native value per day (in wei)
+    function setLimit(uint256 tokenId, uint256 limit) external {
+        require(msg.sender == owner, "DailySpendingLimit: not owner");
+        limits[tokenId] = limit;
+        emit LimitSet(tokenId, limit);
+    }
+
+    /// @notice Set the guard that commits executed actions
+    function setGuard(address newGuard) external {
+        require(msg.sender == owner, "DailySpendingLimit: not owner");
+        guard = newGuard;
+        emit GuardSet(newGuard);
+    }
+
+    // --- Views ---
+
+    /// @notice Value already spent by an agent today, in wei
+    function spentToday(uint256 tokenId) public view returns (uint256) {
+        return windowDay[tokenId] == block.timestamp / 1 days ? spentInWindow[tokenId] : 0;
+    }
+
+    /// @notice Value an agent can still spend today, in wei
+    function remainingToday(uint256 tokenId) external view returns (uint256) {
+        uint256 spent = spentToday(tokenId);
+        uint256 limit = limits[tokenId];
+        return spent >= limit ? 0 : limit - spent;
+    }
+
+    // --- IPolicy Implementation ---
+
+    /// @inheritdoc IPolicy
+    function check(
+        uint256 tokenId,
+        address /* caller */,
+        address /* target */,
+        bytes4 /* selector */,
+        bytes calldata /* callData */,
+        uint256 value
+    ) external view override returns (bool ok, string memory reason) {
+        if (value == 0) {
+            return (true, "");
+        }
+
+        uint256 limit = limits[tokenId];
+
+        // Fail-close: if no limit is configured, block all valued actions
+        if (limit == 0) {
+            return (false, "DailySpendingLimit: no limit configured");
+        }
+
+        if (spentToday(tokenId) + value > limit) {
+            return (false, "DailySpendingLimit: exceeds daily limit");
+        }
+
+        return (true, "");
+    }
+
+    /// @inheritdoc IPolicyCommit
+    /// @dev Adds the executed value to the agent's current day
+    function commit(
+        uint256 tokenId,
+        address /* target */,
+        uint256 value,
+        bytes calldata /* data */
+    ) external override {
+        require(msg.sender == guard, "DailySpendingLimit: not guard");
+
+        uint256 day = block.timestamp / 1 days;
+        uint256 spent = spentToday(tokenId) + value;
+        windowDay[tokenId] = day;
+        spentInWindow[tokenId] = spent;
+        emit SpendRecorded(tokenId, day, value, spent);
+    }
+
+    /// @inheritdoc IPolicy
+    function policyType() external pure override returns (bytes32) {
+        return PolicyTypes.SPENDING_LIMIT;
+    }
+
+    /// @inheritdoc IPolicy
+    function renterConfigurable() external pure override returns (bool) {
+        // Spending limits are owner-controlled, not renter-configurable
+        return false;
+    }
+
+    /// @inheritdoc ERC165
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return
+            interfaceId == type(IPolicyCommit).interfaceId || super.supportsInterface(interfaceId);
+    }
+}
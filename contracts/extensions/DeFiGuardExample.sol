@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./IPolicy.sol";
+import "./PolicyTypes.sol";
+
+/// @title DeFiGuardExample — Example Policy Implementation
+/// @notice Restricts an agent to an allowlist of (target contract, function selector) pairs.
+///         Plain native transfers carry the zero selector and must be allowlisted too.
+///
+///         This is a SIMPLIFIED example for learning purposes.
+contract DeFiGuardExample is IPolicy {
+    /// @notice tokenId => target => selector => allowed
+    mapping(uint256 => mapping(address => mapping(bytes4 => bool))) public allowed;
+
+    /// @notice Number of allowed selectors per agent and target
+    mapping(uint256 => mapping(address => uint256)) public allowedSelectorCount;
+
+    /// @notice Contract owner
+    address public owner;
+
+    // --- Events ---
+    event SelectorSet(
+        uint256 indexed tokenId,
+        address indexed target,
+        bytes4 selector,
+        bool allowed
+    );
+
+    // --- Constructor ---
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // --- Admin ---
+
+    /// @notice Allow or disallow calls to functions of a target contract for an agent
+    /// @param tokenId   The NFA token ID
+    /// @param target    The target contract
+    /// @param selectors The function selectors to update
+    /// @param isAllowed Whether the selectors are allowed
+    function setAllowed(
+        uint256 tokenId,
+        address target,
+        bytes4[] calldata selectors,
+        bool isAllowed
+    ) external {
+        require(msg.sender == owner, "DeFiGuard: not owner");
+        for (uint256 i = 0; i < selectors.length; i++) {
+            if (allowed[tokenId][target][selectors[i]] == isAllowed) continue;
+            allowed[tokenId][target][selectors[i]] = isAllowed;
+            if (isAllowed) {
+                allowedSelectorCount[tokenId][target]++;
+            } else {
+                allowedSelectorCount[tokenId][target]--;
+            }
+            emit SelectorSet(tokenId, target, selectors[i], isAllowed);
+        }
+    }
+
+    // --- IPolicy Implementation ---
+
+    /// @inheritdoc IPolicy
+    function check(
+        uint256 tokenId,
+        address /* caller */,
+        address target,
+        bytes4 selector,
+        bytes calldata /* callData */,
+        uint256 /* value */
+    ) external view override returns (bool ok, string memory reason) {
+        // Fail-close: only allowlisted targets and selectors pass
+        if (allowedSelectorCount[tokenId][target] == 0) {
+            return (false, "DeFiGuard: target not allowed");
+        }
+        if (!allowed[tokenId][target][selector]) {
+            return (false, "DeFiGuard: selector not allowed");
+        }
+
+        return (true, "");
+    }
+
+    /// @inheritdoc IPolicy
+    function policyType() external pure override returns (bytes32) {
+        return PolicyTypes.DEFI_GUARD;
+    }
+
+    /// @inheritdoc IPolicy
+    function renterConfigurable() external pure override returns (bool) {
+        return false;
+    }
+}
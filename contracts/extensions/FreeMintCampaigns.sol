@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/// @notice The part of BAP578 a campaign contract calls
+interface IBAP578FreeMints {
+    function grantAdditionalFreeMints(address user, uint256 additionalAmount) external;
+}
+
+/// @title FreeMintCampaigns — Merkle-Allowlist Bonus Free Mints for BAP578
+/// @notice Users claim bonus free mint quotas with a Merkle proof instead of the owner granting
+///         them one transaction per user. Each campaign is a Merkle root over
+///         (account, amount) leaves, built off-chain from an allowlist by sdk/freeMints.js.
+///
+///         The BAP578 owner enables this contract with BAP578.setFreeMintDistributor(); a claim
+///         then calls grantAdditionalFreeMints, so the quota shows up in bonusFreeMints and
+///         getFreeMints and FreeMintGranted is emitted as for an owner grant.
+///
+/// @dev Leaves follow OpenZeppelin's StandardMerkleTree encoding,
+///      keccak256(bytes.concat(keccak256(abi.encode(account, amount)))), with sorted pairs.
+///      Each account claims at most once per campaign, whatever the amount.
+contract FreeMintCampaigns is Ownable {
+    /// @notice Agent collection the free mints are granted on
+    IBAP578FreeMints public immutable nfa;
+
+    /// @notice Merkle root of each campaign; zero when the campaign is closed
+    mapping(uint256 => bytes32) public merkleRoots;
+
+    /// @notice Whether an account has claimed from a campaign
+    mapping(uint256 => mapping(address => bool)) public hasClaimed;
+
+    // --- Events ---
+    event CampaignSet(uint256 indexed campaignId, bytes32 root);
+    event FreeMintsClaimed(uint256 indexed campaignId, address indexed account, uint256 amount);
+
+    // --- Constructor ---
+    constructor(address nfa_) {
+        require(nfa_ != address(0), "FreeMintCampaigns: zero address");
+        nfa = IBAP578FreeMints(nfa_);
+    }
+
+    // --- Admin ---
+
+    /// @notice Open, replace or (with a zero root) close a campaign
+    /// @dev Accounts that already claimed cannot claim again under a replaced root; publish
+    ///      additional quotas as a new campaign instead.
+    function setCampaign(uint256 campaignId, bytes32 root) external onlyOwner {
+        merkleRoots[campaignId] = root;
+        emit CampaignSet(campaignId, root);
+    }
+
+    // --- Claims ---
+
+    /// @notice Claim an account's bonus free mints from a campaign
+    /// @dev Anyone may submit the claim, e.g. a relayer; the free mints always go to `account`.
+    /// @param campaignId The campaign the proof belongs to
+    /// @param account    The allowlisted account
+    /// @param amount     The account's quota in the allowlist
+    /// @param proof      Merkle proof of (account, amount) against the campaign root
+    function claim(
+        uint256 campaignId,
+        address account,
+        uint256 amount,
+        bytes32[] calldata proof
+    ) external {
+        bytes32 root = merkleRoots[campaignId];
+        require(root != bytes32(0), "FreeMintCampaigns: campaign not open");
+        require(!hasClaimed[campaignId][account], "FreeMintCampaigns: already claimed");
+        require(
+            MerkleProof.verifyCalldata(proof, root, leaf(account, amount)),
+            "FreeMintCampaigns: invalid proof"
+        );
+
+        hasClaimed[campaignId][account] = true;
+        emit FreeMintsClaimed(campaignId, account, amount);
+        nfa.grantAdditionalFreeMints(account, amount);
+    }
+
+    // --- Views ---
+
+    /// @notice Leaf of an allowlist entry
+    function leaf(address account, uint256 amount) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+    }
+}
@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./IPolicyGuard.sol";
+
+/// @title GuardedExecutor — Opt-in Policy-Enforced Execution Path
+/// @notice Executes agent actions only after the agent's policies allow them:
+///         validate() → call target → commit().
+///
+///         Agent owners opt in by sending actions through this contract instead of calling
+///         targets directly. One executor serves one agent collection and one guard; the
+///         guard owner must enable it with PolicyGuardExample.setExecutor() so its
+///         commits reach stateful policies.
+///
+/// @dev Rejected actions do not revert: ActionValidated is emitted with the reason and any
+///      value sent is refunded, so blocked attempts stay visible on-chain.
+///
+///      Every agent's actions run from this one address, so the executor must never hold
+///      assets: whatever a target sends or approves to msg.sender can be moved by any other
+///      agent whose policies allow a transfer. Actions must name the token owner as recipient
+///      (e.g. a swap's `to`). The executor has no receive or fallback function, so ETH paid back
+///      to it reverts the action, and it only ever forwards msg.value, so ETH forced into it
+///      cannot be spent by an action.
+contract GuardedExecutor is ReentrancyGuard {
+    /// @notice Agent collection whose token owners can execute through this contract
+    IERC721 public immutable nfa;
+
+    /// @notice Guard holding the agents' policies
+    IPolicyGuard public immutable guard;
+
+    // --- Events ---
+    event ActionValidated(
+        uint256 indexed tokenId,
+        address indexed target,
+        bool allowed,
+        string reason
+    );
+    event ActionExecuted(
+        uint256 indexed tokenId,
+        address indexed target,
+        uint256 value,
+        bytes result
+    );
+
+    // --- Constructor ---
+    constructor(address nfa_, address guard_) {
+        require(nfa_ != address(0) && guard_ != address(0), "GuardedExecutor: zero address");
+        nfa = IERC721(nfa_);
+        guard = IPolicyGuard(guard_);
+    }
+
+    // --- Execution ---
+
+    /// @notice Validate an action against the agent's policies and execute it if allowed
+    /// @param tokenId The NFA token ID acting
+    /// @param target  The contract to call; msg.value is forwarded to it
+    /// @param data    The calldata of the action
+    /// @return allowed Whether the policies allowed the action
+    /// @return result  The target's return data, or the rejection reason when not allowed
+    function execute(
+        uint256 tokenId,
+        address target,
+        bytes calldata data
+    ) external payable nonReentrant returns (bool allowed, bytes memory result) {
+        require(_isAuthorized(msg.sender, tokenId), "GuardedExecutor: not authorized");
+        // The executor may commit to the guard, so it must never be the target of an action
+        require(target != address(guard), "GuardedExecutor: target is guard");
+
+        string memory reason;
+        (allowed, reason) = guard.validate(
+            address(nfa),
+            tokenId,
+            address(this),
+            msg.sender,
+            target,
+            msg.value,
+            data
+        );
+        emit ActionValidated(tokenId, target, allowed, reason);
+
+        if (!allowed) {
+            if (msg.value > 0) {
+                (bool refunded, ) = payable(msg.sender).call{ value: msg.value }("");
+                require(refunded, "GuardedExecutor: refund failed");
+            }
+            return (false, bytes(reason));
+        }
+
+        bool success;
+        (success, result) = target.call{ value: msg.value }(data);
+        if (!success) {
+            if (result.length == 0) {
+                revert("GuardedExecutor: action failed");
+            }
+            /// @solidity memory-safe-assembly
+            assembly {
+                revert(add(32, result), mload(result))
+            }
+        }
+
+        guard.commit(tokenId, target, msg.value, data);
+        emit ActionExecuted(tokenId, target, msg.value, result);
+    }
+
+    function _isAuthorized(address account, uint256 tokenId) internal view returns (bool) {
+        address owner = nfa.ownerOf(tokenId);
+        return
+            account == owner ||
+            nfa.getApproved(tokenId) == account ||
+            nfa.isApprovedForAll(owner, account);
+    }
+}
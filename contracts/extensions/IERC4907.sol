@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/// @title IERC4907 — Rental NFT, ERC-721 User Extension
+/// @notice Time-boxed "user" role per token, separate from ownership (EIP-4907).
+///         For agents, the user is the renter: it may operate the agent and tune
+///         renter-configurable policies until `userExpires`, but never owns it.
+///
+///         BAP-578 Extension: Agent Rental
+interface IERC4907 {
+    /// @notice Emitted when the user of a token is changed or its expiry is updated.
+    ///         The zero address for `user` means there is no user.
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    /// @notice Set the user and expiry of a token
+    /// @dev The zero address means there is no user. Only the owner or an approved
+    ///      address can set the user.
+    /// @param tokenId The NFA token ID
+    /// @param user    The new user (renter) of the token
+    /// @param expires UNIX timestamp at which the user's rights end
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+
+    /// @notice Get the current user of a token
+    /// @dev Returns the zero address once `block.timestamp >= userExpires(tokenId)`
+    function userOf(uint256 tokenId) external view returns (address);
+
+    /// @notice Get the UNIX timestamp at which the user's rights end
+    function userExpires(uint256 tokenId) external view returns (uint256);
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/// @title IPolicyCommit — Optional Post-Execution Hook for Stateful Policies
+/// @notice Policies that track state across actions (cumulative spend, last action time)
+///         implement this next to IPolicy and advertise it through ERC-165.
+///         IPolicyGuard.commit() calls it on every bound policy that supports it, after
+///         the action passed validate() and was executed.
+///
+///         BAP-578 Extension: Policy Validation Framework
+interface IPolicyCommit {
+    /// @notice Record an executed action
+    /// @dev Implementations MUST only accept calls from the guard they trust, otherwise
+    ///      anyone could consume an agent's allowance or reset its state.
+    /// @param tokenId The NFA token ID
+    /// @param target  The target contract of the executed action
+    /// @param value   The native value (BNB) sent with the action
+    /// @param data    The calldata that was executed
+    function commit(uint256 tokenId, address target, uint256 value, bytes calldata data) external;
+}
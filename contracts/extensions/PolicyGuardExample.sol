@@ -1,7 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
 import "./IPolicy.sol";
+import "./IPolicyCommit.sol";
 import "./IPolicyGuard.sol";
 
 /// @title PolicyGuardExample — Minimal PolicyGuard Reference Implementation
@@ -30,6 +32,13 @@ contract PolicyGuardExample is IPolicyGuard {
     /// @notice Per-agent bound policy sets
     mapping(uint256 => address[]) private _boundPolicies;
 
+    /// @notice Contracts allowed to commit executed actions (e.g. the agent's execute path)
+    mapping(address => bool) public isExecutor;
+
+    // --- Events ---
+
+    event ExecutorSet(address indexed executor, bool allowed);
+
     // --- Modifiers ---
 
     modifier onlyOwner() {
@@ -98,6 +107,16 @@ contract PolicyGuardExample is IPolicyGuard {
         return _boundPolicies[tokenId];
     }
 
+    // ═══════════════════════════════════════════════════════
+    //                    ADMIN: Executors
+    // ═══════════════════════════════════════════════════════
+
+    /// @notice Allow or disallow a contract to commit executed actions
+    function setExecutor(address executor, bool allowed) external onlyOwner {
+        isExecutor[executor] = allowed;
+        emit ExecutorSet(executor, allowed);
+    }
+
     // ═══════════════════════════════════════════════════════
     //                  CORE: Validation
     // ═══════════════════════════════════════════════════════
@@ -151,17 +170,19 @@ contract PolicyGuardExample is IPolicyGuard {
     // ═══════════════════════════════════════════════════════
 
     /// @inheritdoc IPolicyGuard
-    /// @dev Called after successful execution for stateful policies.
-    ///      In production (SHLL), this updates SpendingLimit daily counters.
-    function commit(
-        uint256 tokenId,
-        address target,
-        uint256 /* value */,
-        bytes calldata /* data */
-    ) external {
-        // In a full implementation, iterate bound policies and call
-        // a commit() hook on stateful ones (e.g. SpendingLimit tracking).
-        // This example emits an event as a placeholder.
+    /// @dev Called after successful execution for stateful policies. Walks the agent's
+    ///      bound policies and calls IPolicyCommit.commit() on those that support it
+    ///      (ERC-165). A reverting hook reverts the commit, and with it the action.
+    function commit(uint256 tokenId, address target, uint256 value, bytes calldata data) external {
+        require(msg.sender == owner || isExecutor[msg.sender], "PolicyGuard: not executor");
+
+        address[] storage policies = _boundPolicies[tokenId];
+        for (uint256 i = 0; i < policies.length; i++) {
+            if (ERC165Checker.supportsInterface(policies[i], type(IPolicyCommit).interfaceId)) {
+                IPolicyCommit(policies[i]).commit(tokenId, target, value, data);
+            }
+        }
+
         emit ActionCommitted(tokenId, target);
     }
 
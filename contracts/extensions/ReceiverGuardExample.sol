@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./IPolicy.sol";
+import "./PolicyTypes.sol";
+
+/// @title ReceiverGuardExample — Example Policy Implementation
+/// @notice Restricts where an agent can send funds. The recipient of ERC20 `transfer`,
+///         `transferFrom` and ERC721 `safeTransferFrom`, and the spender of ERC20 `approve`
+///         and `increaseAllowance`, are decoded from the calldata. A call that carries value
+///         pays its target. Each must be allowlisted, and any other call is blocked, since
+///         this policy cannot tell where it sends funds.
+///
+///         This is a SIMPLIFIED example for learning purposes.
+contract ReceiverGuardExample is IPolicy {
+    bytes4 private constant TRANSFER = bytes4(keccak256("transfer(address,uint256)"));
+    bytes4 private constant APPROVE = bytes4(keccak256("approve(address,uint256)"));
+    bytes4 private constant INCREASE_ALLOWANCE = bytes4(
+        keccak256("increaseAllowance(address,uint256)")
+    );
+    bytes4 private constant TRANSFER_FROM = bytes4(
+        keccak256("transferFrom(address,address,uint256)")
+    );
+    bytes4 private constant SAFE_TRANSFER_FROM = bytes4(
+        keccak256("safeTransferFrom(address,address,uint256)")
+    );
+    bytes4 private constant SAFE_TRANSFER_FROM_DATA = bytes4(
+        keccak256("safeTransferFrom(address,address,uint256,bytes)")
+    );
+
+    /// @notice tokenId => receiver => allowed
+    mapping(uint256 => mapping(address => bool)) public allowedReceivers;
+
+    /// @notice Contract owner
+    address public owner;
+
+    // --- Events ---
+    event ReceiverSet(uint256 indexed tokenId, address indexed receiver, bool allowed);
+
+    // --- Constructor ---
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // --- Admin ---
+
+    /// @notice Allow or disallow a recipient of an agent's funds
+    /// @param tokenId   The NFA token ID
+    /// @param receiver  The recipient or spender address
+    /// @param isAllowed Whether the receiver is allowed
+    function setReceiver(uint256 tokenId, address receiver, bool isAllowed) external {
+        require(msg.sender == owner, "ReceiverGuard: not owner");
+        allowedReceivers[tokenId][receiver] = isAllowed;
+        emit ReceiverSet(tokenId, receiver, isAllowed);
+    }
+
+    // --- IPolicy Implementation ---
+
+    /// @inheritdoc IPolicy
+    function check(
+        uint256 tokenId,
+        address /* caller */,
+        address target,
+        bytes4 selector,
+        bytes calldata callData,
+        uint256 value
+    ) external view override returns (bool ok, string memory reason) {
+        // Fail-close: no allowlist means no outbound transfers
+        if (value > 0 && !allowedReceivers[tokenId][target]) {
+            return (false, "ReceiverGuard: receiver not allowed");
+        }
+        if (callData.length == 0) {
+            return (true, "");
+        }
+
+        (uint256 index, uint256 headLength) = _receiverArgument(selector);
+        // Fail-close: the recipient of a call this policy cannot decode is unknown
+        if (headLength == 0) {
+            return (false, "ReceiverGuard: unsupported call");
+        }
+        // Fail-close: calldata without a clean address argument cannot be checked
+        if (callData.length < headLength) {
+            return (false, "ReceiverGuard: malformed calldata");
+        }
+        uint256 word = uint256(bytes32(callData[4 + 32 * index:36 + 32 * index]));
+        if (word >> 160 != 0) {
+            return (false, "ReceiverGuard: malformed calldata");
+        }
+        if (!allowedReceivers[tokenId][address(uint160(word))]) {
+            return (false, "ReceiverGuard: receiver not allowed");
+        }
+
+        return (true, "");
+    }
+
+    /// @inheritdoc IPolicy
+    function policyType() external pure override returns (bytes32) {
+        return PolicyTypes.RECEIVER_GUARD;
+    }
+
+    /// @inheritdoc IPolicy
+    function renterConfigurable() external pure override returns (bool) {
+        // Receiver restrictions protect the owner's funds and stay owner-controlled
+        return false;
+    }
+
+    // --- Internal ---
+
+    /// @dev Position of the recipient (or spender) among the arguments of a supported call,
+    ///      and the minimum calldata length holding them; zero for unsupported selectors
+    function _receiverArgument(
+        bytes4 selector
+    ) private pure returns (uint256 index, uint256 headLength) {
+        if (selector == TRANSFER || selector == APPROVE || selector == INCREASE_ALLOWANCE) {
+            return (0, 68);
+        }
+        if (selector == TRANSFER_FROM || selector == SAFE_TRANSFER_FROM) {
+            return (1, 100);
+        }
+        if (selector == SAFE_TRANSFER_FROM_DATA) {
+            return (1, 132);
+        }
+        return (0, 0);
+    }
+}
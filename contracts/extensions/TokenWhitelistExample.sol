@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./IERC4907.sol";
+import "./IPolicy.sol";
+
+/// @title TokenWhitelistExample — Example Renter-Configurable Policy
+/// @notice Restricts the tokens (target contracts) an agent can call.
+///         The owner sets a per-agent ceiling; while the agent is rented (ERC-4907),
+///         the renter picks which of those tokens the agent may use, and nothing else
+///         passes until it does. Renter choices are tied to the rental, so they end
+///         exactly at userExpires and never carry over to the next rental.
+///
+///         This is a SIMPLIFIED example for learning purposes.
+contract TokenWhitelistExample is IPolicy {
+    /// @notice Custom policy type, following the PolicyTypes naming pattern
+    bytes32 public constant TOKEN_WHITELIST = keccak256("token_whitelist");
+
+    /// @notice Agent collection the renters are read from
+    IERC4907 public immutable nfa;
+
+    /// @notice Contract owner
+    address public owner;
+
+    /// @notice Owner ceiling: tokenId => token => allowed
+    mapping(uint256 => mapping(address => bool)) public ceiling;
+
+    /// @notice Renter selection: tokenId => rental => token => enabled
+    mapping(uint256 => mapping(bytes32 => mapping(address => bool))) private _renterEnabled;
+
+    // --- Events ---
+    event TokenSet(uint256 indexed tokenId, address indexed token, bool allowed);
+    event RenterTokenSet(
+        uint256 indexed tokenId,
+        address indexed renter,
+        address indexed token,
+        bool enabled
+    );
+
+    // --- Constructor ---
+    constructor(address nfa_) {
+        require(nfa_ != address(0), "TokenWhitelist: zero address");
+        nfa = IERC4907(nfa_);
+        owner = msg.sender;
+    }
+
+    // --- Admin ---
+
+    /// @notice Add or remove a token from an agent's ceiling
+    /// @param tokenId   The NFA token ID
+    /// @param token     The token contract
+    /// @param isAllowed Whether the agent may ever call the token
+    function setToken(uint256 tokenId, address token, bool isAllowed) external {
+        require(msg.sender == owner, "TokenWhitelist: not owner");
+        ceiling[tokenId][token] = isAllowed;
+        emit TokenSet(tokenId, token, isAllowed);
+    }
+
+    // --- Renter ---
+
+    /// @notice Enable or disable a token for the current rental
+    /// @dev Only the current renter (userOf) can call this, and only for tokens in the
+    ///      owner's ceiling. Removing a token from the ceiling also blocks it for the renter.
+    /// @param tokenId   The NFA token ID
+    /// @param token     The token contract
+    /// @param isEnabled Whether the agent may call the token during this rental
+    function setRenterToken(uint256 tokenId, address token, bool isEnabled) external {
+        address renter = nfa.userOf(tokenId);
+        require(renter != address(0) && msg.sender == renter, "TokenWhitelist: not renter");
+        require(!isEnabled || ceiling[tokenId][token], "TokenWhitelist: exceeds owner ceiling");
+
+        _renterEnabled[tokenId][_rentalKey(tokenId, renter)][token] = isEnabled;
+        emit RenterTokenSet(tokenId, renter, token, isEnabled);
+    }
+
+    /// @notice Whether the current renter enabled a token (false when not rented)
+    function renterEnabled(uint256 tokenId, address token) external view returns (bool) {
+        address renter = nfa.userOf(tokenId);
+        if (renter == address(0)) return false;
+        return _renterEnabled[tokenId][_rentalKey(tokenId, renter)][token];
+    }
+
+    // --- IPolicy Implementation ---
+
+    /// @inheritdoc IPolicy
+    function check(
+        uint256 tokenId,
+        address /* caller */,
+        address target,
+        bytes4 /* selector */,
+        bytes calldata /* callData */,
+        uint256 /* value */
+    ) external view override returns (bool ok, string memory reason) {
+        // Fail-close: tokens outside the owner's ceiling never pass
+        if (!ceiling[tokenId][target]) {
+            return (false, "TokenWhitelist: token not allowed");
+        }
+
+        // While rented, the renter narrows the ceiling to the tokens it enabled
+        address renter = nfa.userOf(tokenId);
+        if (renter != address(0) && !_renterEnabled[tokenId][_rentalKey(tokenId, renter)][target]) {
+            return (false, "TokenWhitelist: token not enabled by renter");
+        }
+
+        return (true, "");
+    }
+
+    /// @inheritdoc IPolicy
+    function policyType() external pure override returns (bytes32) {
+        return TOKEN_WHITELIST;
+    }
+
+    /// @inheritdoc IPolicy
+    function renterConfigurable() external pure override returns (bool) {
+        // Renters can enable tokens, within the owner's ceiling
+        return true;
+    }
+
+    // --- Internal ---
+
+    /// @dev Identifies one rental, so a new or extended rental starts with nothing enabled
+    function _rentalKey(uint256 tokenId, address renter) internal view returns (bytes32) {
+        return keccak256(abi.encode(renter, nfa.userExpires(tokenId)));
+    }
+}
@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721EnumerableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721URIStorageUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @title BAP578LegacyMock
+ * @dev Minimal BAP578 as first deployed: same bases, structs and storage order, but only the
+ *      calls migration tests need to put agents in the state a live proxy would hold
+ */
+contract BAP578LegacyMock is
+    ERC721Upgradeable,
+    ERC721EnumerableUpgradeable,
+    ERC721URIStorageUpgradeable,
+    ReentrancyGuardUpgradeable,
+    OwnableUpgradeable,
+    UUPSUpgradeable
+{
+    struct AgentMetadata {
+        string persona;
+        string experience;
+        string voiceHash;
+        string animationURI;
+        string vaultURI;
+        bytes32 vaultHash;
+    }
+
+    struct AgentState {
+        uint256 balance;
+        bool active;
+        address logicAddress;
+        uint256 createdAt;
+    }
+
+    uint256 private _tokenIdCounter;
+
+    mapping(uint256 => AgentState) public agentStates;
+    mapping(uint256 => AgentMetadata) public agentMetadata;
+
+    uint256 public freeMintsPerUser;
+    mapping(address => uint256) public freeMintsClaimed;
+    mapping(uint256 tokenId => bool) public isFreeMint;
+    mapping(address => uint256) public bonusFreeMints;
+
+    address public treasuryAddress;
+
+    bool public paused;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        string memory name,
+        string memory symbol,
+        address treasury
+    ) public initializer {
+        __ERC721_init(name, symbol);
+        __ERC721Enumerable_init();
+        __ERC721URIStorage_init();
+        __ReentrancyGuard_init();
+        __Ownable_init();
+        __UUPSUpgradeable_init();
+
+        treasuryAddress = treasury;
+        freeMintsPerUser = 3;
+    }
+
+    /**
+     * @dev Free mint to the caller, as every mint within the default allowance was
+     */
+    function createAgent(
+        address to,
+        address logicAddress,
+        string memory metadataURI,
+        AgentMetadata memory extendedMetadata
+    ) external returns (uint256) {
+        require(to == msg.sender, "Free mints can only be minted to self");
+        require(freeMintsClaimed[msg.sender] < freeMintsPerUser, "No free mints left");
+        freeMintsClaimed[msg.sender]++;
+
+        uint256 tokenId = ++_tokenIdCounter;
+        isFreeMint[tokenId] = true;
+        _safeMint(to, tokenId);
+        _setTokenURI(tokenId, metadataURI);
+        agentStates[tokenId] = AgentState({
+            balance: 0,
+            active: true,
+            logicAddress: logicAddress,
+            createdAt: block.timestamp
+        });
+        agentMetadata[tokenId] = extendedMetadata;
+        return tokenId;
+    }
+
+    function fundAgent(uint256 tokenId) external payable {
+        require(_exists(tokenId), "Token does not exist");
+        agentStates[tokenId].balance += msg.value;
+    }
+
+    function setAgentStatus(uint256 tokenId, bool active) external {
+        require(ownerOf(tokenId) == msg.sender, "Not token owner");
+        agentStates[tokenId].active = active;
+    }
+
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 batchSize
+    ) internal override(ERC721Upgradeable, ERC721EnumerableUpgradeable) {
+        super._beforeTokenTransfer(from, to, tokenId, batchSize);
+    }
+
+    function _burn(
+        uint256 tokenId
+    ) internal override(ERC721Upgradeable, ERC721URIStorageUpgradeable) {
+        super._burn(tokenId);
+    }
+
+    function tokenURI(
+        uint256 tokenId
+    ) public view override(ERC721Upgradeable, ERC721URIStorageUpgradeable) returns (string memory) {
+        return super.tokenURI(tokenId);
+    }
+
+    function supportsInterface(
+        bytes4 interfaceId
+    )
+        public
+        view
+        override(ERC721Upgradeable, ERC721EnumerableUpgradeable, ERC721URIStorageUpgradeable)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
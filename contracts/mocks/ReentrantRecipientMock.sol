@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../templates/BAP578AdapterBlueprint.sol";
+
+/// @dev Agent owner that tries to re-enter the adapter or the vault when it receives a withdrawal.
+///      Failed attempts are recorded instead of bubbled up, so the outer withdrawal can finish
+///      and tests can assert on both the attempt and the final balances.
+contract ReentrantRecipientMock {
+    enum Attack {
+        None,
+        Withdraw,
+        Fund,
+        VaultDebit
+    }
+
+    BAP578AdapterBlueprint public immutable adapter;
+    Attack public attack;
+    uint256 public tokenId;
+    uint256 public amount;
+
+    uint256 public attempts;
+    bool public reentered;
+    string public lastError;
+
+    constructor(address adapter_) {
+        adapter = BAP578AdapterBlueprint(adapter_);
+    }
+
+    function setAttack(Attack attack_, uint256 tokenId_, uint256 amount_) external {
+        attack = attack_;
+        tokenId = tokenId_;
+        amount = amount_;
+    }
+
+    function withdraw(uint256 tokenId_, uint256 amount_) external {
+        adapter.withdraw(tokenId_, amount_, address(this));
+    }
+
+    receive() external payable {
+        if (attack == Attack.None || attempts > 0) return;
+        attempts++;
+
+        if (attack == Attack.Withdraw) {
+            try adapter.withdraw(tokenId, amount, address(this)) {
+                reentered = true;
+            } catch Error(string memory reason) {
+                lastError = reason;
+            }
+        } else if (attack == Attack.Fund) {
+            try adapter.fund{ value: msg.value }(tokenId) {
+                reentered = true;
+            } catch Error(string memory reason) {
+                lastError = reason;
+            }
+        } else {
+            try adapter.vault().debitNative(tokenId, amount, address(this)) {
+                reentered = true;
+            } catch Error(string memory reason) {
+                lastError = reason;
+            }
+        }
+    }
+}
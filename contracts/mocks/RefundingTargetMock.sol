@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @dev Action target that pays ETH back to its caller, like a swap returning unused input
+contract RefundingTargetMock {
+    function refund() external payable {
+        (bool sent, ) = payable(msg.sender).call{ value: msg.value }("");
+        require(sent, "RefundingTarget: refund failed");
+    }
+}
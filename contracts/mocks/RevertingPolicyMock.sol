@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../extensions/IPolicy.sol";
+
+contract RevertingPolicyMock is IPolicy {
+    function check(
+        uint256,
+        address,
+        address,
+        bytes4,
+        bytes calldata,
+        uint256
+    ) external pure override returns (bool, string memory) {
+        revert("RevertingPolicy: check failed");
+    }
+
+    function policyType() external pure override returns (bytes32) {
+        return keccak256("reverting");
+    }
+
+    function renterConfigurable() external pure override returns (bool) {
+        return false;
+    }
+}
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./BAP578AdapterBlueprint.sol";
+
+/// @title AgentVault — Reference IAgentVault for BAP578AdapterBlueprint
+/// @notice Holds native funds per agent. Only the adapter can move funds; the adapter
+///         does the token ownership checks. The vault keeps one invariant:
+///         the sum of all agent balances equals totalBalance equals address(this).balance.
+contract AgentVault is IAgentVault {
+    /// @notice Vault admin, allowed to bind the adapter once
+    address public immutable owner;
+
+    /// @notice The only caller allowed to credit and debit
+    address public adapter;
+
+    /// @notice Native balance per agent: tokenId => wei
+    mapping(uint256 => uint256) public balanceOf;
+
+    /// @notice Sum of all agent balances
+    uint256 public totalBalance;
+
+    event AdapterSet(address indexed adapter);
+    event NativeCredited(uint256 indexed tokenId, uint256 amount);
+    event NativeDebited(uint256 indexed tokenId, address indexed to, uint256 amount);
+
+    modifier onlyAdapter() {
+        require(msg.sender == adapter, "AgentVault: not adapter");
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    /// @notice Bind the adapter. The adapter is deployed with the vault address,
+    ///         so the vault is deployed first and bound afterwards, exactly once.
+    function setAdapter(address adapter_) external {
+        require(msg.sender == owner, "AgentVault: not owner");
+        require(adapter == address(0), "AgentVault: adapter already set");
+        require(adapter_ != address(0), "AgentVault: zero address");
+        adapter = adapter_;
+        emit AdapterSet(adapter_);
+    }
+
+    /// @inheritdoc IAgentVault
+    function creditNative(uint256 tokenId) external payable override onlyAdapter {
+        require(msg.value > 0, "AgentVault: zero amount");
+        balanceOf[tokenId] += msg.value;
+        totalBalance += msg.value;
+        emit NativeCredited(tokenId, msg.value);
+    }
+
+    /// @inheritdoc IAgentVault
+    function debitNative(
+        uint256 tokenId,
+        uint256 amount,
+        address to
+    ) external override onlyAdapter {
+        require(to != address(0), "AgentVault: zero address");
+        require(amount > 0, "AgentVault: zero amount");
+        require(balanceOf[tokenId] >= amount, "AgentVault: insufficient balance");
+
+        // Effects before the transfer, so a reentrant call sees the debited balance
+        balanceOf[tokenId] -= amount;
+        totalBalance -= amount;
+        emit NativeDebited(tokenId, to, amount);
+
+        (bool success, ) = to.call{ value: amount }("");
+        require(success, "AgentVault: transfer failed");
+    }
+}
@@ -2,6 +2,8 @@ require('@nomiclabs/hardhat-ethers');
 require('@nomicfoundation/hardhat-verify');
 require('@nomicfoundation/hardhat-chai-matchers');
 require('@openzeppelin/hardhat-upgrades');
+require('hardhat-gas-reporter');
+require('hardhat-contract-sizer');
 require('dotenv').config();
 
 // Load environment variables
@@ -37,6 +39,11 @@ module.exports = {
     },
   },
   networks: {
+    // chainIds key deployments/registry.json
+    localhost: {
+      url: 'http://127.0.0.1:8545',
+      chainId: 31337,
+    },
     testnet: {
       url: TESTNET_RPC_URL,
       accounts: [DEPLOYER_PRIVATE_KEY],
@@ -57,6 +64,18 @@ module.exports = {
   mocha: {
     timeout: 40000,
   },
+  // Per-function gas table after `REPORT_GAS=true npm test`; test/gas checks the snapshot
+  gasReporter: {
+    enabled: process.env.REPORT_GAS === 'true',
+    currency: 'USD',
+    token: 'BNB',
+    excludeContracts: ['mocks/'],
+  },
+  contractSizer: {
+    runOnCompile: false,
+    disambiguatePaths: false,
+    except: ['mocks/'],
+  },
   sourcify: {
     enabled: true,
   },
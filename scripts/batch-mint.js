@@ -0,0 +1,107 @@
+const { parseArgs } = require('util');
+const { selectNetworkFromArgv, toJSON } = require('./lib/cli');
+
+selectNetworkFromArgv();
+
+const hre = require('hardhat');
+const path = require('path');
+const { BAP578Client } = require('../sdk');
+const { JsonStore } = require('../services/indexer');
+const {
+  MANIFEST_COLUMNS,
+  loadManifest,
+  prepareRows,
+  mintBatch,
+  defaultResultsPath,
+} = require('./lib/batchMint');
+
+const OPTIONS = {
+  network: { type: 'string' },
+  manifest: { type: 'string' },
+  results: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  'skip-uri-check': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function printUsage() {
+  console.log(
+    'Usage: node scripts/batch-mint.js --manifest <file.csv|file.json> [options] [--network <name>]',
+  );
+  console.log(
+    '\nMints one agent per manifest row and records the results, resuming where it stopped.',
+  );
+  console.log(`\nColumns: ${MANIFEST_COLUMNS.join(', ')}`);
+  console.log('  Only metadataURI is required; `to` defaults to the signer, `vault` is a local');
+  console.log('  file or directory (relative to the manifest) to compute vaultHash from.');
+  console.log('\nOptions:');
+  console.log('  --results <file>       Results file (default <manifest>.results.json)');
+  console.log('  --dry-run              Validate and print the plan without minting');
+  console.log('  --skip-uri-check       Only validate personas, do not fetch metadata URIs');
+  console.log('  --json                 Print the summary as JSON');
+}
+
+function formatBNB(wei) {
+  return hre.ethers.utils.formatEther(wei);
+}
+
+function reportRow(entry) {
+  const mode = entry.freeMint ? 'free mint' : `paid ${formatBNB(entry.feePaid)} BNB`;
+  console.log(`✅ Row ${entry.row}: token #${entry.tokenId} to ${entry.to} (${mode})`);
+}
+
+async function main() {
+  const { values: options } = parseArgs({ args: process.argv.slice(2), options: OPTIONS });
+  if (options.help) {
+    printUsage();
+    return;
+  }
+  if (!options.manifest) {
+    throw new Error('Missing required option --manifest');
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const client = BAP578Client.fromDeployment(hre.network.name, signer);
+  const resultsFile = options.results || defaultResultsPath(options.manifest);
+
+  const { rows, errors } = await prepareRows(loadManifest(options.manifest), {
+    provider: hre.ethers.provider,
+    signer: signer.address,
+    baseDir: path.dirname(options.manifest),
+    checkUris: !options['skip-uri-check'],
+  });
+  if (errors.length) {
+    throw new Error(`Manifest has invalid rows:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  if (!options.json) {
+    console.log(`📍 Minting on ${client.address} as ${signer.address}`);
+    console.log(`📄 ${rows.length} rows from ${options.manifest}, results in ${resultsFile}`);
+  }
+
+  const summary = await mintBatch({
+    client,
+    rows,
+    store: new JsonStore({ file: resultsFile }),
+    dryRun: options['dry-run'],
+    onRow: options.json ? undefined : reportRow,
+  });
+
+  if (options.json) {
+    console.log(toJSON({ ...summary, results: resultsFile }));
+    return;
+  }
+  console.log(
+    `\n${options['dry-run'] ? '📝 Plan' : '🎉 Done'}: ${summary.pending} to mint ` +
+      `(${summary.freeMints} free, ${summary.paidMints} paid, ${formatBNB(summary.totalFee)} BNB in fees), ` +
+      `${summary.alreadyMinted} already minted`,
+  );
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
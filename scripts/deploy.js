@@ -1,104 +1,78 @@
 const hre = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BAP578Client } = require('../sdk');
+const { DEPLOYMENTS_DIR } = require('../sdk/deployments');
+const { loadDeployConfig, deployFromConfig } = require('./lib/deploy');
+
+function describeStep(step) {
+  switch (step.action) {
+    case 'deploy':
+      return `📦 ${step.name}: ${step.contract} deployed to ${step.address}`;
+    case 'register':
+      return `🔗 ${step.name} registered with the guard`;
+    case 'setFreeMintsPerUser':
+      return `🎁 Free mints per user set to ${step.value}`;
+    case 'setAdapter':
+      return `🔌 AgentVault bound to the adapter ${step.value}`;
+    case 'setFreeMintDistributor':
+      return `🎟️  Free mint campaigns enabled through ${step.value}`;
+    case 'mint':
+      return `🎨 Seed agent #${step.tokenId} minted`;
+    default:
+      return step.action;
+  }
+}
 
 async function main() {
-  console.log('\n🚀 Deploying BAP578 NFT Contract...\n');
+  // `hardhat run` takes no script arguments, so another config file is selected with DEPLOY_CONFIG
+  const { file, config } = loadDeployConfig(process.env.DEPLOY_CONFIG || hre.network.name);
+  console.log(`\n🚀 Deploying to ${hre.network.name} from ${file}...\n`);
 
-  // Get deployer account
   const [deployer] = await hre.ethers.getSigners();
   console.log('📍 Deploying with account:', deployer.address);
   console.log('💰 Account balance:', (await deployer.getBalance()).toString());
+  console.log('🏦 Treasury address:', config.bap578.treasury);
+
+  // The in-process network disappears with this script and shares chainId 31337 with
+  // `localhost`, so its deployment is not recorded in deployments/registry.json
+  const dir =
+    hre.network.name === 'hardhat'
+      ? fs.mkdtempSync(path.join(os.tmpdir(), 'bap578-deploy-'))
+      : DEPLOYMENTS_DIR;
+
+  console.log('');
+  const result = await deployFromConfig(hre, {
+    config,
+    signer: deployer,
+    dir,
+    onStep: (step) => console.log(describeStep(step)),
+  });
+  for (const name of result.reused) {
+    console.log(`♻️  ${name}: already deployed, reused`);
+  }
 
-  // Set treasury address (can be changed to a multisig or different address)
-  const treasuryAddress = '0xF029745dc04256b57659b10099F22b26CBbcf08d';
-  console.log('🏦 Treasury address:', treasuryAddress);
-
-  // Deploy upgradeable contract using OpenZeppelin Upgrades plugin
-  console.log('\n📝 Deploying upgradeable contract...');
-  const BAP578 = await hre.ethers.getContractFactory('BAP578');
-
-  const nfa = await hre.upgrades.deployProxy(
-    BAP578,
-    ['Non-Fungible Agents', 'NFA', treasuryAddress],
-    { initializer: 'initialize', kind: 'uups' },
-  );
-
-  await nfa.deployed();
-  console.log('✅ Proxy deployed to:', nfa.address);
-
-  // Get implementation address
-  const implementationAddress = await hre.upgrades.erc1967.getImplementationAddress(nfa.address);
-  console.log('✅ Implementation deployed to:', implementationAddress);
-
-  // Verify initialization
+  const client = BAP578Client.fromDeployment(result.chainId, deployer, { deploymentsDir: dir });
   console.log('\n🔍 Verifying deployment...');
-  console.log('- Name:', await nfa.name());
-  console.log('- Symbol:', await nfa.symbol());
-  console.log('- Owner:', await nfa.owner());
-  console.log('- Treasury:', await nfa.treasuryAddress());
-  console.log('- Mint Fee:', hre.ethers.utils.formatEther(await nfa.MINT_FEE()), 'BNB');
-
-  // Optionally create first agent as example
-  const createFirstAgent = false; // Set to true if you want to mint an example agent
-
-  if (createFirstAgent) {
-    console.log('\n🎨 Creating example agent...');
-
-    const exampleMetadata = {
-      persona: JSON.stringify({
-        traits: ['helpful', 'friendly', 'knowledgeable'],
-        style: 'professional yet approachable',
-        tone: 'warm and engaging',
-      }),
-      experience: 'AI Assistant specialized in blockchain and smart contracts',
-      voiceHash: 'voice_default_001',
-      animationURI: 'ipfs://QmExampleAnimation',
-      vaultURI: 'ipfs://QmExampleVault',
-      vaultHash: hre.ethers.utils.formatBytes32String('exampleVault'),
-    };
-
-    const mintFee = await nfa.MINT_FEE();
-    const tx = await nfa.createAgent(
-      deployer.address,
-      hre.ethers.constants.AddressZero, // No specific logic address
-      'ipfs://QmExampleMetadata', // Example metadata URI
-      exampleMetadata,
-      { value: mintFee },
-    );
-
-    const receipt = await tx.wait();
-    console.log('✅ Example agent created! Transaction:', receipt.transactionHash);
-
-    // Get the token ID from event
-    const event = receipt.events.find((e) => e.event === 'AgentCreated');
-    if (event) {
-      console.log('🎯 Token ID:', event.args.tokenId.toString());
-    }
+  const info = await client.getContractInfo();
+  console.log('- Name:', info.name);
+  console.log('- Symbol:', info.symbol);
+  console.log('- Owner:', info.owner);
+  console.log('- Treasury:', info.treasury);
+  console.log('- Mint Fee:', hre.ethers.utils.formatEther(info.mintFee), 'BNB');
+  if (result.seedAgents.length) {
+    console.log('- Seed agents:', result.seedAgents.map(({ tokenId }) => `#${tokenId}`).join(', '));
   }
 
   console.log('\n✨ Deployment complete!');
-  console.log('\n📄 Contract Addresses:');
-  console.log('- Implementation:', implementationAddress);
-  console.log('- Proxy (Main Contract):', nfa.address);
-
-  console.log('\n💡 You can interact with the contract at:', nfa.address);
-
-  // Save deployment info
-  const fs = require('fs');
-  const deploymentInfo = {
-    network: hre.network.name,
-    implementation: implementationAddress,
-    proxy: nfa.address,
-    treasury: treasuryAddress,
-    deployer: deployer.address,
-    timestamp: new Date().toISOString(),
-  };
-
-  const deploymentPath = `./deployments/${hre.network.name}_deployment.json`;
-  if (!fs.existsSync('./deployments')) {
-    fs.mkdirSync('./deployments');
+  console.log('\n💡 You can interact with the contract at:', client.address);
+  if (hre.network.name === 'hardhat') {
+    console.log('\n🧪 In-process network: nothing was saved to', DEPLOYMENTS_DIR);
+    fs.rmSync(dir, { recursive: true, force: true });
+  } else {
+    console.log(`\n💾 Deployment recorded under chainId ${result.chainId} in:`, result.file);
   }
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-  console.log('\n💾 Deployment info saved to:', deploymentPath);
 }
 
 main()
@@ -0,0 +1,170 @@
+const { selectNetworkFromArgv, parseCommand, printUsage, runCommand } = require('./lib/cli');
+
+selectNetworkFromArgv();
+
+const hre = require('hardhat');
+const { loadAbi, verifyFreeMintProof } = require('../sdk');
+const { sendTransaction } = require('../sdk/transactions');
+const {
+  ALLOWLIST_COLUMNS,
+  writeCampaignTree,
+  loadCampaignTree,
+  findClaim,
+  campaignsAddress,
+} = require('./lib/freeMints');
+
+const CONTRACT_OPTION = { contract: { type: 'string' } };
+const COLUMNS = ALLOWLIST_COLUMNS.join(', ');
+
+// --contract, or the FreeMintCampaigns deployed by scripts/deploy.js on this network
+function campaigns(ctx, address) {
+  const deployed = address || campaignsAddress(hre.network.config.chainId);
+  if (!deployed) {
+    throw new Error(
+      `Pass --contract or deploy FreeMintCampaigns on ${hre.network.name} ` +
+        '(bap578.freeMintCampaigns in the deploy config)',
+    );
+  }
+  return new hre.ethers.Contract(
+    deployed,
+    loadAbi('FreeMintCampaigns'),
+    ctx.signer || hre.ethers.provider,
+  );
+}
+
+function claimOf(tree, account) {
+  const claim = findClaim(tree, account);
+  if (!claim) throw new Error(`${account} is not in the allowlist`);
+  return claim;
+}
+
+const COMMANDS = {
+  build: {
+    description: `Build the Merkle root and proofs from a CSV/JSON allowlist (${COLUMNS})`,
+    options: { allowlist: { type: 'string' }, out: { type: 'string' } },
+    required: ['allowlist'],
+    run: async (ctx, o) => {
+      const { root, total, accounts, file } = writeCampaignTree(o.allowlist, o.out);
+      return { root, total, accounts, file };
+    },
+    report: (r) => {
+      console.log(`🌳 Root: ${r.root}`);
+      console.log(`👥 ${r.accounts} accounts, ${r.total} free mints in total`);
+      console.log('💾 Tree and proofs saved to:', r.file);
+    },
+  },
+  verify: {
+    description: "Check an account's proof against the tree, and the campaign on-chain if given",
+    options: {
+      tree: { type: 'string' },
+      address: { type: 'string' },
+      campaign: { type: 'string' },
+      ...CONTRACT_OPTION,
+    },
+    required: ['tree', 'address'],
+    run: async (ctx, o) => {
+      const tree = loadCampaignTree(o.tree);
+      const claim = claimOf(tree, o.address);
+      const result = {
+        account: claim.account,
+        amount: claim.amount,
+        root: tree.root,
+        validProof: verifyFreeMintProof(tree.root, claim.account, claim.amount, claim.proof),
+      };
+      if (o.campaign === undefined) return result;
+      const contract = campaigns(ctx, o.contract);
+      const [onChainRoot, claimed] = await Promise.all([
+        contract.merkleRoots(o.campaign),
+        contract.hasClaimed(o.campaign, claim.account),
+      ]);
+      return { ...result, campaign: o.campaign, rootMatches: onChainRoot === tree.root, claimed };
+    },
+    report: (r) => {
+      console.log(`${r.validProof ? '✅' : '❌'} ${r.account}: ${r.amount} free mints`);
+      if (r.campaign === undefined) return;
+      if (!r.rootMatches) console.log(`⚠️ Campaign ${r.campaign} is not open with root ${r.root}`);
+      console.log(r.claimed ? '📥 Already claimed' : '🕒 Not claimed yet');
+    },
+  },
+  open: {
+    description: "Open (or replace) a campaign with a tree file's root",
+    options: { campaign: { type: 'string' }, tree: { type: 'string' }, ...CONTRACT_OPTION },
+    required: ['campaign', 'tree'],
+    run: async (ctx, o) => {
+      const { root, total, accounts } = loadCampaignTree(o.tree);
+      const contract = campaigns(ctx, o.contract);
+      const { transactionHash } = await sendTransaction(contract.setCampaign(o.campaign, root));
+      return {
+        campaign: o.campaign,
+        root,
+        total,
+        accounts,
+        transactionHash,
+      };
+    },
+    report: (r) => {
+      console.log(`✅ Campaign ${r.campaign} open: ${r.accounts} accounts, ${r.total} free mints`);
+      console.log(`🌳 Root: ${r.root}`);
+      console.log('🧾 Transaction:', r.transactionHash);
+    },
+  },
+  close: {
+    description: 'Close a campaign; nothing more can be claimed from it',
+    options: { campaign: { type: 'string' }, ...CONTRACT_OPTION },
+    required: ['campaign'],
+    run: async (ctx, o) => {
+      const contract = campaigns(ctx, o.contract);
+      const { transactionHash } = await sendTransaction(
+        contract.setCampaign(o.campaign, hre.ethers.constants.HashZero),
+      );
+      return { campaign: o.campaign, transactionHash };
+    },
+    report: (r) => {
+      console.log(`✅ Campaign ${r.campaign} closed`);
+      console.log('🧾 Transaction:', r.transactionHash);
+    },
+  },
+  claim: {
+    description: "Claim an account's free mints (default: the signer) from a campaign",
+    options: {
+      campaign: { type: 'string' },
+      tree: { type: 'string' },
+      address: { type: 'string' },
+      ...CONTRACT_OPTION,
+    },
+    required: ['campaign', 'tree'],
+    run: async (ctx, o) => {
+      const tree = loadCampaignTree(o.tree);
+      const claim = claimOf(tree, o.address || ctx.signer.address);
+      const contract = campaigns(ctx, o.contract);
+      const { transactionHash } = await sendTransaction(
+        contract.claim(o.campaign, claim.account, claim.amount, claim.proof),
+      );
+      return {
+        campaign: o.campaign,
+        account: claim.account,
+        amount: claim.amount,
+        transactionHash,
+      };
+    },
+    report: (r) => {
+      console.log(`✅ ${r.account} claimed ${r.amount} free mints from campaign ${r.campaign}`);
+      console.log('🧾 Transaction:', r.transactionHash);
+    },
+  },
+};
+
+async function main() {
+  const cli = parseCommand(process.argv.slice(2), COMMANDS);
+  if (!cli || cli.name === 'help') {
+    printUsage('scripts/free-mints.js', COMMANDS, { interactive: false });
+    return;
+  }
+  const [signer] = await hre.ethers.getSigners();
+  await runCommand({ signer }, cli);
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
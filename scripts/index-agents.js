@@ -0,0 +1,179 @@
+const { parseArgs } = require('util');
+const { selectNetworkFromArgv, parseInteger, toJSON } = require('./lib/cli');
+
+selectNetworkFromArgv();
+
+const hre = require('hardhat');
+const path = require('path');
+const { loadAbi, getDeployedContract } = require('../sdk');
+const { loadNetworkDeployment } = require('./lib/deploy');
+const {
+  AgentIndexer,
+  JsonStore,
+  projections,
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_BATCH_SIZE,
+} = require('../services/indexer');
+
+const OPTIONS = {
+  network: { type: 'string' },
+  type: { type: 'string', default: 'bap578' },
+  db: { type: 'string' },
+  contract: { type: 'string' },
+  'from-block': { type: 'string' },
+  confirmations: { type: 'string' },
+  'batch-size': { type: 'string' },
+  watch: { type: 'boolean', default: false },
+  interval: { type: 'string', default: '15' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function printUsage() {
+  console.log('Usage: node scripts/index-agents.js [options] [--network <name>]');
+  console.log('\nReplays agent events into a local JSON database and resumes where it stopped.');
+  console.log('\nOptions:');
+  console.log('  --type <bap578|clawnfa> Contract type to index (default bap578)');
+  console.log('  --db <file>            Database file (default indexer/<network>-<type>.json)');
+  console.log('  --contract <address>   Contract to index (default: the registry deployment)');
+  console.log(
+    '  --from-block <n>       First block for a new database (default: deployment block)',
+  );
+  console.log(
+    `  --confirmations <n>    Blocks that can still be rolled back (default ${DEFAULT_CONFIRMATIONS})`,
+  );
+  console.log(
+    `  --batch-size <n>       Blocks per eth_getLogs request (default ${DEFAULT_BATCH_SIZE})`,
+  );
+  console.log('  --watch                Keep polling for new blocks');
+  console.log('  --interval <seconds>   Polling interval for --watch (default 15)');
+  console.log('  --json                 Print sync results as JSON');
+}
+
+// Undefined keeps the AgentIndexer default
+function optionalInteger(options, option, min) {
+  const value = options[option];
+  return value === undefined ? undefined : parseInteger(value, option, { min });
+}
+
+function summarize(indexer, result) {
+  return {
+    ...result,
+    finalizedBlock: indexer.state.finalized.block,
+    agents: Object.keys(indexer.view().agents).length,
+  };
+}
+
+function report(summary, json) {
+  if (json) {
+    console.log(toJSON(summary));
+    return;
+  }
+  if (summary.rolledBackTo !== null) {
+    console.log(`⚠️  Reorg detected, rolled back to block ${summary.rolledBackTo}`);
+  }
+  if (summary.fromBlock > summary.toBlock) {
+    console.log(`✅ Up to date at block ${summary.toBlock}: ${summary.agents} agents`);
+    return;
+  }
+  console.log(
+    `✅ Indexed blocks ${summary.fromBlock}-${summary.toBlock}: ${summary.events} events, ` +
+      `${summary.agents} agents (final up to block ${summary.finalizedBlock})`,
+  );
+}
+
+async function main() {
+  const { values: options } = parseArgs({ args: process.argv.slice(2), options: OPTIONS });
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const confirmations = optionalInteger(options, 'confirmations', 0);
+  const batchSize = optionalInteger(options, 'batch-size', 1);
+  const interval = parseInteger(options.interval, 'interval', { min: 1 });
+
+  const projection = Object.prototype.hasOwnProperty.call(projections, options.type)
+    ? projections[options.type]
+    : null;
+  if (!projection) {
+    throw new Error(
+      `Unknown --type ${options.type}, expected ${Object.keys(projections).join(' or ')}`,
+    );
+  }
+
+  const network = hre.network.name;
+  let address = options.contract;
+  let startBlock = optionalInteger(options, 'from-block', 0);
+  if (options.type === 'bap578' && (!address || startBlock === undefined)) {
+    const deployment = loadNetworkDeployment(hre);
+    address = address || deployment.proxy;
+    startBlock = startBlock === undefined ? deployment.deploymentBlock || 0 : startBlock;
+  }
+  const clawnfa =
+    options.type === 'clawnfa' &&
+    !address &&
+    getDeployedContract(hre.network.config.chainId, 'CLAWNFA');
+  if (clawnfa) {
+    address = clawnfa.address;
+    startBlock = startBlock === undefined ? clawnfa.blockNumber : startBlock;
+  }
+  if (!address) {
+    throw new Error(`--contract is required for --type ${options.type}`);
+  }
+
+  const db = options.db || path.join('indexer', `${network}-${options.type}.json`);
+  const contract = new hre.ethers.Contract(
+    address,
+    loadAbi(projection.CONTRACT_NAME),
+    hre.ethers.provider,
+  );
+  const indexer = new AgentIndexer({
+    contract,
+    store: new JsonStore({ file: db }),
+    projection,
+    startBlock: Number(startBlock || 0),
+    confirmations,
+    batchSize,
+  });
+  await indexer.load();
+
+  if (!options.json) {
+    console.log(`📍 Indexing ${address} on ${network} into ${db}`);
+  }
+
+  report(summarize(indexer, await indexer.sync()), options.json);
+  if (!options.watch) return;
+
+  let stopped = false;
+  let wake;
+  process.on('SIGINT', () => {
+    stopped = true;
+    if (wake) wake();
+  });
+  while (!stopped) {
+    await new Promise((resolve) => {
+      wake = resolve;
+      setTimeout(resolve, interval * 1000);
+    });
+    if (stopped) break;
+    // An RPC failure leaves the database at the last indexed batch, so the next tick resumes
+    let result;
+    try {
+      result = await indexer.sync();
+    } catch (error) {
+      console.error(`⚠️  Sync failed, retrying in ${interval}s:`, error.message);
+      continue;
+    }
+    if (result.events > 0 || result.rolledBackTo !== null) {
+      report(summarize(indexer, result), options.json);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
@@ -1,68 +1,545 @@
+const {
+  selectNetworkFromArgv,
+  parseCommand,
+  parseBoolean,
+  printUsage,
+  runCommand,
+  toJSON,
+} = require('./lib/cli');
+const {
+  METADATA_OPTIONS,
+  DEFAULT_PERSONA,
+  buildMetadata,
+  metadataFromOptions,
+  checkMetadata,
+  buildTokenMetadata,
+} = require('./lib/agentMetadata');
+const { validatePersona, verifyVault } = require('../sdk');
+
+selectNetworkFromArgv();
+
 const hre = require('hardhat');
 const readline = require('readline');
-const fs = require('fs');
+const { BAP578Client, getTokenInfo } = require('../sdk');
+const { loadNetworkDeployment } = require('./lib/deploy');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+let rl;
 
-const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+const question = (query) => {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+  }
+  return new Promise((resolve) => rl.question(query, resolve));
+};
 
 // Helper function to create agent metadata
 async function promptForMetadata() {
   console.log('\n📝 Enter Agent Metadata:');
 
-  const persona = await question('Persona (JSON for traits/style, or press enter for default): ');
+  let persona;
+  for (;;) {
+    persona = await question('Persona (JSON for traits/style, or press enter for default): ');
+    const { valid, errors } = validatePersona(persona || DEFAULT_PERSONA);
+    if (valid) break;
+    console.log(`❌ Persona does not match the schema:\n  - ${errors.join('\n  - ')}`);
+  }
   const experience = await question("Experience/Role (e.g., 'Financial advisor'): ");
   const voiceHash = await question("Voice Hash (or press enter for 'voice_default'): ");
   const animationURI = await question('Animation URI (or press enter for none): ');
   const vaultURI = await question('Vault URI (or press enter for none): ');
-  const vaultHashInput = await question('Vault Hash (or press enter for default): ');
 
+  let metadata;
+  let vault;
+  for (;;) {
+    const vaultInput = await question(
+      'Vault hash (0x bytes32), or a local vault file/directory to hash (or press enter for none): ',
+    );
+    const vaultHash = vaultInput.startsWith('0x') ? vaultInput : undefined;
+    vault = vaultInput && !vaultHash ? vaultInput : undefined;
+    try {
+      metadata = buildMetadata({
+        persona,
+        experience,
+        voiceHash,
+        animationURI,
+        vaultURI,
+        vaultHash,
+        vault,
+      });
+      break;
+    } catch (error) {
+      // A mistyped path or hash must not end up on chain, so ask again
+      console.log(`❌ ${error.message}`);
+    }
+  }
+  if (vault) {
+    console.log('🔐 Vault hash:', metadata.vaultHash);
+  }
+  console.log('\n📄 Token JSON to publish at the metadata URI:');
+  console.log(JSON.stringify(buildTokenMetadata(metadata), null, 2));
+  return metadata;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+async function createAgent(
+  { client, signer },
+  { to, logicAddress, metadataURI, metadata, skipUriCheck },
+) {
+  await checkMetadata(metadataURI, metadata, { skipUriCheck });
+  const { receipt, ...result } = await client.mintAgent({
+    to,
+    logicAddress,
+    metadataURI,
+    metadata,
+  });
+  const { remaining } = await client.getFreeMintStatus(signer.address);
+  return { ...result, freeMintsRemaining: remaining };
+}
+
+async function listAgents({ client, signer }, { owner }) {
+  const account = owner || signer.address;
+  return { owner: account, agents: await client.listAgentsOf(account) };
+}
+
+function getAgent({ client }, { tokenId }) {
+  return client.getAgent(tokenId);
+}
+
+async function withTransaction(txPromise, result) {
+  const { transactionHash } = await txPromise;
+  return { ...result, transactionHash };
+}
+
+function fundAgent({ client }, { tokenId, amount }) {
+  return withTransaction(client.fund(tokenId, hre.ethers.utils.parseEther(amount)), {
+    tokenId: tokenId.toString(),
+    amount,
+  });
+}
+
+function withdrawFromAgent({ client }, { tokenId, amount }) {
+  return withTransaction(client.withdraw(tokenId, hre.ethers.utils.parseEther(amount)), {
+    tokenId: tokenId.toString(),
+    amount,
+  });
+}
+
+// Amounts are entered in whole tokens and converted with the token's decimals
+async function fundAgentToken({ client, signer }, { tokenId, token, amount, approve = true }) {
+  const info = await getTokenInfo(token, signer);
+  const result = await client.fundToken(
+    tokenId,
+    token,
+    hre.ethers.utils.parseUnits(amount, info.decimals),
+    { approve },
+  );
   return {
-    persona:
-      persona ||
-      JSON.stringify({
-        traits: ['helpful', 'professional'],
-        style: 'friendly',
-        tone: 'conversational',
-      }),
-    experience: experience || 'General AI Assistant',
-    voiceHash: voiceHash || 'voice_default',
-    animationURI: animationURI || '',
-    vaultURI: vaultURI || '',
-    vaultHash: vaultHashInput
-      ? hre.ethers.utils.formatBytes32String(vaultHashInput)
-      : hre.ethers.utils.formatBytes32String('default'),
+    tokenId: tokenId.toString(),
+    token,
+    symbol: info.symbol,
+    amount: hre.ethers.utils.formatUnits(result.amount, info.decimals),
+    approvalTransactionHash: result.approval ? result.approval.transactionHash : null,
+    transactionHash: result.transactionHash,
   };
 }
 
-async function main() {
-  console.log('\n🤖 BAP578 - Interactive CLI\n');
+async function withdrawAgentToken({ client, signer }, { tokenId, token, amount }) {
+  const info = await getTokenInfo(token, signer);
+  return withTransaction(
+    client.withdrawToken(tokenId, token, hre.ethers.utils.parseUnits(amount, info.decimals)),
+    { tokenId: tokenId.toString(), token, symbol: info.symbol, amount },
+  );
+}
 
-  // Load deployment info
-  const network = hre.network.name;
-  const deploymentPath = `./deployments/${network}_deployment.json`;
+async function getAgentTokenBalance({ client, signer }, { tokenId, token }) {
+  const [info, balance] = await Promise.all([
+    getTokenInfo(token, signer),
+    client.getTokenBalance(tokenId, token),
+  ]);
+  return {
+    tokenId: tokenId.toString(),
+    token,
+    symbol: info.symbol,
+    balance: hre.ethers.utils.formatUnits(balance, info.decimals),
+  };
+}
+
+function setAgentStatus({ client }, { tokenId, active }) {
+  return withTransaction(client.setStatus(tokenId, active), {
+    tokenId: tokenId.toString(),
+    active,
+  });
+}
+
+// pause, unpause or terminate
+function changeLifecycle({ client }, { tokenId, action }) {
+  return withTransaction(client[action](tokenId), { tokenId: tokenId.toString(), action });
+}
 
-  if (!fs.existsSync(deploymentPath)) {
-    console.log('❌ No deployment found for network:', network);
+function setLogicAddress({ client }, { tokenId, logicAddress }) {
+  return withTransaction(client.setLogicAddress(tokenId, logicAddress), {
+    tokenId: tokenId.toString(),
+    logicAddress,
+  });
+}
+
+async function updateAgentMetadata({ client }, { tokenId, metadataURI, metadata, skipUriCheck }) {
+  await checkMetadata(metadataURI, metadata, { skipUriCheck });
+  return withTransaction(client.updateMetadata(tokenId, metadataURI, metadata), {
+    tokenId: tokenId.toString(),
+    metadataURI,
+  });
+}
+
+async function verifyAgentVault({ client }, { tokenId, path, gateway }) {
+  const { metadata } = await client.getAgent(tokenId);
+  const result = await verifyVault(metadata, {
+    path,
+    ipfsGateway: gateway || process.env.IPFS_GATEWAY,
+  });
+  if (!result.match) {
+    throw new Error(
+      `Vault of agent #${tokenId} does not match: on-chain ${result.expected}, computed ${result.computed} from ${result.source}`,
+    );
+  }
+  return { tokenId: tokenId.toString(), ...result };
+}
+
+function getContractInfo({ client }) {
+  return client.getContractInfo();
+}
+
+function getFreeMintStatus({ client, signer }, { user }) {
+  return client.getFreeMintStatus(user || signer.address);
+}
+
+async function requireOwner({ client, signer }) {
+  const { owner } = await client.getContractInfo();
+  if (signer.address !== owner) {
+    // A contract owner is a Safe: its operations go through a Transaction Builder batch
+    if ((await hre.ethers.provider.getCode(owner)) !== '0x') {
+      throw new Error(`The owner ${owner} is a contract; use scripts/safe-batch.js`);
+    }
+    throw new Error('You are not the contract owner');
+  }
+}
+
+async function grantAdditionalFreeMints(ctx, { user, amount }) {
+  await requireOwner(ctx);
+  const result = await withTransaction(ctx.client.grantFreeMints(user, amount), {
+    user,
+    amount: amount.toString(),
+  });
+  result.remaining = (await ctx.client.getFreeMintStatus(user)).remaining;
+  return result;
+}
+
+async function setTreasury(ctx, { treasury }) {
+  await requireOwner(ctx);
+  return withTransaction(ctx.client.setTreasury(treasury), { treasury });
+}
+
+async function setPaused(ctx, { paused }) {
+  await requireOwner(ctx);
+  return withTransaction(ctx.client.setPaused(paused), { paused });
+}
+
+async function emergencyWithdraw(ctx) {
+  await requireOwner(ctx);
+  const balance = await hre.ethers.provider.getBalance(ctx.client.address);
+  if (balance.isZero()) {
+    throw new Error('No balance to withdraw');
+  }
+  return withTransaction(ctx.client.emergencyWithdraw(), { amount: balance.toString() });
+}
+
+// ============================================
+// REPORTING
+// ============================================
+
+const formatBNB = (wei) => hre.ethers.utils.formatEther(wei);
+
+const STATUS_LABELS = { Active: '✅ Active', Paused: '⏸️ Paused', Terminated: '⛔ Terminated' };
+
+function reportCreateAgent(result) {
+  console.log(result.freeMint ? '🆓 Created agent with free mint' : '💸 Paid mint fee');
+  console.log('✅ Agent created! Transaction:', result.transactionHash);
+  if (result.tokenId) {
+    console.log('🎯 Token ID:', result.tokenId);
+  }
+  if (result.freeMintsRemaining !== '0') {
+    console.log(`🎁 You have ${result.freeMintsRemaining} free mints left`);
+  }
+}
+
+function reportAgents(result) {
+  console.log(`\n📦 ${result.owner} owns ${result.agents.length} agents:`);
+  for (const agent of result.agents) {
     console.log(
-      'Please run the deployment script first: npx hardhat run scripts/deploy.js --network',
-      network,
+      `- Token #${agent.tokenId}: ${STATUS_LABELS[agent.status]}, Balance: ${formatBNB(agent.balance)} BNB`,
     );
-    process.exit(1);
   }
+}
+
+function reportAgent(agent) {
+  console.log(`\n🔍 Agent #${agent.tokenId}:`);
+  console.log('📊 State:');
+  console.log('  - Owner:', agent.owner);
+  console.log('  - Status:', STATUS_LABELS[agent.status]);
+  console.log('  - Balance:', formatBNB(agent.balance), 'BNB');
+  console.log('  - Logic Address:', agent.logicAddress);
+  console.log('  - Free Mint:', agent.isFreeMint);
+  console.log('  - Created At:', new Date(agent.createdAt * 1000).toLocaleString());
+
+  console.log('\n📝 Metadata:');
+  console.log('  - URI:', agent.tokenURI);
+  console.log('  - Persona:', agent.metadata.persona);
+  console.log('  - Experience:', agent.metadata.experience);
+  console.log('  - Voice Hash:', agent.metadata.voiceHash);
+  console.log('  - Animation URI:', agent.metadata.animationURI);
+  console.log('  - Vault URI:', agent.metadata.vaultURI);
+  console.log('  - Vault Hash:', agent.metadata.vaultHash);
+}
 
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  console.log('📍 Using contract at:', deployment.proxy);
+function reportContractInfo(info) {
+  console.log('\n📊 Contract Information:');
+  console.log('- Name:', info.name);
+  console.log('- Symbol:', info.symbol);
+  console.log('- Total Supply:', info.totalSupply);
+  console.log('- Owner:', info.owner);
+  console.log('- Treasury:', info.treasury);
+  console.log('- Paused:', info.paused);
+  console.log('- Mint Fee:', formatBNB(info.mintFee), 'BNB');
+  console.log('- Free Mints Per User:', info.freeMintsPerUser);
+}
 
-  const BAP578 = await hre.ethers.getContractFactory('BAP578');
-  const nfa = BAP578.attach(deployment.proxy);
-  const [signer] = await hre.ethers.getSigners();
+function reportFreeMints(status) {
+  console.log(`\n🎁 Free Mints Status for ${status.user}:`);
+  console.log(`- Free mints claimed: ${status.claimed}`);
+  console.log(`- Bonus free mints: ${status.bonus}`);
+  console.log(`- Free mints remaining: ${status.remaining}`);
+  console.log(`- Default per user: ${status.freeMintsPerUser}`);
+}
+
+// ============================================
+// NON-INTERACTIVE COMMANDS
+// ============================================
+
+const COMMANDS = {
+  'create-agent': {
+    description: 'Mint a new agent (uses a free mint when available, otherwise pays MINT_FEE)',
+    options: {
+      to: { type: 'string' },
+      logic: { type: 'string' },
+      uri: { type: 'string' },
+      ...METADATA_OPTIONS,
+      'skip-uri-check': { type: 'boolean', default: false },
+    },
+    required: ['uri'],
+    run: (ctx, o) =>
+      createAgent(ctx, {
+        to: o.to,
+        logicAddress: o.logic,
+        metadataURI: o.uri,
+        metadata: metadataFromOptions(o),
+        skipUriCheck: o['skip-uri-check'],
+      }),
+    report: reportCreateAgent,
+  },
+  'list-agents': {
+    description: 'List agents owned by an address (defaults to the signer)',
+    options: { owner: { type: 'string' } },
+    run: (ctx, o) => listAgents(ctx, { owner: o.owner }),
+    report: reportAgents,
+  },
+  'agent-info': {
+    description: 'Show state and metadata of an agent',
+    options: { 'token-id': { type: 'string' } },
+    required: ['token-id'],
+    run: (ctx, o) => getAgent(ctx, { tokenId: o['token-id'] }),
+    report: reportAgent,
+  },
+  'fund-agent': {
+    description: 'Fund an agent with BNB',
+    options: { 'token-id': { type: 'string' }, amount: { type: 'string' } },
+    required: ['token-id', 'amount'],
+    run: (ctx, o) => fundAgent(ctx, { tokenId: o['token-id'], amount: o.amount }),
+    report: (r) => console.log(`✅ Funded agent #${r.tokenId} with ${r.amount} BNB`),
+  },
+  withdraw: {
+    description: 'Withdraw BNB from an agent you own',
+    options: { 'token-id': { type: 'string' }, amount: { type: 'string' } },
+    required: ['token-id', 'amount'],
+    run: (ctx, o) => withdrawFromAgent(ctx, { tokenId: o['token-id'], amount: o.amount }),
+    report: (r) => console.log(`✅ Withdrew ${r.amount} BNB from agent #${r.tokenId}`),
+  },
+  'fund-agent-token': {
+    description: 'Fund an agent with an ERC-20 token, approving the contract first if needed',
+    options: {
+      'token-id': { type: 'string' },
+      token: { type: 'string' },
+      amount: { type: 'string' },
+      'skip-approve': { type: 'boolean', default: false },
+    },
+    required: ['token-id', 'token', 'amount'],
+    run: (ctx, o) =>
+      fundAgentToken(ctx, {
+        tokenId: o['token-id'],
+        token: o.token,
+        amount: o.amount,
+        approve: !o['skip-approve'],
+      }),
+    report: (r) => {
+      if (r.approvalTransactionHash) console.log(`✅ Approved ${r.symbol} for the agent contract`);
+      console.log(`✅ Funded agent #${r.tokenId} with ${r.amount} ${r.symbol}`);
+    },
+  },
+  'withdraw-token': {
+    description: 'Withdraw an ERC-20 token from an agent you own',
+    options: {
+      'token-id': { type: 'string' },
+      token: { type: 'string' },
+      amount: { type: 'string' },
+    },
+    required: ['token-id', 'token', 'amount'],
+    run: (ctx, o) =>
+      withdrawAgentToken(ctx, { tokenId: o['token-id'], token: o.token, amount: o.amount }),
+    report: (r) => console.log(`✅ Withdrew ${r.amount} ${r.symbol} from agent #${r.tokenId}`),
+  },
+  'agent-token-balance': {
+    description: "Show an agent's balance of an ERC-20 token",
+    options: { 'token-id': { type: 'string' }, token: { type: 'string' } },
+    required: ['token-id', 'token'],
+    run: (ctx, o) => getAgentTokenBalance(ctx, { tokenId: o['token-id'], token: o.token }),
+    report: (r) => console.log(`💰 Agent #${r.tokenId} holds ${r.balance} ${r.symbol}`),
+  },
+  'set-agent-status': {
+    description: 'Activate or deactivate an agent',
+    options: { 'token-id': { type: 'string' }, active: { type: 'string' } },
+    required: ['token-id', 'active'],
+    run: (ctx, o) =>
+      setAgentStatus(ctx, {
+        tokenId: o['token-id'],
+        active: parseBoolean(o.active, 'active'),
+      }),
+    report: (r) => console.log(`✅ Updated agent #${r.tokenId} status (active: ${r.active})`),
+  },
+  'pause-agent': {
+    description: 'Pause an active agent',
+    options: { 'token-id': { type: 'string' } },
+    required: ['token-id'],
+    run: (ctx, o) => changeLifecycle(ctx, { tokenId: o['token-id'], action: 'pause' }),
+    report: (r) => console.log(`⏸️  Paused agent #${r.tokenId}`),
+  },
+  'unpause-agent': {
+    description: 'Resume a paused agent',
+    options: { 'token-id': { type: 'string' } },
+    required: ['token-id'],
+    run: (ctx, o) => changeLifecycle(ctx, { tokenId: o['token-id'], action: 'unpause' }),
+    report: (r) => console.log(`✅ Resumed agent #${r.tokenId}`),
+  },
+  'terminate-agent': {
+    description: 'Terminate an agent for good (its balance can still be withdrawn)',
+    options: { 'token-id': { type: 'string' } },
+    required: ['token-id'],
+    run: (ctx, o) => changeLifecycle(ctx, { tokenId: o['token-id'], action: 'terminate' }),
+    report: (r) => console.log(`⛔ Terminated agent #${r.tokenId}`),
+  },
+  'set-logic-address': {
+    description: 'Update the logic address of an agent',
+    options: { 'token-id': { type: 'string' }, logic: { type: 'string' } },
+    required: ['token-id', 'logic'],
+    run: (ctx, o) => setLogicAddress(ctx, { tokenId: o['token-id'], logicAddress: o.logic }),
+    report: (r) => console.log(`✅ Updated logic address for agent #${r.tokenId}`),
+  },
+  'update-agent-metadata': {
+    description: 'Replace the metadata URI and extended metadata of an agent',
+    options: {
+      'token-id': { type: 'string' },
+      uri: { type: 'string' },
+      ...METADATA_OPTIONS,
+      'skip-uri-check': { type: 'boolean', default: false },
+    },
+    required: ['token-id', 'uri'],
+    run: (ctx, o) =>
+      updateAgentMetadata(ctx, {
+        tokenId: o['token-id'],
+        metadataURI: o.uri,
+        metadata: metadataFromOptions(o),
+        skipUriCheck: o['skip-uri-check'],
+      }),
+    report: (r) => console.log(`✅ Updated metadata for agent #${r.tokenId}`),
+  },
+  'verify-vault': {
+    description: "Check an agent's vault content against its on-chain vault hash",
+    options: {
+      'token-id': { type: 'string' },
+      path: { type: 'string' },
+      gateway: { type: 'string' },
+    },
+    required: ['token-id'],
+    run: (ctx, o) =>
+      verifyAgentVault(ctx, { tokenId: o['token-id'], path: o.path, gateway: o.gateway }),
+    report: (r) =>
+      console.log(`✅ Vault of agent #${r.tokenId} matches its on-chain hash (${r.computed})`),
+  },
+  'contract-info': {
+    description: 'Show contract configuration',
+    options: {},
+    run: (ctx) => getContractInfo(ctx),
+    report: reportContractInfo,
+  },
+  'free-mints': {
+    description: 'Show free mint status for a user (defaults to the signer)',
+    options: { user: { type: 'string' } },
+    run: (ctx, o) => getFreeMintStatus(ctx, { user: o.user }),
+    report: reportFreeMints,
+  },
+  'grant-free-mints': {
+    description: '[admin] Grant additional free mints to a user',
+    options: { user: { type: 'string' }, amount: { type: 'string' } },
+    required: ['user', 'amount'],
+    run: (ctx, o) => grantAdditionalFreeMints(ctx, { user: o.user, amount: o.amount }),
+    report: (r) =>
+      console.log(`✅ Granted ${r.amount} free mints to ${r.user} (${r.remaining} remaining)`),
+  },
+  'set-treasury': {
+    description: '[admin] Update the treasury address',
+    options: { treasury: { type: 'string' } },
+    required: ['treasury'],
+    run: (ctx, o) => setTreasury(ctx, { treasury: o.treasury }),
+    report: (r) => console.log(`✅ Treasury updated to ${r.treasury}`),
+  },
+  'set-paused': {
+    description: '[admin] Pause or unpause the contract',
+    options: { paused: { type: 'string' } },
+    required: ['paused'],
+    run: (ctx, o) => setPaused(ctx, { paused: parseBoolean(o.paused, 'paused') }),
+    report: (r) => console.log(`✅ Contract ${r.paused ? 'paused' : 'unpaused'}`),
+  },
+  'emergency-withdraw': {
+    description: '[admin] Withdraw the whole contract balance to the owner',
+    options: {},
+    run: (ctx) => emergencyWithdraw(ctx),
+    report: (r) => console.log(`✅ Emergency withdrawal of ${formatBNB(r.amount)} BNB complete`),
+  },
+};
+
+// ============================================
+// INTERACTIVE MENU
+// ============================================
+
+async function runInteractive(ctx) {
+  const { client, signer } = ctx;
 
   console.log('👤 Connected as:', signer.address);
-  console.log('💰 Balance:', hre.ethers.utils.formatEther(await signer.getBalance()), 'BNB');
+  console.log('💰 Balance:', formatBNB(await signer.getBalance()), 'BNB');
 
   while (true) {
     console.log('\n📋 Choose an action:');
@@ -71,7 +548,7 @@ async function main() {
     console.log('3. View agent details');
     console.log('4. Fund an agent');
     console.log('5. Withdraw from agent');
-    console.log('6. Update agent status');
+    console.log('6. Pause, resume or terminate an agent');
     console.log('7. Update agent logic address');
     console.log('8. Update agent metadata');
     console.log('9. View contract info');
@@ -82,260 +559,121 @@ async function main() {
 
     try {
       switch (choice) {
-        case '1': // Create new agent
-          const recipient = await question('Recipient address (or press enter for self): ');
+        case '1': {
+          // Create new agent
+          const to = await question('Recipient address (or press enter for self): ');
           const logicAddress = await question('Logic address (or press enter for zero address): ');
-          const newAgentMetadataURI = await question('Metadata URI (e.g., ipfs://...): ');
-
-          const newAgentMetadata = await promptForMetadata();
-
-          const mintFee = await nfa.MINT_FEE();
-          const freeMintsRemaining = await nfa.getFreeMints(signer.address);
-
-          if (freeMintsRemaining > 0) {
-            console.log(`\n🎁 You have ${freeMintsRemaining} free mints remaining!`);
-            console.log('🆓 Creating agent with free mint...');
-
-            const tx = await nfa.createAgent(
-              recipient || signer.address,
-              logicAddress || hre.ethers.constants.AddressZero,
-              newAgentMetadataURI,
-              newAgentMetadata,
-            );
-            const receipt = await tx.wait();
-            console.log('✅ Agent created! Transaction:', receipt.transactionHash);
-
-            const event = receipt.events.find((e) => e.event === 'AgentCreated');
-            if (event) {
-              console.log('🎯 Token ID:', event.args.tokenId.toString());
-            }
-
-            const remainingNow = await nfa.getFreeMints(signer.address);
-            if (remainingNow > 0) {
-              console.log(`�� You have ${remainingNow} free mints left`);
-            } else {
-              console.log(
-                "⚠️ You've used all your free mints. Future mints will cost",
-                hre.ethers.utils.formatEther(mintFee),
-                'BNB',
-              );
-            }
-            break;
-          }
-
-          console.log(`\n💎 Minting fee: ${hre.ethers.utils.formatEther(mintFee)} BNB`);
-          console.log('💸 No free mints remaining, paying mint fee...');
-          const tx = await nfa.createAgent(
-            recipient || signer.address,
-            logicAddress || hre.ethers.constants.AddressZero,
-            newAgentMetadataURI,
-            newAgentMetadata,
-            { value: mintFee },
+          const metadata = await promptForMetadata();
+          const metadataURI = await question(
+            '\nMetadata URI serving that JSON (e.g., ipfs://...): ',
           );
-          const receipt = await tx.wait();
-          console.log('✅ Agent created! Transaction:', receipt.transactionHash);
 
-          const event = receipt.events.find((e) => e.event === 'AgentCreated');
-          if (event) {
-            console.log('🎯 Token ID:', event.args.tokenId.toString());
+          const { remaining } = await client.getFreeMintStatus(signer.address);
+          if (remaining !== '0') {
+            console.log(`\n🎁 You have ${remaining} free mints remaining!`);
+          } else {
+            const { mintFee } = await client.getContractInfo();
+            console.log(`\n💎 Minting fee: ${formatBNB(mintFee)} BNB`);
           }
+
+          reportCreateAgent(await createAgent(ctx, { to, logicAddress, metadataURI, metadata }));
           break;
+        }
 
         case '2': // View my agents
-          const myTokens = await nfa.tokensOfOwner(signer.address);
-          console.log(`\n📦 You own ${myTokens.length} agents:`);
-          for (const tokenId of myTokens) {
-            const state = await nfa.getAgentState(tokenId);
-            console.log(
-              `- Token #${tokenId}: ${state.active ? '✅ Active' : '⏸️ Inactive'}, Balance: ${hre.ethers.utils.formatEther(state.balance)} BNB`,
-            );
-          }
+          reportAgents(await listAgents(ctx, {}));
           break;
 
-        case '3': // View agent details
-          const viewTokenId = await question('Enter token ID: ');
-          const state = await nfa.getAgentState(viewTokenId);
-          const [metadata, metadataURI] = await nfa.getAgentMetadata(viewTokenId);
-
-          console.log(`\n🔍 Agent #${viewTokenId}:`);
-          console.log('📊 State:');
-          console.log('  - Owner:', state.owner);
-          console.log('  - Active:', state.active);
-          console.log('  - Balance:', hre.ethers.utils.formatEther(state.balance), 'BNB');
-          console.log('  - Logic Address:', state.logicAddress);
-          console.log('  - Created At:', new Date(state.createdAt * 1000).toLocaleString());
-
-          console.log('\n📝 Metadata:');
-          console.log('  - URI:', metadataURI);
-          console.log('  - Persona:', metadata.persona);
-          console.log('  - Experience:', metadata.experience);
-          console.log('  - Voice Hash:', metadata.voiceHash);
-          console.log('  - Animation URI:', metadata.animationURI);
-          console.log('  - Vault URI:', metadata.vaultURI);
+        case '3': {
+          // View agent details
+          const tokenId = await question('Enter token ID: ');
+          reportAgent(await getAgent(ctx, { tokenId }));
           break;
-
-        case '4': // Fund an agent
-          const fundTokenId = await question('Enter token ID to fund: ');
-          const fundAmount = await question('Amount to fund (BNB): ');
-
-          const fundTx = await nfa.fundAgent(fundTokenId, {
-            value: hre.ethers.utils.parseEther(fundAmount),
-          });
-          await fundTx.wait();
-          console.log(`✅ Funded agent #${fundTokenId} with ${fundAmount} BNB`);
+        }
+
+        case '4': {
+          // Fund an agent
+          const tokenId = await question('Enter token ID to fund: ');
+          const token = (await question('Token address (or press enter for BNB): ')).trim();
+          if (!token) {
+            const amount = await question('Amount to fund (BNB): ');
+            COMMANDS['fund-agent'].report(await fundAgent(ctx, { tokenId, amount }));
+            break;
+          }
+          const amount = await question('Amount to fund (tokens): ');
+          COMMANDS['fund-agent-token'].report(
+            await fundAgentToken(ctx, { tokenId, token, amount }),
+          );
           break;
-
-        case '5': // Withdraw from agent
-          const withdrawTokenId = await question('Enter your token ID: ');
-          const withdrawAmount = await question('Amount to withdraw (BNB): ');
-
-          const withdrawTx = await nfa.withdrawFromAgent(
-            withdrawTokenId,
-            hre.ethers.utils.parseEther(withdrawAmount),
+        }
+
+        case '5': {
+          // Withdraw from agent
+          const tokenId = await question('Enter your token ID: ');
+          const token = (await question('Token address (or press enter for BNB): ')).trim();
+          if (!token) {
+            const amount = await question('Amount to withdraw (BNB): ');
+            COMMANDS.withdraw.report(await withdrawFromAgent(ctx, { tokenId, amount }));
+            break;
+          }
+          COMMANDS['agent-token-balance'].report(
+            await getAgentTokenBalance(ctx, { tokenId, token }),
+          );
+          const amount = await question('Amount to withdraw (tokens): ');
+          COMMANDS['withdraw-token'].report(
+            await withdrawAgentToken(ctx, { tokenId, token, amount }),
           );
-          await withdrawTx.wait();
-          console.log(`✅ Withdrew ${withdrawAmount} BNB from agent #${withdrawTokenId}`);
           break;
-
-        case '6': // Update agent status
-          const statusTokenId = await question('Enter your token ID: ');
-          const newStatus = await question('Set active? (y/n): ');
-
-          const statusTx = await nfa.setAgentStatus(statusTokenId, newStatus.toLowerCase() === 'y');
-          await statusTx.wait();
-          console.log(`✅ Updated agent #${statusTokenId} status`);
+        }
+
+        case '6': {
+          // Agent lifecycle
+          const tokenId = await question('Enter your token ID: ');
+          const { status } = await getAgent(ctx, { tokenId });
+          console.log('Current status:', STATUS_LABELS[status]);
+          const action = (await question('Action (pause/unpause/terminate): ')).trim();
+          if (!['pause', 'unpause', 'terminate'].includes(action)) {
+            console.log('❌ Unknown action');
+            break;
+          }
+          if (action === 'terminate') {
+            const confirm = await question('⚠️  Termination cannot be undone. Type "yes": ');
+            if (confirm !== 'yes') break;
+          }
+          COMMANDS[`${action}-agent`].report(await changeLifecycle(ctx, { tokenId, action }));
           break;
-
-        case '7': // Update logic address
-          const logicTokenId = await question('Enter your token ID: ');
-          const newLogicAddress = await question('New logic address: ');
-
-          const logicTx = await nfa.setLogicAddress(logicTokenId, newLogicAddress);
-          await logicTx.wait();
-          console.log(`✅ Updated logic address for agent #${logicTokenId}`);
+        }
+
+        case '7': {
+          // Update logic address
+          const tokenId = await question('Enter your token ID: ');
+          const logicAddress = await question('New logic address: ');
+          COMMANDS['set-logic-address'].report(
+            await setLogicAddress(ctx, { tokenId, logicAddress }),
+          );
           break;
+        }
 
-        case '8': // Update agent metadata
-          const metaTokenId = await question('Enter your token ID: ');
-          const newMetadataURI = await question('New metadata URI: ');
+        case '8': {
+          // Update agent metadata
+          const tokenId = await question('Enter your token ID: ');
 
           console.log('\nEnter new metadata:');
-          const newMetadata = await promptForMetadata();
+          const metadata = await promptForMetadata();
+          const metadataURI = await question('\nNew metadata URI serving that JSON: ');
 
-          const metaTx = await nfa.updateAgentMetadata(metaTokenId, newMetadataURI, newMetadata);
-          await metaTx.wait();
-          console.log(`✅ Updated metadata for agent #${metaTokenId}`);
+          COMMANDS['update-agent-metadata'].report(
+            await updateAgentMetadata(ctx, { tokenId, metadataURI, metadata }),
+          );
           break;
+        }
 
         case '9': // View contract info
-          console.log('\n📊 Contract Information:');
-          console.log('- Name:', await nfa.name());
-          console.log('- Symbol:', await nfa.symbol());
-          console.log('- Total Supply:', (await nfa.getTotalSupply()).toString());
-          console.log('- Owner:', await nfa.owner());
-          console.log('- Treasury:', await nfa.treasuryAddress());
-          console.log('- Paused:', await nfa.paused());
-          console.log('- Mint Fee:', hre.ethers.utils.formatEther(await nfa.MINT_FEE()), 'BNB');
+          reportContractInfo(await getContractInfo(ctx));
           break;
 
         case '10': // Admin functions
-          const owner = await nfa.owner();
-          if (signer.address !== owner) {
-            console.log('❌ You are not the contract owner');
-            break;
-          }
-
-          console.log('\n🔑 Admin Functions:');
-          console.log('1. Grant additional free mints');
-          console.log('2. Check user free mints status');
-          console.log('3. Update treasury');
-          console.log('4. Pause/unpause');
-          console.log('5. Emergency withdraw');
-          console.log('6. Back');
-
-          const adminChoice = await question('\n> ');
-
-          switch (adminChoice) {
-            case '1':
-              console.log('\n📝 Grant Additional Free Mints');
-              console.log('Note: This function manages additional free mints beyond the default 3');
-              console.log('- Setting to 0 will reset user to default behavior');
-              console.log('- Each user gets 3 free mints by default automatically');
-              
-              const freeUser = await question('User address: ');
-              
-              // Show current status first
-              const currentClaimed = await nfa.freeMintsClaimed(freeUser);
-              const currentRemaining = await nfa.getFreeMints(freeUser);
-              console.log(`\nCurrent status for ${freeUser}:`);
-              console.log(`- Free mints claimed: ${currentClaimed}`);
-              console.log(`- Free mints remaining: ${currentRemaining}`);
-              
-              const freeAmount = await question('\nAdditional free mints to grant (0 to reset): ');
-              
-              try {
-                const freeTx = await nfa.grantAdditionalFreeMints(freeUser, freeAmount);
-                await freeTx.wait();
-                console.log(`✅ Updated free mints for ${freeUser}`);
-                
-                // Show updated free mints for the user
-                const newRemaining = await nfa.getFreeMints(freeUser);
-                console.log(`User now has ${newRemaining} free mints remaining`);
-              } catch (error) {
-                console.error('❌ Failed to grant free mints:', error.message);
-              }
-              break;
-
-            case '2':
-              const checkUser = await question('User address to check (or press enter for self): ');
-              const addressToCheck = checkUser || signer.address;
-              
-              try {
-                const claimed = await nfa.freeMintsClaimed(addressToCheck);
-                const remaining = await nfa.getFreeMints(addressToCheck);
-                
-                console.log(`\n🎁 Free Mints Status for ${addressToCheck}:`);
-                console.log(`- Free mints claimed: ${claimed}`);
-                console.log(`- Free mints remaining: ${remaining}`);
-                console.log(`- Default per user: ${await nfa.FREE_MINTS_PER_USER()}`);
-              } catch (error) {
-                console.error('❌ Failed to check free mints:', error.message);
-              }
-              break;
-
-            case '3':
-              const newTreasury = await question('New treasury address: ');
-              const treasuryTx = await nfa.setTreasury(newTreasury);
-              await treasuryTx.wait();
-              console.log('✅ Treasury updated');
-              break;
-
-            case '4':
-              const currentPaused = await nfa.paused();
-              console.log(`Contract is currently ${currentPaused ? 'paused' : 'active'}`);
-              const setPause = await question(`${currentPaused ? 'Unpause' : 'Pause'}? (y/n): `);
-              if (setPause.toLowerCase() === 'y') {
-                const pauseTx = await nfa.setPaused(!currentPaused);
-                await pauseTx.wait();
-                console.log(`✅ Contract ${!currentPaused ? 'paused' : 'unpaused'}`);
-              }
-              break;
-
-            case '5':
-              const contractBalance = await hre.ethers.provider.getBalance(nfa.address);
-              console.log(`Contract balance: ${hre.ethers.utils.formatEther(contractBalance)} BNB`);
-              if (contractBalance.gt(0)) {
-                const confirm = await question('Withdraw all? (y/n): ');
-                if (confirm.toLowerCase() === 'y') {
-                  const emergencyTx = await nfa.emergencyWithdraw();
-                  await emergencyTx.wait();
-                  console.log('✅ Emergency withdrawal complete');
-                }
-              } else {
-                console.log('No balance to withdraw');
-              }
-              break;
-          }
+          await runAdminMenu(ctx);
           break;
 
         case '0':
@@ -351,9 +689,125 @@ async function main() {
   }
 }
 
+async function runAdminMenu(ctx) {
+  const { client } = ctx;
+
+  try {
+    await requireOwner(ctx);
+  } catch (error) {
+    console.log('❌', error.message);
+    return;
+  }
+
+  console.log('\n🔑 Admin Functions:');
+  console.log('1. Grant additional free mints');
+  console.log('2. Check user free mints status');
+  console.log('3. Update treasury');
+  console.log('4. Pause/unpause');
+  console.log('5. Emergency withdraw');
+  console.log('6. Back');
+
+  const adminChoice = await question('\n> ');
+
+  switch (adminChoice) {
+    case '1': {
+      console.log('\n📝 Grant Additional Free Mints');
+      console.log('Note: This function manages additional free mints beyond the default 3');
+      console.log('- Each user gets 3 free mints by default automatically');
+
+      const user = await question('User address: ');
+      reportFreeMints(await getFreeMintStatus(ctx, { user }));
+
+      const amount = await question('\nAdditional free mints to grant: ');
+      COMMANDS['grant-free-mints'].report(await grantAdditionalFreeMints(ctx, { user, amount }));
+      break;
+    }
+
+    case '2': {
+      const user = await question('User address to check (or press enter for self): ');
+      reportFreeMints(await getFreeMintStatus(ctx, { user }));
+      break;
+    }
+
+    case '3': {
+      const treasury = await question('New treasury address: ');
+      COMMANDS['set-treasury'].report(await setTreasury(ctx, { treasury }));
+      break;
+    }
+
+    case '4': {
+      const { paused: currentPaused } = await client.getContractInfo();
+      console.log(`Contract is currently ${currentPaused ? 'paused' : 'active'}`);
+      const confirm = await question(`${currentPaused ? 'Unpause' : 'Pause'}? (y/n): `);
+      if (confirm.toLowerCase() === 'y') {
+        COMMANDS['set-paused'].report(await setPaused(ctx, { paused: !currentPaused }));
+      }
+      break;
+    }
+
+    case '5': {
+      const contractBalance = await hre.ethers.provider.getBalance(client.address);
+      console.log(`Contract balance: ${formatBNB(contractBalance)} BNB`);
+      if (contractBalance.isZero()) {
+        console.log('No balance to withdraw');
+        break;
+      }
+      const confirm = await question('Withdraw all? (y/n): ');
+      if (confirm.toLowerCase() === 'y') {
+        COMMANDS['emergency-withdraw'].report(await emergencyWithdraw(ctx));
+      }
+      break;
+    }
+  }
+}
+
+async function main() {
+  const cli = parseCommand(process.argv.slice(2), COMMANDS);
+  if (cli && cli.name === 'help') {
+    printUsage('scripts/interact-nfa.js', COMMANDS);
+    return;
+  }
+  const json = Boolean(cli && cli.options.json);
+
+  if (!cli) {
+    console.log('\n🤖 BAP578 - Interactive CLI\n');
+  }
+
+  // Load deployment info
+  const network = hre.network.name;
+  let deployment;
+  try {
+    deployment = loadNetworkDeployment(hre);
+  } catch (error) {
+    throw new Error(
+      `No deployment found for network: ${network}. ` +
+        `Please run the deployment script first: npx hardhat run scripts/deploy.js --network ${network}`,
+    );
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const client = BAP578Client.fromDeployment(deployment, signer);
+  if (!json) {
+    console.log('📍 Using contract at:', client.address);
+  }
+
+  const ctx = { client, signer };
+
+  if (cli) {
+    await runCommand(ctx, cli);
+    return;
+  }
+
+  await runInteractive(ctx);
+}
+
 main()
-  .then(() => process.exit(0))
+  .then(() => process.exit())
   .catch((error) => {
-    console.error(error);
+    if (process.argv.includes('--json')) {
+      console.log(toJSON({ ok: false, error: error.message }));
+    } else {
+      console.error('❌', error.message);
+    }
     process.exit(1);
   });
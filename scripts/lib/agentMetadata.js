@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+const {
+  MetadataValidationError,
+  validatePersona,
+  buildTokenMetadata,
+  assertMetadataURI,
+  computeVaultHash,
+} = require('../../sdk');
+
+const METADATA_OPTIONS = {
+  persona: { type: 'string' },
+  experience: { type: 'string' },
+  'voice-hash': { type: 'string' },
+  'animation-uri': { type: 'string' },
+  'vault-uri': { type: 'string' },
+  'vault-hash': { type: 'string' },
+  vault: { type: 'string' },
+};
+
+const DEFAULT_PERSONA = JSON.stringify({
+  traits: ['helpful', 'professional'],
+  style: 'friendly',
+  tone: 'conversational',
+});
+
+// A vault hash is a 0x-prefixed bytes32; an agent without a vault commits to the zero hash
+function toVaultHash(value) {
+  if (!value) return ethers.constants.HashZero;
+  if (!ethers.utils.isHexString(value, 32)) {
+    throw new Error(
+      `Invalid vault hash ${value}: expected a 0x-prefixed bytes32, or pass the vault path to hash`,
+    );
+  }
+  return value;
+}
+
+// Apply the CLI defaults to user supplied metadata fields
+function buildMetadata(input = {}) {
+  let { vaultHash } = input;
+  if (input.vault) {
+    if (vaultHash) throw new Error('Pass either a vault hash or a vault path, not both');
+    vaultHash = computeVaultHash(input.vault).hash;
+  }
+  return {
+    persona: input.persona || DEFAULT_PERSONA,
+    experience: input.experience || 'General AI Assistant',
+    voiceHash: input.voiceHash || 'voice_default',
+    animationURI: input.animationURI || '',
+    vaultURI: input.vaultURI || '',
+    vaultHash: toVaultHash(vaultHash),
+  };
+}
+
+function metadataFromOptions(options) {
+  return buildMetadata({
+    persona: options.persona,
+    experience: options.experience,
+    voiceHash: options['voice-hash'],
+    animationURI: options['animation-uri'],
+    vaultURI: options['vault-uri'],
+    vaultHash: options['vault-hash'],
+    vault: options.vault,
+  });
+}
+
+function assertValidPersona(persona) {
+  const { valid, errors } = validatePersona(persona);
+  if (!valid) {
+    throw new MetadataValidationError('Invalid persona', errors);
+  }
+}
+
+/**
+ * Refuse metadata whose persona fails the schema or whose URI serves a different document.
+ * `IPFS_GATEWAY` overrides the gateway used for `ipfs://` URIs.
+ */
+async function checkMetadata(metadataURI, metadata, { skipUriCheck = false } = {}) {
+  assertValidPersona(metadata.persona);
+  if (!skipUriCheck) {
+    await assertMetadataURI(metadataURI, metadata, { ipfsGateway: process.env.IPFS_GATEWAY });
+  }
+}
+
+module.exports = {
+  METADATA_OPTIONS,
+  DEFAULT_PERSONA,
+  buildMetadata,
+  metadataFromOptions,
+  assertValidPersona,
+  checkMetadata,
+  buildTokenMetadata,
+};
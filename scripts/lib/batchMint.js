@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { buildMetadata, assertValidPersona, checkMetadata } = require('./agentMetadata');
+
+const RESULTS_VERSION = 1;
+
+const MANIFEST_COLUMNS = [
+  'to',
+  'logicAddress',
+  'metadataURI',
+  'persona',
+  'experience',
+  'voiceHash',
+  'animationURI',
+  'vaultURI',
+  'vaultHash',
+  'vault',
+];
+
+/**
+ * Parse RFC 4180 CSV: quoted fields may contain commas, newlines and `""` escapes.
+ * Blank lines are skipped.
+ * @returns {string[][]}
+ */
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV: unterminated quoted field');
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+function checkColumns(columns, source) {
+  const unknown = columns.filter((column) => !MANIFEST_COLUMNS.includes(column));
+  if (unknown.length) {
+    throw new Error(
+      `${source}: unknown column(s) ${unknown.join(', ')}, expected ${MANIFEST_COLUMNS.join(', ')}`,
+    );
+  }
+}
+
+/**
+ * Read a `.csv` (with a header line) or `.json` (array of objects) manifest.
+ * Values are returned as strings; persona objects in JSON manifests are serialized.
+ * @returns {object[]}
+ */
+function loadManifest(file) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    const [header, ...records] = parseCSV(text);
+    if (!header) throw new Error(`${file} is empty`);
+    const columns = header.map((column) => column.trim());
+    checkColumns(columns, file);
+    return records.map((fields) =>
+      Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()])),
+    );
+  }
+
+  const entries = JSON.parse(text);
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} must contain a JSON array of rows`);
+  }
+  return entries.map((entry, i) => {
+    checkColumns(Object.keys(entry), `${file} row ${i + 1}`);
+    return Object.fromEntries(
+      Object.entries(entry).map(([key, value]) => [
+        key,
+        value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value),
+      ]),
+    );
+  });
+}
+
+function parseAddress(value, field) {
+  try {
+    return ethers.utils.getAddress(value);
+  } catch (error) {
+    throw new Error(`${field} ${value} is not a valid address`);
+  }
+}
+
+/**
+ * Validate every manifest row and turn it into `createAgent` arguments.
+ * All rows are checked before anything is minted, so one bad row does not leave a
+ * half-minted batch behind.
+ *
+ * @param {object[]} entries Rows from `loadManifest`
+ * @param {object} options
+ * @param {ethers.providers.Provider} options.provider
+ * @param {string} options.signer Default recipient
+ * @param {string} [options.baseDir] Directory `vault` paths are relative to
+ * @param {boolean} [options.checkUris] Also check the documents behind the metadata URIs
+ * @returns {Promise<{rows: object[], errors: string[]}>}
+ */
+async function prepareRows(entries, { provider, signer, baseDir = '.', checkUris = false }) {
+  const rows = [];
+  const errors = [];
+  const hasCode = new Map();
+
+  for (const [i, entry] of entries.entries()) {
+    const row = i + 1;
+    try {
+      const to = entry.to ? parseAddress(entry.to, 'to') : signer;
+      if (to === ethers.constants.AddressZero) {
+        throw new Error('to is the zero address');
+      }
+
+      const logicAddress = entry.logicAddress
+        ? parseAddress(entry.logicAddress, 'logicAddress')
+        : ethers.constants.AddressZero;
+      if (logicAddress !== ethers.constants.AddressZero) {
+        if (!hasCode.has(logicAddress)) {
+          hasCode.set(logicAddress, (await provider.getCode(logicAddress)) !== '0x');
+        }
+        if (!hasCode.get(logicAddress)) {
+          throw new Error(`logicAddress ${logicAddress} has no contract code`);
+        }
+      }
+
+      if (!entry.metadataURI) {
+        throw new Error('metadataURI is required');
+      }
+      const metadata = buildMetadata({
+        ...entry,
+        vault: entry.vault ? path.resolve(baseDir, entry.vault) : undefined,
+      });
+      if (checkUris) {
+        await checkMetadata(entry.metadataURI, metadata);
+      } else {
+        assertValidPersona(metadata.persona);
+      }
+
+      rows.push({ row, to, logicAddress, metadataURI: entry.metadataURI, metadata });
+    } catch (error) {
+      errors.push(`row ${row}: ${error.message}`);
+    }
+  }
+  return { rows, errors };
+}
+
+// Identifies the content of a row, to notice manifests edited between runs
+function rowFingerprint({ to, logicAddress, metadataURI, metadata }) {
+  return ethers.utils.id(JSON.stringify({ to, logicAddress, metadataURI, metadata }));
+}
+
+/**
+ * Order the pending rows so the contract accepts them.
+ *
+ * While the signer has free mints left, `createAgent` uses one and only allows minting to
+ * `msg.sender`. Rows for the signer therefore go first; rows for other recipients can only
+ * be minted once the free mints are used up, and then pay exactly `MINT_FEE` each.
+ *
+ * @returns {{order: object[], freeMints: number, paidMints: number, totalFee: ethers.BigNumber}}
+ */
+function planBatch(rows, { signer, freeMintsRemaining, mintFee }) {
+  const own = rows.filter((row) => row.to === signer);
+  const others = rows.filter((row) => row.to !== signer);
+
+  if (others.length && freeMintsRemaining > own.length) {
+    throw new Error(
+      `${signer} has ${freeMintsRemaining} free mints left but only ${own.length} pending ` +
+        `row(s) mint to it. Free mints can only be minted to the signer, so the ` +
+        `${others.length} row(s) for other recipients would revert. Add rows minting to the ` +
+        'signer or use a signer without free mints.',
+    );
+  }
+
+  const freeMints = Math.min(freeMintsRemaining, own.length);
+  const paidMints = rows.length - freeMints;
+  return {
+    order: [...own, ...others],
+    freeMints,
+    paidMints,
+    totalFee: ethers.BigNumber.from(mintFee).mul(paidMints),
+  };
+}
+
+function mintedEntry(result) {
+  return {
+    status: 'minted',
+    tokenId: result.tokenId,
+    transactionHash: result.transactionHash,
+    freeMint: result.freeMint,
+    feePaid: result.feePaid,
+    error: undefined,
+  };
+}
+
+/**
+ * Mint every row that has no `minted` entry in the results file yet.
+ *
+ * The results file maps each manifest row to its tokenId and transaction hash. A row is
+ * recorded as `pending` as soon as its transaction is submitted, so a run interrupted
+ * before the receipt arrives picks the transaction up instead of minting twice. The first
+ * failing row is recorded and stops the batch; rerunning retries it.
+ *
+ * @param {object} options
+ * @param {BAP578Client} options.client Client connected to the minting signer
+ * @param {object[]} options.rows Rows from `prepareRows`
+ * @param {JsonStore} options.store Results file
+ * @param {boolean} [options.dryRun] Only plan, do not send transactions
+ * @param {Function} [options.onRow] Called with each minted row
+ */
+async function mintBatch({ client, rows, store, dryRun = false, onRow = () => {} }) {
+  const signer = await client.signerAddress();
+  const { chainId } = await client.provider.getNetwork();
+
+  const results = store.read() || {
+    version: RESULTS_VERSION,
+    chainId,
+    contract: client.address,
+    rows: {},
+  };
+  if (results.chainId !== chainId || results.contract !== client.address) {
+    throw new Error(
+      `Results file belongs to ${results.contract} on chain ${results.chainId}, not ${client.address} on chain ${chainId}`,
+    );
+  }
+  const save = (entry) => {
+    results.rows[entry.row] = entry;
+    if (!dryRun) store.write(results);
+  };
+
+  // Settle transactions submitted by an interrupted run
+  for (const entry of Object.values(results.rows)) {
+    if (entry.status !== 'pending') continue;
+    let result;
+    try {
+      result = await client.getMintResult(entry.transactionHash);
+    } catch (error) {
+      save({ ...entry, status: 'failed', error: error.message });
+      continue;
+    }
+    if (!result) {
+      throw new Error(
+        `row ${entry.row}: transaction ${entry.transactionHash} is not mined yet, rerun once it is`,
+      );
+    }
+    save({ ...entry, ...mintedEntry(result) });
+  }
+
+  const pending = [];
+  for (const row of rows) {
+    const entry = results.rows[row.row];
+    if (entry && entry.status === 'minted') {
+      if (entry.fingerprint !== rowFingerprint(row)) {
+        throw new Error(`row ${row.row} changed since it was minted as token #${entry.tokenId}`);
+      }
+      continue;
+    }
+    pending.push(row);
+  }
+
+  const [freeMintsRemaining, mintFee, balance] = await Promise.all([
+    client.contract.getFreeMints(signer),
+    client.contract.MINT_FEE(),
+    client.provider.getBalance(signer),
+  ]);
+  const plan = planBatch(pending, {
+    signer,
+    freeMintsRemaining: freeMintsRemaining.toNumber(),
+    mintFee,
+  });
+  const summary = {
+    signer,
+    total: rows.length,
+    alreadyMinted: rows.length - pending.length,
+    pending: pending.length,
+    freeMints: plan.freeMints,
+    paidMints: plan.paidMints,
+    totalFee: plan.totalFee.toString(),
+  };
+  if (balance.lt(plan.totalFee)) {
+    throw new Error(
+      `${signer} needs ${ethers.utils.formatEther(plan.totalFee)} for ${plan.paidMints} paid ` +
+        `mint(s) but holds ${ethers.utils.formatEther(balance)}`,
+    );
+  }
+  if (dryRun) return { ...summary, minted: 0 };
+
+  let minted = 0;
+  for (const row of plan.order) {
+    const base = { row: row.row, to: row.to, fingerprint: rowFingerprint(row) };
+    try {
+      const result = await client.mintAgent({
+        to: row.to,
+        logicAddress: row.logicAddress,
+        metadataURI: row.metadataURI,
+        metadata: row.metadata,
+        onSubmitted: (tx) => save({ ...base, status: 'pending', transactionHash: tx.hash }),
+      });
+      save({ ...base, ...mintedEntry(result) });
+    } catch (error) {
+      const reason = error.reason || error.message;
+      const entry = results.rows[row.row];
+      if (entry && entry.status === 'pending') {
+        // Submitted but not confirmed: the next run settles it from the receipt
+        save({ ...entry, error: reason });
+      } else {
+        save({ ...base, status: 'failed', error: reason });
+      }
+      throw new Error(`row ${row.row} failed: ${reason}`);
+    }
+    minted++;
+    await onRow(results.rows[row.row]);
+  }
+  return { ...summary, minted };
+}
+
+/**
+ * Default results file next to the manifest: `agents.csv` -> `agents.results.json`.
+ */
+function defaultResultsPath(manifest) {
+  const { dir, name } = path.parse(manifest);
+  return path.join(dir, `${name}.results.json`);
+}
+
+module.exports = {
+  MANIFEST_COLUMNS,
+  parseCSV,
+  loadManifest,
+  prepareRows,
+  planBatch,
+  mintBatch,
+  defaultResultsPath,
+};
@@ -0,0 +1,131 @@
+const { parseArgs } = require('util');
+const { BigNumber } = require('ethers');
+
+const GLOBAL_OPTIONS = {
+  network: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Scripts launched with plain `node` are not routed through `hardhat run`, so the
+ * network has to be selected before the Hardhat runtime is loaded.
+ */
+function selectNetworkFromArgv(argv = process.argv.slice(2)) {
+  const index = argv.indexOf('--network');
+  if (index !== -1 && argv[index + 1]) {
+    process.env.HARDHAT_NETWORK = argv[index + 1];
+  }
+}
+
+/**
+ * Parse `<command> [--flag value ...]`.
+ * Returns null when no subcommand is given so callers can fall back to interactive mode.
+ */
+function parseCommand(argv, commands) {
+  if (argv.length === 0 || argv[0].startsWith('-')) {
+    const { values } = parseArgs({ args: argv, options: GLOBAL_OPTIONS, strict: false });
+    return values.help ? { name: 'help', options: values } : null;
+  }
+
+  const [name, ...rest] = argv;
+  const command = commands[name];
+  if (!command) {
+    throw new Error(`Unknown command: ${name}`);
+  }
+
+  const { values } = parseArgs({
+    args: rest,
+    options: { ...GLOBAL_OPTIONS, ...command.options },
+    strict: true,
+  });
+
+  for (const option of command.required || []) {
+    if (values[option] === undefined) {
+      throw new Error(`Missing required option --${option} for ${name}`);
+    }
+  }
+
+  return { name, command, options: values };
+}
+
+function parseBoolean(value, option) {
+  if (value === 'true' || value === 'yes' || value === 'y' || value === '1') return true;
+  if (value === 'false' || value === 'no' || value === 'n' || value === '0') return false;
+  throw new Error(`Invalid boolean for --${option}: ${value}`);
+}
+
+/**
+ * Parse a whole-number option; `min` is 1 for counts and sizes that cannot be zero.
+ */
+function parseInteger(value, option, { min = 0 } = {}) {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < min) {
+    const kind = min > 0 ? 'a positive integer' : 'a non-negative integer';
+    throw new Error(`Invalid --${option}: ${value} is not ${kind}`);
+  }
+  return number;
+}
+
+function printUsage(scriptName, commands, { interactive = true } = {}) {
+  console.log(`Usage: node ${scriptName} <command> [options] [--network <name>] [--json]`);
+  console.log('\nCommands:');
+  for (const [name, command] of Object.entries(commands)) {
+    const flags = Object.keys(command.options || {})
+      .map((option) => {
+        const required = (command.required || []).includes(option);
+        return required ? `--${option}` : `[--${option}]`;
+      })
+      .join(' ');
+    console.log(`  ${name} ${flags}`.trimEnd());
+    console.log(`      ${command.description}`);
+  }
+  if (interactive) {
+    console.log('\nRun without a command for the interactive menu.');
+  }
+}
+
+// BigNumbers serialize as decimal strings so JSON output stays lossless
+function toJSON(value) {
+  return JSON.stringify(
+    value,
+    (key, v) => {
+      if (v && v.type === 'BigNumber' && v.hex) return BigNumber.from(v.hex).toString();
+      if (typeof v === 'bigint') return v.toString();
+      return v;
+    },
+    2,
+  );
+}
+
+/**
+ * Run a parsed subcommand and print its result, as `{ command, ok, result }` with --json.
+ * Failures set a non-zero exit code instead of throwing.
+ */
+async function runCommand(ctx, { name, command, options }) {
+  try {
+    const result = await command.run(ctx, options);
+    if (options.json) {
+      console.log(toJSON({ command: name, ok: true, result }));
+    } else {
+      command.report(result);
+    }
+  } catch (error) {
+    if (options.json) {
+      console.log(toJSON({ command: name, ok: false, error: error.reason || error.message }));
+    } else {
+      console.error('❌ Error:', error.reason || error.message);
+    }
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  selectNetworkFromArgv,
+  parseCommand,
+  parseBoolean,
+  parseInteger,
+  printUsage,
+  runCommand,
+  toJSON,
+};
@@ -0,0 +1,406 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { BAP578Client, loadAbi } = require('../../sdk');
+const {
+  DEPLOYMENTS_DIR,
+  deploymentPath,
+  registryPath,
+  loadRegistry,
+  updateChain,
+  recordContract,
+  loadDeployment,
+} = require('../../sdk/deployments');
+const { sendTransaction } = require('../../sdk/transactions');
+const { DEFAULT_GUARD_CONTRACT, checkAddress, hasFunctions } = require('./policyConfig');
+
+const CONFIG_DIR = path.resolve('config', 'deploy');
+
+// Constructor arguments may reference another contract of the same deployment as `$Name`
+function checkArg(value, label) {
+  if (typeof value === 'string' && value.startsWith('$')) return value;
+  if (typeof value === 'string' && value.startsWith('0x')) return checkAddress(value, label);
+  return value;
+}
+
+/**
+ * Parse and validate a per-network deployment config (YAML or JSON):
+ *
+ *   mocks: [MockERC20Balance]         # optional, local networks only
+ *   bap578:
+ *     name: Non-Fungible Agents
+ *     symbol: NFA
+ *     treasury: 0x...
+ *     freeMintsPerUser: 3             # optional, keeps the contract default when omitted
+ *     freeMintCampaigns: true         # optional, deploys FreeMintCampaigns as the distributor
+ *     seedAgents:                     # optional, minted once to the deployer
+ *       - { metadataURI: ipfs://..., metadata: { persona: ... }, logicAddress: 0x... }
+ *   clawnfa:                          # optional
+ *     requiredToken: 0x...            # or $MockERC20Balance
+ *     maxSupply: 10000
+ *   adapter:                          # optional, AgentVault and the BAP578AdapterBlueprint
+ *     nfa: $BAP578                    # bound to it; `adapter: true` uses $BAP578
+ *   guard: PolicyGuardExample         # optional, deployed when policies are configured
+ *   policies:                         # registry name -> contract and constructor arguments
+ *     SpendingLimitExample: {}
+ *     TokenWhitelistExample: { args: [$BAP578] }
+ *
+ * @returns {{mocks: string[], bap578: object, clawnfa: (object|null), adapter: (object|null),
+ *   guard: (string|null), policies: Object<string, {contract: string, args: Array}>}}
+ */
+function parseDeployConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Deploy config must be an object with a `bap578` section');
+  }
+  const errors = [];
+  const collect = (fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      errors.push(error.message);
+      return undefined;
+    }
+  };
+
+  const mocks = config.mocks || [];
+  const source = config.bap578 || {};
+  if (!config.bap578) errors.push('bap578: section is required');
+  const freeMintsPerUser = source.freeMintsPerUser;
+  if (
+    freeMintsPerUser !== undefined &&
+    !(Number.isInteger(freeMintsPerUser) && freeMintsPerUser >= 0)
+  ) {
+    errors.push(`bap578.freeMintsPerUser: ${freeMintsPerUser} is not a non-negative integer`);
+  }
+  if (config.bap578 && !source.treasury) errors.push('bap578.treasury: required');
+  const bap578 = {
+    name: source.name || 'Non-Fungible Agents',
+    symbol: source.symbol || 'NFA',
+    treasury: source.treasury && collect(() => checkAddress(source.treasury, 'bap578.treasury')),
+    freeMintsPerUser,
+    freeMintCampaigns: Boolean(source.freeMintCampaigns),
+    seedAgents: (source.seedAgents || []).map((seed, index) => {
+      const label = `bap578.seedAgents[${index}]`;
+      if (!seed || typeof seed.metadataURI !== 'string') {
+        errors.push(`${label}: metadataURI is required`);
+        return {};
+      }
+      return {
+        metadataURI: seed.metadataURI,
+        metadata: seed.metadata || {},
+        logicAddress:
+          seed.logicAddress &&
+          collect(() => checkAddress(seed.logicAddress, `${label}.logicAddress`)),
+      };
+    }),
+  };
+
+  let clawnfa = null;
+  if (config.clawnfa) {
+    const { requiredToken, maxSupply } = config.clawnfa;
+    if (!requiredToken) errors.push('clawnfa.requiredToken: required');
+    if (!(Number.isInteger(maxSupply) && maxSupply > 0)) {
+      errors.push(`clawnfa.maxSupply: ${maxSupply} is not a positive integer`);
+    }
+    clawnfa = {
+      requiredToken:
+        requiredToken && collect(() => checkArg(requiredToken, 'clawnfa.requiredToken')),
+      maxSupply,
+    };
+  }
+
+  let adapter = null;
+  if (config.adapter) {
+    const { nfa = '$BAP578' } = config.adapter === true ? {} : config.adapter;
+    adapter = { nfa: collect(() => checkArg(nfa, 'adapter.nfa')) };
+  }
+
+  const policies = {};
+  for (const [name, policy] of Object.entries(config.policies || {})) {
+    const { contract = name, args = [] } = policy || {};
+    if (!Array.isArray(args)) {
+      errors.push(`policies.${name}.args: must be a list`);
+      continue;
+    }
+    policies[name] = {
+      contract,
+      args: args.map((arg, index) =>
+        collect(() => checkArg(arg, `policies.${name}.args[${index}]`)),
+      ),
+    };
+  }
+  const guard = config.guard || (Object.keys(policies).length ? DEFAULT_GUARD_CONTRACT : null);
+
+  // Every `$Name` must point at a contract deployed before the one referencing it
+  const known = [
+    ...mocks,
+    'BAP578',
+    ...(bap578.freeMintCampaigns ? ['FreeMintCampaigns'] : []),
+    ...(clawnfa ? ['CLAWNFA'] : []),
+  ];
+  const checkRefs = (args, label) => {
+    for (const arg of args) {
+      if (typeof arg === 'string' && arg.startsWith('$') && !known.includes(arg.slice(1))) {
+        errors.push(`${label}: unknown contract ${arg}`);
+      }
+    }
+  };
+  if (clawnfa) checkRefs([clawnfa.requiredToken], 'clawnfa.requiredToken');
+  if (adapter) {
+    checkRefs([adapter.nfa], 'adapter.nfa');
+    known.push('AgentVault', 'BAP578AdapterBlueprint');
+  }
+  if (guard) known.push(guard);
+  for (const [name, policy] of Object.entries(policies)) {
+    checkRefs(policy.args, `policies.${name}.args`);
+    known.push(name);
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid deploy config:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { mocks, bap578, clawnfa, adapter, guard, policies };
+}
+
+/**
+ * Load `config/deploy/<network>.yaml` (or `.yml`/`.json`), or an explicit file.
+ * The in-process `hardhat` network uses the `localhost` config.
+ */
+function loadDeployConfig(networkOrFile, dir = CONFIG_DIR) {
+  let file = networkOrFile;
+  if (!/\.(ya?ml|json)$/i.test(networkOrFile)) {
+    const network = networkOrFile === 'hardhat' ? 'localhost' : networkOrFile;
+    file = ['yaml', 'yml', 'json']
+      .map((extension) => path.join(dir, `${network}.${extension}`))
+      .find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+      throw new Error(`No deploy config for ${network} in ${dir}`);
+    }
+  }
+  const content = fs.readFileSync(file, 'utf8');
+  const config = /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+  return { file, config: parseDeployConfig(config) };
+}
+
+/**
+ * Deploy everything in a parsed config and record each contract in the chainId-keyed registry
+ * as soon as it is mined. Contracts already in the registry with code at their address are
+ * reused, so rerunning after a failure picks up where it stopped. Then binds the adapter to its
+ * vault, sets `freeMintsPerUser` and the free mint distributor, registers the IPolicy contracts
+ * with the guard and mints the seed agents that were not minted yet.
+ *
+ * @param {object} hre Hardhat runtime
+ * @param {object} options
+ * @param {object} options.config Result of `parseDeployConfig`
+ * @param {ethers.Signer} options.signer Deployer, owner of every contract
+ * @param {string} [options.dir] Registry directory
+ * @param {Function} [options.onStep] Called with `{action, name, ...}` for every change made
+ * @returns {Promise<{chainId: number, deployed: string[], reused: string[], registered: string[],
+ *   seedAgents: object[], file: string}>}
+ */
+async function deployFromConfig(hre, { config, signer, dir = DEPLOYMENTS_DIR, onStep = () => {} }) {
+  const { chainId } = await signer.provider.getNetwork();
+  const network = hre.network.name;
+  const deployer = await signer.getAddress();
+  const deployed = [];
+  const reused = [];
+
+  const recorded = async (name) => {
+    const chain = loadRegistry(dir)[chainId];
+    const entry = chain && chain.contracts[name];
+    if (!entry || (await signer.provider.getCode(entry.address)) === '0x') return null;
+    reused.push(name);
+    return entry;
+  };
+  const resolve = (args) =>
+    args.map((arg) => {
+      if (typeof arg !== 'string' || !arg.startsWith('$')) return arg;
+      return loadRegistry(dir)[chainId].contracts[arg.slice(1)].address;
+    });
+  const save = async (name, contract, entry) => {
+    const receipt = await contract.deployTransaction.wait();
+    const { timestamp } = await signer.provider.getBlock(receipt.blockNumber);
+    const record = {
+      contract: entry.contract,
+      address: contract.address,
+      ...entry,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      deployer,
+      timestamp: new Date(timestamp * 1000).toISOString(),
+    };
+    recordContract(chainId, network, name, record, dir);
+    deployed.push(name);
+    await onStep({ action: 'deploy', name, contract: entry.contract, address: contract.address });
+    return record;
+  };
+  const deploy = async (name, contractName, args = []) => {
+    const existing = await recorded(name);
+    if (existing) return existing;
+    const constructorArgs = resolve(args);
+    const factory = await hre.ethers.getContractFactory(contractName, signer);
+    const contract = await factory.deploy(...constructorArgs);
+    await contract.deployed();
+    return save(name, contract, { contract: contractName, constructorArgs });
+  };
+
+  for (const mock of config.mocks) {
+    await deploy(mock, mock);
+  }
+
+  let bap578 = await recorded('BAP578');
+  if (!bap578) {
+    const initializerArgs = [config.bap578.name, config.bap578.symbol, config.bap578.treasury];
+    const proxy = await hre.upgrades.deployProxy(
+      await hre.ethers.getContractFactory('BAP578', signer),
+      initializerArgs,
+      { initializer: 'initialize', kind: 'uups' },
+    );
+    await proxy.deployed();
+    bap578 = await save('BAP578', proxy, {
+      contract: 'BAP578',
+      kind: 'uups',
+      implementation: await hre.upgrades.erc1967.getImplementationAddress(proxy.address),
+      initializerArgs,
+      constructorArgs: [],
+      history: [],
+    });
+  }
+
+  if (config.bap578.freeMintCampaigns) {
+    await deploy('FreeMintCampaigns', 'FreeMintCampaigns', ['$BAP578']);
+  }
+
+  if (config.clawnfa) {
+    await deploy('CLAWNFA', 'NFA', [config.clawnfa.requiredToken, config.clawnfa.maxSupply]);
+  }
+
+  if (config.adapter) {
+    const vaultRecord = await deploy('AgentVault', 'AgentVault');
+    const { address } = await deploy('BAP578AdapterBlueprint', 'BAP578AdapterBlueprint', [
+      config.adapter.nfa,
+      '$AgentVault',
+    ]);
+    // The vault is bound to its adapter once, by its deployer
+    const vault = new ethers.Contract(vaultRecord.address, loadAbi('AgentVault'), signer);
+    const current = await vault.adapter();
+    if (current === ethers.constants.AddressZero) {
+      await sendTransaction(vault.setAdapter(address));
+      await onStep({ action: 'setAdapter', name: 'AgentVault', value: address });
+    } else if (current !== address) {
+      throw new Error(`AgentVault ${vaultRecord.address} is bound to another adapter ${current}`);
+    }
+  }
+
+  const registered = [];
+  if (config.guard) {
+    const guardRecord = await deploy(config.guard, config.guard);
+    const guard = new ethers.Contract(guardRecord.address, loadAbi(config.guard), signer);
+    for (const [name, policy] of Object.entries(config.policies)) {
+      const { address } = await deploy(name, policy.contract, policy.args);
+      if (!hasFunctions(policy.contract, 'check', 'policyType')) continue;
+      if (await guard.isRegistered(address)) continue;
+      await sendTransaction(guard.registerPolicy(address));
+      registered.push(name);
+      await onStep({ action: 'register', name, address });
+    }
+  }
+
+  const client = new BAP578Client({ address: bap578.address, signerOrProvider: signer });
+  const { freeMintsPerUser } = config.bap578;
+  if (freeMintsPerUser !== undefined) {
+    const current = await client.contract.freeMintsPerUser();
+    if (!current.eq(freeMintsPerUser)) {
+      await sendTransaction(client.contract.setFreeMintsPerUser(freeMintsPerUser));
+      await onStep({ action: 'setFreeMintsPerUser', name: 'BAP578', value: freeMintsPerUser });
+    }
+  }
+
+  if (config.bap578.freeMintCampaigns) {
+    const { address } = loadRegistry(dir)[chainId].contracts.FreeMintCampaigns;
+    if ((await client.contract.freeMintDistributor()) !== address) {
+      await sendTransaction(client.contract.setFreeMintDistributor(address));
+      await onStep({ action: 'setFreeMintDistributor', name: 'BAP578', value: address });
+    }
+  }
+
+  // Free mints can only go to the minter, so seed agents are minted to the deployer. Each one
+  // is recorded as pending once submitted, so a rerun settles it instead of minting it again.
+  const recordSeedAgent = (index, agent) =>
+    updateChain(
+      chainId,
+      network,
+      (entry) => {
+        entry.seedAgents = entry.seedAgents || [];
+        entry.seedAgents[index] = agent;
+      },
+      dir,
+    );
+  const seedAgents = [];
+  for (const [index, seed] of config.bap578.seedAgents.entries()) {
+    const existing = (loadRegistry(dir)[chainId].seedAgents || [])[index];
+    let result;
+    if (existing && existing.status === 'pending') {
+      try {
+        result = await client.getMintResult(existing.transactionHash);
+      } catch (error) {
+        // Reverted, so nothing was minted: mint it again below
+      }
+      if (result === null) {
+        throw new Error(
+          `Seed agent ${index}: transaction ${existing.transactionHash} is not mined yet, ` +
+            'rerun once it is',
+        );
+      }
+    } else if (existing) {
+      seedAgents.push(existing);
+      continue;
+    }
+    if (!result) {
+      result = await client.mintAgent({
+        ...seed,
+        to: deployer,
+        onSubmitted: (tx) =>
+          recordSeedAgent(index, {
+            status: 'pending',
+            metadataURI: seed.metadataURI,
+            transactionHash: tx.hash,
+          }),
+      });
+    }
+    const { tokenId, owner, transactionHash } = result;
+    const agent = { tokenId, metadataURI: seed.metadataURI, owner, transactionHash };
+    recordSeedAgent(index, agent);
+    seedAgents.push(agent);
+    await onStep({ action: 'mint', name: 'BAP578', tokenId });
+  }
+
+  return { chainId, deployed, reused, registered, seedAgents, file: registryPath(dir) };
+}
+
+/**
+ * BAP578 deployment of a network from the Hardhat config (default: the one Hardhat is
+ * connected to), read from the registry or, for deployments made before it existed,
+ * `deployments/<network>_deployment.json`. Saving the result with `saveDeployment` moves it
+ * into the registry.
+ */
+function loadNetworkDeployment(hre, network = hre.network.name, dir = DEPLOYMENTS_DIR) {
+  const { chainId } = hre.config.networks[network] || {};
+  if (chainId === undefined) {
+    throw new Error(`Network ${network} has no chainId in hardhat.config.js`);
+  }
+  const chain = loadRegistry(dir)[chainId];
+  if (!(chain && chain.contracts.BAP578) && fs.existsSync(deploymentPath(network, dir))) {
+    return { ...loadDeployment(network, dir), chainId };
+  }
+  return loadDeployment(chainId, dir);
+}
+
+module.exports = {
+  CONFIG_DIR,
+  parseDeployConfig,
+  loadDeployConfig,
+  deployFromConfig,
+  loadNetworkDeployment,
+};
@@ -0,0 +1,34 @@
+const BALANCE = '0x56BC75E2D63100000'; // 100 ether for gas
+
+/**
+ * Fork a configured network into the in-process Hardhat network, at `blockNumber` or latest.
+ * Used to dry-run owner operations against the real state without sending anything.
+ */
+async function forkNetwork(hre, network, blockNumber) {
+  const config = hre.config.networks[network];
+  if (!config || !config.url) {
+    throw new Error(`Network ${network} has no RPC url to fork`);
+  }
+  const forking = { jsonRpcUrl: config.url };
+  if (blockNumber !== undefined) {
+    forking.blockNumber = Number(blockNumber);
+  }
+  await hre.network.provider.request({ method: 'hardhat_reset', params: [{ forking }] });
+  // Hardhat has no hardfork history for BSC or local chains, so it cannot execute calls at
+  // the fork block itself; run everything on a fresh local block instead
+  await hre.network.provider.send('hardhat_mine', ['0x1']);
+}
+
+/**
+ * Signer for an account whose key is not available (an owner EOA or a Safe), funded for gas.
+ * Only works on the Hardhat network.
+ */
+async function impersonate(hre, address) {
+  await hre.network.provider.send('hardhat_setBalance', [address, BALANCE]);
+  return hre.ethers.getImpersonatedSigner(address);
+}
+
+module.exports = {
+  forkNetwork,
+  impersonate,
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { buildFreeMintTree } = require('../../sdk/freeMints');
+const { DEPLOYMENTS_DIR, getDeployedContract } = require('../../sdk/deployments');
+const { parseCSV } = require('./batchMint');
+
+const ALLOWLIST_COLUMNS = ['address', 'amount'];
+
+/**
+ * Read a free mint allowlist: a `.csv` with an `address,amount` header line, or a `.json`
+ * array of `{address, amount}`.
+ * @returns {Array<{address: string, amount: string}>}
+ */
+function loadAllowlist(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.csv') {
+    const [header, ...records] = parseCSV(text);
+    if (!header) throw new Error(`${file} is empty`);
+    const columns = header.map((column) => column.trim());
+    if (ALLOWLIST_COLUMNS.some((column) => !columns.includes(column))) {
+      throw new Error(`${file}: expected columns ${ALLOWLIST_COLUMNS.join(', ')}`);
+    }
+    return records.map((fields) => ({
+      address: (fields[columns.indexOf('address')] || '').trim(),
+      amount: (fields[columns.indexOf('amount')] || '').trim(),
+    }));
+  }
+
+  const entries = JSON.parse(text);
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} must contain a JSON array of {address, amount}`);
+  }
+  return entries.map(({ address, amount }) => ({ address, amount: String(amount) }));
+}
+
+/**
+ * Default tree file next to the allowlist: `campaign.csv` -> `campaign.tree.json`.
+ */
+function defaultTreePath(allowlist) {
+  const { dir, name } = path.parse(allowlist);
+  return path.join(dir, `${name}.tree.json`);
+}
+
+/**
+ * Build a campaign tree from an allowlist file and write it, with every account's proof, to
+ * `out`. The tree file is what users (or a claim page) need to claim.
+ */
+function writeCampaignTree(allowlist, out = defaultTreePath(allowlist)) {
+  const tree = buildFreeMintTree(loadAllowlist(allowlist));
+  const record = {
+    root: tree.root,
+    total: tree.total,
+    accounts: Object.keys(tree.claims).length,
+    allowlist: path.basename(allowlist),
+    claims: tree.claims,
+  };
+  fs.writeFileSync(out, `${JSON.stringify(record, null, 2)}\n`);
+  return { ...record, file: out };
+}
+
+function loadCampaignTree(file) {
+  const tree = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!tree.root || !tree.claims) {
+    throw new Error(`${file} is not a free mint campaign tree`);
+  }
+  return tree;
+}
+
+/** The claim of `account` in a tree file's claims, whatever the address casing. */
+function findClaim(tree, account) {
+  const key = Object.keys(tree.claims).find((a) => a.toLowerCase() === account.toLowerCase());
+  return key ? { account: key, ...tree.claims[key] } : null;
+}
+
+/** FreeMintCampaigns address recorded for a chain by scripts/deploy.js, or null. */
+function campaignsAddress(chainId, dir = DEPLOYMENTS_DIR) {
+  const deployed = getDeployedContract(chainId, 'FreeMintCampaigns', dir);
+  return deployed ? deployed.address : null;
+}
+
+module.exports = {
+  ALLOWLIST_COLUMNS,
+  loadAllowlist,
+  defaultTreePath,
+  writeCampaignTree,
+  loadCampaignTree,
+  findClaim,
+  campaignsAddress,
+};
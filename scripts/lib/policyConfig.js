@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../sdk');
+const { DEPLOYMENTS_DIR } = require('../../sdk/deployments');
+const { sendTransaction } = require('../../sdk/transactions');
+
+const DEFAULT_GUARD_CONTRACT = 'PolicyGuardExample';
+
+function policiesPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}_policies.json`);
+}
+
+function checkAddress(value, label) {
+  try {
+    return ethers.utils.getAddress(value);
+  } catch (error) {
+    throw new Error(`${label}: ${value} is not a valid address`);
+  }
+}
+
+// Token ids are kept as decimal strings; `"1-100"` expands to an inclusive range
+function expandTokenIds(ids, label) {
+  const list = Array.isArray(ids) ? ids : [ids];
+  const tokenIds = [];
+  for (const id of list) {
+    const range = typeof id === 'string' && id.match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+    if (range) {
+      const [from, to] = [Number(range[1]), Number(range[2])];
+      if (from > to) throw new Error(`${label}: empty range ${id}`);
+      for (let tokenId = from; tokenId <= to; tokenId++) tokenIds.push(String(tokenId));
+    } else if (/^\d+$/.test(String(id).trim())) {
+      tokenIds.push(ethers.BigNumber.from(String(id).trim()).toString());
+    } else {
+      throw new Error(`${label}: invalid token id ${JSON.stringify(id)}`);
+    }
+  }
+  return tokenIds;
+}
+
+function hasFunctions(contractName, ...functions) {
+  const names = loadAbi(contractName)
+    .filter((item) => item.type === 'function')
+    .map((item) => item.name);
+  return functions.every((name) => names.includes(name));
+}
+
+// `policy deploy` deploys without arguments, so such policies must be deployed by hand
+function hasConstructorArgs(contractName) {
+  const constructor = loadAbi(contractName).find((item) => item.type === 'constructor');
+  return Boolean(constructor && constructor.inputs.length);
+}
+
+/**
+ * Parse and validate a declarative policy config (YAML or JSON):
+ *
+ *   guard: 0x...                      # optional, or { contract, address }
+ *   policies:
+ *     small-spend: { contract: SpendingLimitExample, address: 0x... }
+ *   tokens:
+ *     - ids: ["1-100", 250]
+ *       policies: [small-spend]
+ *       limits: { small-spend: "0.1" }  # BNB per action
+ *
+ * @returns {{guard: ({contract: string, address: (string|undefined)}),
+ *   policies: Object<string, {contract: string, address: (string|undefined), limits: boolean,
+ *     stateful: boolean}>,
+ *   tokens: Object<string, {policies: string[], limits: Object<string, string>}>}}
+ */
+function parsePolicyConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Policy config must be an object with `policies` and `tokens`');
+  }
+  const errors = [];
+  const collect = (fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      errors.push(error.message);
+      return undefined;
+    }
+  };
+
+  const guardConfig =
+    typeof config.guard === 'string' ? { address: config.guard } : config.guard || {};
+  const guard = {
+    contract: guardConfig.contract || DEFAULT_GUARD_CONTRACT,
+    address: guardConfig.address && collect(() => checkAddress(guardConfig.address, 'guard')),
+  };
+
+  const policies = {};
+  for (const [name, policy] of Object.entries(config.policies || {})) {
+    if (!policy || !policy.contract) {
+      errors.push(`policies.${name}: contract is required`);
+      continue;
+    }
+    // Policies configured through `limits` expose the SpendingLimitExample admin interface
+    const limits = collect(() => hasFunctions(policy.contract, 'limits', 'setLimit'));
+    if (limits === undefined) continue;
+    if (!policy.address && hasConstructorArgs(policy.contract)) {
+      errors.push(
+        `policies.${name}: ${policy.contract} takes constructor arguments, deploy it and set address`,
+      );
+    }
+    policies[name] = {
+      contract: policy.contract,
+      address:
+        policy.address && collect(() => checkAddress(policy.address, `policies.${name}.address`)),
+      limits,
+      // Stateful policies only accept IPolicyCommit calls from the guard they are pointed at
+      stateful: hasFunctions(policy.contract, 'guard', 'setGuard'),
+    };
+  }
+
+  const tokens = {};
+  (config.tokens || []).forEach((entry, index) => {
+    const label = `tokens[${index}]`;
+    const tokenIds = collect(() => expandTokenIds(entry.ids, `${label}.ids`)) || [];
+    const names = entry.policies || [];
+    for (const name of names) {
+      if (!(name in (config.policies || {}))) errors.push(`${label}: unknown policy ${name}`);
+    }
+    const limits = {};
+    for (const [name, amount] of Object.entries(entry.limits || {})) {
+      if (!names.includes(name)) {
+        errors.push(`${label}: limit for ${name}, which is not bound to these tokens`);
+      } else if (policies[name] && !policies[name].limits) {
+        errors.push(`${label}: ${policies[name].contract} has no setLimit`);
+      } else {
+        const wei = collect(() => ethers.utils.parseEther(String(amount)));
+        if (wei) limits[name] = wei.toString();
+      }
+    }
+    for (const tokenId of tokenIds) {
+      if (tokens[tokenId]) {
+        errors.push(`${label}: token ${tokenId} is already configured`);
+        continue;
+      }
+      tokens[tokenId] = { policies: names, limits };
+    }
+  });
+
+  if (errors.length) {
+    throw new Error(`Invalid policy config:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { guard, policies, tokens };
+}
+
+function loadPolicyConfig(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const config = /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+  return parsePolicyConfig(config);
+}
+
+/**
+ * Fill in the guard and policy addresses missing from the config with the ones recorded by
+ * `deployPolicies`. Throws when a policy has no address yet.
+ */
+function resolveAddresses(config, record = {}) {
+  const recorded = record.policies || {};
+  const guard = config.guard.address || (record.guard && record.guard.address);
+  const missing = [];
+  if (!guard) missing.push('guard');
+  const policies = {};
+  for (const [name, policy] of Object.entries(config.policies)) {
+    const match = recorded[name] && recorded[name].contract === policy.contract;
+    const address = policy.address || (match ? recorded[name].address : undefined);
+    if (!address) missing.push(name);
+    policies[name] = { ...policy, address };
+  }
+  if (missing.length) {
+    throw new Error(`Not deployed yet: ${missing.join(', ')}. Run \`policy deploy\` first.`);
+  }
+  return { ...config, guard: { ...config.guard, address: guard }, policies };
+}
+
+/**
+ * Deploy the guard and every policy that has no address in the config or the record, then
+ * register the policies with the guard. The record is saved after each deployment so an
+ * interrupted run does not deploy twice.
+ *
+ * @returns {Promise<{record: object, deployed: string[], registered: string[]}>}
+ */
+async function deployPolicies(hre, { config, store, signer, onDeploy = () => {} }) {
+  const { chainId } = await signer.provider.getNetwork();
+  const record = store.read() || { network: hre.network.name, chainId, policies: {} };
+  const deployed = [];
+
+  const deploy = async (name, contractName) => {
+    const factory = await hre.ethers.getContractFactory(contractName, signer);
+    const contract = await factory.deploy();
+    await contract.deployed();
+    deployed.push(name);
+    await onDeploy({ name, contract: contractName, address: contract.address });
+    return { contract: contractName, address: contract.address };
+  };
+
+  if (!config.guard.address && !(record.guard && record.guard.address)) {
+    record.guard = await deploy('guard', config.guard.contract);
+    store.write(record);
+  }
+  for (const [name, policy] of Object.entries(config.policies)) {
+    const recorded = record.policies[name];
+    if (policy.address || (recorded && recorded.contract === policy.contract)) continue;
+    record.policies[name] = await deploy(name, policy.contract);
+    store.write(record);
+  }
+
+  const resolved = resolveAddresses(config, record);
+  const guard = new ethers.Contract(
+    resolved.guard.address,
+    loadAbi(resolved.guard.contract),
+    signer,
+  );
+  const registered = [];
+  for (const [name, { address }] of Object.entries(resolved.policies)) {
+    if (await guard.isRegistered(address)) continue;
+    await sendTransaction(guard.registerPolicy(address));
+    registered.push(name);
+  }
+  return { record, deployed, registered };
+}
+
+function sameAddresses(a, b) {
+  const normalize = (list) => list.map((address) => address.toLowerCase()).sort();
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Diff a resolved config against the guard and policies on chain.
+ *
+ * Bindings are compared as sets: the guard reorders a token's policies when one is removed, and
+ * every bound policy is checked regardless of order. Stateful policies are pointed at the guard so
+ * its commits reach them. With `prune`, policies registered on the guard but absent from the
+ * config are removed.
+ *
+ * @returns {Promise<Array<{action: ('register'|'remove'|'setGuard'|'setLimit'|'bind'), ...}>>}
+ *   Changes in the order they must be applied
+ */
+async function planPolicyChanges(provider, config, { prune = false } = {}) {
+  const guard = new ethers.Contract(config.guard.address, loadAbi(config.guard.contract), provider);
+  const names = new Map(
+    Object.entries(config.policies).map(([name, { address }]) => [address.toLowerCase(), name]),
+  );
+  const registrations = [];
+  const guards = [];
+  const limits = [];
+  const bindings = [];
+
+  for (const [name, { contract, address, stateful }] of Object.entries(config.policies)) {
+    if (!(await guard.isRegistered(address))) {
+      registrations.push({ action: 'register', policy: name, address });
+    }
+    if (stateful) {
+      const current = await new ethers.Contract(address, loadAbi(contract), provider).guard();
+      if (current !== guard.address) {
+        guards.push({ action: 'setGuard', policy: name, address, guard: guard.address, current });
+      }
+    }
+  }
+  if (prune) {
+    for (const address of await guard.getRegisteredPolicies()) {
+      if (!names.has(address.toLowerCase())) registrations.push({ action: 'remove', address });
+    }
+  }
+
+  for (const [tokenId, token] of Object.entries(config.tokens)) {
+    for (const [name, limit] of Object.entries(token.limits)) {
+      const { contract, address } = config.policies[name];
+      const policy = new ethers.Contract(address, loadAbi(contract), provider);
+      const current = (await policy.limits(tokenId)).toString();
+      if (current !== limit) {
+        limits.push({ action: 'setLimit', policy: name, address, tokenId, limit, current });
+      }
+    }
+
+    const addresses = token.policies.map((name) => config.policies[name].address);
+    const current = await guard.getBoundPolicies(tokenId);
+    if (!sameAddresses(current, addresses)) {
+      bindings.push({
+        action: 'bind',
+        tokenId,
+        policies: token.policies,
+        addresses,
+        current: current.map((address) => names.get(address.toLowerCase()) || address),
+      });
+    }
+  }
+
+  // Limits are set before binding so a newly bound policy never blocks for lack of a limit
+  return [...registrations, ...guards, ...limits, ...bindings];
+}
+
+// Every contract a plan touches is owner-gated; fail before the first transaction, not midway
+async function assertOwner(config, changes, signer) {
+  const contracts = new Map();
+  for (const change of changes) {
+    const { contract, address } = change.action.startsWith('set')
+      ? config.policies[change.policy]
+      : config.guard;
+    contracts.set(address, contract);
+  }
+  const account = await signer.getAddress();
+  for (const [address, contract] of contracts) {
+    const owner = await new ethers.Contract(address, loadAbi(contract), signer).owner();
+    if (owner !== account) {
+      throw new Error(`${account} is not the owner of ${contract} ${address} (owner ${owner})`);
+    }
+  }
+}
+
+/**
+ * Send the transactions for a plan from `planPolicyChanges`, one change at a time.
+ * @returns {Promise<object[]>} The changes with their `transactionHash`
+ */
+async function applyPolicyChanges(config, changes, { signer, onChange = () => {} }) {
+  await assertOwner(config, changes, signer);
+  const guard = new ethers.Contract(config.guard.address, loadAbi(config.guard.contract), signer);
+  const applied = [];
+  for (const change of changes) {
+    let tx;
+    if (change.action === 'register') {
+      tx = guard.registerPolicy(change.address);
+    } else if (change.action === 'remove') {
+      tx = guard.removePolicy(change.address);
+    } else if (change.action === 'bind') {
+      tx = guard.bindPolicies(change.tokenId, change.addresses);
+    } else if (change.action === 'setGuard' || change.action === 'setLimit') {
+      const { contract } = config.policies[change.policy];
+      const policy = new ethers.Contract(change.address, loadAbi(contract), signer);
+      tx =
+        change.action === 'setGuard'
+          ? policy.setGuard(change.guard)
+          : policy.setLimit(change.tokenId, change.limit);
+    } else {
+      throw new Error(`Unknown policy change ${change.action}`);
+    }
+    const { transactionHash } = await sendTransaction(tx);
+    applied.push({ ...change, transactionHash });
+    await onChange(applied[applied.length - 1]);
+  }
+  return applied;
+}
+
+module.exports = {
+  DEFAULT_GUARD_CONTRACT,
+  checkAddress,
+  hasFunctions,
+  policiesPath,
+  expandTokenIds,
+  parsePolicyConfig,
+  loadPolicyConfig,
+  resolveAddresses,
+  deployPolicies,
+  planPolicyChanges,
+  applyPolicyChanges,
+};
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../sdk');
+const { DEPLOYMENTS_DIR, loadRegistry } = require('../../sdk/deployments');
+const { impersonate } = require('./fork');
+
+// Owner-only functions a batch may call, by artifact name
+const ADMIN_FUNCTIONS = {
+  BAP578: [
+    'setTreasury',
+    'setPaused',
+    'setFreeMintsPerUser',
+    'grantAdditionalFreeMints',
+    'setFreeMintDistributor',
+    'emergencyWithdraw',
+    'upgradeTo',
+    'upgradeToAndCall',
+    'transferOwnership',
+  ],
+  NFA: [
+    'setSignerAddress',
+    'setAllowedLogicContract',
+    'setMintLimitPerAddress',
+    'setPaused',
+    'setBaseURI',
+    'withdraw',
+    'transferOwnership',
+  ],
+  PolicyGuardExample: ['registerPolicy', 'removePolicy', 'bindPolicies', 'setExecutor'],
+  FreeMintCampaigns: ['setCampaign', 'transferOwnership'],
+};
+
+// Version of the Safe Transaction Builder app whose JSON format the export follows
+const TX_BUILDER_VERSION = '1.16.5';
+
+/**
+ * Parse and validate a batch of owner operations (YAML or JSON):
+ *
+ *   name: Rotate treasury
+ *   description: optional
+ *   safe: 0x...                       # optional, defaults to the owner of the targets
+ *   transactions:
+ *     - contract: BAP578              # registry name on this chain
+ *       function: setTreasury
+ *       args: [0x...]
+ *     - contract: PolicyGuardExample
+ *       address: 0x...                # when the contract is not in the registry
+ *       function: bindPolicies
+ *       args: [1, [$SpendingLimitExample]]
+ *
+ * `$Name` arguments are replaced by the address recorded in the registry.
+ * @returns {{name: string, description: string, safe: (string|undefined),
+ *   transactions: Array<{contract: string, address: (string|undefined), function: string,
+ *   args: Array, value: string}>}}
+ */
+function parseSafeBatch(batch) {
+  if (!batch || typeof batch !== 'object' || !Array.isArray(batch.transactions)) {
+    throw new Error('Safe batch must be an object with a `transactions` list');
+  }
+  const errors = [];
+  const checkAddress = (value, label) => {
+    try {
+      return ethers.utils.getAddress(value);
+    } catch (error) {
+      errors.push(`${label}: ${value} is not a valid address`);
+      return undefined;
+    }
+  };
+
+  if (!batch.transactions.length) errors.push('transactions: at least one is required');
+  const transactions = batch.transactions.map((tx, index) => {
+    const label = `transactions[${index}]`;
+    const { contract, address, args = [], value = '0' } = tx || {};
+    const fn = tx && tx.function;
+    if (!contract) errors.push(`${label}.contract: required`);
+    if (!fn) errors.push(`${label}.function: required`);
+    if (!Array.isArray(args)) errors.push(`${label}.args: must be a list`);
+    if (!/^[0-9]+$/.test(String(value))) {
+      errors.push(`${label}.value: ${value} is not an amount in wei`);
+    }
+    return {
+      contract,
+      address: address && checkAddress(address, `${label}.address`),
+      function: fn,
+      args: Array.isArray(args) ? args : [],
+      value: String(value),
+    };
+  });
+
+  const safe = batch.safe && checkAddress(batch.safe, 'safe');
+
+  if (errors.length) {
+    throw new Error(`Invalid Safe batch:\n  - ${errors.join('\n  - ')}`);
+  }
+  return {
+    name: batch.name || 'Admin batch',
+    description: batch.description || '',
+    safe,
+    transactions,
+  };
+}
+
+function loadSafeBatch(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  return parseSafeBatch(/\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content));
+}
+
+/**
+ * Default export file next to the batch: `treasury.yaml` -> `treasury.safe.json`.
+ */
+function defaultExportPath(file) {
+  const { dir, name } = path.parse(file);
+  return path.join(dir, `${name}.safe.json`);
+}
+
+function resolveArg(arg, contracts) {
+  if (Array.isArray(arg)) return arg.map((item) => resolveArg(item, contracts));
+  if (typeof arg !== 'string' || !arg.startsWith('$')) return arg;
+  const entry = contracts[arg.slice(1)];
+  if (!entry) throw new Error(`unknown contract ${arg}`);
+  return entry.address;
+}
+
+/**
+ * Turn a parsed batch into calls: target address, ABI fragment, resolved arguments and
+ * calldata. Targets come from the chain's registry entry unless given an address. Only the
+ * functions in ADMIN_FUNCTIONS are accepted, so a typo cannot turn into an arbitrary call.
+ *
+ * @returns {Array<{contract: string, artifact: string, to: string, fragment: object,
+ *   inputs: object[], args: Array, value: string, data: string}>}
+ */
+function resolveSafeBatch(batch, chainId, dir = DEPLOYMENTS_DIR) {
+  const chain = loadRegistry(dir)[chainId];
+  const contracts = (chain && chain.contracts) || {};
+  const errors = [];
+  const calls = [];
+  for (const [index, tx] of batch.transactions.entries()) {
+    const label = `transactions[${index}] ${tx.contract}.${tx.function}`;
+    const recorded = contracts[tx.contract];
+    const artifact = recorded ? recorded.contract : tx.contract;
+    const to = tx.address || (recorded && recorded.address);
+    if (!to) {
+      errors.push(`${label}: ${tx.contract} is not deployed on chain ${chainId}; pass address`);
+      continue;
+    }
+    const allowed = ADMIN_FUNCTIONS[artifact];
+    if (!allowed) {
+      errors.push(`${label}: no owner operations known for ${artifact}`);
+      continue;
+    }
+    if (!allowed.includes(tx.function)) {
+      errors.push(`${label}: not an owner operation of ${artifact} (${allowed.join(', ')})`);
+      continue;
+    }
+    try {
+      const abi = loadAbi(artifact);
+      const iface = new ethers.utils.Interface(abi);
+      const fragment = iface.getFunction(tx.function);
+      const args = tx.args.map((arg) => resolveArg(arg, contracts));
+      if (tx.value !== '0' && !fragment.payable) {
+        throw new Error('value sent to a function that is not payable');
+      }
+      calls.push({
+        contract: tx.contract,
+        artifact,
+        to,
+        fragment,
+        // Raw ABI inputs keep `internalType`, which the Transaction Builder shows
+        inputs: abi.find((item) => item.type === 'function' && item.name === tx.function).inputs,
+        args,
+        value: tx.value,
+        data: iface.encodeFunctionData(fragment, args),
+      });
+    } catch (error) {
+      errors.push(`${label}: ${error.reason || error.message}`);
+    }
+  }
+  if (errors.length) {
+    throw new Error(`Invalid Safe batch:\n  - ${errors.join('\n  - ')}`);
+  }
+  return calls;
+}
+
+/**
+ * The account the batch is executed from: `safe` when given, otherwise the common owner of
+ * every target. Fails when a target is owned by another account, since its call would revert.
+ */
+async function resolveSafe(provider, calls, safe) {
+  const owners = {};
+  for (const { to } of calls) {
+    if (owners[to]) continue;
+    const contract = new ethers.Contract(to, ['function owner() view returns (address)'], provider);
+    owners[to] = await contract.owner();
+  }
+  const account = safe || Object.values(owners)[0];
+  const foreign = Object.entries(owners).filter(([, owner]) => owner !== account);
+  if (foreign.length) {
+    const list = foreign.map(([to, owner]) => `${to} is owned by ${owner}`).join(', ');
+    throw new Error(`Every target must be owned by the Safe ${account}: ${list}`);
+  }
+  return account;
+}
+
+// Revert reason of a failed call, without ethers' wrapping
+function revertReason(error) {
+  const message = (error.error && error.error.message) || error.reason || error.message;
+  const match = /reverted with reason string '(.*)'/.exec(message);
+  return match ? match[1] : message;
+}
+
+/**
+ * Execute the calls in order as `safe` on the Hardhat network (usually a fork), the way a Safe
+ * MultiSend would, and roll the chain back afterwards. The first failing call fails the batch,
+ * as it would on-chain; the calls after it are reported as skipped.
+ *
+ * @returns {Promise<{ok: boolean, results: Array<{status: ('ok'|'reverted'|'skipped'),
+ *   gasUsed: (string|undefined), events: (string[]|undefined), error: (string|undefined)}>}>}
+ */
+async function simulateSafeBatch(hre, safe, calls) {
+  const snapshot = await hre.network.provider.send('evm_snapshot');
+  const results = [];
+  try {
+    const signer = await impersonate(hre, safe);
+    let failed = false;
+    for (const call of calls) {
+      if (failed) {
+        results.push({ status: 'skipped' });
+        continue;
+      }
+      try {
+        const tx = await signer.sendTransaction({
+          to: call.to,
+          data: call.data,
+          value: call.value,
+        });
+        const receipt = await tx.wait();
+        const iface = new ethers.utils.Interface(loadAbi(call.artifact));
+        const events = receipt.logs
+          .filter((log) => log.address === call.to)
+          .map((log) => {
+            try {
+              return iface.parseLog(log).name;
+            } catch (error) {
+              return log.topics[0];
+            }
+          });
+        results.push({ status: 'ok', gasUsed: receipt.gasUsed.toString(), events });
+      } catch (error) {
+        failed = true;
+        results.push({ status: 'reverted', error: revertReason(error) });
+      }
+    }
+    return { ok: !failed, results };
+  } finally {
+    await hre.network.provider.send('hardhat_stopImpersonatingAccount', [safe]);
+    await hre.network.provider.send('evm_revert', [snapshot]);
+  }
+}
+
+// Transaction Builder input values are strings; arrays are written as JSON
+function inputValue(value) {
+  if (Array.isArray(value)) return JSON.stringify(value.map(inputValue));
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  return String(value);
+}
+
+/**
+ * Safe Transaction Builder batch file ("Load" in the Transaction Builder app). Calls whose
+ * inputs are all named carry the method and its inputs so the app shows them decoded;
+ * others carry raw calldata.
+ */
+function buildSafeTransactionBatch({
+  chainId,
+  safe,
+  name,
+  description,
+  calls,
+  createdAt = Date.now(),
+}) {
+  return {
+    version: '1.0',
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safe,
+      createdFromOwnerAddress: '',
+    },
+    transactions: calls.map(({ to, value, data, fragment, inputs, args }) => {
+      const named = inputs.every((input) => input.name);
+      if (!named) {
+        return { to, value, data, contractMethod: null, contractInputsValues: null };
+      }
+      return {
+        to,
+        value,
+        data: null,
+        contractMethod: {
+          inputs: inputs.map((input) => ({
+            internalType: input.internalType,
+            name: input.name,
+            type: input.type,
+          })),
+          name: fragment.name,
+          payable: fragment.payable,
+        },
+        contractInputsValues: Object.fromEntries(
+          inputs.map((input, i) => [input.name, inputValue(args[i])]),
+        ),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  ADMIN_FUNCTIONS,
+  TX_BUILDER_VERSION,
+  parseSafeBatch,
+  loadSafeBatch,
+  defaultExportPath,
+  resolveSafeBatch,
+  resolveSafe,
+  simulateSafeBatch,
+  buildSafeTransactionBatch,
+};
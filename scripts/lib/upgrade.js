@@ -0,0 +1,158 @@
+const {
+  Manifest,
+  DeploymentNotFound,
+  getStorageLayout,
+  getStorageLayoutForAddress,
+  getUnlinkedBytecode,
+  getVersion,
+} = require('@openzeppelin/upgrades-core');
+const { readValidations } = require('@openzeppelin/hardhat-upgrades/dist/utils/validations');
+
+function typeLabel(layout, type) {
+  return (layout.types[type] && layout.types[type].label) || type;
+}
+
+function slotKey(item) {
+  return `${item.slot}:${item.offset || 0}`;
+}
+
+/**
+ * Compare two storage layouts variable by variable, keyed by slot and offset.
+ * @returns {Array<{status: ('unchanged'|'added'|'removed'|'changed'), slot: string,
+ *   offset: number, before: (object|undefined), after: (object|undefined)}>}
+ */
+function diffStorageLayout(current, next) {
+  const describe = (layout, item) => ({
+    label: item.label,
+    type: typeLabel(layout, item.type),
+    contract: item.contract,
+  });
+  const before = new Map(current.storage.map((item) => [slotKey(item), describe(current, item)]));
+  const after = new Map(next.storage.map((item) => [slotKey(item), describe(next, item)]));
+
+  const keys = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => {
+    const [slotA, offsetA] = a.split(':').map(BigInt);
+    const [slotB, offsetB] = b.split(':').map(BigInt);
+    if (slotA !== slotB) return slotA < slotB ? -1 : 1;
+    return Number(offsetA - offsetB);
+  });
+
+  return keys.map((key) => {
+    const [slot, offset] = key.split(':');
+    const a = before.get(key);
+    const b = after.get(key);
+    let status = 'unchanged';
+    if (!a) status = 'added';
+    else if (!b) status = 'removed';
+    else if (a.label !== b.label || a.type !== b.type) status = 'changed';
+    return { status, slot, offset: Number(offset), before: a, after: b };
+  });
+}
+
+/**
+ * Storage layouts of the proxy's current implementation (from the network manifest in
+ * `.openzeppelin/`) and of the new implementation factory (from the compiled sources).
+ * Throws `DeploymentNotFound` when the current implementation is not in the manifest.
+ */
+async function getStorageLayouts(hre, proxyAddress, factory) {
+  const { provider } = hre.network;
+  const validations = await readValidations(hre);
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const manifest = await Manifest.forNetwork(provider);
+  await manifest.getDeploymentFromAddress(implementation);
+  const current = await getStorageLayoutForAddress(manifest, validations, implementation);
+
+  const version = getVersion(getUnlinkedBytecode(validations, factory.bytecode), factory.bytecode);
+  const next = getStorageLayout(validations, version);
+  return { implementation, current, next };
+}
+
+/**
+ * Validate, diff and perform a UUPS upgrade of the proxy in `deployment`.
+ *
+ * @param {object} hre Hardhat runtime
+ * @param {object} options
+ * @param {object} options.deployment Deployment record with `proxy`
+ * @param {string} options.contractName New implementation contract
+ * @param {ethers.Signer} options.signer Proxy owner
+ * @param {string} [options.reference] Contract matching the current implementation, imported
+ *        into the manifest when the proxy was not deployed from this machine
+ * @param {Function} [options.onDiff] Called with the storage diff before the upgrade is validated
+ * @returns {Promise<{previousImplementation: string, implementation: string, diff: object[],
+ *   transactionHash: (string|undefined)}>}
+ */
+async function upgradeDeployment(
+  hre,
+  { deployment, contractName, signer, reference, onDiff = () => {} },
+) {
+  const { upgrades, ethers } = hre;
+  const factory = await ethers.getContractFactory(contractName, signer);
+  const opts = { kind: 'uups' };
+
+  let layouts;
+  try {
+    layouts = await getStorageLayouts(hre, deployment.proxy, factory);
+  } catch (error) {
+    if (!(error instanceof DeploymentNotFound)) throw error;
+    if (!reference) {
+      throw new Error(
+        `The current implementation of ${deployment.proxy} is not in the .openzeppelin manifest ` +
+          'for this network. Pass --reference <Contract> with the contract it was deployed from.',
+      );
+    }
+    await upgrades.forceImport(
+      deployment.proxy,
+      await ethers.getContractFactory(reference, signer),
+      opts,
+    );
+    layouts = await getStorageLayouts(hre, deployment.proxy, factory);
+  }
+
+  const diff = diffStorageLayout(layouts.current, layouts.next);
+  await onDiff(diff);
+  // Throws on unsafe patterns and incompatible storage, before anything is deployed
+  await upgrades.validateUpgrade(deployment.proxy, factory, opts);
+
+  const upgraded = await upgrades.upgradeProxy(deployment.proxy, factory, opts);
+  await upgraded.deployed();
+  const implementation = await upgrades.erc1967.getImplementationAddress(deployment.proxy);
+  return {
+    previousImplementation: layouts.implementation,
+    implementation,
+    diff,
+    transactionHash: upgraded.deployTransaction && upgraded.deployTransaction.hash,
+  };
+}
+
+/**
+ * Deployment record after an upgrade: `implementation` points at the new contract and
+ * `history` keeps every previous one.
+ */
+function recordUpgrade(
+  deployment,
+  { contractName, previousImplementation, implementation, transactionHash, upgrader },
+) {
+  return {
+    ...deployment,
+    contract: contractName,
+    implementation,
+    history: [
+      ...(deployment.history || []),
+      {
+        contract: contractName,
+        previousImplementation,
+        implementation,
+        transactionHash,
+        upgrader,
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+module.exports = {
+  diffStorageLayout,
+  getStorageLayouts,
+  upgradeDeployment,
+  recordUpgrade,
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { DEPLOYMENTS_DIR, loadRegistry } = require('../../sdk/deployments');
+const { loadNetworkDeployment } = require('./deploy');
+
+const EXPLORERS = {
+  56: 'https://bscscan.com',
+  97: 'https://testnet.bscscan.com',
+};
+
+/**
+ * Registry entry of the network Hardhat is connected to. Deployments made before the registry
+ * existed only contribute their BAP578 proxy.
+ */
+function loadVerificationChain(hre, dir = DEPLOYMENTS_DIR) {
+  const { chainId } = hre.network.config;
+  const chain = loadRegistry(dir)[chainId];
+  if (chain) return chain;
+  const deployment = loadNetworkDeployment(hre, hre.network.name, dir);
+  return {
+    chainId,
+    network: hre.network.name,
+    contracts: {
+      BAP578: {
+        contract: deployment.contract || 'BAP578',
+        kind: 'uups',
+        address: deployment.proxy,
+        implementation: deployment.implementation,
+      },
+    },
+  };
+}
+
+/**
+ * Source-verifiable contracts of a registry chain entry, with the constructor arguments they
+ * were deployed with. UUPS entries contribute their implementation; the ERC-1967 proxy itself is
+ * compiled by the upgrades plugin, and explorers link it to the implementation on their own.
+ *
+ * @returns {Promise<Array<{name: string, contract: string, address: string,
+ *   constructorArgs: Array, proxy: (string|undefined)}>>} `contract` is the fully qualified name
+ */
+async function verificationTargets(hre, chain) {
+  const targets = [];
+  for (const [name, entry] of Object.entries(chain.contracts)) {
+    const { sourceName, contractName } = await hre.artifacts.readArtifact(entry.contract);
+    const contract = `${sourceName}:${contractName}`;
+    if (entry.kind === 'uups') {
+      targets.push({
+        name,
+        contract,
+        address: entry.implementation,
+        constructorArgs: [],
+        proxy: entry.address,
+      });
+    } else {
+      targets.push({
+        name,
+        contract,
+        address: entry.address,
+        constructorArgs: entry.constructorArgs,
+      });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Verify a target on the block explorer configured under `etherscan`, falling back to Sourcify
+ * when the explorer API fails. An already verified contract counts as verified.
+ * @returns {Promise<{service: ('explorer'|'sourcify'), explorerError: (string|undefined)}>}
+ */
+async function verifyContract(hre, target, { sourcify = true } = {}) {
+  const { address, contract, constructorArgs } = target;
+  let explorerError;
+  try {
+    await hre.run('verify:etherscan', {
+      address,
+      constructorArgsParams: constructorArgs,
+      contract,
+      libraries: {},
+    });
+    return { service: 'explorer' };
+  } catch (error) {
+    explorerError = error.message;
+  }
+  if (!sourcify) {
+    throw new Error(`${target.name}: explorer verification failed: ${explorerError}`);
+  }
+  try {
+    await hre.run('verify:sourcify', { address, contract, libraries: {} });
+  } catch (error) {
+    throw new Error(
+      `${target.name}: explorer verification failed: ${explorerError}\n` +
+        `Sourcify verification failed: ${error.message}`,
+    );
+  }
+  return { service: 'sourcify', explorerError };
+}
+
+/**
+ * Write the standard-JSON input a target was compiled from, for manual verification with
+ * "Solidity (Standard-Json-Input)". Only the sources the contract depends on are included; the
+ * settings (optimizer runs, viaIR, evmVersion) are the ones of the Hardhat config.
+ *
+ * @returns {Promise<{file: string, compilerVersion: string, settings: object,
+ *   encodedConstructorArgs: string}>} `encodedConstructorArgs` is ABI-encoded without `0x`,
+ *   as explorers ask for it
+ */
+async function exportStandardJson(hre, target, dir) {
+  const [sourceName] = target.contract.split(':');
+  const input = await hre.run('verify:etherscan-get-minimal-input', { sourceName });
+  const buildInfo = await hre.artifacts.getBuildInfo(target.contract);
+  const { abi } = await hre.artifacts.readArtifact(target.contract);
+
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${target.name}.input.json`);
+  fs.writeFileSync(file, JSON.stringify(input, null, 2));
+  return {
+    file,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    settings: {
+      optimizer: input.settings.optimizer,
+      viaIR: Boolean(input.settings.viaIR),
+      evmVersion: input.settings.evmVersion,
+    },
+    encodedConstructorArgs: new ethers.utils.Interface(abi)
+      .encodeDeploy(target.constructorArgs)
+      .slice(2),
+  };
+}
+
+module.exports = {
+  EXPLORERS,
+  loadVerificationChain,
+  verificationTargets,
+  verifyContract,
+  exportStandardJson,
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCommand, printUsage, runCommand, toJSON } = require('./lib/cli');
+const {
+  METADATA_OPTIONS,
+  metadataFromOptions,
+  assertValidPersona,
+  checkMetadata,
+  buildTokenMetadata,
+} = require('./lib/agentMetadata');
+const { PERSONA_SCHEMA, validatePersona, computeVaultHash } = require('../sdk');
+
+function readPersona(options) {
+  if (options.file) return fs.readFileSync(options.file, 'utf8');
+  if (options.persona) return options.persona;
+  throw new Error('Pass --persona <json> or --file <path>');
+}
+
+const COMMANDS = {
+  build: {
+    description: 'Build OpenSea-compatible token JSON from AgentMetadata fields',
+    options: {
+      ...METADATA_OPTIONS,
+      name: { type: 'string' },
+      'token-id': { type: 'string' },
+      image: { type: 'string' },
+      'external-url': { type: 'string' },
+      out: { type: 'string' },
+    },
+    run: (ctx, o) => {
+      const metadata = metadataFromOptions(o);
+      assertValidPersona(metadata.persona);
+      const document = buildTokenMetadata(metadata, {
+        name: o.name,
+        tokenId: o['token-id'],
+        image: o.image,
+        externalUrl: o['external-url'],
+      });
+      if (o.out) {
+        fs.mkdirSync(path.dirname(path.resolve(o.out)), { recursive: true });
+        fs.writeFileSync(o.out, JSON.stringify(document, null, 2));
+      }
+      return { document, out: o.out };
+    },
+    report: (r) =>
+      console.log(
+        r.out ? `✅ Token JSON written to ${r.out}` : JSON.stringify(r.document, null, 2),
+      ),
+  },
+  'validate-persona': {
+    description: 'Validate a persona against the published JSON Schema',
+    options: { persona: { type: 'string' }, file: { type: 'string' } },
+    run: (ctx, o) => {
+      const { valid, errors } = validatePersona(readPersona(o));
+      if (!valid) {
+        throw new Error(`Persona does not match the schema:\n  - ${errors.join('\n  - ')}`);
+      }
+      return { valid };
+    },
+    report: () => console.log('✅ Persona matches the schema'),
+  },
+  check: {
+    description: 'Check that the document at a metadata URI matches the AgentMetadata fields',
+    options: { uri: { type: 'string' }, ...METADATA_OPTIONS },
+    required: ['uri'],
+    run: async (ctx, o) => {
+      await checkMetadata(o.uri, metadataFromOptions(o));
+      return { uri: o.uri, valid: true };
+    },
+    report: () => console.log('✅ Metadata URI matches the agent metadata'),
+  },
+  'vault-hash': {
+    description: 'Compute the vaultHash of a vault JSON file or directory (Merkle root)',
+    options: { path: { type: 'string' } },
+    required: ['path'],
+    run: (ctx, o) => ({ path: o.path, ...computeVaultHash(o.path) }),
+    report: (r) => {
+      console.log(`🔐 ${r.type === 'merkle' ? 'Merkle root' : 'Vault hash'}: ${r.hash}`);
+      for (const file of r.files || []) {
+        console.log(`  - ${file.path}: ${file.hash}`);
+      }
+    },
+  },
+  schema: {
+    description: 'Print the persona JSON Schema',
+    options: {},
+    run: () => PERSONA_SCHEMA,
+    report: (r) => console.log(toJSON(r)),
+  },
+};
+
+async function main() {
+  const cli = parseCommand(process.argv.slice(2), COMMANDS);
+  if (!cli || cli.name === 'help') {
+    printUsage('scripts/metadata.js', COMMANDS, { interactive: false });
+    return;
+  }
+  await runCommand({}, cli);
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,362 @@
+const { selectNetworkFromArgv, parseCommand, printUsage, runCommand } = require('./lib/cli');
+
+selectNetworkFromArgv();
+
+const hre = require('hardhat');
+const { simulatePolicies, policyTypeName, loadAbi } = require('../sdk');
+const { registryPath, loadRegistry, updateChain } = require('../sdk/deployments');
+const { sendTransaction } = require('../sdk/transactions');
+const { JsonStore } = require('../services/indexer');
+const {
+  DEFAULT_GUARD_CONTRACT,
+  policiesPath,
+  loadPolicyConfig,
+  resolveAddresses,
+  deployPolicies,
+  planPolicyChanges,
+  applyPolicyChanges,
+} = require('./lib/policyConfig');
+const { loadNetworkDeployment } = require('./lib/deploy');
+
+// Limits-style policies share SpendingLimitExample's admin interface
+const LIMIT_ABI = [
+  'function limits(uint256 tokenId) view returns (uint256)',
+  'function setLimit(uint256 tokenId, uint256 limit)',
+];
+
+function parseJSONArray(value, option) {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON for --${option}: ${error.message}`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error(`--${option} must be a JSON array`);
+  }
+  return parsed;
+}
+
+function formatBNB(wei) {
+  return hre.ethers.utils.formatEther(wei);
+}
+
+// The agent contract defaults to this network's BAP578 proxy when it has been deployed
+function defaultNfa() {
+  try {
+    return loadNetworkDeployment(hre).proxy;
+  } catch (error) {
+    return hre.ethers.constants.AddressZero;
+  }
+}
+
+// `policy deploy` keeps its record in this chain's `policies` entry of the deployment registry.
+// Without one, the guard deployed by scripts/deploy.js or an older <network>_policies.json is
+// used.
+function recordStore() {
+  const { chainId } = hre.network.config;
+  return {
+    file: registryPath(),
+    read() {
+      const chain = loadRegistry()[chainId];
+      if (chain && chain.policies) return chain.policies;
+      const deployed = chain && chain.contracts[DEFAULT_GUARD_CONTRACT];
+      if (!deployed) return new JsonStore({ file: policiesPath(hre.network.name) }).read();
+      return {
+        network: hre.network.name,
+        chainId,
+        guard: { contract: deployed.contract, address: deployed.address },
+        policies: {},
+      };
+    },
+    write(record) {
+      updateChain(chainId, hre.network.name, (chain) => {
+        chain.policies = record;
+      });
+    },
+  };
+}
+
+function loadConfig(file) {
+  return resolveAddresses(loadPolicyConfig(file), recordStore().read() || undefined);
+}
+
+// --guard, or the guard recorded in the registry for this network
+function guardContract(ctx, address) {
+  const record = recordStore().read();
+  const guard = address || (record && record.guard && record.guard.address);
+  if (!guard) {
+    throw new Error(`Pass --guard or run \`policy deploy\` on ${hre.network.name} first`);
+  }
+  const contract = address ? DEFAULT_GUARD_CONTRACT : record.guard.contract;
+  return new hre.ethers.Contract(guard, loadAbi(contract), ctx.signer || hre.ethers.provider);
+}
+
+async function describePolicy(address, tokenId) {
+  const policy = new hre.ethers.Contract(
+    address,
+    [...loadAbi('IPolicy'), LIMIT_ABI[0]],
+    hre.ethers.provider,
+  );
+  const [policyType, renterConfigurable, limit] = await Promise.all([
+    policy.policyType().catch(() => null),
+    policy.renterConfigurable().catch(() => null),
+    tokenId === undefined ? null : policy.limits(tokenId).catch(() => null),
+  ]);
+  return {
+    address,
+    policyType,
+    typeName: policyType ? policyTypeName(policyType) : 'unknown',
+    renterConfigurable,
+    ...(limit ? { limit: limit.toString() } : {}),
+  };
+}
+
+function reportPolicy(policy) {
+  const limit = policy.limit === undefined ? '' : ` (limit ${formatBNB(policy.limit)} BNB)`;
+  console.log(`  - ${policy.typeName} ${policy.address}${limit}`);
+}
+
+function describeChange(change) {
+  switch (change.action) {
+    case 'register':
+      return `register ${change.policy} ${change.address}`;
+    case 'remove':
+      return `remove ${change.address}`;
+    case 'setGuard':
+      return `point ${change.policy} at guard ${change.guard}`;
+    case 'setLimit':
+      return (
+        `set ${change.policy} limit for token #${change.tokenId}: ` +
+        `${formatBNB(change.current)} -> ${formatBNB(change.limit)} BNB`
+      );
+    case 'bind':
+      return (
+        `bind token #${change.tokenId}: [${change.current.join(', ')}] -> ` +
+        `[${change.policies.join(', ')}]`
+      );
+    default:
+      return change.action;
+  }
+}
+
+function reportChanges(changes, applied) {
+  if (changes.length === 0) {
+    console.log('✅ On-chain policies already match the config');
+    return;
+  }
+  console.log(`${applied ? '✅ Applied' : '📝 Planned'} ${changes.length} change(s):`);
+  for (const change of changes) {
+    console.log(`  - ${describeChange(change)}`);
+  }
+}
+
+const CONFIG_OPTIONS = { config: { type: 'string' }, prune: { type: 'boolean', default: false } };
+
+const COMMANDS = {
+  deploy: {
+    description: 'Deploy the guard and policies missing from a YAML/JSON config and register them',
+    options: { config: { type: 'string' } },
+    required: ['config'],
+    run: async (ctx, o) => {
+      const store = recordStore();
+      const result = await deployPolicies(hre, {
+        config: loadPolicyConfig(o.config),
+        store,
+        signer: ctx.signer,
+      });
+      return { ...result, file: store.file };
+    },
+    report: (r) => {
+      const deployed = [
+        ...(r.record.guard ? [['guard', r.record.guard]] : []),
+        ...Object.entries(r.record.policies),
+      ];
+      for (const [name, { contract, address }] of deployed) {
+        const fresh = r.deployed.includes(name) ? ' (deployed)' : '';
+        console.log(`📦 ${name}: ${contract} at ${address}${fresh}`);
+      }
+      console.log(`🔗 Registered: ${r.registered.length ? r.registered.join(', ') : 'none new'}`);
+      console.log('💾 Addresses saved to:', r.file);
+    },
+  },
+  plan: {
+    description: 'Diff a YAML/JSON policy config against the on-chain state',
+    options: CONFIG_OPTIONS,
+    required: ['config'],
+    run: (ctx, o) =>
+      planPolicyChanges(hre.ethers.provider, loadConfig(o.config), { prune: o.prune }),
+    report: (changes) => reportChanges(changes, false),
+  },
+  apply: {
+    description: 'Register, set limits and bind policies so the chain matches a config',
+    options: CONFIG_OPTIONS,
+    required: ['config'],
+    run: async (ctx, o) => {
+      const config = loadConfig(o.config);
+      const changes = await planPolicyChanges(hre.ethers.provider, config, { prune: o.prune });
+      return applyPolicyChanges(config, changes, {
+        signer: ctx.signer,
+        onChange: o.json ? undefined : (change) => console.log(`⏳ ${describeChange(change)}`),
+      });
+    },
+    report: (changes) => reportChanges(changes, true),
+  },
+  list: {
+    description: 'List the policies registered on the guard',
+    options: { guard: { type: 'string' } },
+    run: async (ctx, o) => {
+      const guard = guardContract(ctx, o.guard);
+      const policies = await guard.getRegisteredPolicies();
+      return {
+        guard: guard.address,
+        policies: await Promise.all(policies.map((address) => describePolicy(address))),
+      };
+    },
+    report: (r) => {
+      console.log(`🛡️  ${r.policies.length} policies registered on ${r.guard}`);
+      r.policies.forEach(reportPolicy);
+    },
+  },
+  show: {
+    description: 'Show the policies bound to a token and their limits',
+    options: { guard: { type: 'string' }, 'token-id': { type: 'string' } },
+    required: ['token-id'],
+    run: async (ctx, o) => {
+      const guard = guardContract(ctx, o.guard);
+      const tokenId = o['token-id'];
+      const policies = await guard.getBoundPolicies(tokenId);
+      return {
+        guard: guard.address,
+        tokenId,
+        policies: await Promise.all(policies.map((address) => describePolicy(address, tokenId))),
+      };
+    },
+    report: (r) => {
+      if (r.policies.length === 0) {
+        console.log(`⚠️  No policies bound to token #${r.tokenId}: every action is blocked`);
+        return;
+      }
+      console.log(`🛡️  Token #${r.tokenId} policies:`);
+      r.policies.forEach(reportPolicy);
+    },
+  },
+  register: {
+    description: 'Register a policy contract on the guard',
+    options: { guard: { type: 'string' }, policy: { type: 'string' } },
+    required: ['policy'],
+    run: (ctx, o) => sendTransaction(guardContract(ctx, o.guard).registerPolicy(o.policy)),
+    report: (r) => console.log('✅ Policy registered, tx:', r.transactionHash),
+  },
+  remove: {
+    description: 'Remove a policy contract from the guard registry',
+    options: { guard: { type: 'string' }, policy: { type: 'string' } },
+    required: ['policy'],
+    run: (ctx, o) => sendTransaction(guardContract(ctx, o.guard).removePolicy(o.policy)),
+    report: (r) => console.log('✅ Policy removed, tx:', r.transactionHash),
+  },
+  bind: {
+    description: 'Replace the policies bound to a token (comma-separated addresses)',
+    options: {
+      guard: { type: 'string' },
+      'token-id': { type: 'string' },
+      policies: { type: 'string' },
+    },
+    required: ['token-id', 'policies'],
+    run: (ctx, o) => {
+      const policies = o.policies
+        .split(',')
+        .map((address) => address.trim())
+        .filter(Boolean);
+      return sendTransaction(guardContract(ctx, o.guard).bindPolicies(o['token-id'], policies));
+    },
+    report: (r) => console.log('✅ Policies bound, tx:', r.transactionHash),
+  },
+  'set-limit': {
+    description: "Set a token's per-action limit (BNB) on a SpendingLimit policy",
+    options: {
+      policy: { type: 'string' },
+      'token-id': { type: 'string' },
+      limit: { type: 'string' },
+    },
+    required: ['policy', 'token-id', 'limit'],
+    run: (ctx, o) => {
+      const policy = new hre.ethers.Contract(o.policy, LIMIT_ABI, ctx.signer);
+      return sendTransaction(policy.setLimit(o['token-id'], hre.ethers.utils.parseEther(o.limit)));
+    },
+    report: (r) => console.log('✅ Limit set, tx:', r.transactionHash),
+  },
+  simulate: {
+    description:
+      'Dry-run an action through PolicyGuardExample.validate and every bound IPolicy.check',
+    options: {
+      guard: { type: 'string' },
+      'token-id': { type: 'string' },
+      target: { type: 'string' },
+      value: { type: 'string', default: '0' },
+      data: { type: 'string' },
+      signature: { type: 'string' },
+      args: { type: 'string' },
+      caller: { type: 'string' },
+      nfa: { type: 'string' },
+      'agent-account': { type: 'string' },
+      block: { type: 'string' },
+    },
+    required: ['token-id', 'target'],
+    run: async (ctx, o) => {
+      if (o.data !== undefined && o.signature !== undefined) {
+        throw new Error('Pass either --data or --signature, not both');
+      }
+      if (o.args !== undefined && o.signature === undefined) {
+        throw new Error('--args requires --signature');
+      }
+      return simulatePolicies({
+        guard: guardContract(ctx, o.guard).address,
+        provider: hre.ethers.provider,
+        tokenId: o['token-id'],
+        target: o.target,
+        value: hre.ethers.utils.parseEther(o.value),
+        data: o.data,
+        signature: o.signature,
+        args: o.args === undefined ? [] : parseJSONArray(o.args, 'args'),
+        caller: o.caller || (ctx.signer ? ctx.signer.address : undefined),
+        nfa: o.nfa || defaultNfa(),
+        agentAccount: o['agent-account'],
+        blockTag: o.block === undefined ? 'latest' : Number(o.block),
+      });
+    },
+    report: (r) => {
+      console.log(
+        `\n🛡️  Token #${r.tokenId} calling ${r.target} (selector ${r.selector}, ` +
+          `${formatBNB(r.value)} BNB)`,
+      );
+      if (r.allowed) {
+        console.log('✅ Allowed by the guard');
+      } else {
+        console.log(`⛔ Blocked by the guard: ${r.reason || '(no reason)'}`);
+      }
+      if (r.policies.length === 0) return;
+      console.log('\nBound policies:');
+      for (const policy of r.policies) {
+        const verdict = policy.ok ? '✅ pass' : `⛔ ${policy.reverted ? 'reverted' : 'reject'}`;
+        const reason = policy.ok ? '' : `: ${policy.reason || '(no reason)'}`;
+        console.log(`  ${verdict} ${policy.typeName} ${policy.address}${reason}`);
+      }
+    },
+  },
+};
+
+async function main() {
+  const cli = parseCommand(process.argv.slice(2), COMMANDS);
+  if (!cli || cli.name === 'help') {
+    printUsage('scripts/policy.js', COMMANDS, { interactive: false });
+    return;
+  }
+  const [signer] = await hre.ethers.getSigners();
+  await runCommand({ signer }, cli);
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+const { parseArgs } = require('util');
+const fs = require('fs');
+const { toJSON } = require('./lib/cli');
+
+const OPTIONS = {
+  network: { type: 'string', default: 'localhost' },
+  batch: { type: 'string' },
+  safe: { type: 'string' },
+  out: { type: 'string' },
+  'fork-block': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const { values: options } = parseArgs({ args: process.argv.slice(2), options: OPTIONS });
+
+// The batch is simulated on a fork of the target network in the in-process Hardhat network
+process.env.HARDHAT_NETWORK = 'hardhat';
+
+const hre = require('hardhat');
+const { forkNetwork } = require('./lib/fork');
+const {
+  loadSafeBatch,
+  defaultExportPath,
+  resolveSafeBatch,
+  resolveSafe,
+  simulateSafeBatch,
+  buildSafeTransactionBatch,
+} = require('./lib/safeBatch');
+
+const STATUS_SYMBOLS = { ok: '✅', reverted: '❌', skipped: '⏭️' };
+
+function printUsage() {
+  console.log('Usage: node scripts/safe-batch.js --batch <file> [options] [--network <name>]');
+  console.log('\nTurns a YAML/JSON list of owner operations into an unsigned Safe Transaction');
+  console.log('Builder batch, after executing it as the Safe on a local fork of the network.');
+  console.log('\nOptions:');
+  console.log('  --batch <file>         Owner operations to export (see README)');
+  console.log('  --safe <address>       Safe owning the contracts (default: their owner)');
+  console.log('  --out <file>           Batch file to write (default <batch>.safe.json)');
+  console.log('  --fork-block <n>       Block to fork from (default latest)');
+  console.log('  --json                 Print the result as JSON');
+}
+
+function describeCall({ contract, fragment, args, value }) {
+  const call = `${contract}.${fragment.name}(${args.map((arg) => JSON.stringify(arg)).join(', ')})`;
+  return value === '0' ? call : `${call} {value: ${value}}`;
+}
+
+function reportSimulation(calls, { results }) {
+  console.log('\n🧪 Simulation:');
+  results.forEach((result, i) => {
+    console.log(`  ${STATUS_SYMBOLS[result.status]} ${i + 1}. ${describeCall(calls[i])}`);
+    if (result.status === 'ok') {
+      const events = result.events.length ? `, events: ${result.events.join(', ')}` : '';
+      console.log(`       gas ${result.gasUsed}${events}`);
+    } else if (result.error) {
+      console.log(`       ${result.error}`);
+    }
+  });
+}
+
+async function main() {
+  if (options.help) {
+    printUsage();
+    return;
+  }
+  if (!options.batch) {
+    throw new Error('--batch is required');
+  }
+
+  const { network } = options;
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Unknown network ${network}`);
+  }
+  const batch = loadSafeBatch(options.batch);
+  const calls = resolveSafeBatch(batch, networkConfig.chainId);
+  if (network !== 'hardhat') {
+    await forkNetwork(hre, network, options['fork-block']);
+  }
+  const safe = await resolveSafe(hre.ethers.provider, calls, options.safe || batch.safe);
+
+  if (!options.json) {
+    console.log(`\n🔐 ${batch.name}: ${calls.length} transactions from ${safe} on ${network}`);
+  }
+  const simulation = await simulateSafeBatch(hre, safe, calls);
+  if (!options.json) {
+    reportSimulation(calls, simulation);
+  }
+
+  let file;
+  if (simulation.ok) {
+    file = options.out || defaultExportPath(options.batch);
+    const exported = buildSafeTransactionBatch({
+      chainId: networkConfig.chainId,
+      safe,
+      name: batch.name,
+      description: batch.description,
+      calls,
+    });
+    fs.writeFileSync(file, `${JSON.stringify(exported, null, 2)}\n`);
+  }
+
+  if (options.json) {
+    console.log(
+      toJSON({
+        network,
+        safe,
+        ok: simulation.ok,
+        transactions: calls.map((call, i) => ({
+          call: describeCall(call),
+          to: call.to,
+          ...simulation.results[i],
+        })),
+        file,
+      }),
+    );
+  } else if (file) {
+    console.log('\n💾 Transaction Builder batch saved to:', file);
+    console.log('   Load it in the Safe app (Apps > Transaction Builder) to propose it.');
+  } else {
+    console.log('\n🛑 Nothing exported: the batch would revert when executed by the Safe');
+  }
+  if (!simulation.ok) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,148 @@
+const { parseArgs } = require('util');
+const { toJSON } = require('./lib/cli');
+
+const OPTIONS = {
+  network: { type: 'string', default: 'localhost' },
+  contract: { type: 'string', default: 'BAP578' },
+  reference: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  'fork-block': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const { values: options } = parseArgs({ args: process.argv.slice(2), options: OPTIONS });
+
+// A dry run forks the target network into the in-process Hardhat network
+process.env.HARDHAT_NETWORK = options['dry-run'] ? 'hardhat' : options.network;
+
+const hre = require('hardhat');
+const { BAP578Client, saveDeployment } = require('../sdk');
+const { upgradeDeployment, recordUpgrade } = require('./lib/upgrade');
+const { loadNetworkDeployment } = require('./lib/deploy');
+const { forkNetwork, impersonate } = require('./lib/fork');
+
+const DIFF_SYMBOLS = { added: '+', removed: '-', changed: '~' };
+
+function printUsage() {
+  console.log('Usage: node scripts/upgrade.js [options] [--network <name>]');
+  console.log(
+    "\nUpgrades the network's BAP578 proxy in deployments/registry.json after validating the",
+  );
+  console.log('new implementation and printing the storage layout diff.');
+  console.log('\nOptions:');
+  console.log('  --contract <name>      New implementation contract (default BAP578)');
+  console.log('  --reference <name>     Contract the current implementation was deployed from,');
+  console.log('                         when it is missing from the .openzeppelin manifest');
+  console.log('  --dry-run              Run the upgrade on a local fork of the network instead');
+  console.log('  --fork-block <n>       Block to fork from with --dry-run (default latest)');
+  console.log('  --json                 Print the result as JSON');
+}
+
+function formatVariable({ label, type }) {
+  return `${label} (${type})`;
+}
+
+function reportDiff(diff) {
+  console.log('\n📐 Storage layout diff:');
+  const changes = diff.filter((entry) => entry.status !== 'unchanged');
+  for (const { status, slot, offset, before, after } of changes) {
+    const position = `slot ${slot}${offset ? `+${offset}` : ''}`;
+    const variable =
+      status === 'changed'
+        ? `${formatVariable(before)} -> ${formatVariable(after)}`
+        : formatVariable(before || after);
+    console.log(`  ${DIFF_SYMBOLS[status]} ${position.padEnd(14)} ${variable}`);
+  }
+  console.log(`  ${diff.length - changes.length} variables unchanged`);
+}
+
+// On a fork the owner's key is not available, so the upgrade is sent as the impersonated owner
+async function getOwnerSigner(proxy) {
+  const { owner } = await new BAP578Client({
+    address: proxy,
+    signerOrProvider: hre.ethers.provider,
+  }).getContractInfo();
+
+  if (options['dry-run']) {
+    return impersonate(hre, owner);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  if (signer.address !== owner) {
+    throw new Error(`${signer.address} is not the proxy owner ${owner}`);
+  }
+  return signer;
+}
+
+async function main() {
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const { network } = options;
+  const deployment = loadNetworkDeployment(hre, network);
+  if (options['dry-run']) {
+    await forkNetwork(hre, network, options['fork-block']);
+  }
+  const signer = await getOwnerSigner(deployment.proxy);
+
+  if (!options.json) {
+    console.log(
+      `\n🔧 Upgrading ${deployment.proxy} on ${network}${options['dry-run'] ? ' (dry run on a fork)' : ''}`,
+    );
+    console.log('👤 Owner:', signer.address);
+    console.log('📝 New implementation:', options.contract);
+  }
+
+  const result = await upgradeDeployment(hre, {
+    deployment,
+    contractName: options.contract,
+    signer,
+    reference: options.reference,
+    onDiff: options.json ? undefined : reportDiff,
+  });
+
+  // The proxy must still serve the existing state through the new implementation
+  const info = await new BAP578Client({
+    address: deployment.proxy,
+    signerOrProvider: signer,
+  }).getContractInfo();
+
+  let deploymentFile;
+  if (!options['dry-run']) {
+    deploymentFile = saveDeployment(
+      recordUpgrade(deployment, {
+        contractName: options.contract,
+        ...result,
+        upgrader: signer.address,
+      }),
+    );
+  }
+
+  if (options.json) {
+    console.log(
+      toJSON({ network, proxy: deployment.proxy, dryRun: options['dry-run'], ...result, info }),
+    );
+    return;
+  }
+  console.log('\n✅ Upgrade validated and executed');
+  console.log('- Previous implementation:', result.previousImplementation);
+  console.log('- New implementation:', result.implementation);
+  console.log(
+    `- State: ${info.name} (${info.symbol}), ${info.totalSupply} agents, owner ${info.owner}`,
+  );
+  if (deploymentFile) {
+    console.log('\n💾 Deployment history updated in:', deploymentFile);
+  } else {
+    console.log('\n🧪 Dry run only: nothing was sent to', network);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
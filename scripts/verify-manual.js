@@ -1,101 +1,92 @@
 const hre = require('hardhat');
 const fs = require('fs');
+const path = require('path');
+const { DEPLOYMENTS_DIR } = require('../sdk/deployments');
+const {
+  EXPLORERS,
+  loadVerificationChain,
+  verificationTargets,
+  exportStandardJson,
+} = require('./lib/verify');
 
 async function main() {
   console.log('\n📝 Manual Verification Instructions for BSCScan\n');
 
   // Load deployment info
   const network = hre.network.name;
-  const deploymentPath = `./deployments/${network}_deployment.json`;
-
-  if (!fs.existsSync(deploymentPath)) {
+  let chain;
+  try {
+    chain = loadVerificationChain(hre);
+  } catch (error) {
     console.log('❌ No deployment found for network:', network);
     process.exit(1);
   }
 
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-
-  console.log('============================================');
-  console.log('DEPLOYED CONTRACT ADDRESSES');
-  console.log('============================================');
-  console.log('Proxy Address:', deployment.proxy);
-  console.log('Implementation Address:', deployment.implementation);
-  console.log('Treasury Address:', deployment.treasury);
-  console.log('');
-
-  const isTestnet = network === 'testnet' || network === 'bscTestnet';
-  const explorerUrl = isTestnet ? 'https://testnet.bscscan.com' : 'https://bscscan.com';
+  const explorerUrl = EXPLORERS[chain.chainId] || 'https://bscscan.com';
+  const outputDir = path.join(DEPLOYMENTS_DIR, 'verification', String(chain.chainId));
+  const targets = await verificationTargets(hre, chain);
 
   console.log('============================================');
-  console.log('STEP 1: VERIFY IMPLEMENTATION CONTRACT');
+  console.log('STEP 1: VERIFY EACH CONTRACT');
   console.log('============================================');
-  console.log(`1. Go to: ${explorerUrl}/address/${deployment.implementation}#code`);
-  console.log("2. Click 'Verify and Publish'");
-  console.log('3. Use these settings:');
-  console.log('   - Compiler Type: Solidity (Single file)');
-  console.log('   - Compiler Version: v0.8.20+commit.a1b79de6');
+  console.log("Open the contract's page, click 'Verify and Publish' and choose:");
+  console.log('   - Compiler Type: Solidity (Standard-Json-Input)');
   console.log('   - Open Source License Type: MIT');
-  console.log('');
+  console.log('Then upload the exported input file and paste the constructor arguments.');
 
-  // Try to verify implementation automatically
-  try {
-    console.log('Attempting automatic verification of implementation...');
-    await hre.run('verify:verify', {
-      address: deployment.implementation,
-      constructorArguments: [],
-    });
-    console.log('✅ Implementation verified automatically!');
-  } catch (error) {
-    if (error.message.includes('Already Verified')) {
-      console.log('✅ Implementation already verified!');
-    } else {
-      console.log('⚠️  Auto-verification failed. Please verify manually using the link above.');
-    }
+  for (const target of targets) {
+    const exported = await exportStandardJson(hre, target, outputDir);
+    const { optimizer, viaIR, evmVersion } = exported.settings;
+    console.log('');
+    console.log(`${target.name} (${target.contract})`);
+    console.log(`   - Page: ${explorerUrl}/address/${target.address}#code`);
+    console.log(`   - Compiler Version: ${exported.compilerVersion}`);
+    console.log(
+      `   - Settings: optimizer ${optimizer.enabled ? `${optimizer.runs} runs` : 'off'}, ` +
+        `viaIR ${viaIR}, EVM ${evmVersion}`,
+    );
+    console.log(`   - Standard-JSON input: ${path.relative(process.cwd(), exported.file)}`);
+    console.log(
+      `   - Constructor arguments (ABI-encoded): ${exported.encodedConstructorArgs || 'none'}`,
+    );
   }
-
-  console.log('');
-  console.log('============================================');
-  console.log('STEP 2: MARK PROXY AS PROXY CONTRACT');
-  console.log('============================================');
-  console.log(`1. Go to: ${explorerUrl}/proxycontractchecker`);
-  console.log(`2. Enter Proxy Address: ${deployment.proxy}`);
-  console.log("3. Click 'Verify'");
-  console.log('');
-  console.log('OR');
-  console.log('');
-  console.log(`1. Go to: ${explorerUrl}/address/${deployment.proxy}#code`);
-  console.log("2. Click 'Is this a proxy?' link");
-  console.log("3. Click 'Verify' on the proxy verification page");
-  console.log('');
-
-  console.log('============================================');
-  console.log('STEP 3: LINK PROXY TO IMPLEMENTATION');
-  console.log('============================================');
-  console.log('After marking as proxy, BSCScan should automatically detect:');
-  console.log(`- Implementation: ${deployment.implementation}`);
-  console.log('- Proxy Type: EIP-1967');
-  console.log('');
-  console.log('If not detected automatically:');
-  console.log(`1. Enter Implementation Address: ${deployment.implementation}`);
-  console.log("2. Select 'EIP-1967' as proxy type");
-  console.log("3. Click 'Save'");
   console.log('');
 
-  console.log('============================================');
-  console.log('VERIFICATION COMPLETE!');
-  console.log('============================================');
-  console.log("Once verified, you'll see:");
-  console.log("- 'Read as Proxy' tab");
-  console.log("- 'Write as Proxy' tab");
-  console.log('');
-  console.log(`Contract Page: ${explorerUrl}/address/${deployment.proxy}`);
-  console.log('');
+  const proxies = targets.filter((target) => target.proxy);
+  for (const { name, proxy, address } of proxies) {
+    console.log('============================================');
+    console.log(`STEP 2: MARK THE ${name} PROXY AS PROXY CONTRACT`);
+    console.log('============================================');
+    console.log(`1. Go to: ${explorerUrl}/proxycontractchecker`);
+    console.log(`2. Enter Proxy Address: ${proxy}`);
+    console.log("3. Click 'Verify'");
+    console.log('');
+    console.log('OR');
+    console.log('');
+    console.log(`1. Go to: ${explorerUrl}/address/${proxy}#code`);
+    console.log("2. Click 'Is this a proxy?' link");
+    console.log("3. Click 'Verify' on the proxy verification page");
+    console.log('');
+    console.log('BSCScan should automatically detect:');
+    console.log(`- Implementation: ${address}`);
+    console.log('- Proxy Type: EIP-1967');
+    console.log('');
+    console.log('If not detected automatically:');
+    console.log(`1. Enter Implementation Address: ${address}`);
+    console.log("2. Select 'EIP-1967' as proxy type");
+    console.log("3. Click 'Save'");
+    console.log('');
+    console.log("Once verified, you'll see 'Read as Proxy' and 'Write as Proxy' tabs at:");
+    console.log(`${explorerUrl}/address/${proxy}`);
+    console.log('');
+  }
 
   console.log('============================================');
   console.log('IMPORTANT ADDRESSES');
   console.log('============================================');
-  console.log(`Main Contract (for users): ${deployment.proxy}`);
-  console.log(`Implementation (logic): ${deployment.implementation}`);
+  for (const { name, proxy, address } of targets) {
+    console.log(`${name}: ${proxy || address}${proxy ? ` (implementation ${address})` : ''}`);
+  }
   console.log('');
 
   // Generate ABI for manual interaction
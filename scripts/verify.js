@@ -1,81 +1,70 @@
 const hre = require('hardhat');
-const fs = require('fs');
+const { registryPath } = require('../sdk');
+const {
+  EXPLORERS,
+  loadVerificationChain,
+  verificationTargets,
+  verifyContract,
+} = require('./lib/verify');
 
 async function main() {
-  console.log('\n🔍 Starting contract verification on BSCScan...\n');
+  console.log('\n🔍 Starting contract verification...\n');
 
   // Load deployment info
   const network = hre.network.name;
-  const deploymentPath = `./deployments/${network}_deployment.json`;
-
-  if (!fs.existsSync(deploymentPath)) {
+  let chain;
+  try {
+    chain = loadVerificationChain(hre);
+  } catch (error) {
     console.log('❌ No deployment found for network:', network);
     console.log('Please deploy first: npm run deploy:', network);
     process.exit(1);
   }
+  console.log('📄 Deployment loaded from:', registryPath());
 
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  console.log('📄 Deployment loaded from:', deploymentPath);
-  console.log('🔗 Proxy address:', deployment.proxy);
-  console.log('📝 Implementation address:', deployment.implementation);
-  console.log('🏦 Treasury address:', deployment.treasury);
-
-  try {
-    // Verify implementation contract using new hardhat-verify
-    console.log('\n1️⃣ Verifying implementation contract...');
+  const targets = await verificationTargets(hre, chain);
+  const failed = [];
+  for (const [index, target] of targets.entries()) {
+    console.log(`\n[${index + 1}/${targets.length}] ${target.name} (${target.contract})`);
+    console.log('   Address:', target.address);
+    if (target.constructorArgs.length) {
+      console.log('   Constructor arguments:', JSON.stringify(target.constructorArgs));
+    }
     try {
-      await hre.run('verify:verify', {
-        address: deployment.implementation,
-        constructorArguments: [],
-        contract: 'contracts/BAP578.sol:BAP578',
-      });
-      console.log('✅ Implementation verified!');
-    } catch (error) {
-      if (
-        error.message.includes('Already Verified') ||
-        error.message.includes('already verified')
-      ) {
-        console.log('✅ Implementation already verified!');
+      const { service, explorerError } = await verifyContract(hre, target);
+      if (service === 'sourcify') {
+        console.log(`⚠️ Explorer verification failed: ${explorerError}`);
+        console.log(`✅ ${target.name} verified on Sourcify`);
       } else {
-        console.log('⚠️ Implementation verification failed:', error.message);
+        console.log(`✅ ${target.name} verified`);
       }
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      failed.push(target.name);
     }
+  }
 
-    // Note: Proxy verification usually needs manual steps on BSCScan
-    console.log('\n2️⃣ Proxy contract verification:');
-    console.log('⚠️ Proxy contracts often require manual verification on BSCScan');
-    console.log('Please follow these steps:');
-    console.log(`1. Go to: https://testnet.bscscan.com/proxycontractchecker`);
-    console.log(`2. Enter proxy address: ${deployment.proxy}`);
-    console.log(`3. BSCScan should auto-detect implementation: ${deployment.implementation}`);
-
-    console.log('\n✨ Verification process complete!');
-    console.log('\n📋 Contract Information:');
-    console.log('- Main Contract (Proxy):', deployment.proxy);
-    console.log('- Implementation:', deployment.implementation);
-    console.log('- Network:', network);
-    console.log('- Explorer URL:');
-
-    if (network === 'testnet' || network === 'bscTestnet') {
-      console.log(`  https://testnet.bscscan.com/address/${deployment.proxy}`);
-      console.log('\n💡 You can also manually verify at:');
-      console.log(`  https://testnet.bscscan.com/proxycontractchecker?a=${deployment.proxy}`);
-    } else if (network === 'mainnet' || network === 'bscMainnet') {
-      console.log(`  https://bscscan.com/address/${deployment.proxy}`);
-      console.log('\n💡 You can also manually verify at:');
-      console.log(`  https://bscscan.com/proxycontractchecker?a=${deployment.proxy}`);
+  const explorer = EXPLORERS[chain.chainId];
+  const proxies = targets.filter((target) => target.proxy);
+  if (proxies.length) {
+    // The proxy is recognised once its implementation is verified
+    console.log('\n🔗 Proxy contracts:');
+    for (const { name, proxy, address } of proxies) {
+      console.log(`- ${name}: ${proxy} -> implementation ${address}`);
+      if (explorer) {
+        console.log(`  Link it at: ${explorer}/proxycontractchecker?a=${proxy}`);
+      }
     }
+  }
 
-    console.log('\n📝 Notes:');
-    console.log('- Users should interact with the PROXY address:', deployment.proxy);
-    console.log('- The proxy automatically delegates calls to the implementation');
-    console.log("- BSCScan should auto-detect the proxy pattern and show 'Read/Write as Proxy'");
-  } catch (error) {
-    console.error('\n❌ Verification failed:', error);
-    console.log('\n💡 Tips:');
+  console.log(`\n✨ Verified ${targets.length - failed.length} of ${targets.length} contracts`);
+  if (failed.length) {
+    console.log(`\n💡 Not verified: ${failed.join(', ')}`);
     console.log('1. Make sure BSCSCAN_API_KEY is set in your .env file');
     console.log('2. Wait a few minutes after deployment before verifying');
-    console.log('3. Check if the contract is already verified on BSCScan');
+    console.log('3. Export the standard-JSON input and verify manually:');
+    console.log(`   npx hardhat run scripts/verify-manual.js --network ${network}`);
+    process.exit(1);
   }
 }
 
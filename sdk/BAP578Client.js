@@ -0,0 +1,326 @@
+const { ethers } = require('ethers');
+const { loadAbi } = require('./artifacts');
+const { loadDeployment } = require('./deployments');
+const { sendTransaction, findEvent } = require('./transactions');
+const { fundAgentToken } = require('./erc20');
+// BAP578.Status has the same lifecycle as CLAWNFA
+const { STATUS } = require('./CLAWNFAClient');
+
+const DEFAULT_METADATA = {
+  persona: '',
+  experience: '',
+  voiceHash: '',
+  animationURI: '',
+  vaultURI: '',
+  vaultHash: ethers.constants.HashZero,
+};
+
+/**
+ * @title BAP578Client
+ * @dev Thin wrapper around the BAP578 proxy for scripts and backend services.
+ *      Only depends on ethers, so it runs with or without the Hardhat runtime.
+ */
+class BAP578Client {
+  /**
+   * @param {object} options
+   * @param {string} options.address BAP578 proxy address
+   * @param {ethers.Signer|ethers.providers.Provider} options.signerOrProvider
+   * @param {Array} [options.abi] Override the ABI loaded from the Hardhat artifacts
+   */
+  constructor({ address, signerOrProvider, abi }) {
+    if (!address) {
+      throw new Error('BAP578Client: contract address is required');
+    }
+    this.contract = new ethers.Contract(address, abi || loadAbi('BAP578'), signerOrProvider);
+    this.address = this.contract.address;
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+  }
+
+  /**
+   * Build a client from a deployment record, deployment file path or network name.
+   */
+  static fromDeployment(deployment, signerOrProvider, options = {}) {
+    const record = loadDeployment(deployment, options.deploymentsDir);
+    return new BAP578Client({ address: record.proxy, signerOrProvider, abi: options.abi });
+  }
+
+  async signerAddress() {
+    if (!this.signer) {
+      throw new Error('BAP578Client: a signer is required for this operation');
+    }
+    return this.signer.getAddress();
+  }
+
+  // ============================================
+  // MINTING
+  // ============================================
+
+  /**
+   * Mint an agent, using a free mint when the signer has one left and paying
+   * MINT_FEE otherwise.
+   * `onSubmitted(tx)` runs before the receipt is awaited, so callers can record the
+   * transaction hash and pick it up with `getMintResult` after a crash.
+   * @returns {Promise<{tokenId: string, owner: string, freeMint: boolean, feePaid: string,
+   *   transactionHash: string, receipt: object}>}
+   */
+  async mintAgent({ to, logicAddress, metadataURI = '', metadata = {}, onSubmitted }) {
+    const sender = await this.signerAddress();
+    const freeMintsRemaining = await this.contract.getFreeMints(sender);
+    const freeMint = freeMintsRemaining.gt(0);
+    const fee = freeMint ? ethers.constants.Zero : await this.contract.MINT_FEE();
+
+    const tx = await this.contract.createAgent(
+      to || sender,
+      logicAddress || ethers.constants.AddressZero,
+      metadataURI,
+      { ...DEFAULT_METADATA, ...metadata },
+      { value: fee },
+    );
+    if (onSubmitted) await onSubmitted(tx);
+    const receipt = await tx.wait();
+    return { ...this._mintResult(receipt), freeMint, feePaid: fee.toString() };
+  }
+
+  /**
+   * Result of a previously submitted `createAgent` transaction.
+   * @returns {Promise<object|null>} Same shape as `mintAgent`, null while the transaction
+   *   is not mined
+   */
+  async getMintResult(transactionHash) {
+    const receipt = await this.provider.getTransactionReceipt(transactionHash);
+    if (!receipt) return null;
+    if (receipt.status === 0) {
+      throw new Error(`Transaction ${transactionHash} reverted`);
+    }
+    const result = this._mintResult(receipt);
+    const [tx, freeMint] = await Promise.all([
+      this.provider.getTransaction(transactionHash),
+      this.contract.isFreeMint(result.tokenId),
+    ]);
+    return { ...result, freeMint, feePaid: tx.value.toString() };
+  }
+
+  // ============================================
+  // AGENT MANAGEMENT
+  // ============================================
+
+  fund(tokenId, amount) {
+    return this._send(this.contract.fundAgent(tokenId, { value: amount }));
+  }
+
+  withdraw(tokenId, amount) {
+    return this._send(this.contract.withdrawFromAgent(tokenId, amount));
+  }
+
+  /**
+   * Deposit an ERC-20 token into an agent, approving the contract first when the allowance is
+   * too low. Pass `{ approve: false }` to manage approvals yourself.
+   */
+  fundToken(tokenId, token, amount, options) {
+    return fundAgentToken(this.contract, tokenId, token, amount, options);
+  }
+
+  withdrawToken(tokenId, token, amount) {
+    return this._send(this.contract.withdrawAgentToken(tokenId, token, amount));
+  }
+
+  setStatus(tokenId, active) {
+    return this._send(this.contract.setAgentStatus(tokenId, active));
+  }
+
+  pause(tokenId) {
+    return this._send(this.contract.pause(tokenId));
+  }
+
+  unpause(tokenId) {
+    return this._send(this.contract.unpause(tokenId));
+  }
+
+  /**
+   * Irreversibly terminate an agent. It can no longer be funded, but its balance can still be
+   * withdrawn.
+   */
+  terminate(tokenId) {
+    return this._send(this.contract.terminate(tokenId));
+  }
+
+  setLogicAddress(tokenId, logicAddress) {
+    return this._send(this.contract.setLogicAddress(tokenId, logicAddress));
+  }
+
+  updateMetadata(tokenId, metadataURI, metadata) {
+    return this._send(
+      this.contract.updateAgentMetadata(tokenId, metadataURI, { ...DEFAULT_METADATA, ...metadata }),
+    );
+  }
+
+  // ============================================
+  // RENTALS (ERC-4907)
+  // ============================================
+
+  /**
+   * Rent an agent to `user` until `expires` (UNIX seconds). The renter's rights end exactly at
+   * `expires`.
+   */
+  setUser(tokenId, user, expires) {
+    return this._send(this.contract.setUser(tokenId, user, expires));
+  }
+
+  endRental(tokenId) {
+    return this.setUser(tokenId, ethers.constants.AddressZero, 0);
+  }
+
+  // ============================================
+  // ADMIN
+  // ============================================
+
+  grantFreeMints(user, amount) {
+    return this._send(this.contract.grantAdditionalFreeMints(user, amount));
+  }
+
+  setTreasury(treasury) {
+    return this._send(this.contract.setTreasury(treasury));
+  }
+
+  setPaused(paused) {
+    return this._send(this.contract.setPaused(paused));
+  }
+
+  emergencyWithdraw() {
+    return this._send(this.contract.emergencyWithdraw());
+  }
+
+  // ============================================
+  // VIEWS
+  // ============================================
+
+  /**
+   * Agent state, extended metadata and token URI merged into one object.
+   */
+  async getAgent(tokenId) {
+    const [state, status, [metadata, metadataURI], isFreeMint] = await Promise.all([
+      this.contract.getAgentState(tokenId),
+      this.contract.getAgentStatus(tokenId),
+      this.contract.getAgentMetadata(tokenId),
+      this.contract.isFreeMint(tokenId),
+    ]);
+
+    return {
+      tokenId: tokenId.toString(),
+      owner: state.owner,
+      balance: state.balance.toString(),
+      active: state.active,
+      status: STATUS[status],
+      logicAddress: state.logicAddress,
+      createdAt: state.createdAt.toNumber(),
+      isFreeMint,
+      tokenURI: metadataURI,
+      metadata: {
+        persona: metadata.persona,
+        experience: metadata.experience,
+        voiceHash: metadata.voiceHash,
+        animationURI: metadata.animationURI,
+        vaultURI: metadata.vaultURI,
+        vaultHash: metadata.vaultHash,
+      },
+    };
+  }
+
+  /**
+   * ERC-20 balance an agent holds of `token`, in base units as a decimal string.
+   */
+  async getTokenBalance(tokenId, token) {
+    return (await this.contract.getAgentTokenBalance(tokenId, token)).toString();
+  }
+
+  /**
+   * Current renter of an agent. `user` is the zero address when it is not rented or the rental
+   * has expired; `expires` (a uint64, as a decimal string) is kept until the next rental.
+   */
+  async getRental(tokenId) {
+    const [user, expires] = await Promise.all([
+      this.contract.userOf(tokenId),
+      this.contract.userExpires(tokenId),
+    ]);
+    return {
+      tokenId: tokenId.toString(),
+      user,
+      expires: expires.toString(),
+      active: user !== ethers.constants.AddressZero,
+    };
+  }
+
+  async listAgentsOf(owner) {
+    const tokenIds = await this.contract.tokensOfOwner(owner);
+    return Promise.all(tokenIds.map((tokenId) => this.getAgent(tokenId)));
+  }
+
+  async getFreeMintStatus(user) {
+    const [claimed, bonus, remaining, freeMintsPerUser] = await Promise.all([
+      this.contract.freeMintsClaimed(user),
+      this.contract.bonusFreeMints(user),
+      this.contract.getFreeMints(user),
+      this.contract.freeMintsPerUser(),
+    ]);
+    return {
+      user,
+      claimed: claimed.toString(),
+      bonus: bonus.toString(),
+      remaining: remaining.toString(),
+      freeMintsPerUser: freeMintsPerUser.toString(),
+    };
+  }
+
+  async getContractInfo() {
+    const [name, symbol, totalSupply, owner, treasury, paused, mintFee, freeMintsPerUser] =
+      await Promise.all([
+        this.contract.name(),
+        this.contract.symbol(),
+        this.contract.getTotalSupply(),
+        this.contract.owner(),
+        this.contract.treasuryAddress(),
+        this.contract.paused(),
+        this.contract.MINT_FEE(),
+        this.contract.freeMintsPerUser(),
+      ]);
+    return {
+      address: this.address,
+      name,
+      symbol,
+      totalSupply: totalSupply.toString(),
+      owner,
+      treasury,
+      paused,
+      mintFee: mintFee.toString(),
+      freeMintsPerUser: freeMintsPerUser.toString(),
+    };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  findEvent(receipt, eventName) {
+    return findEvent(this.contract, receipt, eventName);
+  }
+
+  _mintResult(receipt) {
+    const event = this.findEvent(receipt, 'AgentCreated');
+    return {
+      tokenId: event.args.tokenId.toString(),
+      owner: event.args.owner,
+      transactionHash: receipt.transactionHash,
+      receipt,
+    };
+  }
+
+  _send(txPromise) {
+    return sendTransaction(txPromise);
+  }
+}
+
+module.exports = {
+  BAP578Client,
+  DEFAULT_METADATA,
+};
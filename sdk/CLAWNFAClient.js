@@ -0,0 +1,196 @@
+const { ethers } = require('ethers');
+const { loadAbi } = require('./artifacts');
+const { sendTransaction, findEvent } = require('./transactions');
+const { fundAgentToken } = require('./erc20');
+
+// Mirrors IBAP578.Status
+const STATUS = ['Active', 'Paused', 'Terminated'];
+
+const DEFAULT_MINT_REQUEST_TTL = 3600;
+
+const ERC20_BALANCE_ABI = ['function balanceOf(address account) view returns (uint256)'];
+
+/**
+ * @title CLAWNFAClient
+ * @dev Wrapper around the signature-gated CLAWNFA (`NFA`) contract.
+ */
+class CLAWNFAClient {
+  /**
+   * @param {object} options
+   * @param {string} options.address CLAWNFA contract address
+   * @param {ethers.Signer|ethers.providers.Provider} options.signerOrProvider
+   * @param {Array} [options.abi] Override the ABI loaded from the Hardhat artifacts
+   */
+  constructor({ address, signerOrProvider, abi }) {
+    if (!address) {
+      throw new Error('CLAWNFAClient: contract address is required');
+    }
+    this.contract = new ethers.Contract(address, abi || loadAbi('NFA'), signerOrProvider);
+    this.address = this.contract.address;
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+  }
+
+  async signerAddress() {
+    if (!this.signer) {
+      throw new Error('CLAWNFAClient: a signer is required for this operation');
+    }
+    return this.signer.getAddress();
+  }
+
+  // ============================================
+  // MINTING
+  // ============================================
+
+  async nonces(wallet) {
+    return (await this.contract.nonces(wallet)).toString();
+  }
+
+  canMint(wallet) {
+    return this.contract.canMint(wallet);
+  }
+
+  /**
+   * Everything `mint` checks for a wallet, read in one go.
+   */
+  async getMintEligibility(wallet) {
+    const [requiredToken, minTokenBalance, mintLimit, mintedCount, nonce, canMint] =
+      await Promise.all([
+        this.contract.REQUIRED_TOKEN(),
+        this.contract.MIN_TOKEN_BALANCE(),
+        this.contract.mintLimitPerAddress(),
+        this.contract.getMintedCount(wallet),
+        this.contract.nonces(wallet),
+        this.contract.canMint(wallet),
+      ]);
+    const token = new ethers.Contract(requiredToken, ERC20_BALANCE_ABI, this.provider);
+    const tokenBalance = await token.balanceOf(wallet);
+
+    return {
+      wallet: ethers.utils.getAddress(wallet),
+      canMint,
+      nonce: nonce.toString(),
+      mintedCount: mintedCount.toString(),
+      mintLimit: mintLimit.toString(),
+      requiredToken,
+      tokenBalance: tokenBalance.toString(),
+      minTokenBalance: minTokenBalance.toString(),
+    };
+  }
+
+  /**
+   * Build an unsigned MintRequest for `wallet` using its current nonce.
+   * The expiry is relative to the latest block so it also works on time-shifted dev chains.
+   */
+  async buildMintRequest(wallet, { ttl = DEFAULT_MINT_REQUEST_TTL } = {}) {
+    const [nonce, block] = await Promise.all([
+      this.nonces(wallet),
+      this.provider.getBlock('latest'),
+    ]);
+    return {
+      wallet: ethers.utils.getAddress(wallet),
+      nonce,
+      expiry: (block.timestamp + ttl).toString(),
+    };
+  }
+
+  /**
+   * Submit a signed MintRequest. The connected signer must be `request.wallet`.
+   * @returns {Promise<{tokenId: string, transactionHash: string, receipt: object}>}
+   */
+  async mint(request, signature) {
+    const { transactionHash, receipt } = await sendTransaction(
+      this.contract.mint(request, signature),
+    );
+    const event = findEvent(this.contract, receipt, 'Transfer');
+    return { tokenId: event.args.tokenId.toString(), transactionHash, receipt };
+  }
+
+  /**
+   * Fetch the nonce, have `mintSigner` (a ClawMintSigner or a service exposing
+   * the same `sign` method) sign the request and submit the mint.
+   */
+  async requestAndMint(mintSigner, options = {}) {
+    const request = await this.buildMintRequest(await this.signerAddress(), options);
+    const { signature } = await mintSigner.sign(request);
+    return this.mint(request, signature);
+  }
+
+  // ============================================
+  // AGENT ACTIONS
+  // ============================================
+
+  /**
+   * Run `data` against the agent's logic contract.
+   * @returns {Promise<{result: string, transactionHash: string, receipt: object}>}
+   */
+  async executeAction(tokenId, data) {
+    const { transactionHash, receipt } = await sendTransaction(
+      this.contract.executeAction(tokenId, data),
+    );
+    const event = findEvent(this.contract, receipt, 'AgentActionExecuted');
+    return { result: event.args.result, transactionHash, receipt };
+  }
+
+  pause(tokenId) {
+    return sendTransaction(this.contract.pause(tokenId));
+  }
+
+  unpause(tokenId) {
+    return sendTransaction(this.contract.unpause(tokenId));
+  }
+
+  terminate(tokenId) {
+    return sendTransaction(this.contract.terminate(tokenId));
+  }
+
+  fund(tokenId, amount) {
+    return sendTransaction(this.contract.fundAgent(tokenId, { value: amount }));
+  }
+
+  withdrawFromAgent(tokenId, amount) {
+    return sendTransaction(this.contract.withdrawFromAgent(tokenId, amount));
+  }
+
+  /**
+   * Deposit an ERC-20 token into an agent, approving the contract first when the allowance is
+   * too low. Pass `{ approve: false }` to manage approvals yourself.
+   */
+  fundToken(tokenId, token, amount, options) {
+    return fundAgentToken(this.contract, tokenId, token, amount, options);
+  }
+
+  withdrawToken(tokenId, token, amount) {
+    return sendTransaction(this.contract.withdrawAgentToken(tokenId, token, amount));
+  }
+
+  setLogicAddress(tokenId, logicAddress) {
+    return sendTransaction(this.contract.setLogicAddress(tokenId, logicAddress));
+  }
+
+  // ============================================
+  // VIEWS
+  // ============================================
+
+  async getState(tokenId) {
+    const state = await this.contract.getState(tokenId);
+    return {
+      tokenId: tokenId.toString(),
+      owner: state.owner,
+      balance: state.balance.toString(),
+      status: STATUS[state.status],
+      logicAddress: state.logicAddress,
+      lastActionTimestamp: state.lastActionTimestamp.toNumber(),
+    };
+  }
+
+  async getTokenBalance(tokenId, token) {
+    return (await this.contract.getAgentTokenBalance(tokenId, token)).toString();
+  }
+}
+
+module.exports = {
+  CLAWNFAClient,
+  STATUS,
+  DEFAULT_MINT_REQUEST_TTL,
+};
@@ -0,0 +1,89 @@
+const { ethers } = require('ethers');
+const { loadAbi } = require('./artifacts');
+const { sendTransaction, findEvent } = require('./transactions');
+
+/**
+ * Thrown when the agent's policies reject an action. `reason` is the guard's rejection reason.
+ */
+class PolicyRejectedError extends Error {
+  constructor(reason, { tokenId, target, transactionHash } = {}) {
+    super(`Action rejected by policy: ${reason || '(no reason)'}`);
+    this.reason = reason;
+    this.tokenId = tokenId;
+    this.target = target;
+    this.transactionHash = transactionHash;
+  }
+}
+
+/**
+ * @title GuardedExecutorClient
+ * @dev Wrapper around a GuardedExecutor, which runs agent actions through
+ *      PolicyGuard validate() and commit().
+ */
+class GuardedExecutorClient {
+  /**
+   * @param {object} options
+   * @param {string} options.address GuardedExecutor address
+   * @param {ethers.Signer|ethers.providers.Provider} options.signerOrProvider
+   * @param {Array} [options.abi] Override the ABI loaded from the Hardhat artifacts
+   */
+  constructor({ address, signerOrProvider, abi }) {
+    if (!address) {
+      throw new Error('GuardedExecutorClient: contract address is required');
+    }
+    this.contract = new ethers.Contract(
+      address,
+      abi || loadAbi('GuardedExecutor'),
+      signerOrProvider,
+    );
+    this.address = this.contract.address;
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+  }
+
+  async getInfo() {
+    const [nfa, guard] = await Promise.all([this.contract.nfa(), this.contract.guard()]);
+    return { address: this.address, nfa, guard };
+  }
+
+  /**
+   * Execute an action through the agent's policies.
+   *
+   * The action is simulated first, so a rejection throws `PolicyRejectedError` without sending
+   * a transaction. If the policies change before the transaction is mined, the executor records
+   * the rejection on-chain and refunds the value; that also throws `PolicyRejectedError`, with
+   * its `transactionHash`.
+   *
+   * @param {string|number} tokenId Agent acting
+   * @param {string} target Contract to call
+   * @param {ethers.BigNumberish} [value] Wei forwarded to the target
+   * @param {string} [data] Calldata
+   * @returns {Promise<{transactionHash: string, receipt: object, result: string}>}
+   */
+  async executeGuarded(tokenId, target, value = 0, data = '0x') {
+    if (!this.signer) {
+      throw new Error('GuardedExecutorClient: a signer is required for this operation');
+    }
+    const context = { tokenId: tokenId.toString(), target };
+
+    const preview = await this.contract.callStatic.execute(tokenId, target, data, { value });
+    if (!preview.allowed) {
+      throw new PolicyRejectedError(ethers.utils.toUtf8String(preview.result), context);
+    }
+
+    const { transactionHash, receipt } = await sendTransaction(
+      this.contract.execute(tokenId, target, data, { value }),
+    );
+    const validated = findEvent(this.contract, receipt, 'ActionValidated');
+    if (!validated.args.allowed) {
+      throw new PolicyRejectedError(validated.args.reason, { ...context, transactionHash });
+    }
+    const executed = findEvent(this.contract, receipt, 'ActionExecuted');
+    return { transactionHash, receipt, result: executed.args.result };
+  }
+}
+
+module.exports = {
+  GuardedExecutorClient,
+  PolicyRejectedError,
+};
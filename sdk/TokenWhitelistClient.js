@@ -0,0 +1,64 @@
+const { ethers } = require('ethers');
+const { loadAbi } = require('./artifacts');
+const { sendTransaction } = require('./transactions');
+
+/**
+ * @title TokenWhitelistClient
+ * @dev Wrapper around a TokenWhitelistExample policy. The policy owner sets each agent's token
+ *      ceiling; while the agent is rented, the renter enables tokens from it for that rental
+ *      only, so the renter's choices end exactly at userExpires.
+ */
+class TokenWhitelistClient {
+  /**
+   * @param {object} options
+   * @param {string} options.address TokenWhitelistExample address
+   * @param {ethers.Signer|ethers.providers.Provider} options.signerOrProvider
+   * @param {Array} [options.abi] Override the ABI loaded from the Hardhat artifacts
+   */
+  constructor({ address, signerOrProvider, abi }) {
+    if (!address) {
+      throw new Error('TokenWhitelistClient: contract address is required');
+    }
+    this.contract = new ethers.Contract(
+      address,
+      abi || loadAbi('TokenWhitelistExample'),
+      signerOrProvider,
+    );
+    this.address = this.contract.address;
+  }
+
+  async getInfo() {
+    const [nfa, owner] = await Promise.all([this.contract.nfa(), this.contract.owner()]);
+    return { address: this.address, nfa, owner };
+  }
+
+  /**
+   * Add or remove a token from an agent's ceiling (policy owner only).
+   */
+  setToken(tokenId, token, allowed) {
+    return sendTransaction(this.contract.setToken(tokenId, token, allowed));
+  }
+
+  /**
+   * Enable or disable a token for the current rental (current renter only, within the
+   * ceiling).
+   */
+  setRenterToken(tokenId, token, enabled) {
+    return sendTransaction(this.contract.setRenterToken(tokenId, token, enabled));
+  }
+
+  /**
+   * Whether `token` is in the agent's ceiling and, while it is rented, enabled by the renter.
+   */
+  async getToken(tokenId, token) {
+    const [allowed, renterEnabled] = await Promise.all([
+      this.contract.ceiling(tokenId, token),
+      this.contract.renterEnabled(tokenId, token),
+    ]);
+    return { tokenId: tokenId.toString(), token, allowed, renterEnabled };
+  }
+}
+
+module.exports = {
+  TokenWhitelistClient,
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', 'artifacts', 'contracts');
+
+const cache = new Map();
+
+function findArtifact(dir, contractName) {
+  if (!fs.existsSync(dir)) return null;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const found = findArtifact(entryPath, contractName);
+      if (found) return found;
+    } else if (entry.name === `${contractName}.json`) {
+      return entryPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the ABI of a compiled contract from the Hardhat artifacts folder.
+ * Works without the Hardhat runtime so backend services can share the SDK.
+ */
+function loadAbi(contractName, artifactsDir = ARTIFACTS_DIR) {
+  const key = `${artifactsDir}:${contractName}`;
+  if (!cache.has(key)) {
+    const artifactPath = findArtifact(artifactsDir, contractName);
+    if (!artifactPath) {
+      throw new Error(`Artifact for ${contractName} not found. Run \`npm run compile\` first.`);
+    }
+    cache.set(key, JSON.parse(fs.readFileSync(artifactPath, 'utf8')).abi);
+  }
+  return cache.get(key);
+}
+
+module.exports = {
+  ARTIFACTS_DIR,
+  loadAbi,
+};
@@ -0,0 +1,117 @@
+const { ethers } = require('ethers');
+
+// Must match NFA.NAME and the version hashed in NFA._buildDomainSeparator
+const DOMAIN_NAME = 'Non-Fungible Agent';
+const DOMAIN_VERSION = '1';
+
+const MINT_REQUEST_TYPES = {
+  MintRequest: [
+    { name: 'wallet', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+};
+
+const DOMAIN_ABI = ['function DOMAIN_SEPARATOR() view returns (bytes32)'];
+
+function buildDomain(contractAddress, chainId) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: contractAddress,
+  };
+}
+
+/**
+ * Resolve the EIP-712 domain of a deployed CLAWNFA contract and check it against
+ * the contract's DOMAIN_SEPARATOR, so a wrong chain or address fails before signing.
+ */
+async function resolveDomain(contractAddress, provider) {
+  const { chainId } = await provider.getNetwork();
+  const domain = buildDomain(contractAddress, chainId);
+
+  const contract = new ethers.Contract(contractAddress, DOMAIN_ABI, provider);
+  const onChain = await contract.DOMAIN_SEPARATOR();
+  const expected = ethers.utils._TypedDataEncoder.hashDomain(domain);
+  if (onChain !== expected) {
+    throw new Error(
+      `CLAWNFA: DOMAIN_SEPARATOR mismatch for ${contractAddress} (on-chain ${onChain}, expected ${expected})`,
+    );
+  }
+  return domain;
+}
+
+function normalizeRequest({ wallet, nonce, expiry }) {
+  return {
+    wallet: ethers.utils.getAddress(wallet),
+    nonce: ethers.BigNumber.from(nonce).toString(),
+    expiry: ethers.BigNumber.from(expiry).toString(),
+  };
+}
+
+/**
+ * Recover the address that signed a MintRequest.
+ */
+function recoverMintRequestSigner(domain, request, signature) {
+  return ethers.utils.verifyTypedData(
+    domain,
+    MINT_REQUEST_TYPES,
+    normalizeRequest(request),
+    signature,
+  );
+}
+
+/**
+ * @title ClawMintSigner
+ * @dev Signer-service helper that issues `MintRequest{wallet, nonce, expiry}` signatures
+ *      for `NFA.mint`. The wrapped signer must be the contract's `signerAddress`.
+ */
+class ClawMintSigner {
+  /**
+   * @param {object} options
+   * @param {ethers.Signer} options.signer Key registered as `signerAddress` on the contract
+   * @param {string} options.contractAddress CLAWNFA contract address
+   * @param {ethers.providers.Provider} [options.provider] Defaults to the signer's provider
+   */
+  constructor({ signer, contractAddress, provider }) {
+    if (!signer || !contractAddress) {
+      throw new Error('ClawMintSigner: signer and contractAddress are required');
+    }
+    this.signer = signer;
+    this.contractAddress = ethers.utils.getAddress(contractAddress);
+    this.provider = provider || signer.provider;
+    this._domain = null;
+  }
+
+  async domain() {
+    if (!this._domain) {
+      this._domain = await resolveDomain(this.contractAddress, this.provider);
+    }
+    return this._domain;
+  }
+
+  /**
+   * Sign a mint request.
+   * @returns {Promise<{request: {wallet: string, nonce: string, expiry: string}, signature: string}>}
+   */
+  async sign(request) {
+    const normalized = normalizeRequest(request);
+    const signature = await this.signer._signTypedData(
+      await this.domain(),
+      MINT_REQUEST_TYPES,
+      normalized,
+    );
+    return { request: normalized, signature };
+  }
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  MINT_REQUEST_TYPES,
+  buildDomain,
+  resolveDomain,
+  recoverMintRequestSigner,
+  ClawMintSigner,
+};
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+
+// Anchored on the repository, not the working directory, so services started elsewhere find it
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+const REGISTRY_FILE = 'registry.json';
+
+// Pre-registry record written by older versions of scripts/deploy.js
+function deploymentPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}_deployment.json`);
+}
+
+function registryPath(dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, REGISTRY_FILE);
+}
+
+/**
+ * Every deployment made by scripts/deploy.js, keyed by chainId:
+ *
+ *   { "97": { chainId, network, contracts: { BAP578: {...}, CLAWNFA: {...} },
+ *             seedAgents: [...], policies: {...} } }
+ *
+ * Each contract entry has `contract`, `address`, `constructorArgs`, `transactionHash`,
+ * `blockNumber`, `deployer` and `timestamp`; UUPS proxies add `kind`, `implementation`,
+ * `initializerArgs` and the upgrade `history`.
+ */
+function loadRegistry(dir = DEPLOYMENTS_DIR) {
+  const file = registryPath(dir);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveRegistry(registry, dir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = registryPath(dir);
+  // Write then rename so an interrupted deployment never leaves a truncated registry
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(registry, null, 2));
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+/**
+ * Read-modify-write the registry entry of one chain, creating it when missing.
+ * @param {Function} update Called with the chain entry, which it mutates
+ * @returns {string} The registry file
+ */
+function updateChain(chainId, network, update, dir = DEPLOYMENTS_DIR) {
+  const registry = loadRegistry(dir);
+  const chain = registry[chainId] || { chainId: Number(chainId), network, contracts: {} };
+  chain.network = network || chain.network;
+  update(chain);
+  registry[chainId] = chain;
+  return saveRegistry(registry, dir);
+}
+
+function recordContract(chainId, network, name, record, dir = DEPLOYMENTS_DIR) {
+  return updateChain(
+    chainId,
+    network,
+    (chain) => {
+      chain.contracts[name] = record;
+    },
+    dir,
+  );
+}
+
+// Chain entry for a chainId or, when it is not a number, the network it was deployed as
+function findChain(registry, source) {
+  if (/^\d+$/.test(String(source))) {
+    return registry[source] || null;
+  }
+  return Object.values(registry).find((chain) => chain.network === source) || null;
+}
+
+/**
+ * Registry entry of a contract deployed on a chain.
+ * @param {(number|string)} source chainId or network name
+ * @returns {object|null}
+ */
+function getDeployedContract(source, name, dir = DEPLOYMENTS_DIR) {
+  const chain = findChain(loadRegistry(dir), source);
+  return (chain && chain.contracts[name]) || null;
+}
+
+// The BAP578 proxy entry in the flat shape the scripts and the SDK work with
+function bap578Deployment(chain) {
+  const entry = chain.contracts.BAP578;
+  return {
+    network: chain.network,
+    chainId: chain.chainId,
+    proxy: entry.address,
+    contract: entry.contract,
+    implementation: entry.implementation,
+    deploymentBlock: entry.blockNumber,
+    treasury: entry.initializerArgs[2],
+    deployer: entry.deployer,
+    timestamp: entry.timestamp,
+    history: entry.history || [],
+  };
+}
+
+/**
+ * Load the BAP578 deployment record.
+ * Accepts a deployment object, a path to a deployment file, a chainId or a network name.
+ * ChainIds and network names are looked up in `deployments/registry.json`; a network name
+ * without a registry entry falls back to the older `deployments/<network>_deployment.json`.
+ */
+function loadDeployment(source, dir = DEPLOYMENTS_DIR) {
+  if (source && typeof source === 'object') {
+    return source;
+  }
+
+  let file = typeof source === 'string' && source.endsWith('.json') ? path.resolve(source) : null;
+  if (!file) {
+    const chain = findChain(loadRegistry(dir), source);
+    if (chain && chain.contracts.BAP578) {
+      return bap578Deployment(chain);
+    }
+    if (/^\d+$/.test(String(source))) {
+      throw new Error(`No BAP578 deployment for chain ${source} in ${registryPath(dir)}`);
+    }
+    file = deploymentPath(source, dir);
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment found for ${source} in ${registryPath(dir)} or ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write a BAP578 deployment record (e.g. after an upgrade) back to the registry under
+ * `deployment.chainId`. Records loaded from an older deployment file are migrated.
+ * @returns {string} The registry file
+ */
+function saveDeployment(deployment, dir = DEPLOYMENTS_DIR) {
+  if (deployment.chainId === undefined) {
+    throw new Error('saveDeployment: the deployment has no chainId');
+  }
+  return updateChain(
+    deployment.chainId,
+    deployment.network,
+    (chain) => {
+      // Older deploy.js versions always initialized with this name and symbol
+      const entry = chain.contracts.BAP578 || {
+        contract: 'BAP578',
+        address: deployment.proxy,
+        kind: 'uups',
+        initializerArgs: ['Non-Fungible Agents', 'NFA', deployment.treasury],
+        constructorArgs: [],
+        blockNumber: deployment.deploymentBlock,
+        deployer: deployment.deployer,
+        timestamp: deployment.timestamp,
+      };
+      chain.contracts.BAP578 = {
+        ...entry,
+        // The artifact the current implementation was built from, for verification
+        contract: deployment.contract || entry.contract,
+        address: deployment.proxy,
+        implementation: deployment.implementation,
+        history: deployment.history || [],
+      };
+    },
+    dir,
+  );
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  deploymentPath,
+  registryPath,
+  loadRegistry,
+  saveRegistry,
+  updateChain,
+  recordContract,
+  getDeployedContract,
+  loadDeployment,
+  saveDeployment,
+};
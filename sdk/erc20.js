@@ -0,0 +1,65 @@
+const { ethers } = require('ethers');
+const { sendTransaction, findEvent } = require('./transactions');
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+];
+
+/**
+ * Approve `spender` for `amount` of `token` unless the signer's allowance already covers it.
+ * Approves the exact amount, never an unlimited allowance.
+ * @returns {Promise<{transactionHash: string, receipt: object}|null>} The approval, null when
+ *   none was needed
+ */
+async function ensureAllowance(signer, token, spender, amount) {
+  const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+  const allowance = await erc20.allowance(await signer.getAddress(), spender);
+  if (allowance.gte(amount)) return null;
+  return sendTransaction(erc20.approve(spender, amount));
+}
+
+/**
+ * Deposit `amount` of an ERC-20 token into an agent through `contract.fundAgentToken`,
+ * approving the contract first when needed (`approve: false` skips that step).
+ * Works for any agent contract with the BAP578/CLAWNFA token funding functions.
+ * @returns {Promise<{amount: string, approval: object|null, transactionHash: string,
+ *   receipt: object}>} `amount` is what the agent was credited, which is less than requested
+ *   for fee-on-transfer tokens
+ */
+async function fundAgentToken(contract, tokenId, token, amount, { approve = true } = {}) {
+  if (!ethers.Signer.isSigner(contract.signer)) {
+    throw new Error('fundAgentToken: a signer is required for this operation');
+  }
+  const approval = approve
+    ? await ensureAllowance(contract.signer, token, contract.address, amount)
+    : null;
+  const { transactionHash, receipt } = await sendTransaction(
+    contract.fundAgentToken(tokenId, token, amount),
+  );
+  const event = findEvent(contract, receipt, 'AgentTokenFunded');
+  return { amount: event.args.amount.toString(), approval, transactionHash, receipt };
+}
+
+/**
+ * Symbol and decimals of a token, for display. Falls back to the address and 18 decimals for
+ * tokens without the optional metadata functions.
+ */
+async function getTokenInfo(token, provider) {
+  const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+  const [symbol, decimals] = await Promise.all([
+    erc20.symbol().catch(() => token),
+    erc20.decimals().catch(() => 18),
+  ]);
+  return { address: token, symbol, decimals };
+}
+
+module.exports = {
+  ERC20_ABI,
+  ensureAllowance,
+  fundAgentToken,
+  getTokenInfo,
+};
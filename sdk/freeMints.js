@@ -0,0 +1,77 @@
+const { ethers } = require('ethers');
+const { MerkleTree } = require('merkletreejs');
+
+const { keccak256, defaultAbiCoder } = ethers.utils;
+
+/**
+ * Leaf of a free mint allowlist entry, as FreeMintCampaigns.leaf() computes it:
+ * keccak256(bytes.concat(keccak256(abi.encode(account, amount)))).
+ */
+function hashFreeMintLeaf(account, amount) {
+  return keccak256(keccak256(defaultAbiCoder.encode(['address', 'uint256'], [account, amount])));
+}
+
+/**
+ * Build the Merkle tree of a free mint campaign from `[{address, amount}]`.
+ * Every entry is checked and all problems are reported together; an address may only be
+ * listed once because it can only claim once per campaign.
+ *
+ * @returns {{root: string, total: string, claims: Object<string, {amount: string,
+ *   proof: string[]}>}} `claims` is keyed by checksummed address
+ */
+function buildFreeMintTree(entries) {
+  const errors = [];
+  const rows = [];
+  const seen = new Set();
+  entries.forEach(({ address, amount }, index) => {
+    const label = `entry ${index + 1}`;
+    let account;
+    try {
+      account = ethers.utils.getAddress(address);
+    } catch (error) {
+      errors.push(`${label}: ${address} is not a valid address`);
+      return;
+    }
+    if (seen.has(account)) {
+      errors.push(`${label}: ${account} is listed more than once`);
+      return;
+    }
+    seen.add(account);
+    if (!/^[0-9]+$/.test(String(amount)) || ethers.BigNumber.from(String(amount)).isZero()) {
+      errors.push(`${label}: amount ${amount} is not a positive integer`);
+      return;
+    }
+    rows.push({ account, amount: ethers.BigNumber.from(String(amount)) });
+  });
+  if (!rows.length && !errors.length) errors.push('allowlist is empty');
+  if (errors.length) {
+    throw new Error(`Invalid free mint allowlist:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const leaves = rows.map(({ account, amount }) => hashFreeMintLeaf(account, amount));
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+  const claims = {};
+  rows.forEach(({ account, amount }, index) => {
+    claims[account] = { amount: amount.toString(), proof: tree.getHexProof(leaves[index]) };
+  });
+  return {
+    root: tree.getHexRoot(),
+    total: rows.reduce((sum, { amount }) => sum.add(amount), ethers.BigNumber.from(0)).toString(),
+    claims,
+  };
+}
+
+/**
+ * Whether `proof` proves that `account` may claim `amount` free mints under `root`,
+ * with the same sorted-pair hashing as OpenZeppelin's MerkleProof.
+ */
+function verifyFreeMintProof(root, account, amount, proof) {
+  const leaf = hashFreeMintLeaf(account, amount);
+  return MerkleTree.verify(proof, leaf, root, keccak256, { sortPairs: true });
+}
+
+module.exports = {
+  hashFreeMintLeaf,
+  buildFreeMintTree,
+  verifyFreeMintProof,
+};
@@ -0,0 +1,88 @@
+const { BAP578Client, DEFAULT_METADATA } = require('./BAP578Client');
+const { CLAWNFAClient, STATUS: CLAWNFA_STATUS } = require('./CLAWNFAClient');
+const { GuardedExecutorClient, PolicyRejectedError } = require('./GuardedExecutorClient');
+const { TokenWhitelistClient } = require('./TokenWhitelistClient');
+const {
+  ClawMintSigner,
+  MINT_REQUEST_TYPES,
+  buildDomain,
+  resolveDomain,
+  recoverMintRequestSigner,
+} = require('./clawMintSigner');
+const {
+  PERSONA_SCHEMA,
+  MetadataValidationError,
+  validatePersona,
+  buildTokenMetadata,
+  compareTokenMetadata,
+  verifyMetadataURI,
+  assertMetadataURI,
+} = require('./metadata');
+const { resolveURI, fetchBytes, fetchJSON } = require('./uri');
+const {
+  canonicalJSON,
+  hashVaultJSON,
+  hashVaultDirectory,
+  computeVaultHash,
+  verifyVault,
+} = require('./vault');
+const { hashFreeMintLeaf, buildFreeMintTree, verifyFreeMintProof } = require('./freeMints');
+const { POLICY_TYPES, policyTypeName, encodeCall, simulatePolicies } = require('./policySimulator');
+const { ERC20_ABI, ensureAllowance, fundAgentToken, getTokenInfo } = require('./erc20');
+const { loadAbi } = require('./artifacts');
+const {
+  deploymentPath,
+  registryPath,
+  loadRegistry,
+  getDeployedContract,
+  loadDeployment,
+  saveDeployment,
+} = require('./deployments');
+
+module.exports = {
+  BAP578Client,
+  DEFAULT_METADATA,
+  CLAWNFAClient,
+  CLAWNFA_STATUS,
+  GuardedExecutorClient,
+  PolicyRejectedError,
+  TokenWhitelistClient,
+  ClawMintSigner,
+  MINT_REQUEST_TYPES,
+  buildDomain,
+  resolveDomain,
+  recoverMintRequestSigner,
+  PERSONA_SCHEMA,
+  MetadataValidationError,
+  validatePersona,
+  buildTokenMetadata,
+  compareTokenMetadata,
+  verifyMetadataURI,
+  assertMetadataURI,
+  resolveURI,
+  fetchBytes,
+  fetchJSON,
+  canonicalJSON,
+  hashVaultJSON,
+  hashVaultDirectory,
+  computeVaultHash,
+  verifyVault,
+  hashFreeMintLeaf,
+  buildFreeMintTree,
+  verifyFreeMintProof,
+  POLICY_TYPES,
+  policyTypeName,
+  encodeCall,
+  simulatePolicies,
+  ERC20_ABI,
+  ensureAllowance,
+  fundAgentToken,
+  getTokenInfo,
+  loadAbi,
+  loadDeployment,
+  saveDeployment,
+  deploymentPath,
+  registryPath,
+  loadRegistry,
+  getDeployedContract,
+};
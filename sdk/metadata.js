@@ -0,0 +1,236 @@
+const PERSONA_SCHEMA = require('./schemas/agent-persona.schema.json');
+const { fetchJSON } = require('./uri');
+
+const DEFAULT_TOKEN_NAME = 'Non-Fungible Agent';
+
+class MetadataValidationError extends Error {
+  constructor(message, errors) {
+    super(`${message}:\n  - ${errors.join('\n  - ')}`);
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate `value` against the subset of JSON Schema used by the published schemas:
+ * type, required, properties, additionalProperties, items, anyOf, minLength, minItems.
+ * @returns {string[]} Errors, empty when valid
+ */
+function validateSchema(schema, value, path = '$') {
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => validateSchema(option, value, path).length === 0);
+    return matches ? [] : [`${path} does not match any allowed type`];
+  }
+
+  const type = typeOf(value);
+  if (
+    schema.type &&
+    schema.type !== type &&
+    !(schema.type === 'integer' && Number.isInteger(value))
+  ) {
+    return [`${path} must be ${schema.type}, got ${type}`];
+  }
+
+  const errors = [];
+  if (type === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) =>
+        errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)),
+      );
+    }
+  }
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = (schema.properties || {})[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(propertySchema, item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, `${path}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check an `AgentMetadata.persona` string (or parsed object) against the persona schema.
+ * @returns {{valid: boolean, errors: string[], persona: (object|undefined)}}
+ */
+function validatePersona(persona) {
+  let parsed = persona;
+  if (typeof persona === 'string') {
+    try {
+      parsed = JSON.parse(persona);
+    } catch (error) {
+      return { valid: false, errors: ['persona is not valid JSON'], persona: undefined };
+    }
+  }
+  const errors = validateSchema(PERSONA_SCHEMA, parsed, 'persona');
+  return { valid: errors.length === 0, errors, persona: parsed };
+}
+
+function titleCase(key) {
+  return key
+    .replace(/[_-]+/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Persona fields as ERC-721 attributes: one `Trait` per trait, one attribute per other key.
+ */
+function personaAttributes(persona) {
+  const attributes = [];
+  for (const [key, value] of Object.entries(persona)) {
+    const traitType = key === 'traits' ? 'Trait' : titleCase(key);
+    for (const item of Array.isArray(value) ? value : [value]) {
+      attributes.push({ trait_type: traitType, value: item });
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Build OpenSea-compatible token JSON from the `AgentMetadata` fields.
+ *
+ * @param {object} metadata AgentMetadata struct fields
+ * @param {object} [options]
+ * @param {string} [options.name] Defaults to "Non-Fungible Agent", suffixed with `#tokenId`
+ * @param {string|number} [options.tokenId]
+ * @param {string} [options.description] Defaults to `experience`
+ * @param {string} [options.image]
+ * @param {string} [options.externalUrl]
+ * @param {object[]} [options.attributes] Appended after the persona attributes
+ * @param {boolean} [options.strict] Throw on an invalid persona (default). When false, the raw
+ *        persona is kept in `properties` without attributes, for data that is already on-chain.
+ */
+function buildTokenMetadata(metadata, options = {}) {
+  const { strict = true } = options;
+  let persona = null;
+  if (metadata.persona) {
+    const result = validatePersona(metadata.persona);
+    if (result.valid) {
+      persona = result.persona;
+    } else if (strict) {
+      throw new MetadataValidationError('Invalid persona', result.errors);
+    }
+  }
+
+  const name = options.name || DEFAULT_TOKEN_NAME;
+  const json = {
+    name: options.tokenId !== undefined ? `${name} #${options.tokenId}` : name,
+    description:
+      options.description !== undefined ? options.description : metadata.experience || '',
+  };
+  if (options.image) json.image = options.image;
+  if (metadata.animationURI) json.animation_url = metadata.animationURI;
+  if (options.externalUrl) json.external_url = options.externalUrl;
+
+  json.attributes = [...(persona ? personaAttributes(persona) : []), ...(options.attributes || [])];
+  json.properties = {
+    persona: persona || metadata.persona || null,
+    voiceHash: metadata.voiceHash || '',
+    vaultURI: metadata.vaultURI || '',
+    vaultHash: metadata.vaultHash || '',
+  };
+  return json;
+}
+
+function sameAttribute(a, b) {
+  return a.trait_type === b.trait_type && String(a.value) === String(b.value);
+}
+
+/**
+ * Compare a token JSON document (usually fetched from the metadata URI) with the one
+ * generated from AgentMetadata. `name`, `image` and extra attributes are free to differ.
+ * @returns {string[]} Mismatches, empty when the document matches
+ */
+function compareTokenMetadata(expected, actual) {
+  if (typeOf(actual) !== 'object') {
+    return ['token JSON must be an object'];
+  }
+
+  const errors = [];
+  if (expected.description && actual.description !== expected.description) {
+    errors.push(
+      `description is ${JSON.stringify(actual.description)}, expected ${JSON.stringify(expected.description)}`,
+    );
+  }
+  if ((actual.animation_url || '') !== (expected.animation_url || '')) {
+    errors.push(
+      `animation_url is ${JSON.stringify(actual.animation_url)}, expected ${JSON.stringify(expected.animation_url)}`,
+    );
+  }
+  const attributes = Array.isArray(actual.attributes) ? actual.attributes : [];
+  for (const attribute of expected.attributes) {
+    if (!attributes.some((candidate) => sameAttribute(candidate, attribute))) {
+      errors.push(`attribute ${attribute.trait_type}=${attribute.value} is missing`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate the persona and check that the document behind `metadataURI` matches the
+ * AgentMetadata about to be written on-chain.
+ *
+ * @param {string} metadataURI
+ * @param {object} metadata AgentMetadata struct fields
+ * @param {object} [options] Passed to `fetchJSON` (ipfsGateway, timeoutMs, fetch)
+ * @returns {Promise<{valid: boolean, errors: string[], document: (object|undefined)}>}
+ */
+async function verifyMetadataURI(metadataURI, metadata, options = {}) {
+  const persona = validatePersona(metadata.persona);
+  if (!persona.valid) {
+    return { valid: false, errors: persona.errors, document: undefined };
+  }
+
+  let document;
+  try {
+    document = await fetchJSON(metadataURI, options);
+  } catch (error) {
+    return { valid: false, errors: [error.message], document: undefined };
+  }
+
+  const errors = compareTokenMetadata(buildTokenMetadata(metadata), document);
+  return { valid: errors.length === 0, errors, document };
+}
+
+/**
+ * Throw a MetadataValidationError unless `verifyMetadataURI` passes.
+ */
+async function assertMetadataURI(metadataURI, metadata, options) {
+  const { valid, errors } = await verifyMetadataURI(metadataURI, metadata, options);
+  if (!valid) {
+    const label = metadataURI.startsWith('data:') ? 'data: URI' : metadataURI;
+    throw new MetadataValidationError(`Metadata URI ${label} does not match`, errors);
+  }
+}
+
+module.exports = {
+  PERSONA_SCHEMA,
+  MetadataValidationError,
+  validateSchema,
+  validatePersona,
+  personaAttributes,
+  buildTokenMetadata,
+  compareTokenMetadata,
+  verifyMetadataURI,
+  assertMetadataURI,
+};
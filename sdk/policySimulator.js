@@ -0,0 +1,157 @@
+const { ethers } = require('ethers');
+const { loadAbi } = require('./artifacts');
+
+// Mirrors contracts/extensions/PolicyTypes.sol
+const POLICY_TYPES = {
+  SPENDING_LIMIT: ethers.utils.id('spending_limit'),
+  COOLDOWN: ethers.utils.id('cooldown'),
+  DEFI_GUARD: ethers.utils.id('defi_guard'),
+  RECEIVER_GUARD: ethers.utils.id('receiver_guard'),
+  // Custom type of the renter-configurable TokenWhitelistExample
+  TOKEN_WHITELIST: ethers.utils.id('token_whitelist'),
+};
+
+const POLICY_TYPE_NAMES = Object.fromEntries(
+  Object.entries(POLICY_TYPES).map(([name, id]) => [id, name]),
+);
+
+/**
+ * `PolicyTypes` constant name of a `policyType()` id, or the raw id for custom types.
+ */
+function policyTypeName(policyType) {
+  return POLICY_TYPE_NAMES[policyType] || policyType;
+}
+
+/**
+ * Encode calldata from a human-readable signature such as `transfer(address,uint256)` or
+ * `function approve(address spender, uint256 amount)`.
+ */
+function encodeCall(signature, args = []) {
+  const fragment = ethers.utils.FunctionFragment.from(signature.replace(/^\s*function\s+/, ''));
+  return new ethers.utils.Interface([fragment]).encodeFunctionData(fragment, args);
+}
+
+function selectorOf(data) {
+  return ethers.utils.hexDataLength(data) >= 4
+    ? ethers.utils.hexDataSlice(data, 0, 4)
+    : '0x00000000';
+}
+
+// Only reverts are verdicts; anything else (bad input, RPC failures) is rethrown
+function revertReason(error) {
+  if (error.code !== ethers.errors.CALL_EXCEPTION) throw error;
+  return error.reason || error.errorName || error.message;
+}
+
+/**
+ * Dry-run an agent action against a PolicyGuardExample through `eth_call`.
+ *
+ * The guard only returns its first rejection, so every bound policy's `IPolicy.check` is also
+ * called on its own to report which of them would block the action and why.
+ *
+ * @param {object} options
+ * @param {string} options.guard PolicyGuardExample address
+ * @param {ethers.providers.Provider} options.provider
+ * @param {string|number} options.tokenId
+ * @param {string} options.target Contract the agent would call
+ * @param {string|number} [options.value] Wei sent with the call
+ * @param {string} [options.data] Calldata; alternatively `signature` and `args`
+ * @param {string} [options.signature] Human-readable function signature to encode `args` with
+ * @param {Array} [options.args]
+ * @param {string} [options.caller] Address executing the action
+ * @param {string} [options.nfa] Agent contract passed through to the guard
+ * @param {string} [options.agentAccount] Agent account passed through to the guard
+ * @param {string|number} [options.blockTag] Block to simulate at (default latest)
+ * @returns {Promise<{allowed: boolean, reason: string, selector: string, data: string,
+ *   policies: Array<{address: string, policyType: string, typeName: string,
+ *   renterConfigurable: (boolean|null), ok: boolean, reason: string, reverted: boolean}>}>}
+ */
+async function simulatePolicies({
+  guard,
+  provider,
+  tokenId,
+  target,
+  value = 0,
+  data,
+  signature,
+  args,
+  caller = ethers.constants.AddressZero,
+  nfa = ethers.constants.AddressZero,
+  agentAccount = ethers.constants.AddressZero,
+  blockTag = 'latest',
+}) {
+  target = ethers.utils.getAddress(target);
+  caller = ethers.utils.getAddress(caller);
+  if (data === undefined) {
+    data = signature ? encodeCall(signature, args) : '0x';
+  }
+  const overrides = { blockTag };
+  const guardContract = new ethers.Contract(guard, loadAbi('PolicyGuardExample'), provider);
+  const selector = selectorOf(data);
+
+  let verdict;
+  try {
+    const [ok, reason] = await guardContract.validate(
+      nfa,
+      tokenId,
+      agentAccount,
+      caller,
+      target,
+      value,
+      data,
+      overrides,
+    );
+    verdict = { allowed: ok, reason, reverted: false };
+  } catch (error) {
+    // A reverting policy makes validate() revert as a whole, which blocks the action too
+    verdict = { allowed: false, reason: revertReason(error), reverted: true };
+  }
+
+  const bound = await guardContract.getBoundPolicies(tokenId, overrides);
+  const policies = [];
+  for (const address of bound) {
+    const policy = new ethers.Contract(address, loadAbi('IPolicy'), provider);
+    const [policyType, renterConfigurable] = await Promise.all([
+      policy.policyType(overrides).catch(() => null),
+      policy.renterConfigurable(overrides).catch(() => null),
+    ]);
+    const result = {
+      address,
+      policyType,
+      typeName: policyType ? policyTypeName(policyType) : 'unknown',
+      renterConfigurable,
+    };
+    try {
+      const [ok, reason] = await policy.check(
+        tokenId,
+        caller,
+        target,
+        selector,
+        data,
+        value,
+        overrides,
+      );
+      policies.push({ ...result, ok, reason, reverted: false });
+    } catch (error) {
+      policies.push({ ...result, ok: false, reason: revertReason(error), reverted: true });
+    }
+  }
+
+  return {
+    guard: guardContract.address,
+    tokenId: tokenId.toString(),
+    target,
+    value: value.toString(),
+    data,
+    selector,
+    ...verdict,
+    policies,
+  };
+}
+
+module.exports = {
+  POLICY_TYPES,
+  policyTypeName,
+  encodeCall,
+  simulatePolicies,
+};
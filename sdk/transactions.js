@@ -0,0 +1,29 @@
+/**
+ * Wait for a contract transaction and return its hash and receipt.
+ */
+async function sendTransaction(txPromise) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  return { transactionHash: receipt.transactionHash, receipt };
+}
+
+/**
+ * Find the first log emitted by `contract` matching an event name.
+ */
+function findEvent(contract, receipt, eventName) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contract.address.toLowerCase()) continue;
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed.name === eventName) return parsed;
+    } catch (error) {
+      // Not an event of this contract's ABI
+    }
+  }
+  throw new Error(`${eventName} not found in transaction ${receipt.transactionHash}`);
+}
+
+module.exports = {
+  sendTransaction,
+  findEvent,
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+
+const DEFAULT_IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Map `ipfs://` and `ar://` URIs to HTTP gateway URLs; other URIs are returned unchanged.
+ */
+function resolveURI(uri, { ipfsGateway = DEFAULT_IPFS_GATEWAY } = {}) {
+  if (uri.startsWith('ipfs://')) {
+    return ipfsGateway + uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+  }
+  if (uri.startsWith('ar://')) {
+    return `https://arweave.net/${uri.slice('ar://'.length)}`;
+  }
+  return uri;
+}
+
+function decodeDataURI(uri) {
+  const match = /^data:([^,]*?)(;base64)?,(.*)$/s.exec(uri);
+  if (!match) {
+    throw new Error('Malformed data URI');
+  }
+  const [, , base64, payload] = match;
+  return base64 ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload));
+}
+
+/**
+ * Fetch the raw content behind a URI.
+ * Supports `data:` URIs, local paths and `file://` URIs, `ipfs://` and `ar://` (through
+ * gateways), and http(s).
+ *
+ * @param {string} uri
+ * @param {object} [options]
+ * @param {string} [options.ipfsGateway] Gateway prefix for `ipfs://` URIs
+ * @param {number} [options.timeoutMs]
+ * @param {Function} [options.fetch] Defaults to the global fetch (Node 18+)
+ * @returns {Promise<Buffer>}
+ */
+async function fetchBytes(uri, options = {}) {
+  if (!uri) {
+    throw new Error('URI is empty');
+  }
+  if (uri.startsWith('data:')) {
+    return decodeDataURI(uri);
+  }
+  if (uri.startsWith('file://') || !/^[a-z][a-z0-9+.-]*:/i.test(uri)) {
+    return fs.promises.readFile(uri.startsWith('file://') ? fileURLToPath(uri) : uri);
+  }
+
+  const fetchFn = options.fetch || globalThis.fetch;
+  if (!fetchFn) {
+    throw new Error('No fetch implementation available, use Node 18+ or pass options.fetch');
+  }
+  const url = resolveURI(uri, options);
+  const response = await fetchFn(url, {
+    signal: AbortSignal.timeout(options.timeoutMs || DEFAULT_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`GET ${url} failed with HTTP ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Fetch and parse the JSON document behind a token URI. Accepts the same URIs and
+ * options as `fetchBytes`.
+ */
+async function fetchJSON(uri, options = {}) {
+  const content = await fetchBytes(uri, options);
+  try {
+    return JSON.parse(content.toString('utf8'));
+  } catch (error) {
+    throw new Error(`${uri} does not contain valid JSON`);
+  }
+}
+
+module.exports = {
+  DEFAULT_IPFS_GATEWAY,
+  resolveURI,
+  fetchBytes,
+  fetchJSON,
+};
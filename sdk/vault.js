@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MerkleTree } = require('merkletreejs');
+const { fetchBytes } = require('./uri');
+
+const { keccak256 } = ethers.utils;
+
+/**
+ * Serialize JSON with sorted object keys and no whitespace, so formatting and key
+ * order do not change the vault hash.
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashVaultJSON(value) {
+  return keccak256(ethers.utils.toUtf8Bytes(canonicalJSON(value)));
+}
+
+/**
+ * Hash a single vault document. Content that parses as JSON is hashed in canonical
+ * form, anything else as raw bytes.
+ */
+function hashVaultContent(content) {
+  const bytes = Buffer.from(content);
+  try {
+    return { hash: hashVaultJSON(JSON.parse(bytes.toString('utf8'))), type: 'json' };
+  } catch (error) {
+    return { hash: keccak256(bytes), type: 'file' };
+  }
+}
+
+function listFiles(dir, base = dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(full, base));
+    } else if (entry.isFile()) {
+      files.push(path.relative(base, full).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+function vaultLeaf(file, contentHash) {
+  return keccak256(ethers.utils.defaultAbiCoder.encode(['string', 'bytes32'], [file, contentHash]));
+}
+
+/**
+ * Merkle root over a vault directory. Each leaf is keccak256(abi.encode(path, keccak256(bytes)))
+ * with `/`-separated paths relative to `dir`; pairs are sorted, so the root does not depend on
+ * the order the filesystem lists files in.
+ * @returns {{hash: string, type: 'merkle', files: Array<{path: string, hash: string}>}}
+ */
+function hashVaultDirectory(dir) {
+  const files = listFiles(dir)
+    .sort()
+    .map((file) => ({ path: file, hash: keccak256(fs.readFileSync(path.join(dir, file))) }));
+  if (files.length === 0) {
+    throw new Error(`Vault directory ${dir} is empty`);
+  }
+
+  const leaves = files.map((file) => vaultLeaf(file.path, file.hash));
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+  return { hash: tree.getHexRoot(), type: 'merkle', files };
+}
+
+/**
+ * Compute the `vaultHash` for a local vault file or directory.
+ * @returns {{hash: string, type: ('json'|'file'|'merkle'), files: (Array|undefined)}}
+ */
+function computeVaultHash(target) {
+  if (!fs.existsSync(target)) {
+    throw new Error(`Vault ${target} does not exist`);
+  }
+  if (fs.statSync(target).isDirectory()) {
+    return hashVaultDirectory(target);
+  }
+  return hashVaultContent(fs.readFileSync(target));
+}
+
+/**
+ * Compare an agent's on-chain `vaultHash` with its vault content.
+ *
+ * @param {{vaultURI: string, vaultHash: string}} metadata AgentMetadata of the agent
+ * @param {object} [options]
+ * @param {string} [options.path] Local copy of the vault (file or directory) to hash instead
+ *        of fetching `vaultURI`; required for directory vaults
+ * @param {string} [options.ipfsGateway] Gateway for `ipfs://` vault URIs
+ * @param {Function} [options.fetch]
+ * @returns {Promise<{match: boolean, expected: string, computed: string, type: string, source: string}>}
+ */
+async function verifyVault({ vaultURI, vaultHash }, options = {}) {
+  let computed;
+  let source;
+  if (options.path) {
+    computed = computeVaultHash(options.path);
+    source = options.path;
+  } else {
+    if (!vaultURI) {
+      throw new Error('Agent has no vaultURI, pass a local vault path');
+    }
+    computed = hashVaultContent(await fetchBytes(vaultURI, options));
+    source = vaultURI;
+  }
+
+  return {
+    match: computed.hash === vaultHash,
+    expected: vaultHash,
+    computed: computed.hash,
+    type: computed.type,
+    source,
+  };
+}
+
+module.exports = {
+  canonicalJSON,
+  hashVaultJSON,
+  hashVaultContent,
+  hashVaultDirectory,
+  computeVaultHash,
+  verifyVault,
+};
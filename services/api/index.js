@@ -0,0 +1,14 @@
+const { createApiServer } = require('./service');
+const { indexerSource, fileSource } = require('./sources');
+const { queryAgents, FILTERS } = require('./queries');
+const { bap578Metadata, clawnfaMetadata } = require('./tokenMetadata');
+
+module.exports = {
+  createApiServer,
+  indexerSource,
+  fileSource,
+  queryAgents,
+  FILTERS,
+  bap578Metadata,
+  clawnfaMetadata,
+};
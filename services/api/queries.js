@@ -0,0 +1,118 @@
+const { ethers } = require('ethers');
+const { HttpError } = require('../lib/http');
+const { CLAWNFA_STATUS } = require('../../sdk');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseAddress(value, name) {
+  if (!ethers.utils.isAddress(value)) {
+    throw new HttpError(400, `Invalid address for ${name}`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+function parseBoolean(value, name) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new HttpError(400, `Invalid boolean for ${name}: expected true or false`);
+}
+
+function parseAmount(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `Invalid amount for ${name}: expected an integer in wei`);
+  }
+  return ethers.BigNumber.from(value);
+}
+
+function parseInteger(value, name, { min, max }) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+    const range = max === undefined ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new HttpError(400, `Invalid ${name}: expected an integer ${range}`);
+  }
+  return number;
+}
+
+// Each filter turns a query string value into a predicate over indexed agents
+const COMMON_FILTERS = {
+  owner: (value) => {
+    const owner = parseAddress(value, 'owner');
+    return (agent) => agent.owner === owner;
+  },
+  logicAddress: (value) => {
+    const logic = parseAddress(value, 'logicAddress');
+    return (agent) => agent.logicAddress === logic;
+  },
+  hasBalance: (value) => {
+    const expected = parseBoolean(value, 'hasBalance');
+    return (agent) => (agent.balance !== '0') === expected;
+  },
+  minBalance: (value) => {
+    const min = parseAmount(value, 'minBalance');
+    return (agent) => min.lte(agent.balance);
+  },
+  // BAP578 and CLAWNFA share the Active/Paused/Terminated lifecycle
+  status: (value) => {
+    if (!CLAWNFA_STATUS.includes(value)) {
+      throw new HttpError(400, `Invalid status: expected one of ${CLAWNFA_STATUS.join(', ')}`);
+    }
+    return (agent) => agent.status === value;
+  },
+};
+
+const FILTERS = {
+  bap578: {
+    ...COMMON_FILTERS,
+    active: (value) => {
+      const expected = parseBoolean(value, 'active');
+      return (agent) => agent.active === expected;
+    },
+    isFreeMint: (value) => {
+      const expected = parseBoolean(value, 'isFreeMint');
+      return (agent) => agent.isFreeMint === expected;
+    },
+  },
+  clawnfa: COMMON_FILTERS,
+};
+
+/**
+ * Filter and paginate the agents of a collection from URL search params.
+ * @returns {{total: number, offset: number, limit: number, items: object[]}}
+ */
+function queryAgents(collection, agents, searchParams) {
+  const filters = FILTERS[collection];
+  const predicates = [];
+  let offset = 0;
+  let limit = DEFAULT_LIMIT;
+
+  for (const [name, value] of searchParams) {
+    if (name === 'offset') {
+      offset = parseInteger(value, 'offset', { min: 0 });
+    } else if (name === 'limit') {
+      limit = parseInteger(value, 'limit', { min: 1, max: MAX_LIMIT });
+    } else if (Object.hasOwn(filters, name)) {
+      predicates.push(filters[name](value));
+    } else {
+      throw new HttpError(400, `Unknown filter for ${collection}: ${name}`);
+    }
+  }
+
+  const matches = Object.values(agents)
+    .filter((agent) => predicates.every((predicate) => predicate(agent)))
+    .sort((a, b) => Number(a.tokenId) - Number(b.tokenId));
+
+  return {
+    total: matches.length,
+    offset,
+    limit,
+    items: matches.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  FILTERS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  queryAgents,
+};
@@ -0,0 +1,39 @@
+require('dotenv').config();
+const fs = require('fs');
+const { projections } = require('../indexer');
+const { createApiServer } = require('./service');
+const { fileSource } = require('./sources');
+
+async function main() {
+  const {
+    API_PORT = '8788',
+    API_HOST = '127.0.0.1',
+    BAP578_INDEX_DB,
+    CLAWNFA_INDEX_DB,
+  } = process.env;
+
+  const sources = {};
+  if (BAP578_INDEX_DB) sources.bap578 = fileSource(BAP578_INDEX_DB, projections.bap578);
+  if (CLAWNFA_INDEX_DB) sources.clawnfa = fileSource(CLAWNFA_INDEX_DB, projections.clawnfa);
+
+  if (Object.keys(sources).length === 0) {
+    throw new Error('Set BAP578_INDEX_DB and/or CLAWNFA_INDEX_DB to an indexer database');
+  }
+  for (const file of [BAP578_INDEX_DB, CLAWNFA_INDEX_DB].filter(Boolean)) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`${file} does not exist, run scripts/index-agents.js first`);
+    }
+  }
+
+  const api = createApiServer({ sources });
+  const port = await api.listen(Number(API_PORT), API_HOST);
+  console.log(`🌐 Agent API listening on http://${API_HOST}:${port}`);
+  for (const name of Object.keys(sources)) {
+    console.log(`- /${name}/agents, /${name}/metadata/:tokenId`);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
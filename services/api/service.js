@@ -0,0 +1,92 @@
+const http = require('http');
+const { HttpError, sendJson, jsonHandler, listen, close } = require('../lib/http');
+const { queryAgents } = require('./queries');
+const { bap578Metadata, clawnfaMetadata } = require('./tokenMetadata');
+
+const TOKEN_METADATA = {
+  bap578: bap578Metadata,
+  clawnfa: clawnfaMetadata,
+};
+
+/**
+ * Create the read-only agent API.
+ *
+ * Routes, for each configured collection (`bap578`, `clawnfa`):
+ *   GET /health
+ *   GET /:collection/agents?owner=&logicAddress=&hasBalance=&minBalance=&status=&offset=&limit=
+ *       (plus `active` and `isFreeMint` for bap578)
+ *   GET /:collection/agents/:tokenId
+ *   GET /:collection/metadata/:tokenId   ERC-721 metadata JSON for tokenURI
+ *
+ * @param {object} config
+ * @param {object} config.sources Collection name to a source from `./sources`
+ */
+function createApiServer({ sources }) {
+  for (const name of Object.keys(sources)) {
+    if (!Object.hasOwn(TOKEN_METADATA, name)) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+  }
+
+  // Path segments are looked up as own keys only, so `__proto__` or `constructor` is a 404
+  function findAgent(collection, tokenId) {
+    const { agents } = sources[collection].view();
+    const agent = Object.hasOwn(agents, tokenId) ? agents[tokenId] : undefined;
+    if (!agent) {
+      throw new HttpError(404, `Agent ${tokenId} not found`);
+    }
+    return agent;
+  }
+
+  async function route(req, res) {
+    if (req.method !== 'GET') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const [collection, resource, tokenId, ...rest] = url.pathname.split('/').filter(Boolean);
+
+    if (collection === 'health' && !resource) {
+      const status = {};
+      for (const [name, source] of Object.entries(sources)) {
+        status[name] = source.status();
+      }
+      return sendJson(res, 200, { ok: true, sources: status });
+    }
+
+    if (!Object.hasOwn(sources, collection) || rest.length > 0) {
+      throw new HttpError(404, 'Not found');
+    }
+
+    if (resource === 'agents' && tokenId === undefined) {
+      const agents = sources[collection].view().agents;
+      return sendJson(res, 200, queryAgents(collection, agents, url.searchParams));
+    }
+    if (resource === 'agents') {
+      return sendJson(res, 200, findAgent(collection, tokenId));
+    }
+    if (resource === 'metadata' && tokenId !== undefined) {
+      return sendJson(res, 200, TOKEN_METADATA[collection](findAgent(collection, tokenId)));
+    }
+
+    throw new HttpError(404, 'Not found');
+  }
+
+  const server = http.createServer(jsonHandler(route));
+
+  return {
+    server,
+
+    listen(port = 0, host = '127.0.0.1') {
+      return listen(server, port, host);
+    },
+
+    close() {
+      return close(server);
+    },
+  };
+}
+
+module.exports = {
+  createApiServer,
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const { buildView } = require('../indexer');
+
+function describe(state) {
+  return {
+    chainId: state.chainId,
+    contract: state.contract,
+    lastBlock: state.lastBlock,
+    finalizedBlock: state.finalized.block,
+  };
+}
+
+/**
+ * Serve a running AgentIndexer's projection.
+ */
+function indexerSource(indexer) {
+  return {
+    view: () => indexer.view(),
+    status: () => describe(indexer.state),
+  };
+}
+
+/**
+ * Serve an indexer database written by another process (`scripts/index-agents.js --watch`).
+ * The file is re-read whenever its modification time changes.
+ */
+function fileSource(file, projection) {
+  const resolved = path.resolve(file);
+  let cached = null;
+
+  function load() {
+    const { mtimeMs } = fs.statSync(resolved);
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+      const state = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      cached = { mtimeMs, state, view: buildView(state, projection) };
+    }
+    return cached;
+  }
+
+  return {
+    view: () => load().view,
+    status: () => describe(load().state),
+  };
+}
+
+module.exports = {
+  indexerSource,
+  fileSource,
+};
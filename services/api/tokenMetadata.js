@@ -0,0 +1,40 @@
+const { buildTokenMetadata } = require('../../sdk');
+
+// On-chain personas predate validation, so invalid ones are served raw instead of failing
+function tokenMetadata(agent, attributes) {
+  return buildTokenMetadata(agent.metadata || {}, {
+    tokenId: agent.tokenId,
+    attributes,
+    strict: false,
+  });
+}
+
+/**
+ * ERC-721 metadata JSON for a BAP578 agent, built from AgentState, Status, AgentMetadata and
+ * isFreeMint.
+ */
+function bap578Metadata(agent) {
+  return tokenMetadata(agent, [
+    // Agents indexed before the lifecycle upgrade only have `active`
+    { trait_type: 'Status', value: agent.status || (agent.active ? 'Active' : 'Paused') },
+    { trait_type: 'Free Mint', value: agent.isFreeMint ? 'Yes' : 'No' },
+    { trait_type: 'Logic Address', value: agent.logicAddress },
+    { display_type: 'date', trait_type: 'Created', value: agent.createdAt },
+  ]);
+}
+
+/**
+ * ERC-721 metadata JSON for a CLAWNFA agent, built from State and Status.
+ */
+function clawnfaMetadata(agent) {
+  return tokenMetadata(agent, [
+    { trait_type: 'Status', value: agent.status },
+    { trait_type: 'Logic Address', value: agent.logicAddress },
+    { display_type: 'date', trait_type: 'Last Action', value: agent.lastActionTimestamp },
+  ]);
+}
+
+module.exports = {
+  bap578Metadata,
+  clawnfaMetadata,
+};
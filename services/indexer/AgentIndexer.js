@@ -0,0 +1,248 @@
+const { ethers } = require('ethers');
+const { JsonStore } = require('./JsonStore');
+const { bap578 } = require('./projections');
+
+const STATE_VERSION = 1;
+const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_BATCH_SIZE = 2000;
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  });
+  return result;
+}
+
+/**
+ * Current projection of an indexer state, including events that are not final yet.
+ */
+function buildView(state, projection) {
+  const view = clone(state.finalized.state);
+  for (const event of state.journal) {
+    projection.apply(view, event);
+  }
+  return view;
+}
+
+/**
+ * @title AgentIndexer
+ * @dev Replays a contract's events into a local projection.
+ *
+ * Events older than `confirmations` blocks are folded into a finalized snapshot.
+ * Newer ones stay in a journal together with the hashes of the blocks they came
+ * from, so a reorg inside that window is undone by dropping journal entries and
+ * re-fetching from the fork point.
+ */
+class AgentIndexer {
+  /**
+   * @param {object} options
+   * @param {ethers.Contract} options.contract Contract to index, connected to a provider
+   * @param {JsonStore} [options.store] Defaults to an in-memory store
+   * @param {object} [options.projection] Event projection, defaults to BAP578
+   * @param {number} [options.startBlock] First block to index, usually the deployment block
+   * @param {number} [options.confirmations] Depth after which blocks are treated as final
+   * @param {number} [options.batchSize] Blocks per `eth_getLogs` request
+   */
+  constructor({
+    contract,
+    store = new JsonStore(),
+    projection = bap578,
+    startBlock = 0,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    batchSize = DEFAULT_BATCH_SIZE,
+  }) {
+    if (!contract) {
+      throw new Error('AgentIndexer: contract is required');
+    }
+    if (!(Number.isInteger(batchSize) && batchSize > 0)) {
+      throw new Error(`AgentIndexer: batchSize ${batchSize} is not a positive integer`);
+    }
+    this.contract = contract;
+    this.provider = contract.provider;
+    this.store = store;
+    this.projection = projection;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.state = null;
+    this._view = null;
+  }
+
+  async load() {
+    const { chainId } = await this.provider.getNetwork();
+    const saved = this.store.read();
+
+    if (saved) {
+      if (saved.chainId !== chainId || saved.contract !== this.contract.address) {
+        throw new Error(
+          `AgentIndexer: database belongs to ${saved.contract} on chain ${saved.chainId}, not ${this.contract.address} on chain ${chainId}`,
+        );
+      }
+      this.state = saved;
+    } else {
+      this.state = {
+        version: STATE_VERSION,
+        chainId,
+        contract: this.contract.address,
+        contractName: this.projection.CONTRACT_NAME,
+        startBlock: this.startBlock,
+        lastBlock: this.startBlock - 1,
+        finalized: { block: this.startBlock - 1, state: this.projection.initialState() },
+        journal: [],
+        blockHashes: {},
+      };
+    }
+    this._view = null;
+    return this.state;
+  }
+
+  /**
+   * Current projection, including events that are not final yet.
+   */
+  view() {
+    if (!this._view) {
+      this._view = buildView(this.state, this.projection);
+    }
+    return this._view;
+  }
+
+  /**
+   * Index from the last processed block to the chain head.
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, rolledBackTo: (number|null)}>}
+   */
+  async sync() {
+    if (!this.state) await this.load();
+
+    const rolledBackTo = await this._handleReorg();
+    const fromBlock = this.state.lastBlock + 1;
+    const head = await this.provider.getBlockNumber();
+    let events = 0;
+
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      events += await this._indexRange(from, to);
+    }
+
+    return { fromBlock, toBlock: this.state.lastBlock, events, rolledBackTo };
+  }
+
+  /**
+   * Drop every non-final event above `blockNumber` and resume indexing after it.
+   */
+  rollback(blockNumber) {
+    if (blockNumber < this.state.finalized.block) {
+      throw new Error(
+        `AgentIndexer: cannot roll back to ${blockNumber}, blocks up to ${this.state.finalized.block} are final`,
+      );
+    }
+    this.state.journal = this.state.journal.filter((event) => event.blockNumber <= blockNumber);
+    for (const number of Object.keys(this.state.blockHashes)) {
+      if (Number(number) > blockNumber) delete this.state.blockHashes[number];
+    }
+    this.state.lastBlock = blockNumber;
+    this._view = null;
+    this.store.write(this.state);
+  }
+
+  async _handleReorg() {
+    const { lastBlock, finalized, blockHashes } = this.state;
+    if (lastBlock <= finalized.block) return null;
+
+    if (await this._matchesChain(lastBlock, blockHashes[lastBlock])) return null;
+
+    // Walk down the recorded hashes to the newest block still on the canonical chain
+    const recorded = Object.keys(blockHashes)
+      .map(Number)
+      .filter((number) => number < lastBlock)
+      .sort((a, b) => b - a);
+    let forkPoint = finalized.block;
+    for (const number of recorded) {
+      if (await this._matchesChain(number, blockHashes[number])) {
+        forkPoint = number;
+        break;
+      }
+    }
+
+    this.rollback(forkPoint);
+    return forkPoint;
+  }
+
+  async _matchesChain(blockNumber, hash) {
+    if (!hash) return true;
+    const block = await this.provider.getBlock(blockNumber);
+    return Boolean(block) && block.hash === hash;
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.contract.address,
+      fromBlock,
+      toBlock,
+    });
+
+    const timestamps = new Map();
+    const events = [];
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = this.contract.interface.parseLog(log);
+      } catch (error) {
+        continue;
+      }
+      if (!this.projection.EVENTS.includes(parsed.name)) continue;
+
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockHash)).timestamp);
+      }
+
+      const event = {
+        event: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        timestamp: timestamps.get(log.blockNumber),
+        args: serializeArgs(parsed.eventFragment, parsed.args),
+      };
+      event.data = await this.projection.enrich(this.contract, event);
+      events.push(event);
+      this.state.blockHashes[log.blockNumber] = log.blockHash;
+    }
+
+    const last = await this.provider.getBlock(toBlock);
+    this.state.blockHashes[toBlock] = last.hash;
+    this.state.journal.push(...events);
+    this.state.lastBlock = toBlock;
+    this._finalize();
+    this._view = null;
+    this.store.write(this.state);
+    return events.length;
+  }
+
+  _finalize() {
+    const finalBlock = this.state.lastBlock - this.confirmations;
+    if (finalBlock <= this.state.finalized.block) return;
+
+    const { finalized } = this.state;
+    while (this.state.journal.length && this.state.journal[0].blockNumber <= finalBlock) {
+      this.projection.apply(finalized.state, this.state.journal.shift());
+    }
+    finalized.block = finalBlock;
+    for (const number of Object.keys(this.state.blockHashes)) {
+      if (Number(number) <= finalBlock) delete this.state.blockHashes[number];
+    }
+  }
+}
+
+module.exports = {
+  AgentIndexer,
+  buildView,
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_BATCH_SIZE,
+};
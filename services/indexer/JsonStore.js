@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Indexer state persisted as a single JSON document.
+ * Without a file the state only lives in memory, which is what the tests use.
+ */
+class JsonStore {
+  constructor({ file } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this._state = null;
+  }
+
+  read() {
+    if (!this.file) {
+      return this._state && JSON.parse(JSON.stringify(this._state));
+    }
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  write(state) {
+    if (!this.file) {
+      this._state = JSON.parse(JSON.stringify(state));
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // Write then rename so an interrupted run never leaves a truncated database
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = {
+  JsonStore,
+};
@@ -0,0 +1,17 @@
+const {
+  AgentIndexer,
+  buildView,
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_BATCH_SIZE,
+} = require('./AgentIndexer');
+const { JsonStore } = require('./JsonStore');
+const projections = require('./projections');
+
+module.exports = {
+  AgentIndexer,
+  JsonStore,
+  buildView,
+  projections,
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_BATCH_SIZE,
+};
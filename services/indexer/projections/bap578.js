@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+
+const CONTRACT_NAME = 'BAP578';
+
+const EVENTS = [
+  'AgentCreated',
+  'AgentFunded',
+  'AgentWithdraw',
+  'AgentTokenFunded',
+  'AgentTokenWithdrawn',
+  'AgentStatusChanged',
+  'AgentTerminated',
+  'LogicAddressUpdated',
+  'MetadataUpdated',
+  'Transfer',
+  'FreeMintGranted',
+];
+
+function initialState() {
+  return { agents: {}, freeMintGrants: {} };
+}
+
+function add(a, b) {
+  return ethers.BigNumber.from(a).add(b).toString();
+}
+
+function readMetadata(contract, tokenId, overrides) {
+  return contract.getAgentMetadata(tokenId, overrides).then(([metadata, metadataURI]) => ({
+    metadataURI,
+    metadata: {
+      persona: metadata.persona,
+      experience: metadata.experience,
+      voiceHash: metadata.voiceHash,
+      animationURI: metadata.animationURI,
+      vaultURI: metadata.vaultURI,
+      vaultHash: metadata.vaultHash,
+    },
+  }));
+}
+
+/**
+ * Contract reads attached to an event when it is indexed. Events do not carry the
+ * structured metadata or the free-mint flag, so they are read as of the event's block
+ * and stored with the event, which keeps replays after a rollback free of RPC calls.
+ */
+async function enrich(contract, event) {
+  const overrides = { blockTag: event.blockNumber };
+  try {
+    switch (event.event) {
+      case 'AgentCreated': {
+        const [isFreeMint, metadata] = await Promise.all([
+          contract.isFreeMint(event.args.tokenId, overrides),
+          readMetadata(contract, event.args.tokenId, overrides),
+        ]);
+        return { isFreeMint, ...metadata };
+      }
+      case 'MetadataUpdated':
+        return await readMetadata(contract, event.args.tokenId, overrides);
+      default:
+        return undefined;
+    }
+  } catch (error) {
+    // A token that no longer exists has nothing to read; other failures, such as a node
+    // without the block's state, stop the sync so it is retried
+    if (error.code !== 'CALL_EXCEPTION') throw error;
+    const data = { metadataURI: event.args.metadataURI || '', metadata: null };
+    return event.event === 'AgentCreated' ? { isFreeMint: null, ...data } : data;
+  }
+}
+
+/**
+ * Fold one indexed event into the projection.
+ */
+function apply(state, event) {
+  const { args, data } = event;
+  const agent = args.tokenId !== undefined ? state.agents[args.tokenId] : undefined;
+
+  switch (event.event) {
+    case 'AgentCreated':
+      state.agents[args.tokenId] = {
+        tokenId: args.tokenId,
+        owner: args.owner,
+        balance: '0',
+        tokenBalances: {},
+        active: true,
+        status: 'Active',
+        logicAddress: args.logicAddress,
+        metadataURI: data.metadataURI,
+        metadata: data.metadata,
+        isFreeMint: data.isFreeMint,
+        createdAt: event.timestamp,
+        createdAtBlock: event.blockNumber,
+        updatedAtBlock: event.blockNumber,
+      };
+      return;
+    case 'FreeMintGranted':
+      state.freeMintGrants[args.user] = add(state.freeMintGrants[args.user] || 0, args.amount);
+      return;
+    default:
+      break;
+  }
+
+  // The mint Transfer is emitted before AgentCreated, so the agent may not exist yet
+  if (!agent) return;
+
+  switch (event.event) {
+    case 'Transfer':
+      agent.owner = args.to;
+      break;
+    case 'AgentFunded':
+      agent.balance = add(agent.balance, args.amount);
+      break;
+    case 'AgentWithdraw':
+      agent.balance = ethers.BigNumber.from(agent.balance).sub(args.amount).toString();
+      break;
+    case 'AgentTokenFunded':
+      agent.tokenBalances[args.token] = add(agent.tokenBalances[args.token] || 0, args.amount);
+      break;
+    case 'AgentTokenWithdrawn':
+      agent.tokenBalances[args.token] = ethers.BigNumber.from(agent.tokenBalances[args.token])
+        .sub(args.amount)
+        .toString();
+      break;
+    case 'AgentStatusChanged':
+      agent.active = args.active;
+      // Termination is final; it also emits AgentStatusChanged(false) for active agents
+      if (agent.status !== 'Terminated') agent.status = args.active ? 'Active' : 'Paused';
+      break;
+    case 'AgentTerminated':
+      agent.active = false;
+      agent.status = 'Terminated';
+      break;
+    case 'LogicAddressUpdated':
+      agent.logicAddress = args.newLogicAddress;
+      break;
+    case 'MetadataUpdated':
+      agent.metadataURI = data.metadataURI;
+      agent.metadata = data.metadata;
+      break;
+    default:
+      return;
+  }
+  agent.updatedAtBlock = event.blockNumber;
+}
+
+module.exports = {
+  CONTRACT_NAME,
+  EVENTS,
+  initialState,
+  enrich,
+  apply,
+};
@@ -0,0 +1,129 @@
+const { ethers } = require('ethers');
+const { STATUS } = require('../../../sdk/CLAWNFAClient');
+
+const CONTRACT_NAME = 'NFA';
+
+const EVENTS = [
+  'Transfer',
+  'AgentFundedByToken',
+  'AgentWithdrawn',
+  'AgentTokenFunded',
+  'AgentTokenWithdrawn',
+  'AgentStatusChanged',
+  'AgentLogicUpgraded',
+  'AgentActionExecuted',
+  'MetadataUpdated',
+];
+
+function initialState() {
+  return { agents: {} };
+}
+
+/**
+ * CLAWNFA mints without metadata and `MetadataUpdated` only carries the tokenURI,
+ * so the structured metadata is read as of the event's block when the event is indexed.
+ */
+async function enrich(contract, event) {
+  if (event.event !== 'MetadataUpdated') return undefined;
+  let metadata;
+  try {
+    metadata = await contract.getAgentMetadata(event.args.tokenId, {
+      blockTag: event.blockNumber,
+    });
+  } catch (error) {
+    // Burned later in the same block; the Transfer to the zero address removes the agent anyway.
+    // Other failures, such as a timeout or a node without the block's state, stop the sync so it
+    // is retried
+    if (error.code !== 'CALL_EXCEPTION') throw error;
+    return { metadataURI: event.args.metadataURI, metadata: null };
+  }
+  return {
+    metadataURI: event.args.metadataURI,
+    metadata: {
+      persona: metadata.persona,
+      experience: metadata.experience,
+      voiceHash: metadata.voiceHash,
+      animationURI: metadata.animationURI,
+      vaultURI: metadata.vaultURI,
+      vaultHash: metadata.vaultHash,
+    },
+  };
+}
+
+/**
+ * Fold one indexed event into the projection. Agents mirror `IBAP578.State`,
+ * plus the ERC-20 balances per token address.
+ */
+function apply(state, event) {
+  const { args, data } = event;
+
+  if (event.event === 'Transfer') {
+    if (args.from === ethers.constants.AddressZero) {
+      state.agents[args.tokenId] = {
+        tokenId: args.tokenId,
+        owner: args.to,
+        balance: '0',
+        tokenBalances: {},
+        status: STATUS[0],
+        logicAddress: ethers.constants.AddressZero,
+        lastActionTimestamp: event.timestamp,
+        metadataURI: '',
+        metadata: null,
+        mintedAt: event.timestamp,
+        updatedAtBlock: event.blockNumber,
+      };
+    } else if (args.to === ethers.constants.AddressZero) {
+      delete state.agents[args.tokenId];
+    } else if (state.agents[args.tokenId]) {
+      state.agents[args.tokenId].owner = args.to;
+      state.agents[args.tokenId].updatedAtBlock = event.blockNumber;
+    }
+    return;
+  }
+
+  const agent = state.agents[args.tokenId];
+  if (!agent) return;
+
+  switch (event.event) {
+    case 'AgentFundedByToken':
+      agent.balance = ethers.BigNumber.from(agent.balance).add(args.amount).toString();
+      break;
+    case 'AgentWithdrawn':
+      agent.balance = ethers.BigNumber.from(agent.balance).sub(args.amount).toString();
+      break;
+    case 'AgentTokenFunded':
+      agent.tokenBalances[args.token] = ethers.BigNumber.from(agent.tokenBalances[args.token] || 0)
+        .add(args.amount)
+        .toString();
+      break;
+    case 'AgentTokenWithdrawn':
+      agent.tokenBalances[args.token] = ethers.BigNumber.from(agent.tokenBalances[args.token])
+        .sub(args.amount)
+        .toString();
+      break;
+    case 'AgentStatusChanged':
+      agent.status = STATUS[args.newStatus];
+      break;
+    case 'AgentLogicUpgraded':
+      agent.logicAddress = args.newLogic;
+      break;
+    case 'AgentActionExecuted':
+      agent.lastActionTimestamp = event.timestamp;
+      break;
+    case 'MetadataUpdated':
+      agent.metadataURI = data.metadataURI;
+      agent.metadata = data.metadata;
+      break;
+    default:
+      return;
+  }
+  agent.updatedAtBlock = event.blockNumber;
+}
+
+module.exports = {
+  CONTRACT_NAME,
+  EVENTS,
+  initialState,
+  enrich,
+  apply,
+};
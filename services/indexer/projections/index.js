@@ -0,0 +1,7 @@
+const bap578 = require('./bap578');
+const clawnfa = require('./clawnfa');
+
+module.exports = {
+  bap578,
+  clawnfa,
+};
@@ -0,0 +1,77 @@
+const MAX_BODY_BYTES = 4096;
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new HttpError(400, 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Wrap an async `route(req, res)` in an http handler that turns HttpErrors into
+ * JSON responses and hides everything else behind a 500.
+ */
+function jsonHandler(route) {
+  return (req, res) => {
+    route(req, res).catch((error) => {
+      if (error instanceof HttpError) {
+        const headers =
+          error.details && error.details.retryAfter !== undefined
+            ? { 'Retry-After': error.details.retryAfter }
+            : {};
+        return sendJson(res, error.status, { error: error.message, ...error.details }, headers);
+      }
+      sendJson(res, 500, { error: 'Internal error' });
+    });
+  };
+}
+
+/**
+ * Promise-based listen/close for an http.Server.
+ * @returns {Promise<number>} The bound port
+ */
+async function listen(server, port, host) {
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  return server.address().port;
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+module.exports = {
+  HttpError,
+  readJsonBody,
+  sendJson,
+  jsonHandler,
+  listen,
+  close,
+};
@@ -0,0 +1,11 @@
+const { createMintSignerService, HttpError, DEFAULT_EXPIRY_SECONDS } = require('./service');
+const { RateLimiter, RevocationList, AuditLog } = require('./stores');
+
+module.exports = {
+  createMintSignerService,
+  HttpError,
+  DEFAULT_EXPIRY_SECONDS,
+  RateLimiter,
+  RevocationList,
+  AuditLog,
+};
@@ -0,0 +1,49 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { createMintSignerService, DEFAULT_EXPIRY_SECONDS } = require('./service');
+
+async function main() {
+  const {
+    MINT_SIGNER_PRIVATE_KEY,
+    CLAWNFA_ADDRESS,
+    MINT_SIGNER_RPC_URL = 'http://127.0.0.1:8545',
+    MINT_SIGNER_PORT = '8787',
+    MINT_SIGNER_HOST = '127.0.0.1',
+    MINT_SIGNATURE_TTL = String(DEFAULT_EXPIRY_SECONDS),
+    MINT_SIGNER_MIN_TOKEN_BALANCE = '0',
+    MINT_SIGNER_RATE_LIMIT = '5',
+    MINT_SIGNER_RATE_WINDOW = '3600',
+    MINT_SIGNER_AUDIT_LOG = './mint-signer/audit.log',
+    MINT_SIGNER_REVOCATIONS = './mint-signer/revocations.json',
+    MINT_SIGNER_ADMIN_TOKEN,
+  } = process.env;
+
+  if (!MINT_SIGNER_PRIVATE_KEY || !CLAWNFA_ADDRESS) {
+    throw new Error('MINT_SIGNER_PRIVATE_KEY and CLAWNFA_ADDRESS must be set');
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(MINT_SIGNER_RPC_URL);
+  const service = createMintSignerService({
+    signer: new ethers.Wallet(MINT_SIGNER_PRIVATE_KEY, provider),
+    contractAddress: CLAWNFA_ADDRESS,
+    provider,
+    expirySeconds: Number(MINT_SIGNATURE_TTL),
+    minTokenBalance: MINT_SIGNER_MIN_TOKEN_BALANCE,
+    rateLimit: {
+      max: Number(MINT_SIGNER_RATE_LIMIT),
+      windowMs: Number(MINT_SIGNER_RATE_WINDOW) * 1000,
+    },
+    auditLogFile: MINT_SIGNER_AUDIT_LOG,
+    revocationFile: MINT_SIGNER_REVOCATIONS,
+    adminToken: MINT_SIGNER_ADMIN_TOKEN,
+  });
+
+  const port = await service.listen(Number(MINT_SIGNER_PORT), MINT_SIGNER_HOST);
+  console.log(`🔏 CLAWNFA mint signer listening on http://${MINT_SIGNER_HOST}:${port}`);
+  console.log('📍 Contract:', CLAWNFA_ADDRESS);
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
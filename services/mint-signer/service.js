@@ -0,0 +1,183 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const { CLAWNFAClient, ClawMintSigner } = require('../../sdk');
+const { HttpError, readJsonBody, sendJson, jsonHandler, listen, close } = require('../lib/http');
+const { RateLimiter, RevocationList, AuditLog } = require('./stores');
+
+const DEFAULT_EXPIRY_SECONDS = 15 * 60;
+
+function parseWallet(value) {
+  if (typeof value !== 'string' || !ethers.utils.isAddress(value)) {
+    throw new HttpError(400, 'Invalid wallet address');
+  }
+  return ethers.utils.getAddress(value);
+}
+
+/**
+ * Create the CLAWNFA mint-signature service.
+ *
+ * @param {object} config
+ * @param {ethers.Signer} config.signer Key registered as `signerAddress` on the contract
+ * @param {string} config.contractAddress CLAWNFA contract address
+ * @param {ethers.providers.Provider} [config.provider] Chain RPC, defaults to the signer's provider
+ * @param {number} [config.expirySeconds] Lifetime of issued requests, relative to the latest block
+ * @param {string|ethers.BigNumber} [config.minTokenBalance] Extra REQUIRED_TOKEN threshold on top
+ *        of the contract's MIN_TOKEN_BALANCE
+ * @param {{windowMs: number, max: number}} [config.rateLimit] Signature requests per wallet
+ * @param {string} [config.auditLogFile] JSON Lines file receiving every issued signature
+ * @param {string} [config.revocationFile] JSON file holding revoked wallets
+ * @param {string} [config.adminToken] Bearer token enabling the /admin endpoints
+ */
+function createMintSignerService(config) {
+  const provider = config.provider || config.signer.provider;
+  const client = new CLAWNFAClient({ address: config.contractAddress, signerOrProvider: provider });
+  const mintSigner = new ClawMintSigner({
+    signer: config.signer,
+    contractAddress: config.contractAddress,
+    provider,
+  });
+  const expirySeconds = config.expirySeconds || DEFAULT_EXPIRY_SECONDS;
+  const minTokenBalance = ethers.BigNumber.from(config.minTokenBalance || 0);
+
+  const rateLimiter = new RateLimiter(config.rateLimit);
+  const revocations = new RevocationList({ file: config.revocationFile });
+  const auditLog = new AuditLog({ file: config.auditLogFile });
+
+  async function assertSignerRegistered() {
+    const [registered, local] = await Promise.all([
+      client.contract.signerAddress(),
+      config.signer.getAddress(),
+    ]);
+    if (registered !== local) {
+      throw new Error(`Service key ${local} is not the contract signerAddress (${registered})`);
+    }
+  }
+
+  async function issueSignature(walletInput, remoteAddress) {
+    const wallet = parseWallet(walletInput);
+
+    if (revocations.has(wallet)) {
+      throw new HttpError(403, 'Wallet is revoked');
+    }
+
+    const limit = rateLimiter.hit(wallet);
+    if (!limit.allowed) {
+      throw new HttpError(429, 'Rate limit exceeded', {
+        retryAfter: Math.ceil((limit.resetAt - Date.now()) / 1000),
+      });
+    }
+
+    const eligibility = await client.getMintEligibility(wallet);
+    const threshold = minTokenBalance.gt(eligibility.minTokenBalance)
+      ? minTokenBalance
+      : ethers.BigNumber.from(eligibility.minTokenBalance);
+    if (threshold.gt(eligibility.tokenBalance)) {
+      throw new HttpError(403, 'Insufficient REQUIRED_TOKEN balance', {
+        tokenBalance: eligibility.tokenBalance,
+        required: threshold.toString(),
+      });
+    }
+    if (!eligibility.canMint) {
+      throw new HttpError(403, 'Wallet cannot mint', {
+        mintedCount: eligibility.mintedCount,
+        mintLimit: eligibility.mintLimit,
+      });
+    }
+
+    const block = await provider.getBlock('latest');
+    const { request, signature } = await mintSigner.sign({
+      wallet,
+      nonce: eligibility.nonce,
+      expiry: block.timestamp + expirySeconds,
+    });
+
+    auditLog.record({
+      wallet,
+      nonce: request.nonce,
+      expiry: request.expiry,
+      signature,
+      remoteAddress,
+    });
+
+    return { contract: mintSigner.contractAddress, request, signature };
+  }
+
+  function assertAdmin(req) {
+    if (!config.adminToken) {
+      throw new HttpError(404, 'Not found');
+    }
+    if (req.headers.authorization !== `Bearer ${config.adminToken}`) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+
+    if (req.method === 'GET' && pathname === '/health') {
+      return sendJson(res, 200, { ok: true, contract: mintSigner.contractAddress });
+    }
+
+    if (req.method === 'POST' && pathname === '/mint-signature') {
+      const body = await readJsonBody(req);
+      const payload = await issueSignature(body.wallet, req.socket.remoteAddress);
+      return sendJson(res, 200, payload);
+    }
+
+    if (pathname === '/admin/revocations') {
+      assertAdmin(req);
+      if (req.method === 'GET') {
+        return sendJson(res, 200, { wallets: revocations.list() });
+      }
+      if (req.method === 'POST') {
+        const wallet = parseWallet((await readJsonBody(req)).wallet);
+        revocations.add(wallet);
+        return sendJson(res, 200, { revoked: wallet });
+      }
+    }
+
+    if (pathname.startsWith('/admin/revocations/') && req.method === 'DELETE') {
+      assertAdmin(req);
+      const wallet = parseWallet(pathname.slice('/admin/revocations/'.length));
+      revocations.remove(wallet);
+      return sendJson(res, 200, { restored: wallet });
+    }
+
+    if (req.method === 'GET' && pathname === '/admin/audit') {
+      assertAdmin(req);
+      return sendJson(res, 200, { entries: auditLog.entries() });
+    }
+
+    throw new HttpError(404, 'Not found');
+  }
+
+  const server = http.createServer(jsonHandler(route));
+
+  return {
+    server,
+    rateLimiter,
+    revocations,
+    auditLog,
+    issueSignature,
+
+    /**
+     * Verify the key against the contract and start listening.
+     * @returns {Promise<number>} The bound port
+     */
+    async listen(port = 0, host = '127.0.0.1') {
+      await assertSignerRegistered();
+      return listen(server, port, host);
+    },
+
+    close() {
+      return close(server);
+    },
+  };
+}
+
+module.exports = {
+  createMintSignerService,
+  HttpError,
+  DEFAULT_EXPIRY_SECONDS,
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fixed-window request counter keyed by wallet.
+ */
+class RateLimiter {
+  constructor({ windowMs = 60 * 60 * 1000, max = 5, now = Date.now } = {}) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.now = now;
+    this._windows = new Map();
+  }
+
+  /**
+   * Count a request for `key`, dropping every window that has expired.
+   * @returns {{allowed: boolean, remaining: number, resetAt: number}}
+   */
+  hit(key) {
+    const now = this.now();
+    this._prune(now);
+    let window = this._windows.get(key);
+    if (!window) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this._windows.set(key, window);
+    }
+    if (window.count >= this.max) {
+      return { allowed: false, remaining: 0, resetAt: window.resetAt };
+    }
+    window.count++;
+    return { allowed: true, remaining: this.max - window.count, resetAt: window.resetAt };
+  }
+
+  /** Number of wallets with an open window. */
+  get size() {
+    return this._windows.size;
+  }
+
+  // Windows all last `windowMs` and are only ever inserted, so the map is ordered by resetAt
+  _prune(now) {
+    for (const [key, window] of this._windows) {
+      if (now < window.resetAt) break;
+      this._windows.delete(key);
+    }
+  }
+}
+
+function ensureDir(file) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Wallets that must not receive mint signatures, optionally persisted as a JSON array.
+ */
+class RevocationList {
+  constructor({ file } = {}) {
+    this.file = file;
+    this._wallets = new Set();
+    if (file && fs.existsSync(file)) {
+      for (const wallet of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+        this._wallets.add(wallet.toLowerCase());
+      }
+    }
+  }
+
+  has(wallet) {
+    return this._wallets.has(wallet.toLowerCase());
+  }
+
+  add(wallet) {
+    this._wallets.add(wallet.toLowerCase());
+    this._persist();
+  }
+
+  remove(wallet) {
+    this._wallets.delete(wallet.toLowerCase());
+    this._persist();
+  }
+
+  list() {
+    return [...this._wallets];
+  }
+
+  _persist() {
+    if (!this.file) return;
+    ensureDir(this.file);
+    fs.writeFileSync(this.file, JSON.stringify(this.list(), null, 2));
+  }
+}
+
+/**
+ * Append-only JSON Lines log of every issued signature.
+ */
+class AuditLog {
+  constructor({ file } = {}) {
+    this.file = file;
+    this._entries = [];
+  }
+
+  record(entry) {
+    const line = { timestamp: new Date().toISOString(), ...entry };
+    this._entries.push(line);
+    if (this.file) {
+      ensureDir(this.file);
+      fs.appendFileSync(this.file, `${JSON.stringify(line)}\n`);
+    }
+    return line;
+  }
+
+  entries() {
+    if (this.file && fs.existsSync(this.file)) {
+      return fs
+        .readFileSync(this.file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    }
+    return [...this._entries];
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  RevocationList,
+  AuditLog,
+};
@@ -0,0 +1,318 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+const { DEFAULT_METADATA, TokenWhitelistClient } = require('../sdk');
+
+describe('Agent Rental', function () {
+  const HOUR = 60 * 60;
+  const tokenId = 1;
+  // IERC4907 interface id: setUser ^ userOf ^ userExpires
+  const IERC4907_ID = '0xad092b5c';
+  let owner, agentOwner, renter, operator, buyer, token, otherToken, treasury;
+  let nfa, whitelist, spendingLimit, policyGuard;
+
+  beforeEach(async function () {
+    [owner, agentOwner, renter, operator, buyer, token, otherToken, treasury] =
+      await ethers.getSigners();
+
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await nfa.deployed();
+    // Paid mint, so the agent is transferable
+    await nfa.setFreeMintsPerUser(0);
+    await nfa
+      .connect(agentOwner)
+      .createAgent(
+        agentOwner.address,
+        ethers.constants.AddressZero,
+        'ipfs://agent',
+        DEFAULT_METADATA,
+        { value: ethers.utils.parseEther('0.01') },
+      );
+
+    const TokenWhitelist = await ethers.getContractFactory('TokenWhitelistExample');
+    whitelist = await TokenWhitelist.deploy(nfa.address);
+    await whitelist.deployed();
+
+    const SpendingLimit = await ethers.getContractFactory('SpendingLimitExample');
+    spendingLimit = await SpendingLimit.deploy();
+    await spendingLimit.deployed();
+
+    const PolicyGuard = await ethers.getContractFactory('PolicyGuardExample');
+    policyGuard = await PolicyGuard.deploy();
+    await policyGuard.deployed();
+  });
+
+  async function rentUntil(expires) {
+    await nfa.connect(agentOwner).setUser(tokenId, renter.address, expires);
+  }
+
+  function check(target) {
+    return whitelist.check(tokenId, renter.address, target, '0xa9059cbb', '0x', 0);
+  }
+
+  // ============================================
+  //              ERC-4907: BAP578
+  // ============================================
+
+  describe('ERC-4907: BAP578', function () {
+    it('should advertise IERC4907 through ERC-165', async function () {
+      expect(await nfa.supportsInterface(IERC4907_ID)).to.equal(true);
+    });
+
+    it('should let the owner rent the agent out until an expiry', async function () {
+      const expires = (await time.latest()) + HOUR;
+
+      await expect(nfa.connect(agentOwner).setUser(tokenId, renter.address, expires))
+        .to.emit(nfa, 'UpdateUser')
+        .withArgs(tokenId, renter.address, expires);
+      expect(await nfa.userOf(tokenId)).to.equal(renter.address);
+      expect(await nfa.userExpires(tokenId)).to.equal(expires);
+      // Renting does not change ownership
+      expect(await nfa.ownerOf(tokenId)).to.equal(agentOwner.address);
+    });
+
+    it('should end the renter rights exactly at userExpires', async function () {
+      const expires = (await time.latest()) + HOUR;
+      await rentUntil(expires);
+
+      await time.increaseTo(expires - 1);
+      expect(await nfa.userOf(tokenId)).to.equal(renter.address);
+
+      await time.increaseTo(expires);
+      expect(await nfa.userOf(tokenId)).to.equal(ethers.constants.AddressZero);
+      expect(await nfa.userExpires(tokenId)).to.equal(expires);
+    });
+
+    it('should let approved operators set the user', async function () {
+      await nfa.connect(agentOwner).setApprovalForAll(operator.address, true);
+      const expires = (await time.latest()) + HOUR;
+
+      await nfa.connect(operator).setUser(tokenId, renter.address, expires);
+      expect(await nfa.userOf(tokenId)).to.equal(renter.address);
+    });
+
+    it('should reject anyone else, including the renter', async function () {
+      const expires = (await time.latest()) + HOUR;
+      await rentUntil(expires);
+
+      await expect(
+        nfa.connect(renter).setUser(tokenId, renter.address, expires + HOUR),
+      ).to.be.revertedWith('Not token owner or approved');
+      await expect(nfa.connect(buyer).setUser(tokenId, buyer.address, expires)).to.be.revertedWith(
+        'Not token owner or approved',
+      );
+    });
+
+    it('should reject rentals that have already expired', async function () {
+      const now = await time.latest();
+      await expect(rentUntil(now)).to.be.revertedWith('Rental already expired');
+    });
+
+    it('should let the owner end a rental early', async function () {
+      await rentUntil((await time.latest()) + HOUR);
+
+      await expect(nfa.connect(agentOwner).setUser(tokenId, ethers.constants.AddressZero, 0))
+        .to.emit(nfa, 'UpdateUser')
+        .withArgs(tokenId, ethers.constants.AddressZero, 0);
+      expect(await nfa.userOf(tokenId)).to.equal(ethers.constants.AddressZero);
+      expect(await nfa.userExpires(tokenId)).to.equal(0);
+    });
+
+    it('should clear the rental when the agent changes owner', async function () {
+      await rentUntil((await time.latest()) + HOUR);
+
+      await expect(nfa.connect(agentOwner).transferFrom(agentOwner.address, buyer.address, tokenId))
+        .to.emit(nfa, 'UpdateUser')
+        .withArgs(tokenId, ethers.constants.AddressZero, 0);
+      expect(await nfa.userOf(tokenId)).to.equal(ethers.constants.AddressZero);
+    });
+  });
+
+  // ============================================
+  //       Renter Policies: TokenWhitelistExample
+  // ============================================
+
+  describe('Renter policies: TokenWhitelistExample', function () {
+    beforeEach(async function () {
+      await whitelist.setToken(tokenId, token.address, true);
+      await whitelist.setToken(tokenId, otherToken.address, true);
+    });
+
+    it('should be renter-configurable with a custom policy type', async function () {
+      expect(await whitelist.renterConfigurable()).to.equal(true);
+      expect(await whitelist.policyType()).to.equal(ethers.utils.id('token_whitelist'));
+      expect(await spendingLimit.renterConfigurable()).to.equal(false);
+    });
+
+    it('should enforce the owner ceiling when the agent is not rented', async function () {
+      expect((await check(token.address)).ok).to.equal(true);
+
+      const [ok, reason] = await check(buyer.address);
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('TokenWhitelist: token not allowed');
+    });
+
+    it('should only allow tokens the renter enabled during a rental', async function () {
+      await rentUntil((await time.latest()) + HOUR);
+      let [ok, reason] = await check(token.address);
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('TokenWhitelist: token not enabled by renter');
+
+      await expect(whitelist.connect(renter).setRenterToken(tokenId, token.address, true))
+        .to.emit(whitelist, 'RenterTokenSet')
+        .withArgs(tokenId, renter.address, token.address, true);
+
+      expect(await whitelist.renterEnabled(tokenId, token.address)).to.equal(true);
+      expect((await check(token.address)).ok).to.equal(true);
+      [ok, reason] = await check(otherToken.address);
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('TokenWhitelist: token not enabled by renter');
+    });
+
+    it('should keep renter choices within the owner ceiling', async function () {
+      await rentUntil((await time.latest()) + HOUR);
+
+      await expect(
+        whitelist.connect(renter).setRenterToken(tokenId, buyer.address, true),
+      ).to.be.revertedWith('TokenWhitelist: exceeds owner ceiling');
+
+      // Removing a token from the ceiling also blocks it for the renter
+      await whitelist.connect(renter).setRenterToken(tokenId, token.address, true);
+      await whitelist.setToken(tokenId, token.address, false);
+      const [ok, reason] = await check(token.address);
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('TokenWhitelist: token not allowed');
+    });
+
+    it('should only accept configuration from the current renter', async function () {
+      await expect(
+        whitelist.connect(renter).setRenterToken(tokenId, token.address, true),
+      ).to.be.revertedWith('TokenWhitelist: not renter');
+
+      await rentUntil((await time.latest()) + HOUR);
+      await expect(
+        whitelist.connect(agentOwner).setRenterToken(tokenId, token.address, true),
+      ).to.be.revertedWith('TokenWhitelist: not renter');
+      await expect(
+        whitelist.connect(renter).setToken(tokenId, buyer.address, true),
+      ).to.be.revertedWith('TokenWhitelist: not owner');
+    });
+
+    it('should keep renters away from owner-only policies', async function () {
+      await rentUntil((await time.latest()) + HOUR);
+
+      await expect(
+        spendingLimit.connect(renter).setLimit(tokenId, ethers.utils.parseEther('100')),
+      ).to.be.revertedWith('SpendingLimit: not owner');
+    });
+
+    it('should end renter configuration exactly at userExpires', async function () {
+      const expires = (await time.latest()) + HOUR;
+      await rentUntil(expires);
+      await whitelist.connect(renter).setRenterToken(tokenId, token.address, true);
+
+      // Last second of the rental: the renter can still configure
+      await time.setNextBlockTimestamp(expires - 1);
+      await whitelist.connect(renter).setRenterToken(tokenId, otherToken.address, true);
+
+      await time.setNextBlockTimestamp(expires);
+      await expect(
+        whitelist.connect(renter).setRenterToken(tokenId, otherToken.address, false),
+      ).to.be.revertedWith('TokenWhitelist: not renter');
+
+      // Back to the owner ceiling
+      expect(await whitelist.renterEnabled(tokenId, token.address)).to.equal(false);
+      const [ok, reason] = await check(buyer.address);
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('TokenWhitelist: token not allowed');
+      expect((await check(otherToken.address)).ok).to.equal(true);
+    });
+
+    it('should configure renter tokens through the SDK until userExpires', async function () {
+      const renterClient = new TokenWhitelistClient({
+        address: whitelist.address,
+        signerOrProvider: renter,
+      });
+      expect(await renterClient.getInfo()).to.deep.equal({
+        address: whitelist.address,
+        nfa: nfa.address,
+        owner: owner.address,
+      });
+
+      const expires = (await time.latest()) + HOUR;
+      await rentUntil(expires);
+      const { transactionHash } = await renterClient.setRenterToken(tokenId, token.address, true);
+      expect(transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await renterClient.getToken(tokenId, token.address)).to.deep.equal({
+        tokenId: String(tokenId),
+        token: token.address,
+        allowed: true,
+        renterEnabled: true,
+      });
+
+      await time.increaseTo(expires);
+      await expect(
+        renterClient.setRenterToken(tokenId, otherToken.address, true),
+      ).to.be.rejectedWith('TokenWhitelist: not renter');
+      expect(await renterClient.getToken(tokenId, token.address)).to.include({
+        allowed: true,
+        renterEnabled: false,
+      });
+    });
+
+    it('should start every rental with nothing enabled', async function () {
+      const expires = (await time.latest()) + HOUR;
+      await rentUntil(expires);
+      await whitelist.connect(renter).setRenterToken(tokenId, token.address, true);
+
+      await time.increaseTo(expires);
+      await rentUntil(expires + HOUR);
+
+      expect(await whitelist.renterEnabled(tokenId, token.address)).to.equal(false);
+      expect((await check(token.address)).ok).to.equal(false);
+    });
+  });
+
+  // ============================================
+  //     Composition: PolicyGuardExample.validate
+  // ============================================
+
+  describe('Composition: PolicyGuardExample.validate', function () {
+    beforeEach(async function () {
+      await policyGuard.registerPolicy(spendingLimit.address);
+      await policyGuard.registerPolicy(whitelist.address);
+      await policyGuard.bindPolicies(tokenId, [spendingLimit.address, whitelist.address]);
+      await spendingLimit.setLimit(tokenId, ethers.utils.parseEther('1.0'));
+      await whitelist.setToken(tokenId, token.address, true);
+    });
+
+    function validate(target, value) {
+      return policyGuard.validate(
+        nfa.address,
+        tokenId,
+        nfa.address,
+        renter.address,
+        target,
+        value,
+        '0xa9059cbb',
+      );
+    }
+
+    it('should combine the renter selection with owner-only policies', async function () {
+      const expires = (await time.latest()) + HOUR;
+      await rentUntil(expires);
+      await whitelist.connect(renter).setRenterToken(tokenId, token.address, true);
+
+      expect((await validate(token.address, ethers.utils.parseEther('0.5'))).ok).to.equal(true);
+
+      // The renter cannot raise the owner's spending limit
+      const [ok, reason] = await validate(token.address, ethers.utils.parseEther('2.0'));
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('SpendingLimit: exceeds per-action limit');
+    });
+  });
+});
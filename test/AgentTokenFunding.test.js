@@ -0,0 +1,268 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const { DEFAULT_METADATA } = require('../sdk');
+
+describe('Agent Token Funding', function () {
+  const amount = ethers.utils.parseUnits('100', 18);
+  let owner, agentOwner, funder, buyer, treasury;
+  let usdt, busd;
+
+  beforeEach(async function () {
+    [owner, agentOwner, funder, buyer, treasury] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    usdt = await MockERC20.deploy('Tether USD', 'USDT', 18);
+    busd = await MockERC20.deploy('Binance USD', 'BUSD', 18);
+    for (const token of [usdt, busd]) {
+      await token.mint(funder.address, amount.mul(10));
+      await token.mint(agentOwner.address, amount.mul(10));
+    }
+  });
+
+  // ============================================
+  //              BAP578
+  // ============================================
+
+  describe('BAP578', function () {
+    let nfa;
+
+    beforeEach(async function () {
+      const BAP578 = await ethers.getContractFactory('BAP578');
+      nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+        initializer: 'initialize',
+        kind: 'uups',
+      });
+      await nfa.deployed();
+      // Paid mint, so the agent is transferable
+      await nfa.setFreeMintsPerUser(0);
+      await nfa
+        .connect(agentOwner)
+        .createAgent(
+          agentOwner.address,
+          ethers.constants.AddressZero,
+          'ipfs://agent',
+          DEFAULT_METADATA,
+          { value: ethers.utils.parseEther('0.01') },
+        );
+      await usdt.connect(funder).approve(nfa.address, ethers.constants.MaxUint256);
+    });
+
+    it('should credit deposits per agent and per token', async function () {
+      await expect(nfa.connect(funder).fundAgentToken(1, usdt.address, amount))
+        .to.emit(nfa, 'AgentTokenFunded')
+        .withArgs(1, usdt.address, funder.address, amount);
+
+      expect(await nfa.getAgentTokenBalance(1, usdt.address)).to.equal(amount);
+      expect(await nfa.getAgentTokenBalance(1, busd.address)).to.equal(0);
+      expect(await usdt.balanceOf(nfa.address)).to.equal(amount);
+      // Native balance is untouched
+      expect((await nfa.getAgentState(1)).balance).to.equal(0);
+    });
+
+    it('should require an allowance', async function () {
+      await expect(nfa.connect(funder).fundAgentToken(1, busd.address, amount)).to.be.revertedWith(
+        'ERC20: insufficient allowance',
+      );
+    });
+
+    it('should reject invalid deposits', async function () {
+      await expect(nfa.connect(funder).fundAgentToken(99, usdt.address, amount)).to.be.revertedWith(
+        'Token does not exist',
+      );
+      await expect(
+        nfa.connect(funder).fundAgentToken(1, ethers.constants.AddressZero, amount),
+      ).to.be.revertedWith('Invalid token');
+      await expect(nfa.connect(funder).fundAgentToken(1, usdt.address, 0)).to.be.revertedWith(
+        'Amount must be > 0',
+      );
+
+      await nfa.setPaused(true);
+      await expect(nfa.connect(funder).fundAgentToken(1, usdt.address, amount)).to.be.revertedWith(
+        'Contract is paused',
+      );
+    });
+
+    it('should let only the owner withdraw, up to the balance', async function () {
+      await nfa.connect(funder).fundAgentToken(1, usdt.address, amount);
+
+      await expect(
+        nfa.connect(funder).withdrawAgentToken(1, usdt.address, amount),
+      ).to.be.revertedWith('Not token owner');
+      await expect(
+        nfa.connect(agentOwner).withdrawAgentToken(1, usdt.address, amount.add(1)),
+      ).to.be.revertedWith('Insufficient balance');
+      await expect(
+        nfa.connect(agentOwner).withdrawAgentToken(1, busd.address, 1),
+      ).to.be.revertedWith('Insufficient balance');
+
+      await expect(() =>
+        nfa.connect(agentOwner).withdrawAgentToken(1, usdt.address, amount.div(4)),
+      ).to.changeTokenBalances(usdt, [agentOwner, nfa], [amount.div(4), amount.div(-4)]);
+      await expect(nfa.connect(agentOwner).withdrawAgentToken(1, usdt.address, amount.div(4)))
+        .to.emit(nfa, 'AgentTokenWithdrawn')
+        .withArgs(1, usdt.address, agentOwner.address, amount.div(4));
+      expect(await nfa.getAgentTokenBalance(1, usdt.address)).to.equal(amount.div(2));
+    });
+
+    it('should move token balances with the agent', async function () {
+      await nfa.connect(funder).fundAgentToken(1, usdt.address, amount);
+      await nfa.connect(agentOwner).transferFrom(agentOwner.address, buyer.address, 1);
+
+      await expect(
+        nfa.connect(agentOwner).withdrawAgentToken(1, usdt.address, amount),
+      ).to.be.revertedWith('Not token owner');
+      await nfa.connect(buyer).withdrawAgentToken(1, usdt.address, amount);
+      expect(await usdt.balanceOf(buyer.address)).to.equal(amount);
+    });
+
+    it('should block deposits but not withdrawals after termination', async function () {
+      await nfa.connect(funder).fundAgentToken(1, usdt.address, amount);
+      await nfa.connect(agentOwner).terminate(1);
+
+      await expect(nfa.connect(funder).fundAgentToken(1, usdt.address, amount)).to.be.revertedWith(
+        'Agent is terminated',
+      );
+      await nfa.connect(agentOwner).withdrawAgentToken(1, usdt.address, amount);
+      expect(await nfa.getAgentTokenBalance(1, usdt.address)).to.equal(0);
+    });
+
+    it('should keep agent balances equal to the tokens held', async function () {
+      await nfa
+        .connect(agentOwner)
+        .createAgent(
+          agentOwner.address,
+          ethers.constants.AddressZero,
+          'ipfs://agent2',
+          DEFAULT_METADATA,
+          { value: ethers.utils.parseEther('0.01') },
+        );
+      await nfa.connect(funder).fundAgentToken(1, usdt.address, amount);
+      await nfa.connect(funder).fundAgentToken(2, usdt.address, amount.mul(2));
+      await nfa.connect(agentOwner).withdrawAgentToken(2, usdt.address, amount.div(2));
+
+      const total = (await nfa.getAgentTokenBalance(1, usdt.address)).add(
+        await nfa.getAgentTokenBalance(2, usdt.address),
+      );
+      expect(total).to.equal(await usdt.balanceOf(nfa.address));
+    });
+
+    it('should keep token balances across an upgrade', async function () {
+      await nfa.connect(funder).fundAgentToken(1, usdt.address, amount);
+      const upgraded = await upgrades.upgradeProxy(
+        nfa.address,
+        await ethers.getContractFactory('BAP578V2Mock'),
+      );
+      expect(await upgraded.getAgentTokenBalance(1, usdt.address)).to.equal(amount);
+    });
+  });
+
+  // ============================================
+  //              CLAWNFA
+  // ============================================
+
+  describe('CLAWNFA', function () {
+    let requiredToken, nfa;
+
+    async function mintAs(user) {
+      const nonce = await nfa.nonces(user.address);
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      const req = { wallet: user.address, nonce, expiry: timestamp + 3600 };
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = await owner._signTypedData(
+        { name: 'Non-Fungible Agent', version: '1', chainId, verifyingContract: nfa.address },
+        {
+          MintRequest: [
+            { name: 'wallet', type: 'address' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'expiry', type: 'uint256' },
+          ],
+        },
+        req,
+      );
+      await nfa.connect(user).mint(req, signature);
+    }
+
+    beforeEach(async function () {
+      // MockERC20Balance is the mint requirement, MockERC20 the funding token
+      const MockERC20Balance = await ethers.getContractFactory('MockERC20Balance');
+      requiredToken = await MockERC20Balance.deploy();
+      await requiredToken.setBalance(agentOwner.address, ethers.utils.parseUnits('10000', 18));
+
+      const NFA = await ethers.getContractFactory('NFA');
+      nfa = await NFA.deploy(requiredToken.address, 10000);
+      await nfa.deployed();
+      await mintAs(agentOwner);
+      await usdt.connect(funder).approve(nfa.address, ethers.constants.MaxUint256);
+    });
+
+    it('should credit deposits per agent and per token', async function () {
+      await expect(nfa.connect(funder).fundAgentToken(0, usdt.address, amount))
+        .to.emit(nfa, 'AgentTokenFunded')
+        .withArgs(0, usdt.address, funder.address, amount);
+
+      expect(await nfa.getAgentTokenBalance(0, usdt.address)).to.equal(amount);
+      expect(await nfa.getAgentTokenBalance(0, busd.address)).to.equal(0);
+      expect((await nfa.getState(0)).balance).to.equal(0);
+    });
+
+    it('should reject invalid deposits', async function () {
+      await expect(nfa.connect(funder).fundAgentToken(0, busd.address, amount)).to.be.revertedWith(
+        'NFA: token transfer failed',
+      );
+      await expect(nfa.connect(funder).fundAgentToken(9, usdt.address, amount)).to.be.revertedWith(
+        'NFA: nonexistent',
+      );
+      await expect(nfa.connect(funder).fundAgentToken(0, usdt.address, 0)).to.be.revertedWith(
+        'NFA: zero amount',
+      );
+      await expect(
+        nfa.connect(funder).fundAgentToken(0, funder.address, amount),
+      ).to.be.revertedWith('NFA: token not a contract');
+      // MockERC20Balance has no transferFrom
+      await expect(
+        nfa.connect(funder).fundAgentToken(0, requiredToken.address, amount),
+      ).to.be.revertedWith('NFA: token transfer failed');
+    });
+
+    it('should let only the owner withdraw, up to the balance', async function () {
+      await nfa.connect(funder).fundAgentToken(0, usdt.address, amount);
+
+      await expect(
+        nfa.connect(funder).withdrawAgentToken(0, usdt.address, amount),
+      ).to.be.revertedWith('NFA: not owner');
+      await expect(
+        nfa.connect(agentOwner).withdrawAgentToken(0, usdt.address, amount.add(1)),
+      ).to.be.revertedWith('NFA: insufficient');
+
+      await expect(nfa.connect(agentOwner).withdrawAgentToken(0, usdt.address, amount))
+        .to.emit(nfa, 'AgentTokenWithdrawn')
+        .withArgs(0, usdt.address, agentOwner.address, amount);
+      expect(await usdt.balanceOf(agentOwner.address)).to.equal(amount.mul(11));
+      expect(await nfa.getAgentTokenBalance(0, usdt.address)).to.equal(0);
+    });
+
+    it('should block deposits but not withdrawals after termination', async function () {
+      await nfa.connect(funder).fundAgentToken(0, usdt.address, amount);
+      await nfa.connect(agentOwner).terminate(0);
+
+      await expect(nfa.connect(funder).fundAgentToken(0, usdt.address, amount)).to.be.revertedWith(
+        'NFA: terminated',
+      );
+      await nfa.connect(agentOwner).withdrawAgentToken(0, usdt.address, amount);
+    });
+
+    it('should not burn an agent that still holds tokens', async function () {
+      await nfa.connect(funder).fundAgentToken(0, usdt.address, amount);
+      await busd.connect(agentOwner).approve(nfa.address, amount);
+      await nfa.connect(agentOwner).fundAgentToken(0, busd.address, amount);
+
+      await nfa.connect(agentOwner).withdrawAgentToken(0, usdt.address, amount);
+      await expect(nfa.connect(agentOwner).burn(0)).to.be.revertedWith(
+        'NFA: non-zero token balance',
+      );
+
+      await nfa.connect(agentOwner).withdrawAgentToken(0, busd.address, amount);
+      await nfa.connect(agentOwner).burn(0);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const { DEFAULT_METADATA } = require('../sdk');
+
+describe('BAP578 Lifecycle', function () {
+  // Mirrors BAP578.Status
+  const Status = { Active: 0, Paused: 1, Terminated: 2 };
+  let owner, addr1, addr2, treasury;
+
+  async function deploy(contractName) {
+    const factory = await ethers.getContractFactory(contractName);
+    const proxy = await upgrades.deployProxy(
+      factory,
+      ['Non-Fungible Agents', 'NFA', treasury.address],
+      { initializer: 'initialize', kind: 'uups' },
+    );
+    await proxy.deployed();
+    return proxy;
+  }
+
+  function mint(nfa, signer, uri = 'ipfs://agent') {
+    return nfa
+      .connect(signer)
+      .createAgent(signer.address, ethers.constants.AddressZero, uri, DEFAULT_METADATA);
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, treasury] = await ethers.getSigners();
+  });
+
+  // ============================================
+  //              State Machine
+  // ============================================
+
+  describe('State machine', function () {
+    let nfa;
+
+    beforeEach(async function () {
+      nfa = await deploy('BAP578');
+      await mint(nfa, addr1);
+    });
+
+    it('should start agents as Active', async function () {
+      expect(await nfa.getAgentStatus(1)).to.equal(Status.Active);
+      expect(await nfa.isTerminated(1)).to.equal(false);
+    });
+
+    it('should pause and unpause', async function () {
+      await expect(nfa.connect(addr1).pause(1))
+        .to.emit(nfa, 'AgentStatusChanged')
+        .withArgs(1, false);
+      expect(await nfa.getAgentStatus(1)).to.equal(Status.Paused);
+      expect((await nfa.getAgentState(1)).active).to.equal(false);
+
+      await expect(nfa.connect(addr1).unpause(1))
+        .to.emit(nfa, 'AgentStatusChanged')
+        .withArgs(1, true);
+      expect(await nfa.getAgentStatus(1)).to.equal(Status.Active);
+    });
+
+    it('should only allow valid transitions', async function () {
+      await expect(nfa.connect(addr1).unpause(1)).to.be.revertedWith('Agent is not paused');
+      await nfa.connect(addr1).pause(1);
+      await expect(nfa.connect(addr1).pause(1)).to.be.revertedWith('Agent is not active');
+    });
+
+    it('should only let the token owner change the lifecycle', async function () {
+      await expect(nfa.connect(addr2).pause(1)).to.be.revertedWith('Not token owner');
+      await expect(nfa.connect(addr2).terminate(1)).to.be.revertedWith('Not token owner');
+    });
+
+    it('should terminate active and paused agents', async function () {
+      await expect(nfa.connect(addr1).terminate(1))
+        .to.emit(nfa, 'AgentStatusChanged')
+        .withArgs(1, false)
+        .and.to.emit(nfa, 'AgentTerminated')
+        .withArgs(1);
+      expect(await nfa.getAgentStatus(1)).to.equal(Status.Terminated);
+
+      await mint(nfa, addr1);
+      await nfa.connect(addr1).pause(2);
+      await expect(nfa.connect(addr1).terminate(2))
+        .to.emit(nfa, 'AgentTerminated')
+        .and.not.to.emit(nfa, 'AgentStatusChanged');
+      expect(await nfa.getAgentStatus(2)).to.equal(Status.Terminated);
+    });
+
+    it('should make termination irreversible', async function () {
+      await nfa.connect(addr1).terminate(1);
+
+      await expect(nfa.connect(addr1).terminate(1)).to.be.revertedWith('Agent is terminated');
+      await expect(nfa.connect(addr1).unpause(1)).to.be.revertedWith('Agent is not paused');
+      await expect(nfa.connect(addr1).setAgentStatus(1, true)).to.be.revertedWith(
+        'Agent is terminated',
+      );
+      expect(await nfa.getAgentStatus(1)).to.equal(Status.Terminated);
+    });
+
+    it('should block funding but not withdrawals after termination', async function () {
+      const amount = ethers.utils.parseEther('1');
+      await nfa.connect(addr2).fundAgent(1, { value: amount });
+      await nfa.connect(addr1).terminate(1);
+
+      await expect(nfa.connect(addr2).fundAgent(1, { value: amount })).to.be.revertedWith(
+        'Agent is terminated',
+      );
+      await expect(() => nfa.connect(addr1).withdrawFromAgent(1, amount)).to.changeEtherBalance(
+        addr1,
+        amount,
+      );
+    });
+
+    it('should keep setAgentStatus in sync with the lifecycle', async function () {
+      await nfa.connect(addr1).setAgentStatus(1, false);
+      expect(await nfa.getAgentStatus(1)).to.equal(Status.Paused);
+      await nfa.connect(addr1).setAgentStatus(1, true);
+      expect(await nfa.getAgentStatus(1)).to.equal(Status.Active);
+    });
+
+    it('should reject status queries for nonexistent tokens', async function () {
+      await expect(nfa.getAgentStatus(99)).to.be.revertedWith('Token does not exist');
+    });
+  });
+
+  // ============================================
+  //           Migration from the legacy layout
+  // ============================================
+
+  describe('Migration from the legacy layout', function () {
+    let proxy;
+    const balance = ethers.utils.parseEther('0.5');
+
+    beforeEach(async function () {
+      proxy = await deploy('BAP578LegacyMock');
+      await mint(proxy, addr1, 'ipfs://active');
+      await mint(proxy, addr1, 'ipfs://inactive');
+      await mint(proxy, addr2, 'ipfs://funded');
+      await proxy.connect(addr1).setAgentStatus(2, false);
+      await proxy.connect(addr2).fundAgent(3, { value: balance });
+    });
+
+    it('should validate as a safe upgrade', async function () {
+      const BAP578 = await ethers.getContractFactory('BAP578');
+      await upgrades.validateUpgrade(proxy.address, BAP578, { kind: 'uups' });
+    });
+
+    it('should map legacy agents onto the lifecycle', async function () {
+      const nfa = await upgrades.upgradeProxy(
+        proxy.address,
+        await ethers.getContractFactory('BAP578'),
+      );
+
+      expect(nfa.address).to.equal(proxy.address);
+      expect(await nfa.getAgentStatus(1)).to.equal(Status.Active);
+      expect(await nfa.getAgentStatus(2)).to.equal(Status.Paused);
+      expect(await nfa.getAgentStatus(3)).to.equal(Status.Active);
+      expect(await nfa.isTerminated(3)).to.equal(false);
+
+      // Everything else is untouched
+      const state = await nfa.getAgentState(3);
+      expect(state.balance).to.equal(balance);
+      expect(state.owner).to.equal(addr2.address);
+      expect(await nfa.tokenURI(2)).to.equal('ipfs://inactive');
+      expect(await nfa.getTotalSupply()).to.equal(3);
+      expect(await nfa.freeMintsClaimed(addr1.address)).to.equal(2);
+    });
+
+    it('should run the lifecycle on migrated agents', async function () {
+      const nfa = await upgrades.upgradeProxy(
+        proxy.address,
+        await ethers.getContractFactory('BAP578'),
+      );
+
+      await nfa.connect(addr1).unpause(2);
+      expect(await nfa.getAgentStatus(2)).to.equal(Status.Active);
+
+      await nfa.connect(addr2).terminate(3);
+      await expect(nfa.connect(addr2).fundAgent(3, { value: balance })).to.be.revertedWith(
+        'Agent is terminated',
+      );
+      await nfa.connect(addr2).withdrawFromAgent(3, balance);
+      expect((await nfa.getAgentState(3)).balance).to.equal(0);
+
+      // New agents are minted straight into the lifecycle
+      await mint(nfa, addr1);
+      expect(await nfa.getAgentStatus(4)).to.equal(Status.Active);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+
+describe('Cooldown Policy', function () {
+  const tokenId = 1;
+  const cooldown = 60; // seconds
+  let owner, operator, attacker, recipient;
+  let cooldownPolicy, spendingLimit, policyGuard;
+
+  beforeEach(async function () {
+    [owner, operator, attacker, recipient] = await ethers.getSigners();
+
+    const Cooldown = await ethers.getContractFactory('CooldownExample');
+    cooldownPolicy = await Cooldown.deploy();
+    await cooldownPolicy.deployed();
+
+    const SpendingLimit = await ethers.getContractFactory('SpendingLimitExample');
+    spendingLimit = await SpendingLimit.deploy();
+    await spendingLimit.deployed();
+
+    const PolicyGuard = await ethers.getContractFactory('PolicyGuardExample');
+    policyGuard = await PolicyGuard.deploy();
+    await policyGuard.deployed();
+
+    // The owner stands in for the guard until the composition tests
+    await cooldownPolicy.setGuard(owner.address);
+  });
+
+  function check(id = tokenId) {
+    return cooldownPolicy.check(id, operator.address, recipient.address, '0x00000000', '0x', 0);
+  }
+
+  // ============================================
+  //              IPolicy Interface Tests
+  // ============================================
+
+  describe('IPolicy: CooldownExample', function () {
+    it('should return correct policyType', async function () {
+      expect(await cooldownPolicy.policyType()).to.equal(ethers.utils.id('cooldown'));
+    });
+
+    it('should return renterConfigurable as false', async function () {
+      expect(await cooldownPolicy.renterConfigurable()).to.equal(false);
+    });
+
+    it('should block actions when no cooldown is configured (fail-close)', async function () {
+      const [ok, reason] = await check(99);
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('Cooldown: no cooldown configured');
+    });
+
+    it('should allow the first action of an agent', async function () {
+      await cooldownPolicy.setCooldown(tokenId, cooldown);
+
+      const [ok, reason] = await check();
+      expect(ok).to.equal(true);
+      expect(reason).to.equal('');
+    });
+
+    it('should block actions until the cooldown has elapsed', async function () {
+      await cooldownPolicy.setCooldown(tokenId, cooldown);
+      await expect(cooldownPolicy.commit(tokenId, recipient.address, 0, '0x')).to.emit(
+        cooldownPolicy,
+        'ActionRecorded',
+      );
+      const last = await cooldownPolicy.lastActionAt(tokenId);
+
+      // One second before the window ends
+      await time.increaseTo(last.add(cooldown - 1));
+      const [blocked, reason] = await check();
+      expect(blocked).to.equal(false);
+      expect(reason).to.equal('Cooldown: too soon');
+
+      await time.increaseTo(last.add(cooldown));
+      const [ok] = await check();
+      expect(ok).to.equal(true);
+    });
+
+    it('should track cooldowns per agent', async function () {
+      await cooldownPolicy.setCooldown(1, cooldown);
+      await cooldownPolicy.setCooldown(2, cooldown);
+      await cooldownPolicy.commit(1, recipient.address, 0, '0x');
+
+      expect((await check(1))[0]).to.equal(false);
+      expect((await check(2))[0]).to.equal(true);
+    });
+
+    it('should only allow owner to configure the policy', async function () {
+      await expect(cooldownPolicy.connect(attacker).setCooldown(tokenId, 1)).to.be.revertedWith(
+        'Cooldown: not owner',
+      );
+      await expect(cooldownPolicy.connect(attacker).setGuard(attacker.address)).to.be.revertedWith(
+        'Cooldown: not owner',
+      );
+    });
+
+    it('should only allow the guard to commit actions', async function () {
+      await expect(
+        cooldownPolicy.connect(attacker).commit(tokenId, recipient.address, 0, '0x'),
+      ).to.be.revertedWith('Cooldown: not guard');
+    });
+  });
+
+  // ============================================
+  //       Composition under PolicyGuardExample
+  // ============================================
+
+  describe('Composition: PolicyGuardExample.validate', function () {
+    beforeEach(async function () {
+      await policyGuard.registerPolicy(spendingLimit.address);
+      await policyGuard.registerPolicy(cooldownPolicy.address);
+      await policyGuard.bindPolicies(tokenId, [spendingLimit.address, cooldownPolicy.address]);
+      await spendingLimit.setLimit(tokenId, ethers.utils.parseEther('1.0'));
+      await cooldownPolicy.setCooldown(tokenId, cooldown);
+      await cooldownPolicy.setGuard(policyGuard.address);
+    });
+
+    function validate(value) {
+      return policyGuard.validate(
+        ethers.constants.AddressZero,
+        tokenId,
+        ethers.constants.AddressZero,
+        operator.address,
+        recipient.address,
+        value,
+        '0x',
+      );
+    }
+
+    it('should allow an action that passes both policies', async function () {
+      const [ok, reason] = await validate(ethers.utils.parseEther('0.5'));
+
+      expect(ok).to.equal(true);
+      expect(reason).to.equal('');
+    });
+
+    it('should advertise the commit hook through ERC-165', async function () {
+      const iface = new ethers.utils.Interface(['function commit(uint256,address,uint256,bytes)']);
+      expect(await cooldownPolicy.supportsInterface(iface.getSighash('commit'))).to.equal(true);
+    });
+
+    it('should block a second action inside the cooldown window', async function () {
+      await policyGuard.commit(tokenId, recipient.address, 0, '0x');
+
+      const [ok, reason] = await validate(ethers.utils.parseEther('0.5'));
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('Cooldown: too soon');
+
+      await time.increase(cooldown);
+      expect((await validate(ethers.utils.parseEther('0.5')))[0]).to.equal(true);
+    });
+
+    it('should report the first failing policy in binding order', async function () {
+      await policyGuard.commit(tokenId, recipient.address, 0, '0x');
+
+      const [ok, reason] = await validate(ethers.utils.parseEther('5.0'));
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('SpendingLimit: exceeds per-action limit');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+
+describe('DailySpendingLimit Policy', function () {
+  const tokenId = 1;
+  const DAY = 24 * 60 * 60;
+  const limit = ethers.utils.parseEther('1.0');
+  // IPolicyCommit has a single function, so its ERC-165 id is that function's selector
+  const IPOLICY_COMMIT_ID = new ethers.utils.Interface([
+    'function commit(uint256,address,uint256,bytes)',
+  ]).getSighash('commit');
+  let owner, operator, attacker, executor, recipient;
+  let dailyLimit, spendingLimit, cooldownPolicy, policyGuard;
+
+  beforeEach(async function () {
+    [owner, operator, attacker, executor, recipient] = await ethers.getSigners();
+
+    const DailySpendingLimit = await ethers.getContractFactory('DailySpendingLimitExample');
+    dailyLimit = await DailySpendingLimit.deploy();
+    await dailyLimit.deployed();
+
+    const SpendingLimit = await ethers.getContractFactory('SpendingLimitExample');
+    spendingLimit = await SpendingLimit.deploy();
+    await spendingLimit.deployed();
+
+    const Cooldown = await ethers.getContractFactory('CooldownExample');
+    cooldownPolicy = await Cooldown.deploy();
+    await cooldownPolicy.deployed();
+
+    const PolicyGuard = await ethers.getContractFactory('PolicyGuardExample');
+    policyGuard = await PolicyGuard.deploy();
+    await policyGuard.deployed();
+  });
+
+  function check(value) {
+    return dailyLimit.check(
+      tokenId,
+      operator.address,
+      recipient.address,
+      '0x00000000',
+      '0x',
+      value,
+    );
+  }
+
+  // Start of the UTC day after the latest block
+  async function nextDay() {
+    return (Math.floor((await time.latest()) / DAY) + 1) * DAY;
+  }
+
+  // ============================================
+  //              IPolicy Interface Tests
+  // ============================================
+
+  describe('IPolicy: DailySpendingLimitExample', function () {
+    beforeEach(async function () {
+      // The owner stands in for the guard in these tests
+      await dailyLimit.setGuard(owner.address);
+    });
+
+    it('should return the spending limit policyType', async function () {
+      expect(await dailyLimit.policyType()).to.equal(ethers.utils.id('spending_limit'));
+      expect(await dailyLimit.renterConfigurable()).to.equal(false);
+    });
+
+    it('should advertise IPolicyCommit through ERC-165', async function () {
+      expect(await dailyLimit.supportsInterface(IPOLICY_COMMIT_ID)).to.equal(true);
+      expect(await dailyLimit.supportsInterface('0x01ffc9a7')).to.equal(true);
+      expect(await dailyLimit.supportsInterface('0xffffffff')).to.equal(false);
+    });
+
+    it('should block valued actions when no limit is configured (fail-close)', async function () {
+      const [ok, reason] = await check(1);
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('DailySpendingLimit: no limit configured');
+      expect((await check(0))[0]).to.equal(true);
+    });
+
+    it('should accumulate committed spend within a day', async function () {
+      await dailyLimit.setLimit(tokenId, limit);
+      await time.increaseTo(await nextDay());
+
+      await expect(dailyLimit.commit(tokenId, recipient.address, limit.div(2), '0x')).to.emit(
+        dailyLimit,
+        'SpendRecorded',
+      );
+      expect(await dailyLimit.spentToday(tokenId)).to.equal(limit.div(2));
+      expect(await dailyLimit.remainingToday(tokenId)).to.equal(limit.div(2));
+
+      expect((await check(limit.div(2)))[0]).to.equal(true);
+      const [ok, reason] = await check(limit.div(2).add(1));
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('DailySpendingLimit: exceeds daily limit');
+    });
+
+    it('should stop an agent draining itself in many small actions', async function () {
+      await dailyLimit.setLimit(tokenId, limit);
+      await time.increaseTo(await nextDay());
+      const small = limit.div(100);
+
+      for (let i = 0; i < 100; i++) {
+        await dailyLimit.commit(tokenId, recipient.address, small, '0x');
+      }
+
+      expect(await dailyLimit.remainingToday(tokenId)).to.equal(0);
+      const [ok, reason] = await check(1);
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('DailySpendingLimit: exceeds daily limit');
+    });
+
+    it('should roll the window over exactly at the start of the next day', async function () {
+      await dailyLimit.setLimit(tokenId, limit);
+      const today = await nextDay();
+      await time.increaseTo(today);
+      await dailyLimit.commit(tokenId, recipient.address, limit, '0x');
+
+      // Last second of the same day
+      await time.increaseTo(today + DAY - 1);
+      expect(await dailyLimit.spentToday(tokenId)).to.equal(limit);
+      expect((await check(1))[0]).to.equal(false);
+
+      await time.increaseTo(today + DAY);
+      expect(await dailyLimit.spentToday(tokenId)).to.equal(0);
+      expect((await check(limit))[0]).to.equal(true);
+
+      // A commit on the new day starts a fresh window
+      await dailyLimit.commit(tokenId, recipient.address, limit.div(4), '0x');
+      expect(await dailyLimit.windowDay(tokenId)).to.equal((today + DAY) / DAY);
+      expect(await dailyLimit.spentToday(tokenId)).to.equal(limit.div(4));
+    });
+
+    it('should only allow owner to configure the policy', async function () {
+      await expect(dailyLimit.connect(attacker).setLimit(tokenId, limit)).to.be.revertedWith(
+        'DailySpendingLimit: not owner',
+      );
+      await expect(dailyLimit.connect(attacker).setGuard(attacker.address)).to.be.revertedWith(
+        'DailySpendingLimit: not owner',
+      );
+    });
+
+    it('should only allow the guard to commit spend', async function () {
+      await expect(
+        dailyLimit.connect(attacker).commit(tokenId, recipient.address, limit, '0x'),
+      ).to.be.revertedWith('DailySpendingLimit: not guard');
+    });
+  });
+
+  // ============================================
+  //       Commit hooks under PolicyGuardExample
+  // ============================================
+
+  describe('Composition: PolicyGuardExample.commit', function () {
+    beforeEach(async function () {
+      for (const policy of [spendingLimit, dailyLimit, cooldownPolicy]) {
+        await policyGuard.registerPolicy(policy.address);
+      }
+      await policyGuard.bindPolicies(tokenId, [
+        spendingLimit.address,
+        dailyLimit.address,
+        cooldownPolicy.address,
+      ]);
+      await spendingLimit.setLimit(tokenId, ethers.utils.parseEther('0.5'));
+      await dailyLimit.setLimit(tokenId, limit);
+      await cooldownPolicy.setCooldown(tokenId, 60);
+      await dailyLimit.setGuard(policyGuard.address);
+      await cooldownPolicy.setGuard(policyGuard.address);
+      await policyGuard.setExecutor(executor.address, true);
+      await time.increaseTo(await nextDay());
+    });
+
+    function validate(value) {
+      return policyGuard.validate(
+        ethers.constants.AddressZero,
+        tokenId,
+        ethers.constants.AddressZero,
+        operator.address,
+        recipient.address,
+        value,
+        '0x',
+      );
+    }
+
+    // Validate, then commit as the executor would after executing the action
+    async function act(value) {
+      const [ok, reason] = await validate(value);
+      if (ok) {
+        await policyGuard.connect(executor).commit(tokenId, recipient.address, value, '0x');
+      }
+      return [ok, reason];
+    }
+
+    it('should walk every stateful policy and skip stateless ones', async function () {
+      const value = ethers.utils.parseEther('0.4');
+
+      await expect(policyGuard.connect(executor).commit(tokenId, recipient.address, value, '0x'))
+        .to.emit(dailyLimit, 'SpendRecorded')
+        .and.to.emit(cooldownPolicy, 'ActionRecorded')
+        .and.to.emit(policyGuard, 'ActionCommitted')
+        .withArgs(tokenId, recipient.address);
+      expect(await dailyLimit.spentToday(tokenId)).to.equal(value);
+    });
+
+    it('should enforce the daily limit across actions and roll over', async function () {
+      const value = ethers.utils.parseEther('0.4');
+
+      expect(await act(value)).to.deep.equal([true, '']);
+      await time.increase(60);
+      expect(await act(value)).to.deep.equal([true, '']);
+      await time.increase(60);
+      // Each action is under the per-action cap, but the day's total would be 1.2 BNB
+      expect(await act(value)).to.deep.equal([false, 'DailySpendingLimit: exceeds daily limit']);
+
+      await time.increase(DAY);
+      expect(await act(value)).to.deep.equal([true, '']);
+    });
+
+    it('should only accept commits from the owner or an executor', async function () {
+      await expect(
+        policyGuard.connect(attacker).commit(tokenId, recipient.address, limit, '0x'),
+      ).to.be.revertedWith('PolicyGuard: not executor');
+      await expect(
+        policyGuard.connect(attacker).setExecutor(attacker.address, true),
+      ).to.be.revertedWith('PolicyGuard: not owner');
+
+      await expect(policyGuard.setExecutor(executor.address, false))
+        .to.emit(policyGuard, 'ExecutorSet')
+        .withArgs(executor.address, false);
+      await expect(
+        policyGuard.connect(executor).commit(tokenId, recipient.address, 0, '0x'),
+      ).to.be.revertedWith('PolicyGuard: not executor');
+    });
+
+    it('should revert the commit when a stateful policy rejects it', async function () {
+      // The policy no longer trusts this guard
+      await dailyLimit.setGuard(owner.address);
+
+      await expect(
+        policyGuard.connect(executor).commit(tokenId, recipient.address, 1, '0x'),
+      ).to.be.revertedWith('DailySpendingLimit: not guard');
+    });
+  });
+});
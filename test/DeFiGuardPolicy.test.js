@@ -0,0 +1,169 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+describe('DeFiGuard Policy', function () {
+  const tokenId = 1;
+  const erc20 = new ethers.utils.Interface([
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+  ]);
+  const TRANSFER = erc20.getSighash('transfer');
+  const APPROVE = erc20.getSighash('approve');
+  let owner, operator, attacker, router, token;
+  let defiGuard, spendingLimit, policyGuard;
+
+  beforeEach(async function () {
+    [owner, operator, attacker, router, token] = await ethers.getSigners();
+
+    const DeFiGuard = await ethers.getContractFactory('DeFiGuardExample');
+    defiGuard = await DeFiGuard.deploy();
+    await defiGuard.deployed();
+
+    const SpendingLimit = await ethers.getContractFactory('SpendingLimitExample');
+    spendingLimit = await SpendingLimit.deploy();
+    await spendingLimit.deployed();
+
+    const PolicyGuard = await ethers.getContractFactory('PolicyGuardExample');
+    policyGuard = await PolicyGuard.deploy();
+    await policyGuard.deployed();
+  });
+
+  function check(target, data, id = tokenId) {
+    const selector = ethers.utils.hexDataLength(data) >= 4 ? data.slice(0, 10) : '0x00000000';
+    return defiGuard.check(id, operator.address, target, selector, data, 0);
+  }
+
+  function transfer(to = router.address) {
+    return erc20.encodeFunctionData('transfer', [to, 1]);
+  }
+
+  // ============================================
+  //              IPolicy Interface Tests
+  // ============================================
+
+  describe('IPolicy: DeFiGuardExample', function () {
+    it('should return correct policyType', async function () {
+      expect(await defiGuard.policyType()).to.equal(ethers.utils.id('defi_guard'));
+    });
+
+    it('should return renterConfigurable as false', async function () {
+      expect(await defiGuard.renterConfigurable()).to.equal(false);
+    });
+
+    it('should block every call when nothing is allowlisted (fail-close)', async function () {
+      const [ok, reason] = await check(token.address, transfer());
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('DeFiGuard: target not allowed');
+    });
+
+    it('should allow allowlisted target and selector pairs', async function () {
+      await expect(defiGuard.setAllowed(tokenId, token.address, [TRANSFER], true))
+        .to.emit(defiGuard, 'SelectorSet')
+        .withArgs(tokenId, token.address, TRANSFER, true);
+
+      const [ok, reason] = await check(token.address, transfer());
+      expect(ok).to.equal(true);
+      expect(reason).to.equal('');
+    });
+
+    it('should block other selectors on an allowlisted target', async function () {
+      await defiGuard.setAllowed(tokenId, token.address, [TRANSFER], true);
+
+      const [ok, reason] = await check(
+        token.address,
+        erc20.encodeFunctionData('approve', [router.address, 1]),
+      );
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('DeFiGuard: selector not allowed');
+    });
+
+    it('should treat plain native transfers as the zero selector', async function () {
+      expect((await check(router.address, '0x'))[1]).to.equal('DeFiGuard: target not allowed');
+
+      await defiGuard.setAllowed(tokenId, router.address, ['0x00000000'], true);
+      expect((await check(router.address, '0x'))[0]).to.equal(true);
+    });
+
+    it('should scope allowlists per agent', async function () {
+      await defiGuard.setAllowed(tokenId, token.address, [TRANSFER], true);
+
+      const [ok, reason] = await check(token.address, transfer(), 2);
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('DeFiGuard: target not allowed');
+    });
+
+    it('should block a target again once all its selectors are removed', async function () {
+      await defiGuard.setAllowed(tokenId, token.address, [TRANSFER, APPROVE], true);
+      // Repeated entries do not change the count
+      await defiGuard.setAllowed(tokenId, token.address, [TRANSFER, TRANSFER], true);
+      expect(await defiGuard.allowedSelectorCount(tokenId, token.address)).to.equal(2);
+
+      await defiGuard.setAllowed(tokenId, token.address, [TRANSFER], false);
+      expect((await check(token.address, transfer()))[1]).to.equal(
+        'DeFiGuard: selector not allowed',
+      );
+
+      await defiGuard.setAllowed(tokenId, token.address, [APPROVE], false);
+      expect(await defiGuard.allowedSelectorCount(tokenId, token.address)).to.equal(0);
+      expect((await check(token.address, transfer()))[1]).to.equal('DeFiGuard: target not allowed');
+    });
+
+    it('should only allow owner to update the allowlist', async function () {
+      await expect(
+        defiGuard.connect(attacker).setAllowed(tokenId, token.address, [TRANSFER], true),
+      ).to.be.revertedWith('DeFiGuard: not owner');
+    });
+  });
+
+  // ============================================
+  //       Composition under PolicyGuardExample
+  // ============================================
+
+  describe('Composition: PolicyGuardExample.validate', function () {
+    beforeEach(async function () {
+      await policyGuard.registerPolicy(spendingLimit.address);
+      await policyGuard.registerPolicy(defiGuard.address);
+      await policyGuard.bindPolicies(tokenId, [spendingLimit.address, defiGuard.address]);
+      await spendingLimit.setLimit(tokenId, ethers.utils.parseEther('1.0'));
+      await defiGuard.setAllowed(tokenId, token.address, [TRANSFER], true);
+    });
+
+    function validate(target, value, data) {
+      return policyGuard.validate(
+        ethers.constants.AddressZero,
+        tokenId,
+        ethers.constants.AddressZero,
+        operator.address,
+        target,
+        value,
+        data,
+      );
+    }
+
+    it('should extract the selector from calldata and allow allowlisted calls', async function () {
+      const [ok, reason] = await validate(token.address, 0, transfer());
+
+      expect(ok).to.equal(true);
+      expect(reason).to.equal('');
+    });
+
+    it('should block calls to other contracts', async function () {
+      const [ok, reason] = await validate(router.address, 0, transfer());
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('DeFiGuard: target not allowed');
+    });
+
+    it('should block allowlisted calls that exceed the spending limit', async function () {
+      const [ok, reason] = await validate(
+        token.address,
+        ethers.utils.parseEther('2.0'),
+        transfer(),
+      );
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('SpendingLimit: exceeds per-action limit');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const { buildFreeMintTree, hashFreeMintLeaf, verifyFreeMintProof } = require('../sdk');
+
+describe('FreeMintCampaigns', function () {
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+  let relayer;
+  let nfa;
+  let campaigns;
+  let tree;
+
+  const metadata = {
+    persona: '{"traits":["calm"]}',
+    experience: 'Campaign agent',
+    voiceHash: '',
+    animationURI: '',
+    vaultURI: '',
+    vaultHash: ethers.constants.HashZero,
+  };
+
+  function claim(account, { campaignId = 1, from = relayer, amount, proof } = {}) {
+    const entry = tree.claims[account.address];
+    return campaigns
+      .connect(from)
+      .claim(campaignId, account.address, amount || entry.amount, proof || entry.proof);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol, relayer] = await ethers.getSigners();
+
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', owner.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await nfa.deployed();
+
+    const FreeMintCampaigns = await ethers.getContractFactory('FreeMintCampaigns');
+    campaigns = await FreeMintCampaigns.deploy(nfa.address);
+    await campaigns.deployed();
+    await nfa.setFreeMintDistributor(campaigns.address);
+
+    tree = buildFreeMintTree([
+      { address: alice.address, amount: '2' },
+      { address: bob.address, amount: '5' },
+      { address: carol.address, amount: '1' },
+    ]);
+    await campaigns.setCampaign(1, tree.root);
+  });
+
+  it('hashes leaves the same way as the SDK', async function () {
+    expect(await campaigns.leaf(alice.address, 2)).to.equal(hashFreeMintLeaf(alice.address, 2));
+  });
+
+  it('grants the quota of a valid claim as bonus free mints', async function () {
+    await expect(claim(bob))
+      .to.emit(campaigns, 'FreeMintsClaimed')
+      .withArgs(1, bob.address, 5)
+      .and.to.emit(nfa, 'FreeMintGranted')
+      .withArgs(bob.address, 5);
+
+    expect(await campaigns.hasClaimed(1, bob.address)).to.equal(true);
+    expect(await nfa.bonusFreeMints(bob.address)).to.equal(5);
+    // 3 default free mints plus the campaign's 5
+    expect(await nfa.getFreeMints(bob.address)).to.equal(8);
+
+    await nfa
+      .connect(bob)
+      .createAgent(bob.address, ethers.constants.AddressZero, 'ipfs://a', metadata);
+    expect(await nfa.getFreeMints(bob.address)).to.equal(7);
+  });
+
+  it('rejects second claims, wrong amounts and proofs of other accounts', async function () {
+    await claim(alice);
+    await expect(claim(alice)).to.be.revertedWith('FreeMintCampaigns: already claimed');
+
+    await expect(claim(bob, { amount: '50' })).to.be.revertedWith(
+      'FreeMintCampaigns: invalid proof',
+    );
+    await expect(claim(bob, { proof: tree.claims[carol.address].proof })).to.be.revertedWith(
+      'FreeMintCampaigns: invalid proof',
+    );
+    expect(await nfa.bonusFreeMints(bob.address)).to.equal(0);
+  });
+
+  it('keeps claims per campaign and stops them when a campaign is closed', async function () {
+    await claim(alice);
+    await expect(claim(alice, { campaignId: 2 })).to.be.revertedWith(
+      'FreeMintCampaigns: campaign not open',
+    );
+
+    await campaigns.setCampaign(2, tree.root);
+    await claim(alice, { campaignId: 2 });
+    expect(await nfa.bonusFreeMints(alice.address)).to.equal(4);
+
+    await expect(campaigns.setCampaign(1, ethers.constants.HashZero))
+      .to.emit(campaigns, 'CampaignSet')
+      .withArgs(1, ethers.constants.HashZero);
+    await expect(claim(bob)).to.be.revertedWith('FreeMintCampaigns: campaign not open');
+  });
+
+  it('only lets the owner manage campaigns and the distributor grant free mints', async function () {
+    await expect(campaigns.connect(alice).setCampaign(3, tree.root)).to.be.revertedWith(
+      'Ownable: caller is not the owner',
+    );
+    await expect(nfa.connect(alice).setFreeMintDistributor(alice.address)).to.be.revertedWith(
+      'Ownable: caller is not the owner',
+    );
+
+    await expect(nfa.setFreeMintDistributor(ethers.constants.AddressZero))
+      .to.emit(nfa, 'FreeMintDistributorUpdated')
+      .withArgs(ethers.constants.AddressZero);
+    await expect(claim(alice)).to.be.revertedWith('Ownable: caller is not the owner');
+
+    // The owner can still grant directly
+    await nfa.grantAdditionalFreeMints(alice.address, 1);
+    expect(await nfa.bonusFreeMints(alice.address)).to.equal(1);
+  });
+
+  it('claims from a large allowlist with short proofs', async function () {
+    const entries = Array.from({ length: 1000 }, (_, i) => ({
+      address: ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20)),
+      amount: String((i % 3) + 1),
+    }));
+    entries.unshift({ address: carol.address, amount: '3' });
+    tree = buildFreeMintTree(entries);
+    await campaigns.setCampaign(1, tree.root);
+
+    const { proof } = tree.claims[carol.address];
+    expect(proof).to.have.length(10);
+    expect(verifyFreeMintProof(tree.root, carol.address, 3, proof)).to.equal(true);
+    expect(verifyFreeMintProof(tree.root, carol.address, 4, proof)).to.equal(false);
+    await claim(carol, { from: carol });
+    expect(await nfa.bonusFreeMints(carol.address)).to.equal(3);
+    expect(tree.total).to.equal(String(entries.reduce((sum, e) => sum + Number(e.amount), 0)));
+  });
+});
@@ -0,0 +1,254 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const { BAP578Client, GuardedExecutorClient, PolicyRejectedError } = require('../sdk');
+
+describe('GuardedExecutor', function () {
+  let owner, agentOwner, operator, attacker, recipient, treasury;
+  let nfa, logic, policyGuard, spendingLimit, dailyLimit, defiGuard, executor, client;
+  let tokenId;
+
+  const logicInterface = new ethers.utils.Interface([
+    'function run(uint256 value) returns (uint256)',
+    'function fail()',
+  ]);
+  const RUN = logicInterface.getSighash('run');
+  const FAIL = logicInterface.getSighash('fail');
+
+  beforeEach(async function () {
+    [owner, agentOwner, operator, attacker, recipient, treasury] = await ethers.getSigners();
+
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await nfa.deployed();
+    ({ tokenId } = await new BAP578Client({
+      address: nfa.address,
+      signerOrProvider: agentOwner,
+    }).mintAgent({ metadataURI: 'ipfs://agent' }));
+
+    const Logic = await ethers.getContractFactory('MockAgentLogic');
+    logic = await Logic.deploy();
+    await logic.deployed();
+
+    // Guard with a per-action cap, a daily cap and a target allowlist
+    const PolicyGuard = await ethers.getContractFactory('PolicyGuardExample');
+    policyGuard = await PolicyGuard.deploy();
+    const SpendingLimit = await ethers.getContractFactory('SpendingLimitExample');
+    spendingLimit = await SpendingLimit.deploy();
+    const DailySpendingLimit = await ethers.getContractFactory('DailySpendingLimitExample');
+    dailyLimit = await DailySpendingLimit.deploy();
+    const DeFiGuard = await ethers.getContractFactory('DeFiGuardExample');
+    defiGuard = await DeFiGuard.deploy();
+
+    for (const policy of [spendingLimit, dailyLimit, defiGuard]) {
+      await policy.deployed();
+      await policyGuard.registerPolicy(policy.address);
+    }
+    await policyGuard.bindPolicies(tokenId, [
+      spendingLimit.address,
+      dailyLimit.address,
+      defiGuard.address,
+    ]);
+    await spendingLimit.setLimit(tokenId, ethers.utils.parseEther('0.5'));
+    await dailyLimit.setLimit(tokenId, ethers.utils.parseEther('1.0'));
+    await dailyLimit.setGuard(policyGuard.address);
+    await defiGuard.setAllowed(tokenId, logic.address, [RUN, FAIL], true);
+    await defiGuard.setAllowed(tokenId, recipient.address, ['0x00000000'], true);
+
+    const GuardedExecutor = await ethers.getContractFactory('GuardedExecutor');
+    executor = await GuardedExecutor.deploy(nfa.address, policyGuard.address);
+    await executor.deployed();
+    await policyGuard.setExecutor(executor.address, true);
+
+    client = new GuardedExecutorClient({ address: executor.address, signerOrProvider: agentOwner });
+  });
+
+  describe('Deployment', function () {
+    it('should be bound to one collection and one guard', async function () {
+      expect(await client.getInfo()).to.deep.equal({
+        address: executor.address,
+        nfa: nfa.address,
+        guard: policyGuard.address,
+      });
+    });
+
+    it('should reject zero addresses', async function () {
+      const GuardedExecutor = await ethers.getContractFactory('GuardedExecutor');
+      await expect(
+        GuardedExecutor.deploy(nfa.address, ethers.constants.AddressZero),
+      ).to.be.revertedWith('GuardedExecutor: zero address');
+    });
+  });
+
+  describe('executeGuarded: allowed actions', function () {
+    it('should validate, execute and commit an allowed call', async function () {
+      const data = logicInterface.encodeFunctionData('run', [41]);
+
+      const { transactionHash, receipt, result } = await client.executeGuarded(
+        tokenId,
+        logic.address,
+        0,
+        data,
+      );
+
+      expect(ethers.BigNumber.from(result)).to.equal(42);
+      const events = receipt.events.map((event) => event.event).filter(Boolean);
+      expect(events).to.deep.equal(['ActionValidated', 'ActionExecuted']);
+      expect(transactionHash).to.equal(receipt.transactionHash);
+    });
+
+    it('should forward value and record it against the daily limit', async function () {
+      const value = ethers.utils.parseEther('0.4');
+
+      const before = await recipient.getBalance();
+
+      await client.executeGuarded(tokenId, recipient.address, value);
+
+      expect(await recipient.getBalance()).to.equal(before.add(value));
+      expect(await ethers.provider.getBalance(executor.address)).to.equal(0);
+      expect(await dailyLimit.spentToday(tokenId)).to.equal(value);
+    });
+
+    it('should emit ActionValidated and commit through the guard', async function () {
+      const data = logicInterface.encodeFunctionData('run', [1]);
+
+      await expect(executor.connect(agentOwner).execute(tokenId, logic.address, data))
+        .to.emit(executor, 'ActionValidated')
+        .withArgs(tokenId, logic.address, true, '')
+        .and.to.emit(policyGuard, 'ActionCommitted')
+        .withArgs(tokenId, logic.address);
+    });
+
+    it('should let approved operators act for the agent', async function () {
+      await nfa.connect(agentOwner).approve(operator.address, tokenId);
+      const operatorClient = new GuardedExecutorClient({
+        address: executor.address,
+        signerOrProvider: operator,
+      });
+
+      const data = logicInterface.encodeFunctionData('run', [1]);
+      const { result } = await operatorClient.executeGuarded(tokenId, logic.address, 0, data);
+      expect(ethers.BigNumber.from(result)).to.equal(2);
+    });
+  });
+
+  describe('executeGuarded: blocked actions', function () {
+    it('should surface the rejection reason without sending a transaction', async function () {
+      const nonce = await agentOwner.getTransactionCount();
+
+      const error = await client
+        .executeGuarded(tokenId, attacker.address, ethers.utils.parseEther('0.1'))
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(PolicyRejectedError);
+      expect(error.reason).to.equal('DeFiGuard: target not allowed');
+      expect(error.message).to.equal('Action rejected by policy: DeFiGuard: target not allowed');
+      expect(error.transactionHash).to.equal(undefined);
+      expect(await agentOwner.getTransactionCount()).to.equal(nonce);
+    });
+
+    it('should stop many small actions once the daily limit is used up', async function () {
+      const value = ethers.utils.parseEther('0.3');
+      await client.executeGuarded(tokenId, recipient.address, value);
+      await client.executeGuarded(tokenId, recipient.address, value);
+      await client.executeGuarded(tokenId, recipient.address, value);
+
+      await expect(client.executeGuarded(tokenId, recipient.address, value)).to.be.rejectedWith(
+        PolicyRejectedError,
+        'DailySpendingLimit: exceeds daily limit',
+      );
+    });
+
+    it('should record rejected actions on-chain and refund their value', async function () {
+      const value = ethers.utils.parseEther('2.0');
+      const tx = executor.connect(agentOwner).execute(tokenId, recipient.address, '0x', { value });
+
+      await expect(tx)
+        .to.emit(executor, 'ActionValidated')
+        .withArgs(tokenId, recipient.address, false, 'SpendingLimit: exceeds per-action limit');
+      await expect(tx).to.not.emit(executor, 'ActionExecuted');
+      await expect(tx).to.changeEtherBalances([agentOwner, executor, recipient], [0, 0, 0]);
+      expect(await dailyLimit.spentToday(tokenId)).to.equal(0);
+    });
+
+    it('should bubble up target reverts without committing', async function () {
+      const data = logicInterface.encodeFunctionData('fail');
+
+      await expect(client.executeGuarded(tokenId, logic.address, 0, data)).to.be.rejectedWith(
+        'MockLogic: fail',
+      );
+      await expect(
+        executor.connect(agentOwner).execute(tokenId, logic.address, data),
+      ).to.be.revertedWith('MockLogic: fail');
+    });
+
+    it('should only let the token owner or approved operators execute', async function () {
+      const attackerClient = new GuardedExecutorClient({
+        address: executor.address,
+        signerOrProvider: attacker,
+      });
+
+      await expect(
+        attackerClient.executeGuarded(tokenId, recipient.address, ethers.utils.parseEther('0.1')),
+      ).to.be.rejectedWith('GuardedExecutor: not authorized');
+    });
+
+    it('should never call the guard itself', async function () {
+      const data = policyGuard.interface.encodeFunctionData('commit', [
+        tokenId,
+        recipient.address,
+        ethers.utils.parseEther('1.0'),
+        '0x',
+      ]);
+
+      await expect(
+        executor.connect(agentOwner).execute(tokenId, policyGuard.address, data),
+      ).to.be.revertedWith('GuardedExecutor: target is guard');
+    });
+
+    it('should not keep ETH a target pays back to it', async function () {
+      const Target = await ethers.getContractFactory('RefundingTargetMock');
+      const target = await Target.deploy();
+      const data = target.interface.encodeFunctionData('refund');
+      await defiGuard.setAllowed(tokenId, target.address, [data], true);
+
+      await expect(
+        client.executeGuarded(tokenId, target.address, ethers.utils.parseEther('0.1'), data),
+      ).to.be.rejectedWith('RefundingTarget: refund failed');
+      expect(await ethers.provider.getBalance(executor.address)).to.equal(0);
+    });
+
+    it('should not let another agent spend ETH forced into it', async function () {
+      const forced = ethers.utils.parseEther('1.0');
+      await ethers.provider.send('hardhat_setBalance', [executor.address, forced.toHexString()]);
+
+      const { tokenId: otherId } = await new BAP578Client({
+        address: nfa.address,
+        signerOrProvider: attacker,
+      }).mintAgent({ metadataURI: 'ipfs://other' });
+      await policyGuard.bindPolicies(otherId, [defiGuard.address]);
+      await defiGuard.setAllowed(otherId, attacker.address, ['0x00000000'], true);
+
+      const attackerClient = new GuardedExecutorClient({
+        address: executor.address,
+        signerOrProvider: attacker,
+      });
+      const before = await attacker.getBalance();
+      const { receipt } = await attackerClient.executeGuarded(otherId, attacker.address, 0);
+
+      const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+      expect(await attacker.getBalance()).to.equal(before.sub(gas));
+      expect(await ethers.provider.getBalance(executor.address)).to.equal(forced);
+    });
+
+    it('should fail closed when the guard has not enabled the executor', async function () {
+      await policyGuard.setExecutor(executor.address, false);
+
+      await expect(
+        client.executeGuarded(tokenId, recipient.address, ethers.utils.parseEther('0.1')),
+      ).to.be.rejectedWith('PolicyGuard: not executor');
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+describe('ReceiverGuard Policy', function () {
+  const tokenId = 1;
+  const erc20 = new ethers.utils.Interface([
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+    'function increaseAllowance(address spender, uint256 addedValue)',
+    'function transferFrom(address from, address to, uint256 amount)',
+    'function balanceOf(address account)',
+  ]);
+  const erc721 = new ethers.utils.Interface([
+    'function safeTransferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+  ]);
+  let owner, operator, attacker, treasury, router, token;
+  let receiverGuard, defiGuard, spendingLimit, policyGuard;
+
+  beforeEach(async function () {
+    [owner, operator, attacker, treasury, router, token] = await ethers.getSigners();
+
+    const ReceiverGuard = await ethers.getContractFactory('ReceiverGuardExample');
+    receiverGuard = await ReceiverGuard.deploy();
+    await receiverGuard.deployed();
+
+    const DeFiGuard = await ethers.getContractFactory('DeFiGuardExample');
+    defiGuard = await DeFiGuard.deploy();
+    await defiGuard.deployed();
+
+    const SpendingLimit = await ethers.getContractFactory('SpendingLimitExample');
+    spendingLimit = await SpendingLimit.deploy();
+    await spendingLimit.deployed();
+
+    const PolicyGuard = await ethers.getContractFactory('PolicyGuardExample');
+    policyGuard = await PolicyGuard.deploy();
+    await policyGuard.deployed();
+  });
+
+  function check(target, data, value = 0) {
+    const selector = ethers.utils.hexDataLength(data) >= 4 ? data.slice(0, 10) : '0x00000000';
+    return receiverGuard.check(tokenId, operator.address, target, selector, data, value);
+  }
+
+  function encode(fn, account) {
+    return erc20.encodeFunctionData(fn, fn === 'balanceOf' ? [account] : [account, 1]);
+  }
+
+  // ============================================
+  //              IPolicy Interface Tests
+  // ============================================
+
+  describe('IPolicy: ReceiverGuardExample', function () {
+    it('should return correct policyType', async function () {
+      expect(await receiverGuard.policyType()).to.equal(ethers.utils.id('receiver_guard'));
+    });
+
+    it('should return renterConfigurable as false', async function () {
+      expect(await receiverGuard.renterConfigurable()).to.equal(false);
+    });
+
+    it('should block transfers when no receiver is allowlisted (fail-close)', async function () {
+      const [ok, reason] = await check(token.address, encode('transfer', treasury.address));
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('ReceiverGuard: receiver not allowed');
+    });
+
+    it('should decode the recipient of ERC20 transfer', async function () {
+      await expect(receiverGuard.setReceiver(tokenId, treasury.address, true))
+        .to.emit(receiverGuard, 'ReceiverSet')
+        .withArgs(tokenId, treasury.address, true);
+
+      expect((await check(token.address, encode('transfer', treasury.address)))[0]).to.equal(true);
+      const [ok, reason] = await check(token.address, encode('transfer', attacker.address));
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('ReceiverGuard: receiver not allowed');
+    });
+
+    it('should decode the spender of ERC20 approve', async function () {
+      await receiverGuard.setReceiver(tokenId, router.address, true);
+
+      expect((await check(token.address, encode('approve', router.address)))[0]).to.equal(true);
+      expect((await check(token.address, encode('approve', attacker.address)))[0]).to.equal(false);
+    });
+
+    it('should check the target of plain native transfers', async function () {
+      await receiverGuard.setReceiver(tokenId, treasury.address, true);
+      const value = ethers.utils.parseEther('0.1');
+
+      expect((await check(treasury.address, '0x', value))[0]).to.equal(true);
+      expect((await check(attacker.address, '0x', value))[1]).to.equal(
+        'ReceiverGuard: receiver not allowed',
+      );
+    });
+
+    it('should decode the spender of ERC20 increaseAllowance', async function () {
+      await receiverGuard.setReceiver(tokenId, router.address, true);
+
+      expect((await check(token.address, encode('increaseAllowance', router.address)))[0]).to.equal(
+        true,
+      );
+      expect(
+        (await check(token.address, encode('increaseAllowance', attacker.address)))[1],
+      ).to.equal('ReceiverGuard: receiver not allowed');
+    });
+
+    it('should decode the recipient of transferFrom and safeTransferFrom', async function () {
+      await receiverGuard.setReceiver(tokenId, treasury.address, true);
+      const calls = (to) => [
+        erc20.encodeFunctionData('transferFrom', [operator.address, to, 1]),
+        erc721.encodeFunctionData('safeTransferFrom(address,address,uint256)', [
+          operator.address,
+          to,
+          1,
+        ]),
+        erc721.encodeFunctionData('safeTransferFrom(address,address,uint256,bytes)', [
+          operator.address,
+          to,
+          1,
+          '0x1234',
+        ]),
+      ];
+
+      for (const data of calls(treasury.address)) {
+        expect((await check(token.address, data))[0]).to.equal(true);
+      }
+      for (const data of calls(attacker.address)) {
+        expect((await check(token.address, data))[1]).to.equal(
+          'ReceiverGuard: receiver not allowed',
+        );
+      }
+      // The sender is not the recipient
+      const [ok] = await check(
+        token.address,
+        erc20.encodeFunctionData('transferFrom', [treasury.address, attacker.address, 1]),
+      );
+      expect(ok).to.equal(false);
+    });
+
+    it('should check the target of calls that carry value', async function () {
+      await receiverGuard.setReceiver(tokenId, treasury.address, true);
+      const value = ethers.utils.parseEther('0.1');
+
+      const [ok, reason] = await check(
+        attacker.address,
+        encode('transfer', treasury.address),
+        value,
+      );
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('ReceiverGuard: receiver not allowed');
+      expect(
+        (await check(treasury.address, encode('transfer', treasury.address), value))[0],
+      ).to.equal(true);
+    });
+
+    it('should block calls it cannot decode (fail-close)', async function () {
+      await receiverGuard.setReceiver(tokenId, treasury.address, true);
+
+      expect((await check(treasury.address, encode('balanceOf', treasury.address)))[1]).to.equal(
+        'ReceiverGuard: unsupported call',
+      );
+      expect((await check(treasury.address, '0x1234'))[1]).to.equal(
+        'ReceiverGuard: unsupported call',
+      );
+    });
+
+    it('should ignore empty calls that move no funds', async function () {
+      expect((await check(attacker.address, '0x'))[0]).to.equal(true);
+    });
+
+    it('should block malformed transfer calldata (fail-close)', async function () {
+      await receiverGuard.setReceiver(tokenId, treasury.address, true);
+      const data = encode('transfer', treasury.address);
+
+      // Truncated amount
+      const [truncated, reason] = await check(
+        token.address,
+        ethers.utils.hexDataSlice(data, 0, 40),
+      );
+      expect(truncated).to.equal(false);
+      expect(reason).to.equal('ReceiverGuard: malformed calldata');
+
+      // Dirty upper bits in the address word
+      const dirty = ethers.utils.hexConcat([
+        erc20.getSighash('transfer'),
+        ethers.utils.hexZeroPad(ethers.BigNumber.from(1).shl(160).or(treasury.address), 32),
+        ethers.utils.hexZeroPad('0x01', 32),
+      ]);
+      expect((await check(token.address, dirty))[1]).to.equal('ReceiverGuard: malformed calldata');
+
+      // transferFrom without its amount
+      const transferFrom = erc20.encodeFunctionData('transferFrom', [
+        operator.address,
+        treasury.address,
+        1,
+      ]);
+      expect(
+        (await check(token.address, ethers.utils.hexDataSlice(transferFrom, 0, 68)))[1],
+      ).to.equal('ReceiverGuard: malformed calldata');
+    });
+
+    it('should only allow owner to update receivers', async function () {
+      await expect(
+        receiverGuard.connect(attacker).setReceiver(tokenId, attacker.address, true),
+      ).to.be.revertedWith('ReceiverGuard: not owner');
+    });
+  });
+
+  // ============================================
+  //       Composition under PolicyGuardExample
+  // ============================================
+
+  describe('Composition: PolicyGuardExample.validate', function () {
+    beforeEach(async function () {
+      for (const policy of [spendingLimit, defiGuard, receiverGuard]) {
+        await policyGuard.registerPolicy(policy.address);
+      }
+      await policyGuard.bindPolicies(tokenId, [
+        spendingLimit.address,
+        defiGuard.address,
+        receiverGuard.address,
+      ]);
+      await spendingLimit.setLimit(tokenId, ethers.utils.parseEther('1.0'));
+      await defiGuard.setAllowed(
+        tokenId,
+        token.address,
+        [erc20.getSighash('transfer'), erc20.getSighash('approve')],
+        true,
+      );
+      await receiverGuard.setReceiver(tokenId, treasury.address, true);
+    });
+
+    function validate(target, data) {
+      return policyGuard.validate(
+        ethers.constants.AddressZero,
+        tokenId,
+        ethers.constants.AddressZero,
+        operator.address,
+        target,
+        0,
+        data,
+      );
+    }
+
+    it('should allow transfers to allowlisted receivers on allowlisted tokens', async function () {
+      const [ok, reason] = await validate(token.address, encode('transfer', treasury.address));
+
+      expect(ok).to.equal(true);
+      expect(reason).to.equal('');
+    });
+
+    it('should block a prompt-injected transfer to an attacker', async function () {
+      const [ok, reason] = await validate(token.address, encode('transfer', attacker.address));
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('ReceiverGuard: receiver not allowed');
+    });
+
+    it('should block unlimited approvals to unknown spenders', async function () {
+      const data = erc20.encodeFunctionData('approve', [
+        attacker.address,
+        ethers.constants.MaxUint256,
+      ]);
+      const [ok, reason] = await validate(token.address, data);
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('ReceiverGuard: receiver not allowed');
+    });
+
+    it('should let DeFiGuard reject the call before the receiver is checked', async function () {
+      const [ok, reason] = await validate(router.address, encode('transfer', treasury.address));
+
+      expect(ok).to.equal(false);
+      expect(reason).to.equal('DeFiGuard: target not allowed');
+    });
+  });
+});
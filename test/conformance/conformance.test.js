@@ -0,0 +1,11 @@
+const { describeConformance, printMatrix } = require('./harness');
+const { bap578, clawnfa } = require('./fixtures');
+
+describe('BAP-578 Conformance', function () {
+  describeConformance(bap578);
+  describeConformance(clawnfa);
+
+  after(function () {
+    printMatrix();
+  });
+});
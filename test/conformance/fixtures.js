@@ -0,0 +1,64 @@
+const { ethers, upgrades } = require('hardhat');
+const { CLAWNFAClient, ClawMintSigner, DEFAULT_METADATA } = require('../../sdk');
+
+/**
+ * Deploy fixtures for the conformance harness, one per BAP-578 implementation.
+ * Each `deploy()` returns a fresh contract and a `mint(signer)` that mints a transferable
+ * agent to `signer` and resolves to its token id.
+ */
+
+const bap578 = {
+  name: 'BAP578',
+  async deploy() {
+    const [deployer] = await ethers.getSigners();
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    const contract = await upgrades.deployProxy(
+      BAP578,
+      ['Non-Fungible Agents', 'NFA', deployer.address],
+      { initializer: 'initialize', kind: 'uups' },
+    );
+    await contract.deployed();
+    // Paid mints only, so agents are transferable
+    await contract.setFreeMintsPerUser(0);
+    const fee = await contract.MINT_FEE();
+
+    async function mint(signer) {
+      const uri = 'ipfs://agent';
+      const tx = await contract
+        .connect(signer)
+        .createAgent(signer.address, ethers.constants.AddressZero, uri, DEFAULT_METADATA, {
+          value: fee,
+        });
+      const receipt = await tx.wait();
+      return receipt.events.find((event) => event.event === 'AgentCreated').args.tokenId;
+    }
+
+    return { contract, mint };
+  },
+};
+
+const clawnfa = {
+  name: 'CLAWNFA',
+  async deploy() {
+    const [deployer] = await ethers.getSigners();
+    const MockERC20 = await ethers.getContractFactory('MockERC20Balance');
+    const token = await MockERC20.deploy();
+    await token.deployed();
+
+    const NFA = await ethers.getContractFactory('NFA');
+    const contract = await NFA.deploy(token.address, 10000);
+    await contract.deployed();
+    const mintSigner = new ClawMintSigner({ signer: deployer, contractAddress: contract.address });
+
+    async function mint(signer) {
+      await token.setBalance(signer.address, ethers.utils.parseUnits('10000', 18));
+      const client = new CLAWNFAClient({ address: contract.address, signerOrProvider: signer });
+      const { tokenId } = await client.requestAndMint(mintSigner);
+      return ethers.BigNumber.from(tokenId);
+    }
+
+    return { contract, mint };
+  },
+};
+
+module.exports = { bap578, clawnfa };
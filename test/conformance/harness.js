@@ -0,0 +1,386 @@
+const { expect } = require('chai');
+const { ethers, artifacts } = require('hardhat');
+
+/**
+ * BAP-578 conformance harness.
+ *
+ * `describeConformance(fixture)` runs every FEATURES check against one implementation. A
+ * fixture deploys a fresh contract and mints agents:
+ *
+ *   {
+ *     name: 'BAP578',
+ *     deploy: async () => ({ contract, mint: async (signer) => tokenId }),
+ *   }
+ *
+ * Checks find out which variant of a function or event an implementation uses from its ABI, so
+ * the same check covers `getState` and `getAgentState`. A feature the implementation does not
+ * have is reported as unsupported and the test is skipped; a feature it has but gets wrong
+ * fails. Results are collected for `printMatrix`.
+ */
+
+// ERC-165 ids
+const INTERFACE_IDS = {
+  ERC165: '0x01ffc9a7',
+  ERC721: '0x80ac58cd',
+  ERC721Metadata: '0x5b5e139f',
+  ERC4907: '0xad092b5c',
+};
+
+// IBAP578.Status order
+const STATUS = ['Active', 'Paused', 'Terminated'];
+
+const METADATA_FIELDS = [
+  'persona',
+  'experience',
+  'voiceHash',
+  'animationURI',
+  'vaultURI',
+  'vaultHash',
+];
+
+const SAMPLE_METADATA = {
+  persona: '{"traits":["calm"]}',
+  experience: 'Conformance agent',
+  voiceHash: 'voice_001',
+  animationURI: 'ipfs://animation',
+  vaultURI: 'ipfs://vault',
+  vaultHash: ethers.utils.id('vault'),
+};
+
+/** A feature the implementation does not have; `note` says what is missing. */
+class Unsupported extends Error {}
+
+const results = new Map();
+
+function has(contract, signature) {
+  return Object.keys(contract.interface.functions).includes(signature);
+}
+
+function hasEvent(contract, name) {
+  return Object.values(contract.interface.events).some((event) => event.name === name);
+}
+
+function requireFunctions(contract, ...signatures) {
+  const missing = signatures.filter((signature) => !has(contract, signature));
+  if (missing.length) throw new Unsupported(`no ${missing.join(', ')}`);
+}
+
+// Name of the first listed event emitted by a receipt's logs from `contract`
+function emittedEvent(contract, receipt, names) {
+  for (const log of receipt.logs) {
+    if (log.address !== contract.address) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (names.includes(parsed.name)) return parsed.name;
+  }
+  return null;
+}
+
+async function send(txPromise) {
+  return (await txPromise).wait();
+}
+
+/**
+ * Agent state normalized to { owner, balance, status }, whichever reader the contract has.
+ */
+async function readState(contract, tokenId) {
+  if (has(contract, 'getState(uint256)')) {
+    const state = await contract.getState(tokenId);
+    return {
+      reader: 'getState → State',
+      owner: state.owner,
+      balance: state.balance,
+      status: STATUS[state.status],
+    };
+  }
+  if (has(contract, 'getAgentState(uint256)')) {
+    const state = await contract.getAgentState(tokenId);
+    const status = has(contract, 'getAgentStatus(uint256)')
+      ? STATUS[await contract.getAgentStatus(tokenId)]
+      : undefined;
+    return {
+      reader: 'getAgentState → tuple',
+      owner: state.owner,
+      balance: state.balance,
+      status: status || (state.active ? 'Active' : 'Paused'),
+    };
+  }
+  throw new Unsupported('no getState or getAgentState');
+}
+
+/**
+ * Agent metadata normalized to the AgentMetadata fields, whichever shape the contract returns.
+ */
+async function readMetadata(contract, tokenId) {
+  const fragment = contract.interface.getFunction('getAgentMetadata');
+  const result = await contract.getAgentMetadata(tokenId);
+  // (AgentMetadata metadata, string metadataURI) or a bare AgentMetadata struct
+  const struct = fragment.outputs.length === 2 ? result.metadata : result;
+  const shape =
+    fragment.outputs.length === 2 ? '(AgentMetadata, metadataURI)' : 'AgentMetadata struct';
+  return {
+    shape,
+    metadata: Object.fromEntries(METADATA_FIELDS.map((field) => [field, struct[field]])),
+  };
+}
+
+// updateAgentMetadata(tokenId, metadata) or updateAgentMetadata(tokenId, metadataURI, metadata)
+function updateMetadata(contract, tokenId, metadata) {
+  const fragment = contract.interface.getFunction('updateAgentMetadata');
+  return fragment.inputs.length === 3
+    ? contract.updateAgentMetadata(tokenId, 'ipfs://conformance', metadata)
+    : contract.updateAgentMetadata(tokenId, metadata);
+}
+
+const FEATURES = [
+  {
+    id: 'erc165',
+    title: 'ERC-165: ERC165, ERC721, ERC721Metadata',
+    async check({ contract }) {
+      requireFunctions(contract, 'supportsInterface(bytes4)');
+      for (const id of ['ERC165', 'ERC721', 'ERC721Metadata']) {
+        expect(await contract.supportsInterface(INTERFACE_IDS[id]), id).to.equal(true);
+      }
+      expect(await contract.supportsInterface('0xffffffff')).to.equal(false);
+    },
+  },
+  {
+    id: 'ibap578',
+    title: 'IBAP578 functions',
+    async check({ contract, ibap578 }) {
+      const missing = Object.keys(ibap578.functions).filter((sig) => !has(contract, sig));
+      if (missing.length) {
+        throw new Unsupported(`missing ${missing.map((sig) => sig.split('(')[0]).join(', ')}`);
+      }
+      return `all ${Object.keys(ibap578.functions).length}`;
+    },
+  },
+  {
+    id: 'ibap578-erc165',
+    title: 'ERC-165: IBAP578 interface id',
+    async check({ contract, ibap578 }) {
+      requireFunctions(contract, 'supportsInterface(bytes4)');
+      const interfaceId = Object.keys(ibap578.functions)
+        .map((sig) => ethers.BigNumber.from(ibap578.getSighash(sig)))
+        .reduce((id, selector) => id.xor(selector));
+      const id = ethers.utils.hexZeroPad(interfaceId.toHexString(), 4);
+      if (!(await contract.supportsInterface(id))) throw new Unsupported(`${id} not advertised`);
+      return id;
+    },
+  },
+  {
+    id: 'state',
+    title: 'Agent state (owner, balance, status)',
+    async check({ contract, mint, owner }) {
+      const tokenId = await mint(owner);
+      const state = await readState(contract, tokenId);
+      expect(state.owner).to.equal(owner.address);
+      expect(state.balance).to.equal(0);
+      expect(state.status).to.equal('Active');
+      return state.reader;
+    },
+  },
+  {
+    id: 'funding',
+    title: 'Funding: fundAgent credits the agent',
+    async check({ contract, mint, owner, other }) {
+      requireFunctions(contract, 'fundAgent(uint256)');
+      const tokenId = await mint(owner);
+      const amount = ethers.utils.parseEther('0.5');
+
+      // Anyone can fund an agent
+      const receipt = await send(contract.connect(other).fundAgent(tokenId, { value: amount }));
+      expect((await readState(contract, tokenId)).balance).to.equal(amount);
+      await expect(contract.connect(other).fundAgent(999999, { value: amount })).to.be.reverted;
+
+      return emittedEvent(contract, receipt, ['AgentFunded', 'AgentFundedByToken']) || 'no event';
+    },
+  },
+  {
+    id: 'withdrawal',
+    title: 'Withdrawal: owner withdraws up to the balance',
+    async check({ contract, mint, owner }) {
+      requireFunctions(contract, 'fundAgent(uint256)', 'withdrawFromAgent(uint256,uint256)');
+      const tokenId = await mint(owner);
+      const amount = ethers.utils.parseEther('0.5');
+      await send(contract.connect(owner).fundAgent(tokenId, { value: amount }));
+
+      await expect(contract.connect(owner).withdrawFromAgent(tokenId, amount.add(1))).to.be
+        .reverted;
+      let receipt;
+      await expect(async () => {
+        const tx = await contract.connect(owner).withdrawFromAgent(tokenId, amount.div(2));
+        receipt = await tx.wait();
+        return tx;
+      }).to.changeEtherBalance(owner, amount.div(2));
+      expect((await readState(contract, tokenId)).balance).to.equal(amount.div(2));
+
+      return emittedEvent(contract, receipt, ['AgentWithdraw', 'AgentWithdrawn']) || 'no event';
+    },
+  },
+  {
+    id: 'lifecycle',
+    title: 'Lifecycle: Active → Paused → Active → Terminated',
+    async check({ contract, mint, owner }) {
+      requireFunctions(contract, 'pause(uint256)', 'unpause(uint256)', 'terminate(uint256)');
+      const tokenId = await mint(owner);
+      const status = async () => (await readState(contract, tokenId)).status;
+
+      await send(contract.connect(owner).pause(tokenId));
+      expect(await status()).to.equal('Paused');
+      await expect(contract.connect(owner).pause(tokenId)).to.be.reverted;
+      await send(contract.connect(owner).unpause(tokenId));
+      expect(await status()).to.equal('Active');
+      await expect(contract.connect(owner).unpause(tokenId)).to.be.reverted;
+
+      await send(contract.connect(owner).fundAgent(tokenId, { value: 100 }));
+      await send(contract.connect(owner).terminate(tokenId));
+      expect(await status()).to.equal('Terminated');
+
+      // Terminal: no way back, no more funding, but the balance can still be withdrawn
+      await expect(contract.connect(owner).unpause(tokenId)).to.be.reverted;
+      await expect(contract.connect(owner).terminate(tokenId)).to.be.reverted;
+      await expect(contract.connect(owner).fundAgent(tokenId, { value: 100 })).to.be.reverted;
+      await send(contract.connect(owner).withdrawFromAgent(tokenId, 100));
+    },
+  },
+  {
+    id: 'metadata',
+    title: 'Metadata: AgentMetadata round trip',
+    async check({ contract, mint, owner }) {
+      requireFunctions(contract, 'getAgentMetadata(uint256)');
+      if (!contract.interface.fragments.some((f) => f.name === 'updateAgentMetadata')) {
+        throw new Unsupported('no updateAgentMetadata');
+      }
+      const tokenId = await mint(owner);
+
+      await send(updateMetadata(contract.connect(owner), tokenId, SAMPLE_METADATA));
+      const read = await readMetadata(contract, tokenId);
+      expect(read.metadata).to.deep.equal(SAMPLE_METADATA);
+      expect(await contract.tokenURI(tokenId)).to.be.a('string');
+      return read.shape;
+    },
+  },
+  {
+    id: 'ownership',
+    title: 'Ownership gating',
+    async check({ contract, mint, owner, other }) {
+      requireFunctions(
+        contract,
+        'withdrawFromAgent(uint256,uint256)',
+        'transferFrom(address,address,uint256)',
+      );
+      const tokenId = await mint(owner);
+      await send(contract.connect(owner).fundAgent(tokenId, { value: 100 }));
+      const gated = [
+        ['withdrawFromAgent', () => contract.connect(other).withdrawFromAgent(tokenId, 1)],
+        ['setLogicAddress', () => contract.connect(other).setLogicAddress(tokenId, other.address)],
+        [
+          'updateAgentMetadata',
+          () => updateMetadata(contract.connect(other), tokenId, SAMPLE_METADATA),
+        ],
+      ];
+      if (has(contract, 'pause(uint256)')) {
+        gated.push(['pause', () => contract.connect(other).pause(tokenId)]);
+        gated.push(['terminate', () => contract.connect(other).terminate(tokenId)]);
+      }
+      for (const [name, call] of gated) {
+        await expect(call(), name).to.be.reverted;
+      }
+
+      // Rights follow the ERC-721 owner
+      await send(contract.connect(owner).transferFrom(owner.address, other.address, tokenId));
+      expect((await readState(contract, tokenId)).owner).to.equal(other.address);
+      await expect(contract.connect(owner).withdrawFromAgent(tokenId, 1)).to.be.reverted;
+      await send(contract.connect(other).withdrawFromAgent(tokenId, 100));
+    },
+  },
+  {
+    id: 'rental',
+    title: 'ERC-4907 rental',
+    async check({ contract, mint, owner, other }) {
+      requireFunctions(contract, 'setUser(uint256,address,uint64)', 'userOf(uint256)');
+      expect(await contract.supportsInterface(INTERFACE_IDS.ERC4907)).to.equal(true);
+      const tokenId = await mint(owner);
+      const { timestamp } = await ethers.provider.getBlock('latest');
+
+      await send(contract.connect(owner).setUser(tokenId, other.address, timestamp + 3600));
+      expect(await contract.userOf(tokenId)).to.equal(other.address);
+      expect(hasEvent(contract, 'UpdateUser')).to.equal(true);
+    },
+  },
+];
+
+/**
+ * Define the conformance tests of one implementation.
+ * @param {{name: string, deploy: function(): Promise<{contract: object, mint: function}>}} fixture
+ */
+function describeConformance(fixture) {
+  const row = new Map();
+  results.set(fixture.name, row);
+
+  describe(`Conformance: ${fixture.name}`, function () {
+    let ctx;
+
+    beforeEach(async function () {
+      const [, owner, other] = await ethers.getSigners();
+      const ibap578 = new ethers.utils.Interface((await artifacts.readArtifact('IBAP578')).abi);
+      ctx = { ...(await fixture.deploy()), owner, other, ibap578 };
+    });
+
+    for (const feature of FEATURES) {
+      it(feature.title, async function () {
+        try {
+          const note = await feature.check(ctx);
+          row.set(feature.id, { status: 'pass', note });
+        } catch (error) {
+          if (error instanceof Unsupported) {
+            row.set(feature.id, { status: 'unsupported', note: error.message });
+            this.skip();
+          }
+          row.set(feature.id, { status: 'fail', note: error.message.split('\n')[0] });
+          throw error;
+        }
+      });
+    }
+  });
+}
+
+const SYMBOLS = { pass: '✅', fail: '❌', unsupported: '—' };
+
+/**
+ * Compatibility matrix of every implementation run so far, one row per feature.
+ */
+function formatMatrix() {
+  const names = [...results.keys()];
+  const cell = (name, id) => {
+    const result = results.get(name).get(id);
+    if (!result) return '?';
+    return result.note ? `${SYMBOLS[result.status]} ${result.note}` : SYMBOLS[result.status];
+  };
+  const rows = FEATURES.map((feature) => [
+    feature.title,
+    ...names.map((name) => cell(name, feature.id)),
+  ]);
+  const header = ['Feature', ...names];
+  const widths = header.map((title, i) =>
+    Math.max([...title].length, ...rows.map((row) => [...row[i]].length)),
+  );
+  const line = (cells) =>
+    `| ${cells.map((c, i) => c + ' '.repeat(widths[i] - [...c].length)).join(' | ')} |`;
+  return [line(header), line(widths.map((width) => '-'.repeat(width))), ...rows.map(line)].join(
+    '\n',
+  );
+}
+
+function printMatrix() {
+  console.log(`\nBAP-578 compatibility matrix\n\n${formatMatrix()}\n`);
+}
+
+module.exports = {
+  FEATURES,
+  INTERFACE_IDS,
+  Unsupported,
+  describeConformance,
+  formatMatrix,
+  printMatrix,
+};
@@ -0,0 +1,195 @@
+const hre = require('hardhat');
+const { GasSnapshot } = require('./snapshot');
+
+const { ethers, upgrades } = hre;
+
+/**
+ * Gas benchmarks for the hot paths, checked against `gas-snapshot.json`.
+ * Refresh the snapshot with `npm run gas:snapshot` when a change is meant to cost more gas.
+ */
+describe('Gas benchmarks', function () {
+  const snapshot = new GasSnapshot();
+
+  let owner;
+  let user;
+  let treasury;
+
+  const METADATA = {
+    persona: '{"traits":["calm"]}',
+    experience: 'Gas benchmark agent',
+    voiceHash: 'voice_001',
+    animationURI: 'ipfs://animation',
+    vaultURI: 'ipfs://vault',
+    vaultHash: ethers.utils.id('vault'),
+  };
+
+  // A JSON persona of exactly `bytes` bytes
+  function persona(bytes) {
+    const prefix = '{"bio":"';
+    const suffix = '"}';
+    return `${prefix}${'a'.repeat(bytes - prefix.length - suffix.length)}${suffix}`;
+  }
+
+  async function measure(name, txPromise) {
+    const receipt = await (await txPromise).wait();
+    snapshot.record(name, receipt.gasUsed);
+    return receipt;
+  }
+
+  before(async function () {
+    // Instrumented bytecode costs more gas than the snapshot was taken with
+    if (hre.__SOLIDITY_COVERAGE_RUNNING) this.skip();
+    [owner, user, treasury] = await ethers.getSigners();
+  });
+
+  after(function () {
+    if (!snapshot.measured.size) return;
+    const written = snapshot.save();
+    console.log(`\nGas snapshot (threshold ${snapshot.threshold}%)\n\n${snapshot.format()}\n`);
+    if (written) console.log(`Snapshot written to ${snapshot.file}\n`);
+  });
+
+  describe('BAP578', function () {
+    let nfa;
+    let tokenId;
+
+    before(async function () {
+      const BAP578 = await ethers.getContractFactory('BAP578');
+      nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+        initializer: 'initialize',
+        kind: 'uups',
+      });
+      await nfa.deployed();
+    });
+
+    it('createAgent (free)', async function () {
+      const receipt = await measure(
+        'BAP578.createAgent (free)',
+        nfa
+          .connect(user)
+          .createAgent(user.address, ethers.constants.AddressZero, 'ipfs://agent', METADATA),
+      );
+      tokenId = receipt.events.find((e) => e.event === 'AgentCreated').args.tokenId;
+    });
+
+    it('createAgent (paid)', async function () {
+      await nfa.setFreeMintsPerUser(0);
+      await measure(
+        'BAP578.createAgent (paid)',
+        nfa
+          .connect(user)
+          .createAgent(user.address, ethers.constants.AddressZero, 'ipfs://agent', METADATA, {
+            value: await nfa.MINT_FEE(),
+          }),
+      );
+    });
+
+    it('fundAgent', async function () {
+      await measure(
+        'BAP578.fundAgent',
+        nfa.connect(user).fundAgent(tokenId, { value: ethers.utils.parseEther('1') }),
+      );
+    });
+
+    it('withdrawFromAgent', async function () {
+      await measure(
+        'BAP578.withdrawFromAgent',
+        nfa.connect(user).withdrawFromAgent(tokenId, ethers.utils.parseEther('0.5')),
+      );
+    });
+
+    for (const [label, bytes] of [
+      ['256 B', 256],
+      ['2 KiB', 2048],
+      ['8 KiB', 8192],
+    ]) {
+      it(`updateAgentMetadata (persona ${label})`, async function () {
+        await measure(
+          `BAP578.updateAgentMetadata (persona ${label})`,
+          nfa.connect(user).updateAgentMetadata(tokenId, 'ipfs://updated', {
+            ...METADATA,
+            persona: persona(bytes),
+          }),
+        );
+      });
+    }
+  });
+
+  describe('CLAWNFA', function () {
+    let nfa;
+
+    before(async function () {
+      const token = await (await ethers.getContractFactory('MockERC20Balance')).deploy();
+      nfa = await (await ethers.getContractFactory('NFA')).deploy(token.address, 10000);
+      await nfa.deployed();
+      await token.setBalance(user.address, ethers.utils.parseUnits('10000', 18));
+    });
+
+    it('mint', async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const block = await ethers.provider.getBlock('latest');
+      const req = { wallet: user.address, nonce: 0, expiry: block.timestamp + 3600 };
+      const signature = await owner._signTypedData(
+        { name: 'Non-Fungible Agent', version: '1', chainId, verifyingContract: nfa.address },
+        {
+          MintRequest: [
+            { name: 'wallet', type: 'address' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'expiry', type: 'uint256' },
+          ],
+        },
+        req,
+      );
+      await measure('CLAWNFA.mint', nfa.connect(user).mint(req, signature));
+    });
+
+    it('executeAction', async function () {
+      const logic = await (await ethers.getContractFactory('MockAgentLogic')).deploy();
+      await nfa.setAllowedLogicContract(logic.address, true);
+      await nfa.connect(user).setLogicAddress(0, logic.address);
+      await measure(
+        'CLAWNFA.executeAction',
+        nfa.connect(user).executeAction(0, logic.interface.encodeFunctionData('run', [41])),
+      );
+    });
+  });
+
+  describe('PolicyGuardExample', function () {
+    const tokenId = 1;
+    let guard;
+    let policies;
+
+    before(async function () {
+      guard = await (await ethers.getContractFactory('PolicyGuardExample')).deploy();
+      const SpendingLimit = await ethers.getContractFactory('SpendingLimitExample');
+      policies = [];
+      for (let i = 0; i < 5; i++) {
+        const policy = await SpendingLimit.deploy();
+        await policy.setLimit(tokenId, ethers.utils.parseEther('1'));
+        await guard.registerPolicy(policy.address);
+        policies.push(policy.address);
+      }
+    });
+
+    for (const count of [1, 3, 5]) {
+      const label = `validate (${count} ${count === 1 ? 'policy' : 'policies'})`;
+      it(label, async function () {
+        await guard.bindPolicies(tokenId, policies.slice(0, count));
+        // validate is a view; sending it as a transaction gives an exact gas figure
+        const data = guard.interface.encodeFunctionData('validate', [
+          ethers.constants.AddressZero,
+          tokenId,
+          ethers.constants.AddressZero,
+          user.address,
+          treasury.address,
+          ethers.utils.parseEther('0.1'),
+          '0xa9059cbb',
+        ]);
+        await measure(
+          `PolicyGuardExample.${label}`,
+          user.sendTransaction({ to: guard.address, data }),
+        );
+      });
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Gas snapshot for the benchmark suite.
+ *
+ * `gas-snapshot.json` maps each benchmark to the gas its transaction used when the snapshot was
+ * last written. A run fails a benchmark that uses more than GAS_THRESHOLD percent (default 2)
+ * above its snapshot, or that has no snapshot yet. Running with UPDATE_GAS_SNAPSHOT=true records
+ * the measured values instead and rewrites the file with exactly the benchmarks that ran.
+ */
+
+const SNAPSHOT_FILE = path.join(__dirname, 'gas-snapshot.json');
+const DEFAULT_THRESHOLD = 2;
+
+class GasSnapshot {
+  constructor({
+    file = SNAPSHOT_FILE,
+    threshold = Number(process.env.GAS_THRESHOLD || DEFAULT_THRESHOLD),
+    update = process.env.UPDATE_GAS_SNAPSHOT === 'true',
+  } = {}) {
+    if (!Number.isFinite(threshold) || threshold < 0) {
+      throw new Error(`GAS_THRESHOLD must be a non-negative percentage, got ${threshold}`);
+    }
+    this.file = file;
+    this.threshold = threshold;
+    this.update = update;
+    this.expected = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    this.measured = new Map();
+  }
+
+  /**
+   * Record the gas a benchmark used and check it against the snapshot. Throws when it regressed
+   * by more than the threshold or has no snapshot; never throws while updating.
+   */
+  record(name, gasUsed) {
+    const gas = Number(gasUsed);
+    if (this.measured.has(name)) throw new Error(`Duplicate gas benchmark: ${name}`);
+    this.measured.set(name, gas);
+    if (this.update) return;
+
+    const expected = this.expected[name];
+    if (expected === undefined) {
+      throw new Error(`No gas snapshot for "${name}" (${gas}); run npm run gas:snapshot`);
+    }
+    const limit = Math.floor(expected * (1 + this.threshold / 100));
+    if (gas > limit) {
+      throw new Error(
+        `${name}: ${gas} gas is ${formatChange(expected, gas)} over the snapshot (${expected}), ` +
+          `above the ${this.threshold}% threshold`,
+      );
+    }
+  }
+
+  /** Rows for the report: every measured benchmark with its snapshot value, if any. */
+  rows() {
+    return [...this.measured].map(([name, gas]) => ({ name, expected: this.expected[name], gas }));
+  }
+
+  /** Write the measured values when updating. Returns whether the file was written. */
+  save() {
+    if (!this.update) return false;
+    const values = Object.fromEntries([...this.measured].sort(([a], [b]) => a.localeCompare(b)));
+    fs.writeFileSync(this.file, `${JSON.stringify(values, null, 2)}\n`);
+    return true;
+  }
+
+  format() {
+    const rows = this.rows().map(({ name, expected, gas }) => [
+      name,
+      expected === undefined ? '—' : String(expected),
+      String(gas),
+      expected === undefined ? 'new' : formatChange(expected, gas),
+    ]);
+    const header = ['Benchmark', 'Snapshot', 'Gas', 'Change'];
+    const widths = header.map((title, i) =>
+      Math.max(title.length, ...rows.map((row) => row[i].length)),
+    );
+    const line = (cells) =>
+      cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])));
+    return [header, ...rows].map((cells) => line(cells).join('  ')).join('\n');
+  }
+}
+
+function formatChange(expected, gas) {
+  if (gas === expected) return '0%';
+  const change = ((gas - expected) / expected) * 100;
+  return `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+}
+
+module.exports = {
+  SNAPSHOT_FILE,
+  DEFAULT_THRESHOLD,
+  GasSnapshot,
+};
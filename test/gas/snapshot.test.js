@@ -0,0 +1,46 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GasSnapshot } = require('./snapshot');
+
+describe('Gas snapshot', function () {
+  let tmpDir;
+  let file;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gas-'));
+    file = path.join(tmpDir, 'gas-snapshot.json');
+    fs.writeFileSync(file, JSON.stringify({ 'A.run': 1000, 'A.old': 500 }));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('fails regressions above the threshold and benchmarks without a snapshot', function () {
+    const snapshot = new GasSnapshot({ file, threshold: 2, update: false });
+    expect(() => snapshot.record('A.run', 1020)).not.to.throw();
+
+    const strict = new GasSnapshot({ file, threshold: 1, update: false });
+    expect(() => strict.record('A.run', 1020)).to.throw(
+      'A.run: 1020 gas is +2.00% over the snapshot (1000), above the 1% threshold',
+    );
+    expect(() => strict.record('A.new', 10)).to.throw('No gas snapshot for "A.new" (10)');
+    expect(strict.save()).to.equal(false);
+    expect(() => new GasSnapshot({ file, threshold: -1 })).to.throw('GAS_THRESHOLD');
+  });
+
+  it('rewrites the snapshot with the measured benchmarks when updating', function () {
+    const snapshot = new GasSnapshot({ file, update: true });
+    snapshot.record('B.run', 70);
+    snapshot.record('A.run', 2000);
+
+    expect(snapshot.save()).to.equal(true);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal({ 'A.run': 2000, 'B.run': 70 });
+    expect(snapshot.format().split('\n').slice(1)).to.deep.equal([
+      'B.run             —    70       new',
+      'A.run          1000  2000  +100.00%',
+    ]);
+  });
+});
@@ -0,0 +1,196 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BAP578Client } = require('../../sdk');
+const { JsonStore } = require('../../services/indexer');
+const { parseCSV, loadManifest, prepareRows, mintBatch } = require('../../scripts/lib/batchMint');
+
+describe('Script: batch mint', function () {
+  let nfa;
+  let owner;
+  let addr1;
+  let addr2;
+  let treasury;
+  let logic;
+  let client;
+  let tmpDir;
+
+  const persona = '{"traits": ["helpful"], "style": "formal"}';
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, treasury] = await ethers.getSigners();
+
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await nfa.deployed();
+
+    const Logic = await ethers.getContractFactory('MockAgentLogic');
+    logic = await Logic.deploy();
+    await logic.deployed();
+
+    client = new BAP578Client({ address: nfa.address, signerOrProvider: owner });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-mint-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeManifest(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  function prepare(entries) {
+    return prepareRows(entries, { provider: ethers.provider, signer: owner.address });
+  }
+
+  it('parses CSV manifests with quoted JSON fields', function () {
+    expect(parseCSV('a,b\r\n"x, ""y""",\n\n1,"two\nlines"\n')).to.deep.equal([
+      ['a', 'b'],
+      ['x, "y"', ''],
+      ['1', 'two\nlines'],
+    ]);
+
+    const file = writeManifest(
+      'agents.csv',
+      `to,metadataURI,persona\n${addr1.address},ipfs://a,"{""traits"": ""calm""}"\n`,
+    );
+    expect(loadManifest(file)).to.deep.equal([
+      { to: addr1.address, metadataURI: 'ipfs://a', persona: '{"traits": "calm"}' },
+    ]);
+    expect(() => loadManifest(writeManifest('bad.csv', 'recipient,metadataURI\n'))).to.throw(
+      'unknown column(s) recipient',
+    );
+  });
+
+  it('reports every invalid row before minting', async function () {
+    const { rows, errors } = await prepare([
+      { metadataURI: 'ipfs://ok', logicAddress: logic.address, persona },
+      { to: ethers.constants.AddressZero, metadataURI: 'ipfs://a' },
+      { logicAddress: addr2.address, metadataURI: 'ipfs://b' },
+      { to: '0x1234', metadataURI: 'ipfs://c' },
+      { persona: '{"style": "formal"}', metadataURI: 'ipfs://d' },
+      { persona },
+      { metadataURI: 'ipfs://e', vaultHash: 'my-vault' },
+      { metadataURI: 'ipfs://f', vault: 'missing-vault' },
+    ]);
+
+    expect(rows).to.have.lengthOf(1);
+    expect(rows[0]).to.include({ row: 1, to: owner.address, logicAddress: logic.address });
+    expect(errors).to.deep.equal([
+      'row 2: to is the zero address',
+      `row 3: logicAddress ${addr2.address} has no contract code`,
+      'row 4: to 0x1234 is not a valid address',
+      'row 5: Invalid persona:\n  - persona.traits is required',
+      'row 6: metadataURI is required',
+      'row 7: Invalid vault hash my-vault: expected a 0x-prefixed bytes32, or pass the vault path ' +
+        'to hash',
+      `row 8: Vault ${path.resolve('missing-vault')} does not exist`,
+    ]);
+    expect(rows[0].metadata.vaultHash).to.equal(ethers.constants.HashZero);
+  });
+
+  it('uses free mints for the signer first and pays the exact fee for other recipients', async function () {
+    const { rows } = await prepare([
+      { to: addr1.address, metadataURI: 'ipfs://partner-1' },
+      { metadataURI: 'ipfs://own-1' },
+      { metadataURI: 'ipfs://own-2' },
+      { to: addr2.address, metadataURI: 'ipfs://partner-2' },
+      { metadataURI: 'ipfs://own-3', logicAddress: logic.address },
+    ]);
+    const store = new JsonStore();
+    const treasuryBefore = await treasury.getBalance();
+
+    const summary = await mintBatch({ client, rows, store });
+
+    expect(summary).to.include({ minted: 5, freeMints: 3, paidMints: 2 });
+    expect(summary.totalFee).to.equal(ethers.utils.parseEther('0.02').toString());
+    expect((await treasury.getBalance()).sub(treasuryBefore)).to.equal(summary.totalFee);
+
+    const results = store.read().rows;
+    expect(results[1]).to.include({ status: 'minted', freeMint: false, to: addr1.address });
+    expect(results[2]).to.include({ status: 'minted', freeMint: true });
+    expect(await nfa.ownerOf(results[1].tokenId)).to.equal(addr1.address);
+    expect(await nfa.ownerOf(results[4].tokenId)).to.equal(addr2.address);
+    expect(await nfa.tokenURI(results[5].tokenId)).to.equal('ipfs://own-3');
+  });
+
+  it('refuses a batch whose other recipients would use free mints', async function () {
+    const { rows } = await prepare([
+      { metadataURI: 'ipfs://own' },
+      { to: addr1.address, metadataURI: 'ipfs://partner' },
+    ]);
+
+    await expect(mintBatch({ client, rows, store: new JsonStore() })).to.be.rejectedWith(
+      'has 3 free mints left but only 1 pending row(s) mint to it',
+    );
+    expect(await nfa.getTotalSupply()).to.equal(0);
+  });
+
+  it('resumes after a failed row without minting twice', async function () {
+    await nfa.connect(owner).setFreeMintsPerUser(0);
+    const entries = [
+      { to: addr1.address, metadataURI: 'ipfs://a' },
+      { to: addr2.address, metadataURI: 'ipfs://b' },
+    ];
+    const { rows } = await prepare(entries);
+    const store = new JsonStore({ file: path.join(tmpDir, 'agents.results.json') });
+
+    // The second mint reverts while the contract is paused
+    await expect(
+      mintBatch({
+        client,
+        rows,
+        store,
+        onRow: () => nfa.connect(owner).setPaused(true),
+      }),
+    ).to.be.rejectedWith('row 2 failed');
+    expect(store.read().rows[1].status).to.equal('minted');
+    expect(store.read().rows[2].status).to.equal('failed');
+
+    await nfa.connect(owner).setPaused(false);
+    const summary = await mintBatch({ client, rows, store });
+
+    expect(summary).to.include({ alreadyMinted: 1, minted: 1 });
+    expect(await nfa.getTotalSupply()).to.equal(2);
+    expect(store.read().rows[2]).to.include({ status: 'minted', tokenId: '2' });
+  });
+
+  it('recovers a submitted transaction that was never recorded as minted', async function () {
+    const { rows } = await prepare([{ metadataURI: 'ipfs://a' }]);
+    const store = new JsonStore();
+
+    // Simulate a crash after the transaction was submitted
+    const mintAgent = client.mintAgent.bind(client);
+    client.mintAgent = async (options) => {
+      await mintAgent(options);
+      throw new Error('connection lost');
+    };
+    await expect(mintBatch({ client, rows, store })).to.be.rejectedWith('connection lost');
+    expect(store.read().rows[1]).to.include({ status: 'pending', error: 'connection lost' });
+    delete client.mintAgent;
+
+    // The pending entry is settled from its receipt instead of being minted again
+    const summary = await mintBatch({ client, rows, store });
+    expect(summary).to.include({ alreadyMinted: 1, minted: 0 });
+    expect(store.read().rows[1]).to.include({ status: 'minted', tokenId: '1', freeMint: true });
+    expect(await nfa.getTotalSupply()).to.equal(1);
+  });
+
+  it('rejects a row edited after it was minted', async function () {
+    const store = new JsonStore();
+    await mintBatch({ client, rows: (await prepare([{ metadataURI: 'ipfs://a' }])).rows, store });
+
+    const { rows } = await prepare([{ metadataURI: 'ipfs://changed' }]);
+    await expect(mintBatch({ client, rows, store })).to.be.rejectedWith(
+      'row 1 changed since it was minted as token #1',
+    );
+  });
+});
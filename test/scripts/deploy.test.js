@@ -0,0 +1,295 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const {
+  parseDeployConfig,
+  loadDeployConfig,
+  deployFromConfig,
+  loadNetworkDeployment,
+} = require('../../scripts/lib/deploy');
+const {
+  deploymentPath,
+  registryPath,
+  loadRegistry,
+  loadDeployment,
+  saveDeployment,
+  getDeployedContract,
+} = require('../../sdk/deployments');
+const { recordUpgrade } = require('../../scripts/lib/upgrade');
+const { BAP578Client } = require('../../sdk');
+
+const { ethers } = hre;
+
+describe('Script: deploy', function () {
+  let deployer;
+  let treasury;
+  let tmpDir;
+
+  const desired = (overrides = {}) => ({
+    mocks: ['MockERC20Balance'],
+    bap578: {
+      treasury: '0xF029745dc04256b57659b10099F22b26CBbcf08d',
+      freeMintsPerUser: 5,
+      seedAgents: [{ metadataURI: 'ipfs://seed-1' }, { metadataURI: 'ipfs://seed-2' }],
+    },
+    clawnfa: { requiredToken: '$MockERC20Balance', maxSupply: 100 },
+    adapter: true,
+    policies: {
+      SpendingLimitExample: {},
+      TokenWhitelistExample: { args: ['$BAP578'] },
+      GuardedExecutor: { args: ['$BAP578', '$PolicyGuardExample'] },
+    },
+    ...overrides,
+  });
+
+  beforeEach(async function () {
+    [deployer, , , treasury] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function deploy(config = parseDeployConfig(desired()), onStep) {
+    return deployFromConfig(hre, { config, signer: deployer, dir: tmpDir, onStep });
+  }
+
+  it('loads YAML configs and reports every invalid entry', function () {
+    const file = path.join(tmpDir, 'testnet.yaml');
+    fs.writeFileSync(
+      file,
+      [
+        'bap578:',
+        `  treasury: '${treasury.address}'`,
+        'guard: PolicyGuardExample',
+        'policies:',
+        '  TokenWhitelistExample: { args: [$BAP578] }',
+      ].join('\n'),
+    );
+    const { config } = loadDeployConfig('testnet', tmpDir);
+    expect(config.bap578).to.include({ name: 'Non-Fungible Agents', treasury: treasury.address });
+    expect(config.clawnfa).to.equal(null);
+    expect(config.policies.TokenWhitelistExample.args).to.deep.equal(['$BAP578']);
+    expect(() => loadDeployConfig('mainnet', tmpDir)).to.throw('No deploy config for mainnet');
+
+    let error;
+    try {
+      parseDeployConfig({
+        bap578: { freeMintsPerUser: -1, seedAgents: [{}] },
+        clawnfa: { requiredToken: '$Missing', maxSupply: 0 },
+        adapter: { nfa: '$GuardedExecutor' },
+        policies: { GuardedExecutor: { args: ['$BAP578', '$TokenWhitelistExample', '0x12'] } },
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message.split('\n').slice(1)).to.deep.equal([
+      '  - bap578.freeMintsPerUser: -1 is not a non-negative integer',
+      '  - bap578.treasury: required',
+      '  - bap578.seedAgents[0]: metadataURI is required',
+      '  - clawnfa.maxSupply: 0 is not a positive integer',
+      '  - policies.GuardedExecutor.args[2]: 0x12 is not a valid address',
+      '  - clawnfa.requiredToken: unknown contract $Missing',
+      '  - adapter.nfa: unknown contract $GuardedExecutor',
+      '  - policies.GuardedExecutor.args: unknown contract $TokenWhitelistExample',
+    ]);
+  });
+
+  it('deploys every contract and records it by chainId', async function () {
+    const steps = [];
+    const result = await deploy(undefined, (step) => steps.push(step.action));
+    const { chainId } = await ethers.provider.getNetwork();
+
+    expect(result.chainId).to.equal(chainId);
+    expect(result.deployed).to.deep.equal([
+      'MockERC20Balance',
+      'BAP578',
+      'CLAWNFA',
+      'AgentVault',
+      'BAP578AdapterBlueprint',
+      'PolicyGuardExample',
+      'SpendingLimitExample',
+      'TokenWhitelistExample',
+      'GuardedExecutor',
+    ]);
+    // GuardedExecutor is not an IPolicy
+    expect(result.registered).to.deep.equal(['SpendingLimitExample', 'TokenWhitelistExample']);
+    expect(steps.filter((action) => action === 'mint')).to.have.length(2);
+    expect(steps).to.include('setAdapter');
+
+    const chain = loadRegistry(tmpDir)[chainId];
+    expect(chain.network).to.equal('hardhat');
+    const { BAP578, CLAWNFA, AgentVault, BAP578AdapterBlueprint, PolicyGuardExample } =
+      chain.contracts;
+    expect(BAP578).to.include({ contract: 'BAP578', kind: 'uups', deployer: deployer.address });
+    expect(BAP578.initializerArgs).to.deep.equal([
+      'Non-Fungible Agents',
+      'NFA',
+      '0xF029745dc04256b57659b10099F22b26CBbcf08d',
+    ]);
+    expect(BAP578.implementation).to.equal(
+      await hre.upgrades.erc1967.getImplementationAddress(BAP578.address),
+    );
+    const receipt = await ethers.provider.getTransactionReceipt(CLAWNFA.transactionHash);
+    expect(receipt.contractAddress).to.equal(CLAWNFA.address);
+    expect(CLAWNFA.blockNumber).to.equal(receipt.blockNumber);
+    expect(CLAWNFA).to.include({ contract: 'NFA' });
+    expect(CLAWNFA.constructorArgs).to.deep.equal([chain.contracts.MockERC20Balance.address, 100]);
+    expect(chain.contracts.GuardedExecutor.constructorArgs).to.deep.equal([
+      BAP578.address,
+      PolicyGuardExample.address,
+    ]);
+    expect(AgentVault.constructorArgs).to.deep.equal([]);
+    expect(BAP578AdapterBlueprint.constructorArgs).to.deep.equal([
+      BAP578.address,
+      AgentVault.address,
+    ]);
+    const vault = await ethers.getContractAt('AgentVault', AgentVault.address);
+    expect(await vault.adapter()).to.equal(BAP578AdapterBlueprint.address);
+
+    const nfa = await ethers.getContractAt('BAP578', BAP578.address);
+    expect(await nfa.freeMintsPerUser()).to.equal(5);
+    expect(chain.seedAgents.map(({ tokenId }) => tokenId)).to.deep.equal(['1', '2']);
+    expect(await nfa.ownerOf(2)).to.equal(deployer.address);
+    const guard = await ethers.getContractAt('PolicyGuardExample', PolicyGuardExample.address);
+    expect(await guard.isRegistered(chain.contracts.SpendingLimitExample.address)).to.equal(true);
+  });
+
+  it('reuses what is already deployed when rerun', async function () {
+    const first = await deploy();
+    const { chainId } = first;
+    const before = loadRegistry(tmpDir)[chainId];
+
+    const config = parseDeployConfig(desired());
+    config.bap578.seedAgents.push({ metadataURI: 'ipfs://seed-3' });
+    const second = await deploy(config);
+
+    expect(second.deployed).to.deep.equal([]);
+    expect(second.registered).to.deep.equal([]);
+    expect(second.reused).to.include.members(['BAP578', 'CLAWNFA', 'GuardedExecutor']);
+    const after = loadRegistry(tmpDir)[chainId];
+    expect(after.contracts).to.deep.equal(before.contracts);
+    expect(after.seedAgents.map(({ tokenId }) => tokenId)).to.deep.equal(['1', '2', '3']);
+  });
+
+  it('settles a seed agent submitted before a crash instead of minting it again', async function () {
+    const config = parseDeployConfig(desired({ policies: {}, clawnfa: null, adapter: null }));
+
+    // Simulate a crash after the second seed agent was submitted
+    const { mintAgent } = BAP578Client.prototype;
+    BAP578Client.prototype.mintAgent = async function (options) {
+      const result = await mintAgent.call(this, options);
+      if (options.metadataURI === 'ipfs://seed-2') throw new Error('connection lost');
+      return result;
+    };
+    try {
+      await expect(deploy(config)).to.be.rejectedWith('connection lost');
+    } finally {
+      BAP578Client.prototype.mintAgent = mintAgent;
+    }
+    const { chainId } = await ethers.provider.getNetwork();
+    expect(loadRegistry(tmpDir)[chainId].seedAgents[1]).to.include({
+      status: 'pending',
+      metadataURI: 'ipfs://seed-2',
+    });
+
+    const { seedAgents } = await deploy(config);
+    expect(seedAgents.map(({ tokenId }) => tokenId)).to.deep.equal(['1', '2']);
+    expect(loadRegistry(tmpDir)[chainId].seedAgents[1]).to.not.have.property('status');
+    const nfa = await ethers.getContractAt(
+      'BAP578',
+      getDeployedContract(chainId, 'BAP578', tmpDir).address,
+    );
+    expect(await nfa.getTotalSupply()).to.equal(2);
+  });
+
+  it('redeploys contracts recorded without code on the chain', async function () {
+    const { chainId } = await deploy(parseDeployConfig(desired({ policies: {}, clawnfa: null })));
+    const registry = loadRegistry(tmpDir);
+    registry[chainId].contracts.BAP578.address = treasury.address;
+    fs.writeFileSync(path.join(tmpDir, 'registry.json'), JSON.stringify(registry));
+
+    const { deployed } = await deploy(parseDeployConfig(desired({ policies: {}, clawnfa: null })));
+    expect(deployed).to.deep.equal(['BAP578']);
+  });
+
+  describe('registry', function () {
+    it('serves the BAP578 deployment by chainId or network', async function () {
+      const { chainId } = await deploy(parseDeployConfig(desired({ policies: {}, clawnfa: null })));
+      const { BAP578 } = loadRegistry(tmpDir)[chainId].contracts;
+
+      const deployment = loadDeployment(chainId, tmpDir);
+      expect(deployment).to.include({
+        network: 'hardhat',
+        chainId,
+        proxy: BAP578.address,
+        implementation: BAP578.implementation,
+        deploymentBlock: BAP578.blockNumber,
+        treasury: '0xF029745dc04256b57659b10099F22b26CBbcf08d',
+      });
+      expect(loadDeployment('hardhat', tmpDir)).to.deep.equal(deployment);
+      expect(loadNetworkDeployment(hre, 'hardhat', tmpDir)).to.deep.equal(deployment);
+      expect(getDeployedContract(chainId, 'MockERC20Balance', tmpDir).address).to.be.properAddress;
+      expect(getDeployedContract(chainId, 'CLAWNFA', tmpDir)).to.equal(null);
+      expect(() => loadDeployment(1, tmpDir)).to.throw('No BAP578 deployment for chain 1');
+    });
+
+    it('records upgrades on the registry entry', async function () {
+      const { chainId } = await deploy(parseDeployConfig(desired({ policies: {}, clawnfa: null })));
+      const deployment = loadDeployment(chainId, tmpDir);
+
+      saveDeployment(
+        recordUpgrade(deployment, {
+          contractName: 'BAP578V2Mock',
+          previousImplementation: deployment.implementation,
+          implementation: treasury.address,
+        }),
+        tmpDir,
+      );
+
+      const { BAP578 } = loadRegistry(tmpDir)[chainId].contracts;
+      expect(BAP578.contract).to.equal('BAP578V2Mock');
+      expect(BAP578.implementation).to.equal(treasury.address);
+      expect(BAP578.history).to.have.length(1);
+      expect(loadDeployment(chainId, tmpDir).contract).to.equal('BAP578V2Mock');
+      expect(BAP578.transactionHash).to.be.a('string');
+    });
+
+    it('finds the repository registry from any working directory', function () {
+      const sdk = path.resolve(__dirname, '../../sdk/deployments');
+      const file = execFileSync(
+        process.execPath,
+        ['-e', `process.stdout.write(require(${JSON.stringify(sdk)}).registryPath())`],
+        { cwd: os.tmpdir() },
+      ).toString();
+
+      expect(file).to.equal(registryPath());
+      expect(file).to.equal(path.resolve(__dirname, '../../deployments/registry.json'));
+    });
+
+    it('migrates deployments recorded before the registry', function () {
+      const legacy = {
+        network: 'hardhat',
+        proxy: treasury.address,
+        implementation: deployer.address,
+        deploymentBlock: 7,
+        treasury: treasury.address,
+      };
+      fs.writeFileSync(deploymentPath('hardhat', tmpDir), JSON.stringify(legacy));
+
+      const deployment = loadNetworkDeployment(hre, 'hardhat', tmpDir);
+      expect(deployment).to.include({ ...legacy, chainId: 31337 });
+
+      saveDeployment(deployment, tmpDir);
+      expect(loadDeployment(31337, tmpDir)).to.include({
+        proxy: treasury.address,
+        deploymentBlock: 7,
+        treasury: treasury.address,
+      });
+    });
+  });
+});
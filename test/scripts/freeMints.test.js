@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadAllowlist,
+  defaultTreePath,
+  writeCampaignTree,
+  loadCampaignTree,
+  findClaim,
+  campaignsAddress,
+} = require('../../scripts/lib/freeMints');
+const { parseDeployConfig, deployFromConfig } = require('../../scripts/lib/deploy');
+const { verifyFreeMintProof } = require('../../sdk');
+
+const { ethers } = hre;
+
+describe('Script: free-mints', function () {
+  let tmpDir;
+  let signers;
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'free-mints-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('builds the tree and proofs from a CSV allowlist', function () {
+    const csv = path.join(tmpDir, 'spring.csv');
+    fs.writeFileSync(
+      csv,
+      [
+        'amount,address',
+        `2,${signers[1].address.toLowerCase()}`,
+        `"3",${signers[2].address}`,
+        '',
+      ].join('\n'),
+    );
+
+    expect(loadAllowlist(csv)).to.deep.equal([
+      { address: signers[1].address.toLowerCase(), amount: '2' },
+      { address: signers[2].address, amount: '3' },
+    ]);
+    expect(defaultTreePath(csv)).to.equal(path.join(tmpDir, 'spring.tree.json'));
+
+    const built = writeCampaignTree(csv);
+    const tree = loadCampaignTree(built.file);
+    expect(tree).to.include({ root: built.root, total: '5', accounts: 2, allowlist: 'spring.csv' });
+
+    const claim = findClaim(tree, signers[1].address.toLowerCase());
+    expect(claim.account).to.equal(signers[1].address);
+    expect(verifyFreeMintProof(tree.root, claim.account, claim.amount, claim.proof)).to.equal(true);
+    expect(findClaim(tree, signers[3].address)).to.equal(null);
+  });
+
+  it('reports every invalid allowlist entry', function () {
+    const json = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(
+      json,
+      JSON.stringify([
+        { address: signers[1].address, amount: 1 },
+        { address: '0x1234', amount: 1 },
+        { address: signers[1].address, amount: 2 },
+        { address: signers[2].address, amount: -1 },
+      ]),
+    );
+    expect(() => writeCampaignTree(json)).to.throw(
+      [
+        'Invalid free mint allowlist:',
+        '  - entry 2: 0x1234 is not a valid address',
+        `  - entry 3: ${signers[1].address} is listed more than once`,
+        '  - entry 4: amount -1 is not a positive integer',
+      ].join('\n'),
+    );
+
+    const csv = path.join(tmpDir, 'bad.csv');
+    fs.writeFileSync(csv, 'wallet,amount\n');
+    expect(() => loadAllowlist(csv)).to.throw('expected columns address, amount');
+  });
+
+  it('deploys FreeMintCampaigns as the BAP578 distributor from the deploy config', async function () {
+    const config = parseDeployConfig({
+      bap578: { treasury: signers[0].address, freeMintCampaigns: true },
+    });
+    const steps = [];
+    const { chainId, deployed } = await deployFromConfig(hre, {
+      config,
+      signer: signers[0],
+      dir: tmpDir,
+      onStep: (step) => steps.push(step.action),
+    });
+
+    expect(deployed).to.deep.equal(['BAP578', 'FreeMintCampaigns']);
+    expect(steps).to.include('setFreeMintDistributor');
+    const address = campaignsAddress(chainId, tmpDir);
+    const campaigns = await ethers.getContractAt('FreeMintCampaigns', address);
+    const nfa = await ethers.getContractAt('BAP578', await campaigns.nfa());
+    expect(await nfa.freeMintDistributor()).to.equal(address);
+
+    const rerun = await deployFromConfig(hre, { config, signer: signers[0], dir: tmpDir });
+    expect(rerun.deployed).to.deep.equal([]);
+    expect(rerun.reused).to.include('FreeMintCampaigns');
+  });
+});
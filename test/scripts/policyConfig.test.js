@@ -0,0 +1,223 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../../services/indexer');
+const {
+  expandTokenIds,
+  parsePolicyConfig,
+  loadPolicyConfig,
+  resolveAddresses,
+  deployPolicies,
+  planPolicyChanges,
+  applyPolicyChanges,
+} = require('../../scripts/lib/policyConfig');
+
+const { ethers } = hre;
+
+describe('Script: policy config', function () {
+  let owner;
+  let other;
+  let tmpDir;
+
+  const desired = {
+    policies: {
+      small: { contract: 'SpendingLimitExample' },
+      large: { contract: 'SpendingLimitExample' },
+    },
+    tokens: [
+      { ids: ['1-3'], policies: ['small'], limits: { small: '0.1' } },
+      { ids: [4], policies: ['small', 'large'], limits: { small: '0.1', large: '2' } },
+    ],
+  };
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-config-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deploy(config = parsePolicyConfig(desired)) {
+    const store = new JsonStore();
+    const result = await deployPolicies(hre, { config, store, signer: owner });
+    return { ...result, config: resolveAddresses(config, store.read()), store };
+  }
+
+  it('expands token id ranges', function () {
+    expect(expandTokenIds(['1-3', 7, '10'], 'ids')).to.deep.equal(['1', '2', '3', '7', '10']);
+    expect(() => expandTokenIds(['3-1'], 'ids')).to.throw('ids: empty range 3-1');
+    expect(() => expandTokenIds(['one'], 'ids')).to.throw('ids: invalid token id "one"');
+  });
+
+  it('loads YAML configs and reports every invalid entry', function () {
+    const file = path.join(tmpDir, 'policies.yaml');
+    fs.writeFileSync(
+      file,
+      [
+        'policies:',
+        '  small: { contract: SpendingLimitExample }',
+        'tokens:',
+        '  - ids: "1-2"',
+        '    policies: [small]',
+        '    limits: { small: "0.5" }',
+      ].join('\n'),
+    );
+    const config = loadPolicyConfig(file);
+    expect(config.guard).to.deep.equal({ contract: 'PolicyGuardExample', address: undefined });
+    expect(config.tokens['2']).to.deep.equal({
+      policies: ['small'],
+      limits: { small: ethers.utils.parseEther('0.5').toString() },
+    });
+
+    expect(() =>
+      parsePolicyConfig({
+        guard: '0x1234',
+        policies: {
+          guard: { contract: 'PolicyGuardExample' },
+          missing: {},
+          renter: { contract: 'TokenWhitelistExample' },
+        },
+        tokens: [
+          { ids: [1], policies: ['small'] },
+          { ids: [2], policies: ['guard'], limits: { guard: '1' } },
+          { ids: [1, 3], policies: [], limits: { other: '1' } },
+        ],
+      }),
+    ).to.throw(
+      [
+        'Invalid policy config:',
+        '  - guard: 0x1234 is not a valid address',
+        '  - policies.missing: contract is required',
+        '  - policies.renter: TokenWhitelistExample takes constructor arguments, deploy it and set address',
+        '  - tokens[0]: unknown policy small',
+        '  - tokens[1]: PolicyGuardExample has no setLimit',
+        '  - tokens[2]: limit for other, which is not bound to these tokens',
+        '  - tokens[2]: token 1 is already configured',
+      ].join('\n'),
+    );
+  });
+
+  it('deploys and registers missing contracts once', async function () {
+    const first = await deploy();
+    expect(first.deployed).to.deep.equal(['guard', 'small', 'large']);
+    expect(first.registered).to.deep.equal(['small', 'large']);
+
+    const again = await deployPolicies(hre, {
+      config: parsePolicyConfig(desired),
+      store: first.store,
+      signer: owner,
+    });
+    expect(again).to.include.deep({ deployed: [], registered: [] });
+
+    const guard = await ethers.getContractAt('PolicyGuardExample', first.config.guard.address);
+    expect(await guard.getRegisteredPolicies()).to.deep.equal([
+      first.config.policies.small.address,
+      first.config.policies.large.address,
+    ]);
+  });
+
+  it('applies only the differences from the on-chain state', async function () {
+    const { config } = await deploy();
+    const { small, large } = config.policies;
+
+    const plan = await planPolicyChanges(ethers.provider, config);
+    expect(plan.map(({ action, tokenId }) => [action, tokenId])).to.deep.equal([
+      ['setLimit', '1'],
+      ['setLimit', '2'],
+      ['setLimit', '3'],
+      ['setLimit', '4'],
+      ['setLimit', '4'],
+      ['bind', '1'],
+      ['bind', '2'],
+      ['bind', '3'],
+      ['bind', '4'],
+    ]);
+    await applyPolicyChanges(config, plan, { signer: owner });
+    expect(await planPolicyChanges(ethers.provider, config)).to.deep.equal([]);
+
+    const guard = await ethers.getContractAt('PolicyGuardExample', config.guard.address);
+    expect(await guard.getBoundPolicies(4)).to.deep.equal([small.address, large.address]);
+    const largeLimit = await ethers.getContractAt('SpendingLimitExample', large.address);
+    expect(await largeLimit.limits(4)).to.equal(ethers.utils.parseEther('2'));
+
+    // Raise one limit and unbind `large` from token 4
+    const edited = resolveAddresses(
+      parsePolicyConfig({
+        ...desired,
+        tokens: [
+          { ids: ['1-3'], policies: ['small'], limits: { small: '0.1' } },
+          { ids: [4], policies: ['small'], limits: { small: '0.3' } },
+        ],
+      }),
+      { guard: config.guard, policies: config.policies },
+    );
+    const changes = await planPolicyChanges(ethers.provider, edited);
+    expect(changes).to.deep.equal([
+      {
+        action: 'setLimit',
+        policy: 'small',
+        address: small.address,
+        tokenId: '4',
+        limit: ethers.utils.parseEther('0.3').toString(),
+        current: ethers.utils.parseEther('0.1').toString(),
+      },
+      {
+        action: 'bind',
+        tokenId: '4',
+        policies: ['small'],
+        addresses: [small.address],
+        current: ['small', 'large'],
+      },
+    ]);
+    const applied = await applyPolicyChanges(edited, changes, { signer: owner });
+    expect(applied[1].transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await guard.getBoundPolicies(4)).to.deep.equal([small.address]);
+  });
+
+  it('points stateful policies at the guard before setting daily limits', async function () {
+    const { config } = await deploy(
+      parsePolicyConfig({
+        policies: { daily: { contract: 'DailySpendingLimitExample' } },
+        tokens: [{ ids: [1], policies: ['daily'], limits: { daily: '5' } }],
+      }),
+    );
+    const { daily } = config.policies;
+
+    const plan = await planPolicyChanges(ethers.provider, config);
+    expect(plan.map(({ action }) => action)).to.deep.equal(['setGuard', 'setLimit', 'bind']);
+    expect(plan[0]).to.include({
+      policy: 'daily',
+      guard: config.guard.address,
+      current: ethers.constants.AddressZero,
+    });
+    await applyPolicyChanges(config, plan, { signer: owner });
+
+    const policy = await ethers.getContractAt('DailySpendingLimitExample', daily.address);
+    expect(await policy.guard()).to.equal(config.guard.address);
+    expect(await planPolicyChanges(ethers.provider, config)).to.deep.equal([]);
+  });
+
+  it('prunes registered policies missing from the config', async function () {
+    const { config } = await deploy();
+    const { large, ...rest } = config.policies;
+    const trimmed = { ...config, policies: rest, tokens: {} };
+
+    expect(await planPolicyChanges(ethers.provider, trimmed)).to.deep.equal([]);
+    const changes = await planPolicyChanges(ethers.provider, trimmed, { prune: true });
+    expect(changes).to.deep.equal([{ action: 'remove', address: large.address }]);
+  });
+
+  it('refuses to apply changes the signer cannot make', async function () {
+    const { config } = await deploy();
+    const plan = await planPolicyChanges(ethers.provider, config);
+
+    await expect(applyPolicyChanges(config, plan, { signer: other })).to.be.rejectedWith(
+      `${other.address} is not the owner of SpendingLimitExample ${config.policies.small.address}`,
+    );
+    expect(await planPolicyChanges(ethers.provider, config)).to.have.lengthOf(plan.length);
+  });
+});
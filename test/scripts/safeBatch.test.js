@@ -0,0 +1,214 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseSafeBatch,
+  loadSafeBatch,
+  defaultExportPath,
+  resolveSafeBatch,
+  resolveSafe,
+  simulateSafeBatch,
+  buildSafeTransactionBatch,
+} = require('../../scripts/lib/safeBatch');
+const { parseDeployConfig, deployFromConfig } = require('../../scripts/lib/deploy');
+const { impersonate } = require('../../scripts/lib/fork');
+const { getDeployedContract } = require('../../sdk/deployments');
+
+const { ethers } = hre;
+
+describe('Script: safe-batch', function () {
+  let tmpDir;
+  let signers;
+  let chainId;
+  let safe;
+  let nfa;
+  let guard;
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-batch-'));
+
+    // Stand-in for a Safe: an account without a key deploys and owns every contract, so only
+    // impersonation can act as it
+    safe = ethers.Wallet.createRandom().address;
+    const config = parseDeployConfig({
+      bap578: { treasury: signers[0].address },
+      policies: { SpendingLimitExample: {}, CooldownExample: {} },
+    });
+    ({ chainId } = await deployFromConfig(hre, {
+      config,
+      signer: await impersonate(hre, safe),
+      dir: tmpDir,
+    }));
+    await hre.network.provider.send('hardhat_stopImpersonatingAccount', [safe]);
+
+    nfa = await ethers.getContractAt(
+      'BAP578',
+      getDeployedContract(chainId, 'BAP578', tmpDir).address,
+    );
+    guard = await ethers.getContractAt(
+      'PolicyGuardExample',
+      getDeployedContract(chainId, 'PolicyGuardExample', tmpDir).address,
+    );
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reports every invalid or non-owner operation', function () {
+    expect(() =>
+      parseSafeBatch({
+        safe: '0x1234',
+        transactions: [{ contract: 'BAP578' }, { function: 'setPaused', args: true, value: -1 }],
+      }),
+    ).to.throw(
+      [
+        'Invalid Safe batch:',
+        '  - transactions[0].function: required',
+        '  - transactions[1].contract: required',
+        '  - transactions[1].args: must be a list',
+        '  - transactions[1].value: -1 is not an amount in wei',
+        '  - safe: 0x1234 is not a valid address',
+      ].join('\n'),
+    );
+
+    const batch = parseSafeBatch({
+      transactions: [
+        { contract: 'BAP578', function: 'createAgent' },
+        { contract: 'BAP578', function: 'setTreasury', args: [signers[1].address], value: 1 },
+        { contract: 'PolicyGuardExample', function: 'bindPolicies', args: [1, ['$Missing']] },
+        { contract: 'CLAWNFA', function: 'setPaused', args: [true] },
+      ],
+    });
+    expect(batch.name).to.equal('Admin batch');
+    expect(() => resolveSafeBatch(batch, chainId, tmpDir)).to.throw(
+      [
+        'Invalid Safe batch:',
+        '  - transactions[0] BAP578.createAgent: not an owner operation of BAP578 (setTreasury, ',
+      ].join('\n'),
+    );
+    expect(() => resolveSafeBatch(batch, chainId, tmpDir)).to.throw(
+      [
+        '  - transactions[1] BAP578.setTreasury: value sent to a function that is not payable',
+        '  - transactions[2] PolicyGuardExample.bindPolicies: unknown contract $Missing',
+        `  - transactions[3] CLAWNFA.setPaused: CLAWNFA is not deployed on chain ${chainId}; ` +
+          'pass address',
+      ].join('\n'),
+    );
+  });
+
+  it('simulates the batch as the Safe owner and leaves the chain untouched', async function () {
+    const file = path.join(tmpDir, 'rotate.yaml');
+    fs.writeFileSync(
+      file,
+      [
+        'name: Rotate treasury',
+        'transactions:',
+        '  - contract: BAP578',
+        '    function: setTreasury',
+        `    args: ['${signers[2].address}']`,
+        '  - contract: BAP578',
+        '    function: grantAdditionalFreeMints',
+        `    args: ['${signers[3].address}', 2]`,
+        '  - contract: PolicyGuardExample',
+        '    function: bindPolicies',
+        '    args: [1, [$SpendingLimitExample, $CooldownExample]]',
+      ].join('\n'),
+    );
+    expect(defaultExportPath(file)).to.equal(path.join(tmpDir, 'rotate.safe.json'));
+
+    const batch = loadSafeBatch(file);
+    const calls = resolveSafeBatch(batch, chainId, tmpDir);
+    expect(calls[2].args[1]).to.have.length(2);
+    expect(await resolveSafe(ethers.provider, calls)).to.equal(safe);
+    await expect(resolveSafe(ethers.provider, calls, signers[0].address)).to.be.rejectedWith(
+      `Every target must be owned by the Safe ${signers[0].address}`,
+    );
+
+    const { ok, results } = await simulateSafeBatch(hre, safe, calls);
+    expect(ok).to.equal(true);
+    expect(results.map((r) => r.status)).to.deep.equal(['ok', 'ok', 'ok']);
+    expect(results[0].events).to.deep.equal(['TreasuryUpdated']);
+    expect(results[2].events).to.deep.equal(['PoliciesBound']);
+
+    expect(await nfa.treasuryAddress()).to.equal(signers[0].address);
+    expect(await nfa.bonusFreeMints(signers[3].address)).to.equal(0);
+    expect(await guard.getBoundPolicies(1)).to.deep.equal([]);
+  });
+
+  it('stops at the first reverting call', async function () {
+    const batch = parseSafeBatch({
+      transactions: [
+        { contract: 'BAP578', function: 'setPaused', args: [true] },
+        { contract: 'BAP578', function: 'emergencyWithdraw' },
+        { contract: 'BAP578', function: 'setPaused', args: [false] },
+      ],
+    });
+    const calls = resolveSafeBatch(batch, chainId, tmpDir);
+    const { ok, results } = await simulateSafeBatch(hre, safe, calls);
+
+    expect(ok).to.equal(false);
+    expect(results[1]).to.deep.equal({ status: 'reverted', error: 'No balance' });
+    expect(results[2]).to.deep.equal({ status: 'skipped' });
+    expect(await nfa.paused()).to.equal(false);
+  });
+
+  it('exports the Safe Transaction Builder format', async function () {
+    const batch = parseSafeBatch({
+      name: 'Policies',
+      description: 'Bind the default policies',
+      transactions: [
+        {
+          contract: 'PolicyGuardExample',
+          function: 'bindPolicies',
+          args: [7, ['$SpendingLimitExample']],
+        },
+      ],
+    });
+    const [call] = resolveSafeBatch(batch, chainId, tmpDir);
+    const exported = buildSafeTransactionBatch({
+      chainId,
+      safe,
+      name: batch.name,
+      description: batch.description,
+      calls: [call],
+      createdAt: 1,
+    });
+
+    expect(exported).to.deep.equal({
+      version: '1.0',
+      chainId: String(chainId),
+      createdAt: 1,
+      meta: {
+        name: 'Policies',
+        description: 'Bind the default policies',
+        txBuilderVersion: '1.16.5',
+        createdFromSafeAddress: safe,
+        createdFromOwnerAddress: '',
+      },
+      transactions: [
+        {
+          to: guard.address,
+          value: '0',
+          data: null,
+          contractMethod: {
+            inputs: [
+              { internalType: 'uint256', name: 'tokenId', type: 'uint256' },
+              { internalType: 'address[]', name: 'policies', type: 'address[]' },
+            ],
+            name: 'bindPolicies',
+            payable: false,
+          },
+          contractInputsValues: {
+            tokenId: '7',
+            policies: JSON.stringify([call.args[1][0]]),
+          },
+        },
+      ],
+    });
+    expect(call.data).to.equal(guard.interface.encodeFunctionData('bindPolicies', call.args));
+  });
+});
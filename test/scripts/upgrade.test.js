@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const {
+  diffStorageLayout,
+  upgradeDeployment,
+  recordUpgrade,
+} = require('../../scripts/lib/upgrade');
+
+const { ethers, upgrades } = hre;
+
+describe('Script: upgrade', function () {
+  let nfa;
+  let owner;
+  let treasury;
+  let deployment;
+
+  beforeEach(async function () {
+    [owner, , , treasury] = await ethers.getSigners();
+
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await nfa.deployed();
+    deployment = {
+      network: 'hardhat',
+      proxy: nfa.address,
+      implementation: await upgrades.erc1967.getImplementationAddress(nfa.address),
+    };
+  });
+
+  describe('diffStorageLayout', function () {
+    const types = { t_uint256: { label: 'uint256' }, t_address: { label: 'address' } };
+    const item = (label, slot, type = 't_uint256') => ({
+      label,
+      slot,
+      offset: 0,
+      type,
+      contract: 'C',
+    });
+
+    it('classifies variables by slot', function () {
+      const diff = diffStorageLayout(
+        { storage: [item('a', '0'), item('b', '1'), item('c', '2')], types },
+        { storage: [item('a', '0'), item('b', '1', 't_address'), item('d', '10')], types },
+      );
+
+      expect(diff.map(({ status, slot }) => [status, slot])).to.deep.equal([
+        ['unchanged', '0'],
+        ['changed', '1'],
+        ['removed', '2'],
+        ['added', '10'],
+      ]);
+      expect(diff[1].before.type).to.equal('uint256');
+      expect(diff[1].after.type).to.equal('address');
+    });
+  });
+
+  it('upgrades the proxy and reports the appended storage', async function () {
+    let reported;
+    const result = await upgradeDeployment(hre, {
+      deployment,
+      contractName: 'BAP578V2Mock',
+      signer: owner,
+      onDiff: (diff) => (reported = diff),
+    });
+
+    expect(result.previousImplementation).to.equal(deployment.implementation);
+    expect(result.implementation).to.not.equal(deployment.implementation);
+    expect(result.diff).to.equal(reported);
+    expect(result.diff.filter((entry) => entry.status !== 'unchanged')).to.deep.equal([
+      {
+        status: 'added',
+        slot: result.diff[result.diff.length - 1].slot,
+        offset: 0,
+        before: undefined,
+        after: { label: 'newV2Variable', type: 'uint256', contract: 'BAP578V2Mock' },
+      },
+    ]);
+
+    const v2 = await ethers.getContractAt('BAP578V2Mock', nfa.address);
+    expect(await v2.version()).to.equal('v2');
+    expect(await v2.treasuryAddress()).to.equal(treasury.address);
+  });
+
+  it('rejects an unsafe implementation before upgrading', async function () {
+    await expect(
+      upgradeDeployment(hre, { deployment, contractName: 'MockAgentLogic', signer: owner }),
+    ).to.be.rejectedWith('upgradeTo');
+
+    expect(await upgrades.erc1967.getImplementationAddress(nfa.address)).to.equal(
+      deployment.implementation,
+    );
+  });
+
+  it('appends upgrades to the deployment history', function () {
+    const first = recordUpgrade(deployment, {
+      contractName: 'BAP578V2Mock',
+      previousImplementation: deployment.implementation,
+      implementation: '0x0000000000000000000000000000000000000002',
+      upgrader: owner.address,
+    });
+    const second = recordUpgrade(first, {
+      contractName: 'BAP578V3',
+      previousImplementation: first.implementation,
+      implementation: '0x0000000000000000000000000000000000000003',
+      upgrader: owner.address,
+    });
+
+    expect(second.contract).to.equal('BAP578V3');
+    expect(second.implementation).to.equal('0x0000000000000000000000000000000000000003');
+    expect(second.proxy).to.equal(deployment.proxy);
+    expect(
+      second.history.map((entry) => [entry.previousImplementation, entry.implementation]),
+    ).to.deep.equal([
+      [deployment.implementation, '0x0000000000000000000000000000000000000002'],
+      ['0x0000000000000000000000000000000000000002', '0x0000000000000000000000000000000000000003'],
+    ]);
+  });
+});
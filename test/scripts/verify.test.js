@@ -0,0 +1,197 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDeployConfig, deployFromConfig } = require('../../scripts/lib/deploy');
+const {
+  loadVerificationChain,
+  verificationTargets,
+  verifyContract,
+  exportStandardJson,
+} = require('../../scripts/lib/verify');
+const { recordUpgrade } = require('../../scripts/lib/upgrade');
+const {
+  deploymentPath,
+  loadRegistry,
+  loadDeployment,
+  saveDeployment,
+} = require('../../sdk/deployments');
+
+const { ethers } = hre;
+
+describe('Script: verify', function () {
+  let deployer;
+  let tmpDir;
+  let chain;
+
+  before(async function () {
+    [deployer] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-'));
+    const config = parseDeployConfig({
+      mocks: ['MockERC20Balance'],
+      bap578: { treasury: deployer.address },
+      clawnfa: { requiredToken: '$MockERC20Balance', maxSupply: 100 },
+      adapter: true,
+      policies: { TokenWhitelistExample: { args: ['$BAP578'] } },
+    });
+    const { chainId } = await deployFromConfig(hre, { config, signer: deployer, dir: tmpDir });
+    chain = loadRegistry(tmpDir)[chainId];
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Records every subtask run and fails the ones listed in `failing`
+  function stubRun(failing = []) {
+    const calls = [];
+    const stub = Object.create(hre);
+    stub.run = async (task, args) => {
+      calls.push([task, args]);
+      if (failing.includes(task)) throw new Error(`${task} unavailable`);
+    };
+    return { stub, calls };
+  }
+
+  it('lists every deployed contract with its constructor arguments', async function () {
+    const targets = await verificationTargets(hre, chain);
+    const byName = Object.fromEntries(targets.map((target) => [target.name, target]));
+
+    expect(Object.keys(byName)).to.deep.equal([
+      'MockERC20Balance',
+      'BAP578',
+      'CLAWNFA',
+      'AgentVault',
+      'BAP578AdapterBlueprint',
+      'PolicyGuardExample',
+      'TokenWhitelistExample',
+    ]);
+    expect(byName.BAP578).to.deep.equal({
+      name: 'BAP578',
+      contract: 'contracts/BAP578.sol:BAP578',
+      address: chain.contracts.BAP578.implementation,
+      constructorArgs: [],
+      proxy: chain.contracts.BAP578.address,
+    });
+    expect(byName.CLAWNFA).to.include({
+      contract: 'contracts/claw/CLAWNFA.sol:NFA',
+      address: chain.contracts.CLAWNFA.address,
+    });
+    expect(byName.CLAWNFA.constructorArgs).to.deep.equal([
+      chain.contracts.MockERC20Balance.address,
+      100,
+    ]);
+    expect(byName.AgentVault).to.include({
+      contract: 'contracts/templates/AgentVault.sol:AgentVault',
+      address: chain.contracts.AgentVault.address,
+    });
+    expect(byName.AgentVault.constructorArgs).to.deep.equal([]);
+    expect(byName.BAP578AdapterBlueprint).to.include({
+      contract: 'contracts/templates/BAP578AdapterBlueprint.sol:BAP578AdapterBlueprint',
+    });
+    expect(byName.BAP578AdapterBlueprint.constructorArgs).to.deep.equal([
+      chain.contracts.BAP578.address,
+      chain.contracts.AgentVault.address,
+    ]);
+    expect(byName.TokenWhitelistExample.constructorArgs).to.deep.equal([
+      chain.contracts.BAP578.address,
+    ]);
+  });
+
+  it('falls back to Sourcify when the explorer fails', async function () {
+    const [, , clawnfa] = await verificationTargets(hre, chain);
+
+    const explorer = stubRun();
+    expect(await verifyContract(explorer.stub, clawnfa)).to.deep.equal({ service: 'explorer' });
+    expect(explorer.calls).to.have.length(1);
+    expect(explorer.calls[0][1]).to.include({
+      address: clawnfa.address,
+      contract: 'contracts/claw/CLAWNFA.sol:NFA',
+    });
+    expect(explorer.calls[0][1].constructorArgsParams).to.deep.equal(clawnfa.constructorArgs);
+
+    const fallback = stubRun(['verify:etherscan']);
+    expect(await verifyContract(fallback.stub, clawnfa)).to.deep.equal({
+      service: 'sourcify',
+      explorerError: 'verify:etherscan unavailable',
+    });
+    expect(fallback.calls.map(([task]) => task)).to.deep.equal([
+      'verify:etherscan',
+      'verify:sourcify',
+    ]);
+
+    const { stub } = stubRun(['verify:etherscan', 'verify:sourcify']);
+    await expect(verifyContract(stub, clawnfa)).to.be.rejectedWith(
+      /CLAWNFA: explorer verification failed: verify:etherscan unavailable\nSourcify verification failed/,
+    );
+    await expect(
+      verifyContract(stubRun(['verify:etherscan']).stub, clawnfa, { sourcify: false }),
+    ).to.be.rejectedWith('CLAWNFA: explorer verification failed');
+  });
+
+  it('exports the standard-JSON input with the Hardhat compiler settings', async function () {
+    const [, , clawnfa] = await verificationTargets(hre, chain);
+    const exported = await exportStandardJson(hre, clawnfa, tmpDir);
+    const input = JSON.parse(fs.readFileSync(exported.file, 'utf8'));
+    const { settings } = hre.config.solidity.compilers[0];
+
+    expect(path.basename(exported.file)).to.equal('CLAWNFA.input.json');
+    expect(input.language).to.equal('Solidity');
+    expect(Object.keys(input.sources)).to.deep.equal(['contracts/claw/CLAWNFA.sol']);
+    expect(input.settings.optimizer).to.deep.equal(settings.optimizer);
+    expect(input.settings.viaIR).to.equal(true);
+    expect(exported.compilerVersion).to.match(
+      new RegExp(`^v${hre.config.solidity.compilers[0].version}\\+commit\\.`),
+    );
+    expect(exported.settings).to.deep.include({ viaIR: true });
+
+    // The encoded arguments are the tail of the creation transaction
+    const tx = await ethers.provider.getTransaction(chain.contracts.CLAWNFA.transactionHash);
+    expect(tx.data.endsWith(exported.encodedConstructorArgs)).to.equal(true);
+    expect(exported.encodedConstructorArgs).to.have.length(128);
+  });
+
+  it('verifies an upgraded proxy against the contract it was upgraded to', async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-upgraded-'));
+    try {
+      fs.copyFileSync(path.join(tmpDir, 'registry.json'), path.join(dir, 'registry.json'));
+      const deployment = loadDeployment(chain.chainId, dir);
+      saveDeployment(
+        recordUpgrade(deployment, {
+          contractName: 'BAP578V2Mock',
+          previousImplementation: deployment.implementation,
+          implementation: deployer.address,
+        }),
+        dir,
+      );
+
+      const targets = await verificationTargets(hre, loadRegistry(dir)[chain.chainId]);
+      expect(targets.find((target) => target.name === 'BAP578')).to.include({
+        contract: 'contracts/mocks/BAP578V2Mock.sol:BAP578V2Mock',
+        address: deployer.address,
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads deployments made before the registry', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-legacy-'));
+    try {
+      fs.writeFileSync(
+        deploymentPath('hardhat', dir),
+        JSON.stringify({ proxy: deployer.address, implementation: chain.contracts.BAP578.address }),
+      );
+      const legacy = loadVerificationChain(hre, dir);
+      expect(legacy.contracts.BAP578).to.deep.equal({
+        contract: 'BAP578',
+        kind: 'uups',
+        address: deployer.address,
+        implementation: chain.contracts.BAP578.address,
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,240 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+const { BAP578Client } = require('../../sdk');
+
+describe('SDK: BAP578Client', function () {
+  let nfa;
+  let owner;
+  let addr1;
+  let addr2;
+  let treasury;
+  let client;
+
+  const metadata = {
+    persona: '{"traits": "friendly", "style": "casual"}',
+    experience: 'AI Assistant',
+    voiceHash: 'voice_001',
+    animationURI: 'ipfs://animation1',
+    vaultURI: 'ipfs://vault1',
+    vaultHash: ethers.utils.formatBytes32String('vault1'),
+  };
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, treasury] = await ethers.getSigners();
+
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await nfa.deployed();
+
+    client = BAP578Client.fromDeployment({ proxy: nfa.address }, addr1);
+  });
+
+  describe('mintAgent', function () {
+    it('Should use the free mint path and return the tokenId', async function () {
+      const result = await client.mintAgent({ metadataURI: 'ipfs://metadata1', metadata });
+
+      expect(result.tokenId).to.equal('1');
+      expect(result.owner).to.equal(addr1.address);
+      expect(result.freeMint).to.equal(true);
+      expect(result.feePaid).to.equal('0');
+      expect(await nfa.ownerOf(1)).to.equal(addr1.address);
+    });
+
+    it('Should pay MINT_FEE once free mints are exhausted', async function () {
+      for (let i = 0; i < 3; i++) {
+        await client.mintAgent({ metadataURI: `ipfs://metadata${i}`, metadata });
+      }
+
+      const treasuryBefore = await treasury.getBalance();
+      const result = await client.mintAgent({ to: addr2.address, metadataURI: 'ipfs://paid' });
+
+      expect(result.tokenId).to.equal('4');
+      expect(result.freeMint).to.equal(false);
+      expect(result.feePaid).to.equal((await nfa.MINT_FEE()).toString());
+      expect(result.owner).to.equal(addr2.address);
+      expect((await treasury.getBalance()).sub(treasuryBefore)).to.equal(await nfa.MINT_FEE());
+    });
+
+    it('Should require a signer', async function () {
+      const readOnly = new BAP578Client({
+        address: nfa.address,
+        signerOrProvider: ethers.provider,
+      });
+      await expect(readOnly.mintAgent({ metadataURI: 'ipfs://x' })).to.be.rejectedWith(
+        'a signer is required',
+      );
+    });
+  });
+
+  describe('Views', function () {
+    beforeEach(async function () {
+      await client.mintAgent({ metadataURI: 'ipfs://metadata1', metadata });
+      await client.mintAgent({ metadataURI: 'ipfs://metadata2' });
+    });
+
+    it('Should merge state, metadata and tokenURI in getAgent', async function () {
+      const agent = await client.getAgent(1);
+
+      expect(agent.tokenId).to.equal('1');
+      expect(agent.owner).to.equal(addr1.address);
+      expect(agent.balance).to.equal('0');
+      expect(agent.active).to.equal(true);
+      expect(agent.logicAddress).to.equal(ethers.constants.AddressZero);
+      expect(agent.createdAt).to.be.gt(0);
+      expect(agent.isFreeMint).to.equal(true);
+      expect(agent.tokenURI).to.equal('ipfs://metadata1');
+      expect(agent.metadata).to.deep.equal(metadata);
+    });
+
+    it('Should list agents of an owner', async function () {
+      const agents = await client.listAgentsOf(addr1.address);
+      expect(agents.map((a) => a.tokenId)).to.deep.equal(['1', '2']);
+      expect(agents[1].metadata.vaultHash).to.equal(ethers.constants.HashZero);
+
+      expect(await client.listAgentsOf(addr2.address)).to.deep.equal([]);
+    });
+
+    it('Should work with a read-only provider', async function () {
+      const readOnly = new BAP578Client({
+        address: nfa.address,
+        signerOrProvider: ethers.provider,
+      });
+      const info = await readOnly.getContractInfo();
+
+      expect(info.totalSupply).to.equal('2');
+      expect(info.owner).to.equal(owner.address);
+      expect(info.treasury).to.equal(treasury.address);
+
+      const freeMints = await readOnly.getFreeMintStatus(addr1.address);
+      expect(freeMints.claimed).to.equal('2');
+      expect(freeMints.remaining).to.equal('1');
+    });
+  });
+
+  describe('Agent Management', function () {
+    beforeEach(async function () {
+      await client.mintAgent({ metadataURI: 'ipfs://metadata1', metadata });
+    });
+
+    it('Should fund and withdraw', async function () {
+      const amount = ethers.utils.parseEther('1');
+      await client.fund(1, amount);
+      expect((await client.getAgent(1)).balance).to.equal(amount.toString());
+
+      const { transactionHash } = await client.withdraw(1, amount);
+      expect(transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect((await client.getAgent(1)).balance).to.equal('0');
+    });
+
+    it('Should set status', async function () {
+      await client.setStatus(1, false);
+      expect((await client.getAgent(1)).active).to.equal(false);
+    });
+
+    it('Should pause, unpause and terminate', async function () {
+      expect((await client.getAgent(1)).status).to.equal('Active');
+
+      await client.pause(1);
+      expect(await client.getAgent(1)).to.include({ status: 'Paused', active: false });
+      await client.unpause(1);
+      expect((await client.getAgent(1)).status).to.equal('Active');
+
+      await client.terminate(1);
+      expect((await client.getAgent(1)).status).to.equal('Terminated');
+      await expect(client.fund(1, 1)).to.be.revertedWith('Agent is terminated');
+    });
+
+    it('Should surface contract reverts', async function () {
+      const other = new BAP578Client({ address: nfa.address, signerOrProvider: addr2 });
+      await expect(other.setStatus(1, false)).to.be.revertedWith('Not token owner');
+    });
+  });
+
+  describe('Token Funding', function () {
+    let usdt;
+    const amount = ethers.utils.parseUnits('50', 18);
+
+    beforeEach(async function () {
+      await client.mintAgent({ metadataURI: 'ipfs://metadata1', metadata });
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      usdt = await MockERC20.deploy('Tether USD', 'USDT', 18);
+      await usdt.mint(addr1.address, amount.mul(2));
+    });
+
+    it('Should approve only when the allowance is too low', async function () {
+      const first = await client.fundToken(1, usdt.address, amount);
+      expect(first.amount).to.equal(amount.toString());
+      expect(first.approval.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      // Exact approval, nothing left over
+      expect(await usdt.allowance(addr1.address, nfa.address)).to.equal(0);
+
+      await usdt.connect(addr1).approve(nfa.address, amount);
+      const second = await client.fundToken(1, usdt.address, amount);
+      expect(second.approval).to.equal(null);
+      expect(await client.getTokenBalance(1, usdt.address)).to.equal(amount.mul(2).toString());
+    });
+
+    it('Should leave approvals to the caller with approve: false', async function () {
+      await expect(
+        client.fundToken(1, usdt.address, amount, { approve: false }),
+      ).to.be.revertedWith('ERC20: insufficient allowance');
+    });
+
+    it('Should withdraw tokens', async function () {
+      await client.fundToken(1, usdt.address, amount);
+      const { transactionHash } = await client.withdrawToken(1, usdt.address, amount);
+
+      expect(transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await client.getTokenBalance(1, usdt.address)).to.equal('0');
+      expect(await usdt.balanceOf(addr1.address)).to.equal(amount.mul(2));
+    });
+  });
+
+  describe('Rentals', function () {
+    beforeEach(async function () {
+      await client.mintAgent({ metadataURI: 'ipfs://metadata1', metadata });
+    });
+
+    it('Should rent an agent until userExpires', async function () {
+      const expires = (await time.latest()) + 3600;
+
+      const { transactionHash } = await client.setUser(1, addr2.address, expires);
+      expect(transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await client.getRental(1)).to.deep.equal({
+        tokenId: '1',
+        user: addr2.address,
+        expires: String(expires),
+        active: true,
+      });
+
+      await time.increaseTo(expires);
+      expect(await client.getRental(1)).to.include({
+        user: ethers.constants.AddressZero,
+        expires: String(expires),
+        active: false,
+      });
+    });
+
+    it('Should end a rental early', async function () {
+      await client.setUser(1, addr2.address, (await time.latest()) + 3600);
+
+      await client.endRental(1);
+      expect(await client.getRental(1)).to.include({ expires: '0', active: false });
+    });
+
+    it('Should read open-ended rentals', async function () {
+      const forever = ethers.BigNumber.from(2).pow(64).sub(1);
+      await client.setUser(1, addr2.address, forever);
+
+      expect(await client.getRental(1)).to.include({
+        user: addr2.address,
+        expires: forever.toString(),
+        active: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const {
+  CLAWNFAClient,
+  ClawMintSigner,
+  buildDomain,
+  recoverMintRequestSigner,
+} = require('../../sdk');
+
+describe('SDK: CLAWNFAClient', function () {
+  let owner;
+  let addr1;
+  let addr2;
+  let token;
+  let nfa;
+  let mintSigner;
+  let client;
+
+  const minBalance = ethers.utils.parseUnits('10000', 18);
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20Balance');
+    token = await MockERC20.deploy();
+    await token.deployed();
+
+    const NFA = await ethers.getContractFactory('NFA');
+    nfa = await NFA.deploy(token.address, 10000);
+    await nfa.deployed();
+
+    await token.setBalance(addr1.address, minBalance);
+
+    // The deployer is the initial signerAddress
+    mintSigner = new ClawMintSigner({ signer: owner, contractAddress: nfa.address });
+    client = new CLAWNFAClient({ address: nfa.address, signerOrProvider: addr1 });
+  });
+
+  describe('ClawMintSigner', function () {
+    it('resolves the domain against DOMAIN_SEPARATOR', async function () {
+      const domain = await mintSigner.domain();
+      const { chainId } = await ethers.provider.getNetwork();
+
+      expect(domain).to.deep.equal(buildDomain(nfa.address, chainId));
+      expect(ethers.utils._TypedDataEncoder.hashDomain(domain)).to.equal(
+        await nfa.DOMAIN_SEPARATOR(),
+      );
+    });
+
+    it('rejects a contract whose domain does not match', async function () {
+      const wrong = new ClawMintSigner({ signer: owner, contractAddress: token.address });
+      await expect(wrong.domain()).to.be.rejected;
+    });
+
+    it('produces signatures recoverable to the signer', async function () {
+      const { request, signature } = await mintSigner.sign({
+        wallet: addr1.address,
+        nonce: 0,
+        expiry: 4102444800,
+      });
+
+      expect(request).to.deep.equal({ wallet: addr1.address, nonce: '0', expiry: '4102444800' });
+      expect(recoverMintRequestSigner(await mintSigner.domain(), request, signature)).to.equal(
+        owner.address,
+      );
+    });
+  });
+
+  describe('Minting', function () {
+    it('builds a request from the current nonce', async function () {
+      const block = await ethers.provider.getBlock('latest');
+      const request = await client.buildMintRequest(addr1.address, { ttl: 600 });
+
+      expect(request.wallet).to.equal(addr1.address);
+      expect(request.nonce).to.equal('0');
+      expect(Number(request.expiry)).to.equal(block.timestamp + 600);
+    });
+
+    it('mints with a service-issued signature and returns the tokenId', async function () {
+      const request = await client.buildMintRequest(addr1.address);
+      const { signature } = await mintSigner.sign(request);
+
+      const { tokenId } = await client.mint(request, signature);
+
+      expect(tokenId).to.equal('0');
+      expect(await nfa.ownerOf(0)).to.equal(addr1.address);
+      expect(await client.nonces(addr1.address)).to.equal('1');
+    });
+
+    it('mints end to end with requestAndMint', async function () {
+      await client.requestAndMint(mintSigner);
+      const second = await client.requestAndMint(mintSigner);
+
+      expect(second.tokenId).to.equal('1');
+      expect(await nfa.getMintedCount(addr1.address)).to.equal(2);
+    });
+
+    it('rejects signatures from a key other than signerAddress', async function () {
+      const rogue = new ClawMintSigner({ signer: addr2, contractAddress: nfa.address });
+      await expect(client.requestAndMint(rogue)).to.be.revertedWith('NFA: invalid signature');
+    });
+  });
+
+  describe('Agent actions', function () {
+    let logic;
+
+    beforeEach(async function () {
+      await client.requestAndMint(mintSigner);
+
+      const Logic = await ethers.getContractFactory('MockAgentLogic');
+      logic = await Logic.deploy();
+      await logic.deployed();
+      await nfa.connect(owner).setAllowedLogicContract(logic.address, true);
+      await client.setLogicAddress(0, logic.address);
+    });
+
+    it('executes actions and returns the logic result', async function () {
+      const { result } = await client.executeAction(
+        0,
+        logic.interface.encodeFunctionData('run', [41]),
+      );
+      expect(result).to.equal(ethers.utils.defaultAbiCoder.encode(['uint256'], [42]));
+    });
+
+    it('walks the pause, unpause and terminate lifecycle', async function () {
+      await client.pause(0);
+      expect((await client.getState(0)).status).to.equal('Paused');
+
+      await client.unpause(0);
+      expect((await client.getState(0)).status).to.equal('Active');
+
+      await client.terminate(0);
+      expect((await client.getState(0)).status).to.equal('Terminated');
+
+      await expect(client.fund(0, 1)).to.be.revertedWith('NFA: terminated');
+    });
+
+    it('funds and withdraws', async function () {
+      const amount = ethers.utils.parseEther('1');
+      await client.fund(0, amount);
+      expect((await client.getState(0)).balance).to.equal(amount.toString());
+
+      await client.withdrawFromAgent(0, amount);
+      expect((await client.getState(0)).balance).to.equal('0');
+    });
+
+    it('funds and withdraws ERC-20 tokens, approving first', async function () {
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      const usdt = await MockERC20.deploy('Tether USD', 'USDT', 6);
+      const amount = ethers.utils.parseUnits('25', 6);
+      await usdt.mint(addr1.address, amount);
+
+      const { approval } = await client.fundToken(0, usdt.address, amount);
+      expect(approval).to.not.equal(null);
+      expect(await client.getTokenBalance(0, usdt.address)).to.equal(amount.toString());
+
+      await client.withdrawToken(0, usdt.address, amount);
+      expect(await client.getTokenBalance(0, usdt.address)).to.equal('0');
+      expect(await usdt.balanceOf(addr1.address)).to.equal(amount);
+    });
+  });
+});
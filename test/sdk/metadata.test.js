@@ -0,0 +1,132 @@
+const { expect } = require('chai');
+const {
+  MetadataValidationError,
+  validatePersona,
+  buildTokenMetadata,
+  compareTokenMetadata,
+  verifyMetadataURI,
+  assertMetadataURI,
+  resolveURI,
+} = require('../../sdk');
+
+function dataURI(document) {
+  return `data:application/json;base64,${Buffer.from(JSON.stringify(document)).toString('base64')}`;
+}
+
+describe('SDK: metadata', function () {
+  const metadata = {
+    persona: JSON.stringify({ traits: ['helpful', 'curious'], style: 'casual', riskLevel: 2 }),
+    experience: 'DeFi research agent',
+    voiceHash: 'voice_001',
+    animationURI: 'ipfs://animation1',
+    vaultURI: 'ipfs://vault1',
+    vaultHash: '0x' + '11'.repeat(32),
+  };
+
+  describe('validatePersona', function () {
+    it('accepts string or list traits with scalar extra fields', function () {
+      expect(validatePersona(metadata.persona).valid).to.equal(true);
+      expect(validatePersona('{"traits": "friendly", "style": "casual"}').valid).to.equal(true);
+    });
+
+    it('reports schema violations', function () {
+      const { valid, errors } = validatePersona({ traits: [], style: 3, nested: { a: 1 } });
+
+      expect(valid).to.equal(false);
+      expect(errors).to.deep.equal([
+        'persona.traits does not match any allowed type',
+        'persona.style must be string, got number',
+        'persona.nested does not match any allowed type',
+      ]);
+    });
+
+    it('rejects invalid JSON and missing traits', function () {
+      expect(validatePersona('not json').errors).to.deep.equal(['persona is not valid JSON']);
+      expect(validatePersona('{"style": "casual"}').errors).to.deep.equal([
+        'persona.traits is required',
+      ]);
+    });
+  });
+
+  describe('buildTokenMetadata', function () {
+    it('maps AgentMetadata to OpenSea token JSON', function () {
+      const json = buildTokenMetadata(metadata, { tokenId: 7, image: 'ipfs://image' });
+
+      expect(json.name).to.equal('Non-Fungible Agent #7');
+      expect(json.description).to.equal('DeFi research agent');
+      expect(json.image).to.equal('ipfs://image');
+      expect(json.animation_url).to.equal('ipfs://animation1');
+      expect(json.attributes).to.deep.equal([
+        { trait_type: 'Trait', value: 'helpful' },
+        { trait_type: 'Trait', value: 'curious' },
+        { trait_type: 'Style', value: 'casual' },
+        { trait_type: 'Risk Level', value: 2 },
+      ]);
+      expect(json.properties).to.include({ vaultURI: 'ipfs://vault1', voiceHash: 'voice_001' });
+    });
+
+    it('throws on an invalid persona unless strict is disabled', function () {
+      const invalid = { ...metadata, persona: 'plain text persona' };
+
+      expect(() => buildTokenMetadata(invalid)).to.throw(MetadataValidationError);
+      const lenient = buildTokenMetadata(invalid, { strict: false });
+      expect(lenient.attributes).to.deep.equal([]);
+      expect(lenient.properties.persona).to.equal('plain text persona');
+    });
+  });
+
+  describe('metadata URI checks', function () {
+    it('accepts a document matching the metadata', async function () {
+      const document = { ...buildTokenMetadata(metadata), name: 'Custom name', image: 'x' };
+      const result = await verifyMetadataURI(dataURI(document), metadata);
+
+      expect(result.valid).to.equal(true);
+      expect(result.document.name).to.equal('Custom name');
+    });
+
+    it('reports every mismatch', function () {
+      const expected = buildTokenMetadata(metadata);
+      const actual = {
+        ...expected,
+        description: 'Other',
+        attributes: expected.attributes.slice(1),
+      };
+
+      expect(compareTokenMetadata(expected, actual)).to.deep.equal([
+        'description is "Other", expected "DeFi research agent"',
+        'attribute Trait=helpful is missing',
+      ]);
+    });
+
+    it('refuses mismatching or unreachable URIs', async function () {
+      const other = buildTokenMetadata({ ...metadata, animationURI: '' });
+      await expect(assertMetadataURI(dataURI(other), metadata)).to.be.rejectedWith(
+        'animation_url is undefined, expected "ipfs://animation1"',
+      );
+
+      const failingFetch = async () => ({ ok: false, status: 404 });
+      const result = await verifyMetadataURI('https://example.com/1.json', metadata, {
+        fetch: failingFetch,
+      });
+      expect(result.errors).to.deep.equal(['GET https://example.com/1.json failed with HTTP 404']);
+    });
+
+    it('fetches ipfs URIs through the configured gateway', async function () {
+      let requested;
+      const fetch = async (url) => {
+        requested = url;
+        const body = Buffer.from(JSON.stringify(buildTokenMetadata(metadata)));
+        return { ok: true, arrayBuffer: async () => body };
+      };
+
+      const result = await verifyMetadataURI('ipfs://QmHash/1.json', metadata, {
+        fetch,
+        ipfsGateway: 'https://gateway.example/ipfs/',
+      });
+
+      expect(result.valid).to.equal(true);
+      expect(requested).to.equal('https://gateway.example/ipfs/QmHash/1.json');
+      expect(resolveURI('ipfs://ipfs/QmHash')).to.equal('https://ipfs.io/ipfs/QmHash');
+    });
+  });
+});
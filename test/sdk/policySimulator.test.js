@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { POLICY_TYPES, policyTypeName, encodeCall, simulatePolicies } = require('../../sdk');
+
+describe('SDK: policy simulator', function () {
+  const tokenId = 1;
+  let owner;
+  let operator;
+  let recipient;
+  let guard;
+  let perAction;
+  let unconfigured;
+
+  beforeEach(async function () {
+    [owner, operator, recipient] = await ethers.getSigners();
+
+    const SpendingLimit = await ethers.getContractFactory('SpendingLimitExample');
+    perAction = await SpendingLimit.deploy();
+    unconfigured = await SpendingLimit.deploy();
+    const PolicyGuard = await ethers.getContractFactory('PolicyGuardExample');
+    guard = await PolicyGuard.deploy();
+    await Promise.all([perAction.deployed(), unconfigured.deployed(), guard.deployed()]);
+
+    await perAction.connect(owner).setLimit(tokenId, ethers.utils.parseEther('0.1'));
+    await guard.registerPolicy(perAction.address);
+    await guard.registerPolicy(unconfigured.address);
+  });
+
+  function simulate(options) {
+    return simulatePolicies({
+      guard: guard.address,
+      provider: ethers.provider,
+      tokenId,
+      target: recipient.address,
+      caller: operator.address,
+      ...options,
+    });
+  }
+
+  it('names the standard policy types', function () {
+    expect(policyTypeName(ethers.utils.id('cooldown'))).to.equal('COOLDOWN');
+    expect(policyTypeName(POLICY_TYPES.RECEIVER_GUARD)).to.equal('RECEIVER_GUARD');
+    expect(policyTypeName(ethers.utils.id('custom'))).to.equal(ethers.utils.id('custom'));
+  });
+
+  it('encodes calldata from human-readable signatures', function () {
+    const erc20 = new ethers.utils.Interface(['function transfer(address to, uint256 amount)']);
+    const expected = erc20.encodeFunctionData('transfer', [recipient.address, 5]);
+
+    expect(encodeCall('transfer(address,uint256)', [recipient.address, 5])).to.equal(expected);
+    expect(
+      encodeCall('function transfer(address to, uint256 amount)', [recipient.address, 5]),
+    ).to.equal(expected);
+  });
+
+  it('allows an action every bound policy passes', async function () {
+    await guard.bindPolicies(tokenId, [perAction.address]);
+
+    const result = await simulate({
+      value: ethers.utils.parseEther('0.05'),
+      signature: 'transfer(address,uint256)',
+      args: [recipient.address, 5],
+    });
+
+    expect(result).to.include({ allowed: true, reason: '', selector: '0xa9059cbb' });
+    expect(result.policies).to.deep.equal([
+      {
+        address: perAction.address,
+        policyType: POLICY_TYPES.SPENDING_LIMIT,
+        typeName: 'SPENDING_LIMIT',
+        renterConfigurable: false,
+        ok: true,
+        reason: '',
+        reverted: false,
+      },
+    ]);
+  });
+
+  it('reports every policy that rejects, not only the first', async function () {
+    await guard.bindPolicies(tokenId, [perAction.address, unconfigured.address]);
+
+    const result = await simulate({ value: ethers.utils.parseEther('0.5') });
+
+    expect(result).to.include({
+      allowed: false,
+      reason: 'SpendingLimit: exceeds per-action limit',
+    });
+    expect(result.policies.map(({ address, ok, reason }) => [address, ok, reason])).to.deep.equal([
+      [perAction.address, false, 'SpendingLimit: exceeds per-action limit'],
+      [unconfigured.address, false, 'SpendingLimit: no limit configured'],
+    ]);
+  });
+
+  it('blocks an action when no policies are bound', async function () {
+    const result = await simulate({ value: 0 });
+
+    expect(result).to.include({ allowed: false, reason: 'PolicyGuard: no policies bound' });
+    expect(result.policies).to.deep.equal([]);
+  });
+
+  it('reports a reverting policy as blocking the action', async function () {
+    const RevertingPolicy = await ethers.getContractFactory('RevertingPolicyMock');
+    const reverting = await RevertingPolicy.deploy();
+    await reverting.deployed();
+    await guard.registerPolicy(reverting.address);
+    await guard.bindPolicies(tokenId, [perAction.address, reverting.address]);
+
+    const result = await simulate({ value: 0 });
+
+    expect(result).to.include({
+      allowed: false,
+      reason: 'RevertingPolicy: check failed',
+      reverted: true,
+    });
+    expect(result.policies[0]).to.include({ ok: true });
+    expect(result.policies[1]).to.include({
+      address: reverting.address,
+      policyType: ethers.utils.id('reverting'),
+      typeName: ethers.utils.id('reverting'),
+      ok: false,
+      reason: 'RevertingPolicy: check failed',
+      reverted: true,
+    });
+  });
+});
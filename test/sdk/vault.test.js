@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  BAP578Client,
+  hashVaultJSON,
+  hashVaultDirectory,
+  computeVaultHash,
+  verifyVault,
+} = require('../../sdk');
+
+describe('SDK: vault hashes', function () {
+  const vault = { memories: ['likes tea'], config: { model: 'small', temperature: 0.2 } };
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeFile(relativePath, content) {
+    const file = path.join(tmpDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  it('hashes JSON independently of key order and formatting', function () {
+    const compact = writeFile('a.json', JSON.stringify(vault));
+    const pretty = writeFile(
+      'b.json',
+      JSON.stringify(
+        { config: { temperature: 0.2, model: 'small' }, memories: ['likes tea'] },
+        null,
+        2,
+      ),
+    );
+
+    expect(computeVaultHash(compact)).to.deep.equal({ hash: hashVaultJSON(vault), type: 'json' });
+    expect(computeVaultHash(pretty).hash).to.equal(hashVaultJSON(vault));
+    expect(hashVaultJSON({ ...vault, memories: [] })).to.not.equal(hashVaultJSON(vault));
+  });
+
+  it('hashes other files as raw bytes', function () {
+    const file = writeFile('notes.txt', 'plain text');
+    expect(computeVaultHash(file)).to.deep.equal({
+      hash: ethers.utils.keccak256(Buffer.from('plain text')),
+      type: 'file',
+    });
+  });
+
+  it('computes a Merkle root over a directory', function () {
+    writeFile('vault/memories.json', JSON.stringify(vault.memories));
+    writeFile('vault/config/model.json', JSON.stringify(vault.config));
+    const dir = path.join(tmpDir, 'vault');
+
+    const { hash, type, files } = hashVaultDirectory(dir);
+    expect(type).to.equal('merkle');
+    expect(files.map((file) => file.path)).to.deep.equal(['config/model.json', 'memories.json']);
+
+    // Any changed, renamed or added file changes the root
+    writeFile('vault/memories.json', JSON.stringify(['likes coffee']));
+    expect(computeVaultHash(dir).hash).to.not.equal(hash);
+    writeFile('vault/memories.json', JSON.stringify(vault.memories));
+    expect(computeVaultHash(dir).hash).to.equal(hash);
+    writeFile('vault/extra.txt', '');
+    expect(computeVaultHash(dir).hash).to.not.equal(hash);
+  });
+
+  it('rejects missing paths and empty directories', function () {
+    fs.mkdirSync(path.join(tmpDir, 'empty'));
+    expect(() => computeVaultHash(path.join(tmpDir, 'missing'))).to.throw('does not exist');
+    expect(() => computeVaultHash(path.join(tmpDir, 'empty'))).to.throw('is empty');
+  });
+
+  describe('verifyVault', function () {
+    let client;
+    let gateway;
+    let gatewayUrl;
+
+    before(async function () {
+      // Stand-in for an IPFS gateway serving the vault document
+      gateway = http.createServer((req, res) => {
+        if (req.url === '/QmVault/vault.json') {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(vault, null, 2));
+        } else {
+          res.statusCode = 404;
+          res.end();
+        }
+      });
+      await new Promise((resolve) => gateway.listen(0, '127.0.0.1', resolve));
+      gatewayUrl = `http://127.0.0.1:${gateway.address().port}/`;
+
+      const [owner, treasury] = await ethers.getSigners();
+      const BAP578 = await ethers.getContractFactory('BAP578');
+      const nfa = await upgrades.deployProxy(
+        BAP578,
+        ['Non-Fungible Agents', 'NFA', treasury.address],
+        { initializer: 'initialize', kind: 'uups' },
+      );
+      await nfa.deployed();
+      client = new BAP578Client({ address: nfa.address, signerOrProvider: owner });
+
+      await client.mintAgent({
+        metadataURI: 'ipfs://meta',
+        metadata: { vaultURI: 'ipfs://QmVault/vault.json', vaultHash: hashVaultJSON(vault) },
+      });
+    });
+
+    after(async function () {
+      await new Promise((resolve) => gateway.close(resolve));
+    });
+
+    it('matches the on-chain hash against the vault behind vaultURI', async function () {
+      const { metadata } = await client.getAgent(1);
+      const result = await verifyVault(metadata, { ipfsGateway: gatewayUrl });
+
+      expect(result).to.include({
+        match: true,
+        expected: hashVaultJSON(vault),
+        type: 'json',
+        source: 'ipfs://QmVault/vault.json',
+      });
+    });
+
+    it('reports a mismatch for a different local copy', async function () {
+      const { metadata } = await client.getAgent(1);
+      const file = writeFile('vault.json', JSON.stringify({ ...vault, memories: [] }));
+      const result = await verifyVault(metadata, { path: file });
+
+      expect(result.match).to.equal(false);
+      expect(result.computed).to.equal(computeVaultHash(file).hash);
+    });
+  });
+});
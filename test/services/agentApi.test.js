@@ -0,0 +1,239 @@
+const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { CLAWNFAClient, ClawMintSigner } = require('../../sdk');
+const { AgentIndexer, JsonStore, projections } = require('../../services/indexer');
+const { createApiServer, indexerSource, fileSource } = require('../../services/api');
+
+function get(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: '127.0.0.1', port, path: pathname }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      })
+      .on('error', reject);
+  });
+}
+
+describe('Service: agent API', function () {
+  let owner;
+  let addr1;
+  let addr2;
+  let treasury;
+  let bap578;
+  let claw;
+  let logic;
+  let api;
+  let port;
+  let tmpDir;
+
+  const metadata = {
+    persona: '{"traits": "friendly"}',
+    experience: 'AI Assistant',
+    voiceHash: 'voice_001',
+    animationURI: 'ipfs://animation1',
+    vaultURI: 'ipfs://vault1',
+    vaultHash: ethers.utils.formatBytes32String('vault1'),
+  };
+
+  async function createBap578Agent(signer, options = {}) {
+    await bap578
+      .connect(signer)
+      .createAgent(
+        signer.address,
+        options.logicAddress || ethers.constants.AddressZero,
+        'ipfs://meta',
+        metadata,
+        { value: options.value || 0 },
+      );
+  }
+
+  before(async function () {
+    [owner, addr1, addr2, treasury] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const Logic = await ethers.getContractFactory('MockAgentLogic');
+    logic = await Logic.deploy();
+    await logic.deployed();
+
+    // BAP578: addr1 holds a funded inactive free mint and an active free mint with logic,
+    // addr2 holds a paid mint
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    bap578 = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await bap578.deployed();
+
+    await createBap578Agent(addr1);
+    await createBap578Agent(addr1, { logicAddress: logic.address });
+    await bap578.connect(addr1).fundAgent(1, { value: 1000 });
+    await bap578.connect(addr1).setAgentStatus(1, false);
+    await bap578.connect(owner).setFreeMintsPerUser(0);
+    await createBap578Agent(addr2, { value: ethers.utils.parseEther('0.01') });
+
+    // CLAWNFA: addr1 mints two agents, funds the first and pauses the second
+    const Token = await ethers.getContractFactory('MockERC20Balance');
+    const token = await Token.deploy();
+    await token.deployed();
+    await token.setBalance(addr1.address, ethers.utils.parseUnits('10000', 18));
+
+    const NFA = await ethers.getContractFactory('NFA');
+    claw = await NFA.deploy(token.address, 10000);
+    await claw.deployed();
+    await claw.connect(owner).setAllowedLogicContract(logic.address, true);
+
+    const client = new CLAWNFAClient({ address: claw.address, signerOrProvider: addr1 });
+    const mintSigner = new ClawMintSigner({ signer: owner, contractAddress: claw.address });
+    await client.requestAndMint(mintSigner);
+    await client.requestAndMint(mintSigner);
+    await client.fund(0, 500);
+    await client.setLogicAddress(0, logic.address);
+    await client.pause(1);
+    await claw.connect(addr1).updateAgentMetadata(0, { ...metadata, experience: 'Claw agent' });
+
+    const bap578Indexer = new AgentIndexer({ contract: bap578, startBlock, confirmations: 2 });
+    await bap578Indexer.sync();
+
+    // The CLAWNFA index is served from its database file, as `server.js` does
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-api-'));
+    const clawFile = path.join(tmpDir, 'clawnfa.json');
+    await new AgentIndexer({
+      contract: claw,
+      projection: projections.clawnfa,
+      store: new JsonStore({ file: clawFile }),
+      startBlock,
+      confirmations: 2,
+    }).sync();
+
+    api = createApiServer({
+      sources: {
+        bap578: indexerSource(bap578Indexer),
+        clawnfa: fileSource(clawFile, projections.clawnfa),
+      },
+    });
+    port = await api.listen(0);
+  });
+
+  after(async function () {
+    await api.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('BAP578', function () {
+    it('lists agents owned by an address', async function () {
+      const { status, body } = await get(port, `/bap578/agents?owner=${addr1.address}`);
+
+      expect(status).to.equal(200);
+      expect(body.total).to.equal(2);
+      expect(body.items.map((agent) => agent.tokenId)).to.deep.equal(['1', '2']);
+    });
+
+    it('filters by logic address', async function () {
+      const { body } = await get(port, `/bap578/agents?logicAddress=${logic.address}`);
+      expect(body.items.map((agent) => agent.tokenId)).to.deep.equal(['2']);
+    });
+
+    it('finds inactive agents with a nonzero balance', async function () {
+      const { body } = await get(port, '/bap578/agents?active=false&hasBalance=true');
+      expect(body.items).to.have.lengthOf(1);
+      expect(body.items[0]).to.include({ tokenId: '1', balance: '1000', active: false });
+    });
+
+    it('filters by lifecycle status', async function () {
+      const { body } = await get(port, '/bap578/agents?status=Paused');
+      expect(body.items.map((agent) => agent.tokenId)).to.deep.equal(['1']);
+      expect(body.items[0]).to.include({ status: 'Paused', active: false });
+    });
+
+    it('finds free-minted agents', async function () {
+      const free = await get(port, '/bap578/agents?isFreeMint=true');
+      const paid = await get(port, '/bap578/agents?isFreeMint=false');
+
+      expect(free.body.total).to.equal(2);
+      expect(paid.body.items.map((agent) => agent.owner)).to.deep.equal([addr2.address]);
+    });
+
+    it('paginates results', async function () {
+      const { body } = await get(port, '/bap578/agents?offset=1&limit=1');
+      expect(body).to.include({ total: 3, offset: 1, limit: 1 });
+      expect(body.items.map((agent) => agent.tokenId)).to.deep.equal(['2']);
+    });
+
+    it('rejects unknown or malformed filters', async function () {
+      expect((await get(port, '/bap578/agents?status=Inactive')).status).to.equal(400);
+      expect((await get(port, '/bap578/agents?isTerminated=true')).status).to.equal(400);
+      expect((await get(port, '/bap578/agents?owner=0x1234')).status).to.equal(400);
+      expect((await get(port, '/bap578/agents?limit=1000')).status).to.equal(400);
+    });
+
+    it('serves a single agent', async function () {
+      const { body } = await get(port, '/bap578/agents/2');
+      expect(body).to.include({ tokenId: '2', owner: addr1.address, isFreeMint: true });
+      expect(body.metadata).to.deep.equal(metadata);
+
+      expect((await get(port, '/bap578/agents/99')).status).to.equal(404);
+    });
+
+    it('serves ERC-721 metadata JSON', async function () {
+      const { body } = await get(port, '/bap578/metadata/1');
+
+      expect(body.name).to.equal('Non-Fungible Agent #1');
+      expect(body.description).to.equal('AI Assistant');
+      expect(body.animation_url).to.equal('ipfs://animation1');
+      expect(body.attributes).to.deep.include({ trait_type: 'Status', value: 'Paused' });
+      expect(body.attributes).to.deep.include({ trait_type: 'Free Mint', value: 'Yes' });
+      expect(body.properties.persona).to.deep.equal({ traits: 'friendly' });
+    });
+  });
+
+  describe('CLAWNFA', function () {
+    it('filters by status and balance', async function () {
+      const paused = await get(port, '/clawnfa/agents?status=Paused');
+      const funded = await get(port, '/clawnfa/agents?minBalance=500');
+
+      expect(paused.body.items.map((agent) => agent.tokenId)).to.deep.equal(['1']);
+      expect(funded.body.items).to.have.lengthOf(1);
+      expect(funded.body.items[0]).to.include({
+        tokenId: '0',
+        status: 'Active',
+        logicAddress: logic.address,
+      });
+    });
+
+    it('serves ERC-721 metadata JSON', async function () {
+      const { body } = await get(port, '/clawnfa/metadata/0');
+
+      expect(body.name).to.equal('Non-Fungible Agent #0');
+      expect(body.description).to.equal('Claw agent');
+      expect(body.attributes).to.deep.include({ trait_type: 'Status', value: 'Active' });
+    });
+  });
+
+  it('reports indexer progress on /health', async function () {
+    const { body } = await get(port, '/health');
+
+    expect(body.ok).to.equal(true);
+    expect(body.sources.bap578.contract).to.equal(bap578.address);
+    expect(body.sources.clawnfa.contract).to.equal(claw.address);
+  });
+
+  it('does not resolve prototype keys from the path or query', async function () {
+    for (const pathname of [
+      '/__proto__/agents',
+      '/constructor/agents/1',
+      '/bap578/agents/__proto__',
+      '/bap578/agents/constructor',
+      '/clawnfa/metadata/toString',
+    ]) {
+      expect((await get(port, pathname)).status, pathname).to.equal(404);
+    }
+    expect((await get(port, '/bap578/agents?constructor=1')).status).to.equal(400);
+    expect((await get(port, '/bap578/agents?__proto__=1')).status).to.equal(400);
+  });
+});
@@ -0,0 +1,258 @@
+const { expect } = require('chai');
+const { ethers, upgrades, network } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgentIndexer, JsonStore } = require('../../services/indexer');
+const bap578Projection = require('../../services/indexer/projections/bap578');
+const clawnfaProjection = require('../../services/indexer/projections/clawnfa');
+
+describe('Service: AgentIndexer', function () {
+  let nfa;
+  let owner;
+  let addr1;
+  let addr2;
+  let treasury;
+  let startBlock;
+
+  const metadata = {
+    persona: '{"traits": "friendly"}',
+    experience: 'AI Assistant',
+    voiceHash: 'voice_001',
+    animationURI: 'ipfs://animation1',
+    vaultURI: 'ipfs://vault1',
+    vaultHash: ethers.utils.formatBytes32String('vault1'),
+  };
+
+  async function mint(signer, to = signer.address, value = 0) {
+    await nfa
+      .connect(signer)
+      .createAgent(to, ethers.constants.AddressZero, 'ipfs://meta', metadata, { value });
+  }
+
+  function createIndexer(options = {}) {
+    return new AgentIndexer({ contract: nfa, startBlock, confirmations: 3, ...options });
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, treasury] = await ethers.getSigners();
+
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await nfa.deployed();
+    startBlock = (await nfa.deployTransaction.wait()).blockNumber;
+  });
+
+  it('builds the agent projection from events', async function () {
+    await mint(addr1);
+    await nfa.connect(owner).grantAdditionalFreeMints(addr2.address, 2);
+    await nfa.connect(owner).setFreeMintsPerUser(0);
+    await mint(owner, addr1.address, ethers.utils.parseEther('0.01'));
+
+    await nfa.connect(addr1).fundAgent(1, { value: 1000 });
+    await nfa.connect(addr1).withdrawFromAgent(1, 400);
+    await nfa.connect(addr1).setAgentStatus(1, false);
+    await nfa.connect(addr1).transferFrom(addr1.address, addr2.address, 2);
+    await nfa
+      .connect(addr1)
+      .updateAgentMetadata(1, 'ipfs://meta-v2', { ...metadata, experience: 'Updated' });
+
+    const indexer = createIndexer();
+    const result = await indexer.sync();
+    const { agents, freeMintGrants } = indexer.view();
+
+    expect(result.events).to.be.greaterThan(0);
+    expect(Object.keys(agents)).to.deep.equal(['1', '2']);
+    expect(agents[1]).to.include({
+      owner: addr1.address,
+      balance: '600',
+      active: false,
+      isFreeMint: true,
+      metadataURI: 'ipfs://meta-v2',
+    });
+    expect(agents[1].metadata.experience).to.equal('Updated');
+    expect(agents[2]).to.include({ owner: addr2.address, isFreeMint: false, active: true });
+    expect(freeMintGrants[addr2.address]).to.equal('2');
+  });
+
+  it('reads metadata as of the block of each event', async function () {
+    await mint(addr1);
+    await nfa
+      .connect(addr1)
+      .updateAgentMetadata(1, 'ipfs://meta-v2', { ...metadata, experience: 'Updated' });
+    await nfa
+      .connect(addr1)
+      .updateAgentMetadata(1, 'ipfs://meta-v3', { ...metadata, experience: 'Final' });
+
+    const indexer = createIndexer({ confirmations: 100 });
+    await indexer.sync();
+    const enriched = indexer.state.journal.filter((event) => event.data);
+
+    expect(enriched.map((event) => [event.event, event.data.metadata.experience])).to.deep.equal([
+      ['AgentCreated', 'AI Assistant'],
+      ['MetadataUpdated', 'Updated'],
+      ['MetadataUpdated', 'Final'],
+    ]);
+    expect(enriched[1].data.metadataURI).to.equal('ipfs://meta-v2');
+
+    // Tokens that do not exist cannot be read and must not stop the sync
+    const blockNumber = await ethers.provider.getBlockNumber();
+    expect(
+      await bap578Projection.enrich(nfa, {
+        event: 'MetadataUpdated',
+        blockNumber,
+        args: { tokenId: '99' },
+      }),
+    ).to.deep.equal({ metadataURI: '', metadata: null });
+  });
+
+  it('only skips CLAWNFA metadata of missing tokens', async function () {
+    const event = {
+      event: 'MetadataUpdated',
+      blockNumber: 1,
+      args: { tokenId: '1', metadataURI: 'ipfs://meta' },
+    };
+    const failing = (code) => ({
+      getAgentMetadata: () => Promise.reject(Object.assign(new Error(code), { code })),
+    });
+
+    expect(await clawnfaProjection.enrich(failing('CALL_EXCEPTION'), event)).to.deep.equal({
+      metadataURI: 'ipfs://meta',
+      metadata: null,
+    });
+    await expect(clawnfaProjection.enrich(failing('TIMEOUT'), event)).to.be.rejectedWith('TIMEOUT');
+  });
+
+  it('tracks the agent lifecycle', async function () {
+    await mint(addr1);
+    await mint(addr1);
+    await mint(addr1);
+    await nfa.connect(addr1).pause(2);
+    await nfa.connect(addr1).terminate(3);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+    const { agents } = indexer.view();
+
+    expect(agents[1]).to.include({ status: 'Active', active: true });
+    expect(agents[2]).to.include({ status: 'Paused', active: false });
+    expect(agents[3]).to.include({ status: 'Terminated', active: false });
+  });
+
+  it('tracks ERC-20 balances per agent and token', async function () {
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const usdt = await MockERC20.deploy('Tether USD', 'USDT', 18);
+    await usdt.mint(addr2.address, 1000);
+    await usdt.connect(addr2).approve(nfa.address, 1000);
+    await mint(addr1);
+    await mint(addr1);
+
+    await nfa.connect(addr2).fundAgentToken(1, usdt.address, 700);
+    await nfa.connect(addr2).fundAgentToken(2, usdt.address, 300);
+    await nfa.connect(addr1).withdrawAgentToken(1, usdt.address, 200);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+    const { agents } = indexer.view();
+
+    expect(agents[1].tokenBalances).to.deep.equal({ [usdt.address]: '500' });
+    expect(agents[2].tokenBalances).to.deep.equal({ [usdt.address]: '300' });
+    expect(agents[1].balance).to.equal('0');
+  });
+
+  it('finalizes events older than the confirmation depth', async function () {
+    await mint(addr1);
+    const indexer = createIndexer();
+    await indexer.sync();
+    expect(indexer.state.journal).to.not.be.empty;
+
+    await network.provider.send('hardhat_mine', ['0x5']);
+    await indexer.sync();
+
+    expect(indexer.state.journal).to.be.empty;
+    expect(indexer.state.finalized.state.agents[1].owner).to.equal(addr1.address);
+    expect(indexer.view().agents[1].owner).to.equal(addr1.address);
+  });
+
+  it('resumes from the last processed block', async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'));
+    const file = path.join(dir, 'db.json');
+
+    try {
+      await mint(addr1);
+      const first = createIndexer({ store: new JsonStore({ file }) });
+      const { toBlock } = await first.sync();
+
+      await mint(addr2);
+      const resumed = createIndexer({ store: new JsonStore({ file }) });
+      const result = await resumed.sync();
+
+      expect(result.fromBlock).to.equal(toBlock + 1);
+      expect(result.events).to.equal(2); // Transfer + AgentCreated
+      expect(Object.keys(resumed.view().agents)).to.deep.equal(['1', '2']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses a database built for another contract', async function () {
+    const store = new JsonStore();
+    await createIndexer({ store }).sync();
+
+    const other = new AgentIndexer({ contract: nfa.attach(addr1.address), store });
+    await expect(other.load()).to.be.rejectedWith('database belongs to');
+  });
+
+  it('rejects batch sizes that would never advance', function () {
+    expect(() => createIndexer({ batchSize: 0 })).to.throw('batchSize 0 is not a positive integer');
+    expect(() => createIndexer({ batchSize: NaN })).to.throw('is not a positive integer');
+  });
+
+  it('resumes after a failed sync', async function () {
+    await mint(addr1);
+    const indexer = createIndexer({ batchSize: 1 });
+    const { getLogs } = indexer.provider;
+    let calls = 0;
+    indexer.provider.getLogs = function (...args) {
+      if (++calls === 2) return Promise.reject(new Error('rate limited'));
+      return getLogs.apply(this, args);
+    };
+
+    try {
+      await expect(indexer.sync()).to.be.rejectedWith('rate limited');
+      await mint(addr2);
+      await indexer.sync();
+    } finally {
+      indexer.provider.getLogs = getLogs;
+    }
+    expect(Object.keys(indexer.view().agents)).to.deep.equal(['1', '2']);
+  });
+
+  it('rolls back events from a reorged chain', async function () {
+    await mint(addr1);
+    const indexer = createIndexer({ confirmations: 10 });
+    await indexer.sync();
+
+    const snapshot = await network.provider.send('evm_snapshot');
+    await nfa.connect(addr1).fundAgent(1, { value: 500 });
+    await mint(addr2);
+    await indexer.sync();
+    expect(indexer.view().agents[1].balance).to.equal('500');
+    expect(indexer.view().agents[2]).to.exist;
+    const forkedHead = indexer.state.lastBlock;
+
+    // Replace the last blocks with a competing branch of the same height
+    await network.provider.send('evm_revert', [snapshot]);
+    await nfa.connect(addr1).fundAgent(1, { value: 7 });
+    await network.provider.send('hardhat_mine', ['0x1']);
+
+    const result = await indexer.sync();
+
+    expect(result.rolledBackTo).to.be.lessThan(forkedHead);
+    expect(indexer.view().agents[1].balance).to.equal('7');
+    expect(indexer.view().agents[2]).to.be.undefined;
+  });
+});
@@ -0,0 +1,192 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { CLAWNFAClient } = require('../../sdk');
+const { createMintSignerService, RateLimiter } = require('../../services/mint-signer');
+
+function request(port, method, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? undefined : JSON.stringify(body);
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        method,
+        path: pathname,
+        headers: { 'Content-Type': 'application/json', ...headers },
+      },
+      (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      },
+    );
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+describe('Service: mint signer', function () {
+  const ADMIN_TOKEN = 'test-admin-token';
+  const minBalance = ethers.utils.parseUnits('10000', 18);
+
+  let owner;
+  let addr1;
+  let addr2;
+  let token;
+  let nfa;
+  let tmpDir;
+  let service;
+  let port;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20Balance');
+    token = await MockERC20.deploy();
+    await token.deployed();
+
+    const NFA = await ethers.getContractFactory('NFA');
+    nfa = await NFA.deploy(token.address, 10000);
+    await nfa.deployed();
+
+    await token.setBalance(addr1.address, minBalance);
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-signer-'));
+    service = createMintSignerService({
+      signer: owner,
+      contractAddress: nfa.address,
+      provider: ethers.provider,
+      expirySeconds: 600,
+      rateLimit: { max: 2, windowMs: 60 * 1000 },
+      auditLogFile: path.join(tmpDir, 'audit.log'),
+      revocationFile: path.join(tmpDir, 'revocations.json'),
+      adminToken: ADMIN_TOKEN,
+    });
+    port = await service.listen(0);
+  });
+
+  afterEach(async function () {
+    await service.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('refuses to start with a key other than signerAddress', async function () {
+    const rogue = createMintSignerService({
+      signer: addr2,
+      contractAddress: nfa.address,
+      provider: ethers.provider,
+    });
+    await expect(rogue.listen(0)).to.be.rejectedWith('is not the contract signerAddress');
+  });
+
+  it('issues a signature the contract accepts', async function () {
+    const block = await ethers.provider.getBlock('latest');
+    const res = await request(port, 'POST', '/mint-signature', { wallet: addr1.address });
+
+    expect(res.status).to.equal(200);
+    expect(res.body.request.wallet).to.equal(addr1.address);
+    expect(res.body.request.nonce).to.equal('0');
+    expect(Number(res.body.request.expiry)).to.equal(block.timestamp + 600);
+
+    const client = new CLAWNFAClient({ address: nfa.address, signerOrProvider: addr1 });
+    const { tokenId } = await client.mint(res.body.request, res.body.signature);
+    expect(tokenId).to.equal('0');
+  });
+
+  it('follows the on-chain nonce across mints', async function () {
+    const first = await service.issueSignature(addr1.address);
+    const client = new CLAWNFAClient({ address: nfa.address, signerOrProvider: addr1 });
+    await client.mint(first.request, first.signature);
+
+    const second = await service.issueSignature(addr1.address);
+    expect(second.request.nonce).to.equal('1');
+  });
+
+  it('rejects invalid wallets', async function () {
+    const res = await request(port, 'POST', '/mint-signature', { wallet: 'not-an-address' });
+    expect(res.status).to.equal(400);
+  });
+
+  it('rejects wallets below the REQUIRED_TOKEN threshold', async function () {
+    const res = await request(port, 'POST', '/mint-signature', { wallet: addr2.address });
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.equal('Insufficient REQUIRED_TOKEN balance');
+  });
+
+  it('rejects wallets that reached the mint limit', async function () {
+    await nfa.connect(owner).setMintLimitPerAddress(1);
+    const { request: mintRequest, signature } = await service.issueSignature(addr1.address);
+    await nfa.connect(addr1).mint(mintRequest, signature);
+
+    const res = await request(port, 'POST', '/mint-signature', { wallet: addr1.address });
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.equal('Wallet cannot mint');
+  });
+
+  it('rate limits per wallet', async function () {
+    await request(port, 'POST', '/mint-signature', { wallet: addr1.address });
+    await request(port, 'POST', '/mint-signature', { wallet: addr1.address });
+    const res = await request(port, 'POST', '/mint-signature', { wallet: addr1.address });
+
+    expect(res.status).to.equal(429);
+    expect(res.body.retryAfter).to.be.greaterThan(0);
+  });
+
+  it('forgets wallets once their window expires', function () {
+    let now = 0;
+    const limiter = new RateLimiter({ windowMs: 1000, max: 1, now: () => now });
+
+    limiter.hit('a');
+    now = 500;
+    limiter.hit('b');
+    expect(limiter.hit('a').allowed).to.equal(false);
+    expect(limiter.size).to.equal(2);
+
+    now = 1000;
+    expect(limiter.hit('c').allowed).to.equal(true);
+    expect(limiter.size).to.equal(2);
+    expect(limiter.hit('b').allowed).to.equal(false);
+
+    now = 2000;
+    expect(limiter.hit('a').allowed).to.equal(true);
+    expect(limiter.size).to.equal(1);
+  });
+
+  it('manages the revocation list through the admin API', async function () {
+    const auth = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    expect((await request(port, 'GET', '/admin/revocations')).status).to.equal(401);
+
+    await request(port, 'POST', '/admin/revocations', { wallet: addr1.address }, auth);
+    let res = await request(port, 'POST', '/mint-signature', { wallet: addr1.address });
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.equal('Wallet is revoked');
+
+    const list = await request(port, 'GET', '/admin/revocations', undefined, auth);
+    expect(list.body.wallets).to.deep.equal([addr1.address.toLowerCase()]);
+
+    await request(port, 'DELETE', `/admin/revocations/${addr1.address}`, undefined, auth);
+    res = await request(port, 'POST', '/mint-signature', { wallet: addr1.address });
+    expect(res.status).to.equal(200);
+  });
+
+  it('records issued signatures in the audit log', async function () {
+    const issued = await request(port, 'POST', '/mint-signature', { wallet: addr1.address });
+    await request(port, 'POST', '/mint-signature', { wallet: addr2.address });
+
+    const res = await request(port, 'GET', '/admin/audit', undefined, {
+      Authorization: `Bearer ${ADMIN_TOKEN}`,
+    });
+    expect(res.body.entries).to.have.lengthOf(1);
+    expect(res.body.entries[0].wallet).to.equal(addr1.address);
+    expect(res.body.entries[0].signature).to.equal(issued.body.signature);
+    expect(
+      fs.readFileSync(path.join(tmpDir, 'audit.log'), 'utf8').trim().split('\n'),
+    ).to.have.lengthOf(1);
+  });
+});
@@ -1,8 +1,314 @@
 const { expect } = require('chai');
+const { ethers, upgrades } = require('hardhat');
+const { DEFAULT_METADATA } = require('../../sdk');
 
 describe('BAP578 Adapter Template', function () {
-  it('documents baseline invariant placeholder', async function () {
-    // Replace with adapter + vault fixture tests in downstream integrations.
-    expect(true).to.equal(true);
+  // Mirrors ReentrantRecipientMock.Attack
+  const Attack = { None: 0, Withdraw: 1, Fund: 2, VaultDebit: 3 };
+  const amount = ethers.utils.parseEther('1');
+  let owner, agentOwner, buyer, funder, recipient, treasury;
+  let nfa, vault, adapter;
+
+  async function mint(signer) {
+    await nfa
+      .connect(signer)
+      .createAgent(signer.address, ethers.constants.AddressZero, 'ipfs://agent', DEFAULT_METADATA, {
+        value: ethers.utils.parseEther('0.01'),
+      });
+    return nfa.getTotalSupply();
+  }
+
+  async function expectInvariant(tokenIds) {
+    let sum = ethers.constants.Zero;
+    for (const tokenId of tokenIds) {
+      sum = sum.add(await vault.balanceOf(tokenId));
+    }
+    expect(await vault.totalBalance()).to.equal(sum);
+    expect(await ethers.provider.getBalance(vault.address)).to.equal(sum);
+    expect(await ethers.provider.getBalance(adapter.address)).to.equal(0);
+  }
+
+  beforeEach(async function () {
+    [owner, agentOwner, buyer, funder, recipient, treasury] = await ethers.getSigners();
+
+    const BAP578 = await ethers.getContractFactory('BAP578');
+    nfa = await upgrades.deployProxy(BAP578, ['Non-Fungible Agents', 'NFA', treasury.address], {
+      initializer: 'initialize',
+      kind: 'uups',
+    });
+    await nfa.deployed();
+    // Paid mints, so agents are transferable
+    await nfa.setFreeMintsPerUser(0);
+
+    const AgentVault = await ethers.getContractFactory('AgentVault');
+    vault = await AgentVault.deploy();
+    await vault.deployed();
+
+    const Adapter = await ethers.getContractFactory('BAP578AdapterBlueprint');
+    adapter = await Adapter.deploy(nfa.address, vault.address);
+    await adapter.deployed();
+    await vault.setAdapter(adapter.address);
+
+    await mint(agentOwner);
+  });
+
+  // ============================================
+  //              Deployment
+  // ============================================
+
+  describe('Deployment', function () {
+    it('should wire the adapter to the NFA and the vault', async function () {
+      expect(await adapter.nfa()).to.equal(nfa.address);
+      expect(await adapter.vault()).to.equal(vault.address);
+      expect(await vault.adapter()).to.equal(adapter.address);
+      expect(await vault.owner()).to.equal(owner.address);
+    });
+
+    it('should reject zero addresses', async function () {
+      const Adapter = await ethers.getContractFactory('BAP578AdapterBlueprint');
+      await expect(Adapter.deploy(ethers.constants.AddressZero, vault.address)).to.be.revertedWith(
+        'Invalid address',
+      );
+      await expect(Adapter.deploy(nfa.address, ethers.constants.AddressZero)).to.be.revertedWith(
+        'Invalid address',
+      );
+    });
+
+    it('should bind the vault adapter exactly once, by the vault owner', async function () {
+      const AgentVault = await ethers.getContractFactory('AgentVault');
+      const fresh = await AgentVault.deploy();
+
+      await expect(fresh.connect(buyer).setAdapter(adapter.address)).to.be.revertedWith(
+        'AgentVault: not owner',
+      );
+      await expect(fresh.setAdapter(ethers.constants.AddressZero)).to.be.revertedWith(
+        'AgentVault: zero address',
+      );
+      await expect(fresh.setAdapter(adapter.address))
+        .to.emit(fresh, 'AdapterSet')
+        .withArgs(adapter.address);
+      await expect(fresh.setAdapter(buyer.address)).to.be.revertedWith(
+        'AgentVault: adapter already set',
+      );
+    });
+  });
+
+  // ============================================
+  //              Funding
+  // ============================================
+
+  describe('fund', function () {
+    it('should credit the agent in the vault', async function () {
+      await expect(adapter.connect(funder).fund(1, { value: amount }))
+        .to.emit(adapter, 'NativeFunded')
+        .withArgs(1, funder.address, amount)
+        .and.to.emit(vault, 'NativeCredited')
+        .withArgs(1, amount);
+
+      expect(await vault.balanceOf(1)).to.equal(amount);
+      await expectInvariant([1]);
+    });
+
+    it('should keep balances per agent', async function () {
+      await mint(buyer);
+      await adapter.connect(funder).fund(1, { value: amount });
+      await adapter.connect(funder).fund(2, { value: amount.mul(2) });
+
+      expect(await vault.balanceOf(1)).to.equal(amount);
+      expect(await vault.balanceOf(2)).to.equal(amount.mul(2));
+      await expectInvariant([1, 2]);
+    });
+
+    it('should reject zero amounts', async function () {
+      await expect(adapter.fund(1)).to.be.revertedWith('Amount must be > 0');
+    });
+
+    it('should only accept credits and debits from the adapter', async function () {
+      await adapter.fund(1, { value: amount });
+
+      await expect(vault.connect(agentOwner).creditNative(1, { value: amount })).to.be.revertedWith(
+        'AgentVault: not adapter',
+      );
+      await expect(
+        vault.connect(agentOwner).debitNative(1, amount, agentOwner.address),
+      ).to.be.revertedWith('AgentVault: not adapter');
+    });
+
+    it('should reject plain transfers to the vault', async function () {
+      await expect(owner.sendTransaction({ to: vault.address, value: amount })).to.be.reverted;
+    });
+  });
+
+  // ============================================
+  //              Withdrawal
+  // ============================================
+
+  describe('withdraw', function () {
+    beforeEach(async function () {
+      await adapter.connect(funder).fund(1, { value: amount });
+    });
+
+    it('should let the token owner withdraw to any recipient', async function () {
+      const half = amount.div(2);
+
+      await expect(() =>
+        adapter.connect(agentOwner).withdraw(1, half, recipient.address),
+      ).to.changeEtherBalances([recipient, vault], [half, half.mul(-1)]);
+      await expect(adapter.connect(agentOwner).withdraw(1, half, recipient.address))
+        .to.emit(adapter, 'NativeWithdrawn')
+        .withArgs(1, recipient.address, half)
+        .and.to.emit(vault, 'NativeDebited')
+        .withArgs(1, recipient.address, half);
+
+      expect(await vault.balanceOf(1)).to.equal(0);
+      await expectInvariant([1]);
+    });
+
+    it('should reject everyone but the token owner', async function () {
+      await expect(adapter.connect(funder).withdraw(1, amount, funder.address)).to.be.revertedWith(
+        'Not token owner',
+      );
+      await expect(adapter.withdraw(1, amount, owner.address)).to.be.revertedWith(
+        'Not token owner',
+      );
+    });
+
+    it('should reject withdrawals from nonexistent agents', async function () {
+      await expect(adapter.connect(agentOwner).withdraw(99, 1, agentOwner.address)).to.be.reverted;
+    });
+
+    it('should validate the amount and recipient', async function () {
+      await expect(
+        adapter.connect(agentOwner).withdraw(1, 0, agentOwner.address),
+      ).to.be.revertedWith('Amount must be > 0');
+      await expect(
+        adapter.connect(agentOwner).withdraw(1, amount, ethers.constants.AddressZero),
+      ).to.be.revertedWith('Invalid recipient');
+      await expect(
+        adapter.connect(agentOwner).withdraw(1, amount.add(1), agentOwner.address),
+      ).to.be.revertedWith('AgentVault: insufficient balance');
+    });
+
+    it("should not let an owner withdraw another agent's balance", async function () {
+      await mint(buyer);
+
+      await expect(adapter.connect(buyer).withdraw(2, amount, buyer.address)).to.be.revertedWith(
+        'AgentVault: insufficient balance',
+      );
+      await expect(adapter.connect(buyer).withdraw(1, amount, buyer.address)).to.be.revertedWith(
+        'Not token owner',
+      );
+    });
+  });
+
+  // ============================================
+  //              Owner Changes
+  // ============================================
+
+  describe('Owner changes', function () {
+    it('should move withdrawal rights with the NFT, not the balance', async function () {
+      await adapter.connect(funder).fund(1, { value: amount });
+      await nfa.connect(agentOwner).transferFrom(agentOwner.address, buyer.address, 1);
+
+      expect(await vault.balanceOf(1)).to.equal(amount);
+      await expect(
+        adapter.connect(agentOwner).withdraw(1, amount, agentOwner.address),
+      ).to.be.revertedWith('Not token owner');
+      await expect(() =>
+        adapter.connect(buyer).withdraw(1, amount, buyer.address),
+      ).to.changeEtherBalance(buyer, amount);
+      await expectInvariant([1]);
+    });
+
+    it('should follow the owner to a contract holder', async function () {
+      const Recipient = await ethers.getContractFactory('ReentrantRecipientMock');
+      const holder = await Recipient.deploy(adapter.address);
+      await adapter.connect(funder).fund(1, { value: amount });
+      await nfa.connect(agentOwner).transferFrom(agentOwner.address, holder.address, 1);
+
+      await expect(() => holder.withdraw(1, amount)).to.changeEtherBalance(holder, amount);
+      expect(await holder.attempts()).to.equal(0);
+      await expectInvariant([1]);
+    });
+  });
+
+  // ============================================
+  //              Reentrancy
+  // ============================================
+
+  describe('Reentrancy', function () {
+    let attacker;
+
+    beforeEach(async function () {
+      const Recipient = await ethers.getContractFactory('ReentrantRecipientMock');
+      attacker = await Recipient.deploy(adapter.address);
+      await nfa.connect(agentOwner).transferFrom(agentOwner.address, attacker.address, 1);
+      await adapter.connect(funder).fund(1, { value: amount.mul(2) });
+    });
+
+    async function attack(kind, reentryAmount) {
+      await attacker.setAttack(kind, 1, reentryAmount);
+      await attacker.withdraw(1, amount);
+      expect(await attacker.attempts()).to.equal(1);
+      expect(await attacker.reentered()).to.equal(false);
+      return attacker.lastError();
+    }
+
+    it('should block a second withdraw during a withdrawal', async function () {
+      expect(await attack(Attack.Withdraw, amount)).to.equal('ReentrancyGuard');
+      expect(await vault.balanceOf(1)).to.equal(amount);
+      await expectInvariant([1]);
+    });
+
+    it('should block funding during a withdrawal', async function () {
+      expect(await attack(Attack.Fund, 0)).to.equal('ReentrancyGuard');
+      expect(await vault.balanceOf(1)).to.equal(amount);
+      await expectInvariant([1]);
+    });
+
+    it('should block calling the vault directly during a withdrawal', async function () {
+      expect(await attack(Attack.VaultDebit, amount)).to.equal('AgentVault: not adapter');
+      expect(await vault.balanceOf(1)).to.equal(amount);
+      expect(await ethers.provider.getBalance(attacker.address)).to.equal(amount);
+      await expectInvariant([1]);
+    });
+  });
+
+  // ============================================
+  //              Invariants
+  // ============================================
+
+  describe('Balance invariants', function () {
+    it('should hold across mixed deposits and withdrawals', async function () {
+      await mint(buyer);
+      const tokenIds = [1, 2];
+      const owners = { 1: agentOwner, 2: buyer };
+      const steps = [
+        ['fund', 1, '1.5'],
+        ['fund', 2, '0.3'],
+        ['withdraw', 1, '0.5'],
+        ['fund', 1, '0.25'],
+        ['withdraw', 2, '0.3'],
+        ['withdraw', 1, '1.25'],
+        ['fund', 2, '2'],
+      ];
+      const expected = { 1: ethers.constants.Zero, 2: ethers.constants.Zero };
+
+      for (const [action, tokenId, ether] of steps) {
+        const value = ethers.utils.parseEther(ether);
+        if (action === 'fund') {
+          await adapter.connect(funder).fund(tokenId, { value });
+          expected[tokenId] = expected[tokenId].add(value);
+        } else {
+          await adapter.connect(owners[tokenId]).withdraw(tokenId, value, recipient.address);
+          expected[tokenId] = expected[tokenId].sub(value);
+        }
+        expect(await vault.balanceOf(tokenId)).to.equal(expected[tokenId]);
+        await expectInvariant(tokenIds);
+      }
+
+      expect(await vault.balanceOf(1)).to.equal(0);
+      expect(await vault.balanceOf(2)).to.equal(ethers.utils.parseEther('2'));
+    });
   });
 });